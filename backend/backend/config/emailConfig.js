@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { renderTemplate } = require('../../../shared/templateEngine');
 require('dotenv').config();
 
 console.log('\n📦 === EMAIL CONFIG LOADING ===');
@@ -25,8 +26,9 @@ const createTransporter = () => {
       throw new Error('SMTP credentials not set. Please check SMTP_USER and SMTP_PASSWORD in .env file');
     }
 
+    // host/port rather than nodemailer's `service: 'gmail'` shortcut, which
+    // would override them
     const transporterConfig = {
-      service: 'gmail',
       host: process.env.SMTP_HOST || 'smtp.gmail.com',
       port: parseInt(process.env.SMTP_PORT) || 465,
       secure: true, // true for 465, false for other ports
@@ -40,7 +42,6 @@ const createTransporter = () => {
     };
 
     console.log('📋 Transporter config:', {
-      service: transporterConfig.service,
       host: transporterConfig.host,
       port: transporterConfig.port,
       secure: transporterConfig.secure,
@@ -48,7 +49,7 @@ const createTransporter = () => {
       passLength: transporterConfig.auth.pass ? transporterConfig.auth.pass.length : 0
     });
 
-    const transporter = nodemailer.createTransporter(transporterConfig);
+    const transporter = nodemailer.createTransport(transporterConfig);
 
     console.log('✅ Transporter created successfully');
 
@@ -161,16 +162,17 @@ const testEmailConnection = async () => {
 const emailTemplates = {
   welcome: (userData) => ({
     subject: 'Welcome to Bagga Bugs!',
-    html: `
-      <h1>Welcome ${userData.name}!</h1>
+    html: renderTemplate(`
+      <h1>Welcome {{ name | default: "aboard" }}!</h1>
       <p>Thank you for joining our email campaign platform.</p>
       <p>We're excited to have you on board!</p>
-    `
+    `, userData)
   }),
   
+  // Subject and body may use merge tags filled in from userData
   campaign: (userData, content) => ({
-    subject: content.subject,
-    html: content.body
+    subject: renderTemplate(content.subject, userData, { escape: false }),
+    html: renderTemplate(content.body, userData)
   })
 };
 
@@ -60,7 +60,9 @@ const sendBulkEmails = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Bulk emails sent',
+      message: results.suppressed.length > 0
+        ? `Bulk emails sent (${results.suppressed.length} suppressed address(es) skipped)`
+        : 'Bulk emails sent',
       results
     });
 
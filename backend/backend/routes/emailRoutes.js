@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const emailController = require('../controllers/emailController');
 const { body } = require('express-validator');
+const { requireInternal } = require('../utils/appAuth');
 
 // Validation middleware
 const validateContactForm = [
@@ -14,8 +15,9 @@ const validateContactForm = [
 
 // Routes
 router.post('/send-contact', validateContactForm, emailController.sendContactEmail);
-router.post('/send-bulk', emailController.sendBulkEmails);
-router.post('/test', emailController.testEmail);
+// These send to any address given, so only the app may call them
+router.post('/send-bulk', requireInternal, emailController.sendBulkEmails);
+router.post('/test', requireInternal, emailController.testEmail);
 
 // Health check for email service
 router.get('/status', (req, res) => {
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+process.env.INTERNAL_API_SECRET = 'test-secret';
+const emailRoutes = require('./emailRoutes');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', emailRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => server.close());
+
+const post = (path, headers = {}) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify({ recipients: [], testEmail: 'someone@example.com' })
+});
+
+test('send-bulk refuses a request without the shared secret', async () => {
+  const res = await post('/send-bulk');
+  assert.strictEqual(res.status, 401);
+});
+
+test('send-bulk refuses a request with the wrong secret', async () => {
+  const res = await post('/send-bulk', { Authorization: 'Bearer not-the-secret' });
+  assert.strictEqual(res.status, 401);
+});
+
+test('test refuses a request without the shared secret', async () => {
+  const res = await post('/test');
+  assert.strictEqual(res.status, 401);
+});
+
+test('send-bulk lets the shared secret through to the controller', async () => {
+  const res = await post('/send-bulk', { Authorization: 'Bearer test-secret' });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual((await res.json()).message, 'No recipients provided');
+});
+
+test('send-bulk refuses everything while no secret is configured', async () => {
+  delete process.env.INTERNAL_API_SECRET;
+  try {
+    const res = await post('/send-bulk', { Authorization: 'Bearer ' });
+    assert.strictEqual(res.status, 503);
+  } finally {
+    process.env.INTERNAL_API_SECRET = 'test-secret';
+  }
+});
@@ -2,6 +2,7 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const { htmlToText } = require('../../shared/htmlToText');
 
 // Load environment variables first
 require('dotenv').config();
@@ -40,30 +41,12 @@ function initEmailService() {
       console.log('✅ Nodemailer loaded successfully');
       console.log('📋 Nodemailer version:', nodemailer.version || 'unknown');
       
-      // Debug: Check available methods
-      console.log('🔍 Available methods:');
-      console.log('  - createTransporter:', typeof nodemailer.createTransporter);
-      console.log('  - createTransport:', typeof nodemailer.createTransport);
-      
     } catch (requireError) {
       console.error('❌ Failed to load nodemailer:', requireError.message);
       serviceStatus = 'Nodemailer not installed';
       return false;
     }
     
-    // Check if nodemailer has the transport creation method (try both APIs)
-    const transportMethod = nodemailer.createTransport || nodemailer.createTransporter;
-    if (!transportMethod || typeof transportMethod !== 'function') {
-      console.error('❌ No valid transport creation method found');
-      console.log('Available nodemailer methods:', Object.getOwnPropertyNames(nodemailer));
-      serviceStatus = 'Invalid nodemailer installation';
-      return false;
-    }
-    
-    // Use the correct method name
-    const createTransport = nodemailer.createTransport || nodemailer.createTransporter;
-    console.log('✅ Using transport method:', createTransport.name);
-    
     // Check if email credentials are set
     if (!process.env.SMTP_HOST || !process.env.SMTP_USER || !process.env.SMTP_PASSWORD) {
       serviceStatus = 'Missing SMTP configuration';
@@ -96,7 +79,7 @@ function initEmailService() {
     });
     
     // Use the correct method to create transporter
-    emailService = createTransport(transporterConfig);
+    emailService = nodemailer.createTransport(transporterConfig);
     console.log('✅ Email transporter created successfully');
     
     // Verify connection (async)
@@ -132,6 +115,9 @@ const emailInitialized = initEmailService();
 
 // API Routes
 
+// Extra headers callers of /api/send-contact may set on the message
+const ALLOWED_HEADERS = ['List-Unsubscribe', 'List-Unsubscribe-Post'];
+
 // 1. Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
@@ -168,7 +154,7 @@ app.post('/api/send-contact', async (req, res) => {
     });
   }
   
-  const { name, email, subject, message, htmlContent } = req.body;
+  const { name, email, subject, message, htmlContent, headers = {} } = req.body;
   
   if (!name || !email || !message) {
     return res.status(400).json({
@@ -215,7 +201,11 @@ app.post('/api/send-contact', async (req, res) => {
       replyTo: email,
       subject: `Contact Form: ${subject || 'Message from ' + name}`,
       html: emailHtml,
-      text: message
+      text: htmlToText(emailHtml),
+      // Only pass through the list headers the app sets, nothing arbitrary
+      headers: Object.fromEntries(
+        Object.entries(headers).filter(([key]) => ALLOWED_HEADERS.includes(key))
+      )
     };
     
     console.log('📤 Sending email...');
@@ -252,6 +242,10 @@ app.post('/api/send-contact', async (req, res) => {
       message: 'Failed to send email',
       error: error.message,
       errorCode: error.code,
+      // SMTP reply code (e.g. 450, 550) so the caller can tell temporary
+      // failures from permanent ones
+      responseCode: error.responseCode,
+      response: error.response,
       timestamp: new Date().toISOString()
     });
   }
@@ -297,9 +291,9 @@ app.post('/api/test-email', async (req, res) => {
             </p>
           </div>
         </div>
-      `,
-      text: `Bagga Bugs test email sent successfully at ${new Date().toLocaleString()}`
+      `
     };
+    mailOptions.text = htmlToText(mailOptions.html);
     
     const info = await emailService.sendMail(mailOptions);
     
@@ -331,8 +325,7 @@ app.get('/api/debug', (req, res) => {
       loaded: !!nodemailer,
       version: nodemailer?.version || 'unknown',
       methods: nodemailer ? Object.getOwnPropertyNames(nodemailer).filter(name => typeof nodemailer[name] === 'function') : [],
-      createTransport: !!(nodemailer?.createTransport),
-      createTransporter: !!(nodemailer?.createTransporter)
+      createTransport: !!(nodemailer?.createTransport)
     },
     emailService: {
       created: !!emailService,
@@ -495,7 +488,10 @@ app.get('/test-email', (req, res) => {
   `);
 });
 
-// 6. Root endpoint
+// 6. Bulk sending and other email routes (routes above take precedence)
+app.use('/api', require('./routes/emailRoutes'));
+
+// 7. Root endpoint
 app.get('/', (req, res) => {
   res.json({
     message: 'Bagga Bugs Email Backend',
@@ -508,6 +504,7 @@ app.get('/', (req, res) => {
       debug: '/api/debug',
       testEmail: '/api/test-email',
       sendContact: '/api/send-contact',
+      sendBulk: '/api/send-bulk',
       testPage: '/test-email'
     }
   });
@@ -538,6 +535,12 @@ app.listen(PORT, () => {
   console.log('\n');
 });
 
+// Optional SMTP listener for replies and bounce reports
+if (process.env.INBOUND_SMTP_PORT) {
+  const { startInboundListener } = require('./services/inboundListener');
+  startInboundListener(Number(process.env.INBOUND_SMTP_PORT));
+}
+
 // Error handling
 process.on('uncaughtException', (error) => {
   console.error('❌ Uncaught Exception:', error.message);
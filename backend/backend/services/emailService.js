@@ -1,5 +1,10 @@
-const transporter = require('../config/emailConfig');
+const { transporter } = require('../config/emailConfig');
 const emailTemplates = require('../templates/emailTemplates');
+const { checkSuppressions, isSuppressed, listUnsubscribeHeaders } = require('../utils/suppressionList');
+const { htmlToText } = require('../../../shared/htmlToText');
+
+// Every email goes out with a text/plain alternative made from its HTML
+const withTextPart = (mailOptions) => ({ ...mailOptions, text: htmlToText(mailOptions.html) });
 
 class EmailService {
   // Send contact form email
@@ -21,7 +26,7 @@ class EmailService {
     };
 
     try {
-      const info = await transporter.sendMail(mailOptions);
+      const info = await transporter.sendMail(withTextPart(mailOptions));
       console.log('✅ Contact email sent:', info.messageId);
       
       // Send auto-reply to sender
@@ -44,7 +49,7 @@ class EmailService {
     };
 
     try {
-      await transporter.sendMail(mailOptions);
+      await transporter.sendMail(withTextPart(mailOptions));
       console.log('✅ Auto-reply sent to:', email);
     } catch (error) {
       console.error('❌ Auto-reply error:', error);
@@ -52,34 +57,45 @@ class EmailService {
     }
   }
 
-  // Send bulk emails
+  // Send bulk emails, skipping anyone on the suppression list
   async sendBulkEmails(data) {
     const { recipients, subject, message, template } = data;
     const results = {
       successful: [],
-      failed: []
+      failed: [],
+      suppressed: []
     };
 
+    const { suppressed, unsubscribeUrls } = await checkSuppressions(recipients.map(r => r.email || r));
+
     for (const recipient of recipients) {
+      const email = recipient.email || recipient;
+      if (isSuppressed(suppressed, email)) {
+        results.suppressed.push({ email });
+        continue;
+      }
+
       try {
+        const unsubscribeUrl = unsubscribeUrls[email];
         const mailOptions = {
           from: `"${process.env.EMAIL_FROM_NAME}" <${process.env.EMAIL_USER}>`,
-          to: recipient.email || recipient,
+          to: email,
           subject: subject,
           html: template === 'newsletter' 
-            ? emailTemplates.newsletterTemplate(message, recipient.name)
-            : emailTemplates.simpleTemplate(subject, message)
+            ? emailTemplates.newsletterTemplate(message, recipient.name, unsubscribeUrl)
+            : emailTemplates.simpleTemplate(subject, message, unsubscribeUrl),
+          headers: unsubscribeUrl ? listUnsubscribeHeaders(unsubscribeUrl) : {}
         };
 
-        const info = await transporter.sendMail(mailOptions);
+        const info = await transporter.sendMail(withTextPart(mailOptions));
         results.successful.push({
-          email: recipient.email || recipient,
+          email,
           messageId: info.messageId
         });
 
       } catch (error) {
         results.failed.push({
-          email: recipient.email || recipient,
+          email,
           error: error.message
         });
       }
@@ -97,7 +113,7 @@ class EmailService {
       html: emailTemplates.testEmailTemplate()
     };
 
-    const info = await transporter.sendMail(mailOptions);
+    const info = await transporter.sendMail(withTextPart(mailOptions));
     return info;
   }
 }
@@ -0,0 +1,68 @@
+// SMTP receiver for mail coming back to us: replies to campaigns and bounce
+// reports (DSNs). Each message is handed to the Next.js app as-is, which
+// works out what it is and who it's from. Point the Reply-To mailbox's
+// forwarding rule (or an MX record) at it. It accepts mail for any
+// recipient, so only expose it where the mail server alone can reach it.
+const { SMTPServer } = require('smtp-server');
+const { internalHeaders } = require('../utils/appAuth');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:9002';
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+
+const forwardMessage = async (raw) => {
+  const response = await fetch(`${APP_URL}/api/inbound`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'message/rfc822', ...internalHeaders() },
+    body: raw
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || `HTTP ${response.status}`);
+  }
+  return result;
+};
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+const startInboundListener = (port) => {
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['AUTH', 'STARTTLS'],
+    size: MAX_MESSAGE_BYTES,
+    banner: 'Bagga Bugs inbound mail',
+    async onData(stream, session, callback) {
+      try {
+        const raw = await readStream(stream);
+        if (stream.sizeExceeded) {
+          const error = new Error('Message too big');
+          error.responseCode = 552;
+          return callback(error);
+        }
+        const result = await forwardMessage(raw.toString('utf8'));
+        console.log(`📥 Inbound mail: ${result.message}`);
+        callback();
+      } catch (error) {
+        console.error('❌ Could not hand inbound mail to the app:', error.message);
+        // Ask the sending server to try again later rather than lose the message.
+        const retry = new Error('Try again later');
+        retry.responseCode = 451;
+        callback(retry);
+      }
+    }
+  });
+
+  server.on('error', (error) => {
+    console.error('❌ Inbound mail listener error:', error.message);
+  });
+  server.listen(port, () => {
+    console.log(`📥 Inbound mail listener accepting replies and bounces over SMTP on port ${port}`);
+  });
+  return server;
+};
+
+module.exports = { startInboundListener };
@@ -1,7 +1,13 @@
+// Rendered with the same template engine as campaign emails, so every value
+// is HTML-escaped unless a template says otherwise.
+const { escapeHtml, markSafe, renderTemplate } = require('../../../shared/templateEngine');
+// The newsletter and simple layouts are shared with the dashboard's template library.
+const { builtInLayout } = require('../../../shared/emailLayouts');
+
 const emailTemplates = {
   // Contact form template
   contactFormTemplate: (data) => {
-    return `
+    return renderTemplate(`
       <!DOCTYPE html>
       <html>
       <head>
@@ -22,35 +28,35 @@ const emailTemplates = {
           </div>
           <div class="content">
             <div class="field">
-              <span class="label">Name:</span> ${data.name}
+              <span class="label">Name:</span> {{ name }}
             </div>
             <div class="field">
-              <span class="label">Email:</span> ${data.email}
+              <span class="label">Email:</span> {{ email }}
             </div>
-            ${data.phone ? `<div class="field">
-              <span class="label">Phone:</span> ${data.phone}
-            </div>` : ''}
+            {% if phone %}<div class="field">
+              <span class="label">Phone:</span> {{ phone }}
+            </div>{% endif %}
             <div class="field">
-              <span class="label">Subject:</span> ${data.subject}
+              <span class="label">Subject:</span> {{ subject }}
             </div>
             <div class="field">
               <span class="label">Message:</span>
-              <p>${data.message.replace(/\n/g, '<br>')}</p>
+              <p>{{ message | newline_to_br }}</p>
             </div>
           </div>
           <div class="footer">
             <p>This email was sent from your website contact form</p>
-            <p>Time: ${new Date().toLocaleString()}</p>
+            <p>Time: {{ now }}</p>
           </div>
         </div>
       </body>
       </html>
-    `;
+    `, { ...data, now: new Date().toLocaleString() });
   },
 
   // Auto-reply template
   autoReplyTemplate: (name) => {
-    return `
+    return renderTemplate(`
       <!DOCTYPE html>
       <html>
       <head>
@@ -69,7 +75,7 @@ const emailTemplates = {
             <h1>Thank You for Contacting Us!</h1>
           </div>
           <div class="content">
-            <p>Dear ${name},</p>
+            <p>Dear {{ name | default: "there" }},</p>
             <p>We have received your message and appreciate you reaching out to us. Our team will review your inquiry and get back to you within 24-48 hours.</p>
             <p>In the meantime, feel free to explore our website or follow us on social media for updates.</p>
             <p>Best regards,<br>The Studio Main Team</p>
@@ -81,70 +87,32 @@ const emailTemplates = {
         </div>
       </body>
       </html>
-    `;
+    `, { name });
   },
 
   // Newsletter template
-  newsletterTemplate: (message, name = 'Subscriber') => {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
-          .wrapper { background: #f5f5f5; padding: 20px; }
-          .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-          .header { background: linear-gradient(135deg, #ff6b6b 0%, #feca57 100%); color: white; padding: 40px 30px; text-align: center; }
-          .content { padding: 40px 30px; }
-          .footer { background: #333; color: white; padding: 20px; text-align: center; font-size: 12px; }
-          .unsubscribe { color: #feca57; text-decoration: none; }
-        </style>
-      </head>
-      <body>
-        <div class="wrapper">
-          <div class="container">
-            <div class="header">
-              <h1>📧 Newsletter Update</h1>
-            </div>
-            <div class="content">
-              <p>Hello ${name},</p>
-              ${message}
-            </div>
-            <div class="footer">
-              <p>© 2024 Studio Main | <a href="#" class="unsubscribe">Unsubscribe</a></p>
-            </div>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+  newsletterTemplate: (message, name = 'Subscriber', unsubscribeUrl = '#') => {
+    return renderTemplate(builtInLayout('newsletter').html, {
+      firstName: name,
+      senderName: 'Studio Main',
+      date: new Date(),
+      unsubscribeUrl,
+      slots: { body: markSafe(message) },
+    });
   },
 
   // Simple template
-  simpleTemplate: (subject, message) => {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 20px auto; padding: 20px; background: white; border: 1px solid #ddd; }
-          h2 { color: #007bff; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h2>${subject}</h2>
-          <div>${message.replace(/\n/g, '<br>')}</div>
-        </div>
-      </body>
-      </html>
-    `;
+  simpleTemplate: (subject, message, unsubscribeUrl = null) => {
+    return renderTemplate(builtInLayout('simple').html, {
+      subject,
+      unsubscribeUrl,
+      slots: { body: markSafe(escapeHtml(message).replace(/\n/g, '<br>')) },
+    });
   },
 
   // Test email template
   testEmailTemplate: () => {
-    return `
+    return renderTemplate(`
       <!DOCTYPE html>
       <html>
       <head>
@@ -166,19 +134,25 @@ const emailTemplates = {
             <p>Your email service is properly configured and working. You can now send emails from your application.</p>
             <p><strong>Configuration Details:</strong></p>
             <ul>
-              <li>SMTP Host: ${process.env.EMAIL_HOST}</li>
-              <li>Port: ${process.env.EMAIL_PORT}</li>
-              <li>Secure: ${process.env.EMAIL_SECURE}</li>
-              <li>Service: ${process.env.EMAIL_SERVICE || 'Custom SMTP'}</li>
+              <li>SMTP Host: {{ host }}</li>
+              <li>Port: {{ port }}</li>
+              <li>Secure: {{ secure }}</li>
+              <li>Service: {{ service | default: "Custom SMTP" }}</li>
             </ul>
           </div>
           <div class="timestamp">
-            Test performed at: ${new Date().toLocaleString()}
+            Test performed at: {{ now }}
           </div>
         </div>
       </body>
       </html>
-    `;
+    `, {
+      host: process.env.EMAIL_HOST,
+      port: process.env.EMAIL_PORT,
+      secure: process.env.EMAIL_SECURE,
+      service: process.env.EMAIL_SERVICE,
+      now: new Date().toLocaleString()
+    });
   }
 };
 
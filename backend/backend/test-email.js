@@ -19,7 +19,7 @@ async function testEmail() {
   console.log('\n------------------------\n');
 
   // Create transporter
-  const transporter = nodemailer.createTransporter({
+  const transporter = nodemailer.createTransport({
     service: 'gmail',
     host: process.env.EMAIL_HOST,
     port: parseInt(process.env.EMAIL_PORT),
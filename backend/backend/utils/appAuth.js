@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+// The Next.js app only answers backend-only routes (suppression checks,
+// inbound mail) for callers that send the secret both processes share.
+const internalHeaders = () => ({ Authorization: `Bearer ${process.env.INTERNAL_API_SECRET || ''}` });
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// The same check in the other direction, for routes that send mail on the
+// caller's say-so. Without INTERNAL_API_SECRET they refuse every request
+// rather than relay for anyone.
+const requireInternal = (req, res, next) => {
+  const secret = process.env.INTERNAL_API_SECRET;
+  if (!secret) {
+    console.error('🔒 INTERNAL_API_SECRET is not set; refusing a backend-only request.');
+    return res.status(503).json({ success: false, message: 'This endpoint is not configured.' });
+  }
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  if (!safeEqual(token, secret)) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+  next();
+};
+
+module.exports = { internalHeaders, requireInternal };
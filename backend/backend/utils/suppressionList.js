@@ -0,0 +1,40 @@
+// Suppression list lookups. The list lives in the Next.js app, which also
+// owns the key for signing unsubscribe links, so we ask it about every batch.
+const { internalHeaders } = require('./appAuth');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:9002';
+
+// Returns { suppressed: Set of lowercased addresses, unsubscribeUrls: { email: url } }.
+// Throws if the app can't be reached: better to send nothing than to email
+// someone who unsubscribed.
+const checkSuppressions = async (emails) => {
+  const response = await fetch(`${APP_URL}/api/suppressions/check`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...internalHeaders() },
+    body: JSON.stringify({ emails })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Suppression list check failed: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  return {
+    suppressed: new Set(data.suppressed),
+    unsubscribeUrls: data.unsubscribeUrls || {}
+  };
+};
+
+const isSuppressed = (suppressed, email) => suppressed.has(String(email).trim().toLowerCase());
+
+// List-Unsubscribe headers for one-click unsubscribes (RFC 8058)
+const listUnsubscribeHeaders = (url) => ({
+  'List-Unsubscribe': `<${url}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+module.exports = {
+  checkSuppressions,
+  isSuppressed,
+  listUnsubscribeHeaders
+};
@@ -36,7 +36,7 @@ function initEmailService() {
     const nodemailer = require('nodemailer');
     
     // Create transporter
-    emailService = nodemailer.createTransporter({
+    emailService = nodemailer.createTransport({
       service: 'gmail',
       host: 'smtp.gmail.com',
       port: 587,
@@ -0,0 +1,127 @@
+'use strict';
+
+// The email layouts that ship with the app. The dashboard seeds its template
+// library with these (where they can be edited like any other template), and
+// the backend renders its newsletter and simple emails with them.
+//
+// A layout is rendered with templateEngine.js. Besides the merge tags it can
+// use {{ subject }}, {{ senderName }} and {{ unsubscribeUrl }}, and it shows
+// content the campaign fills in through slots: {{ slots.body }} is the
+// campaign body, any other {{ slots.<name> }} is an extra slot.
+
+/** @typedef {{ id: string, name: string, description: string, html: string }} EmailLayout */
+
+/** @type {EmailLayout[]} */
+const BUILT_IN_LAYOUTS = [
+  {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Gradient header with the sender name, the content, and a footer with the unsubscribe link.',
+    html: `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{ subject }}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #fff; padding: 30px; border: 1px solid #ddd; border-top: none; }
+    .content img { max-width: 100%; height: auto; }
+    .footer { background: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #666; border-radius: 0 0 10px 10px; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>Message from {{ senderName }}</h1>
+  </div>
+  <div class="content">
+    {{ slots.body }}
+  </div>
+  <div class="footer">
+    <p>Sent by {{ senderName }} | {{ date }}</p>
+    <p>This email was sent to {{ email }}</p>
+    <p><a href="{{ unsubscribeUrl }}" style="color: #666;">Unsubscribe</a></p>
+  </div>
+</body>
+</html>
+`,
+  },
+  {
+    id: 'newsletter',
+    name: 'Newsletter',
+    description: 'Card on a grey background with a headline, a greeting and a dark footer.',
+    html: `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{ subject }}</title>
+  <style>
+    body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+    .wrapper { background: #f5f5f5; padding: 20px; }
+    .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, #ff6b6b 0%, #feca57 100%); color: white; padding: 40px 30px; text-align: center; }
+    .content { padding: 40px 30px; }
+    .content img { max-width: 100%; height: auto; }
+    .footer { background: #333; color: white; padding: 20px; text-align: center; font-size: 12px; }
+    .unsubscribe { color: #feca57; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="wrapper">
+    <div class="container">
+      <div class="header">
+        <h1>{{ slots.headline | default: "📧 Newsletter Update" }}</h1>
+      </div>
+      <div class="content">
+        <p>Hello {{ firstName | default: "Subscriber" }},</p>
+        {{ slots.body }}
+      </div>
+      <div class="footer">
+        <p>© {{ date | date: "yyyy" }} {{ senderName }} | <a href="{{ unsubscribeUrl }}" class="unsubscribe">Unsubscribe</a></p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+`,
+  },
+  {
+    id: 'simple',
+    name: 'Simple',
+    description: 'The subject as a heading over plain content in a bordered box.',
+    html: `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{ subject }}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 20px auto; padding: 20px; background: white; border: 1px solid #ddd; }
+    .container img { max-width: 100%; height: auto; }
+    h2 { color: #007bff; }
+    .unsubscribe { font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h2>{{ subject }}</h2>
+    <div>{{ slots.body }}</div>
+    {% if unsubscribeUrl %}<p class="unsubscribe"><a href="{{ unsubscribeUrl }}">Unsubscribe</a></p>{% endif %}
+  </div>
+</body>
+</html>
+`,
+  },
+];
+
+/** @param {string} id */
+function builtInLayout(id) {
+  const layout = BUILT_IN_LAYOUTS.find(l => l.id === id);
+  if (!layout) throw new Error(`No built-in layout "${id}"`);
+  return layout;
+}
+
+module.exports = { BUILT_IN_LAYOUTS, builtInLayout };
@@ -0,0 +1,165 @@
+'use strict';
+
+// Turns an HTML email into the text/plain part sent along with it, for the
+// Next.js app and the backend alike. Paragraphs, line breaks, headings and
+// lists keep their shape, links keep their target as "text [url]", and the
+// head, styles and scripts are left out.
+
+/** @type {Record<string, string>} */
+const ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  bull: '•', middot: '·', euro: '€', pound: '£', yen: '¥', cent: '¢', deg: '°', times: '×',
+};
+
+/** @param {string} text */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code === 160 ? 32 : code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+// Everything whose content never shows up in the text.
+const SKIPPED = /<(head|style|script|title|template)\b[\s\S]*?<\/\1\s*>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>/gi;
+
+const BLOCKS = new Set(['p', 'div', 'table', 'blockquote', 'section', 'article', 'header', 'footer', 'center', 'address', 'form']);
+const HEADINGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+// Headings underlined in the text, like Markdown's setext headings.
+const UNDERLINES = /** @type {Record<string, string>} */ ({ h1: '=', h2: '-' });
+
+/**
+ * @param {string} tag
+ * @param {string} name
+ */
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]).trim() : '';
+}
+
+/**
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  let out = '';
+  let preDepth = 0;
+  // Set between <li> and the item's first text, so a <p> inside it doesn't
+  // push the text off the bullet's line.
+  let atItemStart = false;
+  /** @type {{ ordered: boolean, count: number }[]} */
+  const lists = [];
+  /** @type {{ href: string, start: number }[]} */
+  const links = [];
+  /** @type {{ name: string, start: number }[]} */
+  const headings = [];
+
+  const trimEnd = () => {
+    out = out.replace(/[ \t]+$/, '');
+  };
+  const lineBreak = () => {
+    trimEnd();
+    out += '\n';
+  };
+  // Inside a list, blocks only start a new line so the items stay together.
+  const paragraphBreak = () => {
+    if (atItemStart) return;
+    trimEnd();
+    if (out === '' || out.endsWith('\n\n')) return;
+    if (lists.length > 0) {
+      if (!out.endsWith('\n')) out += '\n';
+    } else {
+      out += out.endsWith('\n') ? '\n' : '\n\n';
+    }
+  };
+  /** @param {string} text */
+  const addText = (text) => {
+    if (preDepth === 0) {
+      text = text.replace(/\s+/g, ' ');
+      if (out === '' || /[\s]$/.test(out)) text = text.replace(/^ /, '');
+    }
+    if (text === '') return;
+    out += text;
+    atItemStart = false;
+  };
+
+  const source = html.replace(SKIPPED, '');
+  for (const [token] of source.matchAll(/<\/?[a-z][^>]*>|[^<]+|</gi)) {
+    const tag = token.match(/^<(\/?)([a-z][a-z0-9]*)/i);
+    if (!tag) {
+      addText(decodeEntities(token));
+      continue;
+    }
+    const closing = tag[1] === '/';
+    const name = tag[2].toLowerCase();
+
+    if (name === 'br') {
+      lineBreak();
+    } else if (name === 'hr') {
+      paragraphBreak();
+      out += '----------\n\n';
+    } else if (name === 'pre') {
+      paragraphBreak();
+      preDepth += closing ? -1 : 1;
+    } else if (name === 'ul' || name === 'ol') {
+      if (closing) {
+        lists.pop();
+      } else {
+        lists.push({ ordered: name === 'ol', count: 0 });
+      }
+      if (lists.length === 0) paragraphBreak();
+      else if (!out.endsWith('\n')) lineBreak();
+    } else if (name === 'li' && !closing) {
+      const list = lists[lists.length - 1] ?? { ordered: false, count: 0 };
+      list.count++;
+      if (out !== '' && !out.endsWith('\n')) lineBreak();
+      out += '  '.repeat(Math.max(lists.length - 1, 0)) + (list.ordered ? `${list.count}. ` : '* ');
+      atItemStart = true;
+    } else if (HEADINGS.has(name)) {
+      if (!closing) {
+        paragraphBreak();
+        headings.push({ name, start: out.length });
+      } else {
+        const heading = headings.pop();
+        trimEnd();
+        const text = heading ? out.slice(heading.start).trim() : '';
+        const underline = heading && UNDERLINES[heading.name];
+        if (underline && text) out += `\n${underline.repeat(Math.min(text.length, 60))}`;
+        paragraphBreak();
+      }
+    } else if (BLOCKS.has(name)) {
+      paragraphBreak();
+    } else if (name === 'tr') {
+      if (!out.endsWith('\n')) lineBreak();
+    } else if ((name === 'td' || name === 'th') && closing) {
+      addText(' ');
+    } else if (name === 'img' && !closing) {
+      const alt = attribute(token, 'alt');
+      if (alt) addText(alt);
+    } else if (name === 'a') {
+      if (!closing) {
+        links.push({ href: attribute(token, 'href'), start: out.length });
+        continue;
+      }
+      const link = links.pop();
+      if (!link || !link.href || link.href.startsWith('#') || /^javascript:/i.test(link.href)) continue;
+      const text = out.slice(link.start).trim();
+      const target = link.href.replace(/^mailto:/i, '');
+      if (text === '') addText(target);
+      else if (text !== target && text !== link.href) addText(` [${target}]`);
+    }
+  }
+
+  return out
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { decodeEntities, htmlToText };
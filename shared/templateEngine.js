@@ -0,0 +1,528 @@
+'use strict';
+
+// A small Liquid-style template language for emails, shared by the Next.js
+// app (campaign subjects and bodies) and the backend (emailTemplates.js).
+//
+//   Hi {{ firstName | default: "there" | capitalize }},
+//   {% if company %}Thanks for choosing us at {{ company }}.{% else %}Thanks!{% endif %}
+//   {% for item in items %}{{ forloop.index }}. {{ item.name }}{% endfor %}
+//
+// Output is HTML-escaped unless rendered with `escape: false` (e.g. for a
+// subject line) or passed through the `raw` filter.
+
+/**
+ * @typedef {{ message: string, line: number }} TemplateError
+ * @typedef {{ path: string, root: string, line: number, hasDefault: boolean }} TemplateReference
+ * @typedef {{ type: 'literal', value: unknown } | { type: 'path', path: string, line: number }} Operand
+ * @typedef {{ name: string, args: Operand[] }} Filter
+ * @typedef {{ operand: Operand, filters: Filter[] }} Expression
+ * @typedef {{ left: Operand, op: string | null, right: Operand | null }} Comparison
+ * @typedef {Comparison[][]} Condition  Comparisons ANDed within a group, groups ORed.
+ * @typedef {{ type: 'text', value: string }
+ *   | { type: 'output', expr: Expression, line: number }
+ *   | { type: 'if', branches: { condition: Condition, body: Node[] }[], elseBody: Node[] }
+ *   | { type: 'for', variable: string, collection: Operand, body: Node[], elseBody: Node[] }} Node
+ * @typedef {{ nodes: Node[], errors: TemplateError[], references: TemplateReference[] }} ParsedTemplate
+ */
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+class SafeString {
+  /** @param {string} value */
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * Wraps HTML that was rendered already, such as a template's content slots,
+ * so it is output as is.
+ * @param {string} html
+ */
+function markSafe(html) {
+  return new SafeString(html);
+}
+
+/** @param {string} text */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/** @param {unknown} value */
+function toText(value) {
+  if (value instanceof SafeString) return value.value;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toLocaleDateString();
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  return String(value);
+}
+
+/** @param {unknown} value */
+function isBlank(value) {
+  return value === null || value === undefined || value === false || toText(value).trim() === ''
+    || (Array.isArray(value) && value.length === 0);
+}
+
+/** @param {unknown} value */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (value === 'now' || value === 'today') return new Date();
+  const date = new Date(/** @type {string | number} */ (value));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const pad = (/** @type {number} */ n) => String(n).padStart(2, '0');
+
+/**
+ * Formats a date with date-fns style tokens: yyyy, yy, MMMM, MMM, MM, M,
+ * dd, d, EEEE, EEE, HH, H, hh, h, mm and a. Anything else is kept as is.
+ * @param {Date} date
+ * @param {string} format
+ */
+function formatDate(date, format) {
+  const hours12 = date.getHours() % 12 || 12;
+  /** @type {Record<string, string>} */
+  const parts = {
+    yyyy: String(date.getFullYear()),
+    yy: String(date.getFullYear()).slice(-2),
+    MMMM: MONTHS[date.getMonth()],
+    MMM: MONTHS[date.getMonth()].slice(0, 3),
+    MM: pad(date.getMonth() + 1),
+    M: String(date.getMonth() + 1),
+    dd: pad(date.getDate()),
+    d: String(date.getDate()),
+    EEEE: DAYS[date.getDay()],
+    EEE: DAYS[date.getDay()].slice(0, 3),
+    HH: pad(date.getHours()),
+    H: String(date.getHours()),
+    hh: pad(hours12),
+    h: String(hours12),
+    mm: pad(date.getMinutes()),
+    a: date.getHours() < 12 ? 'AM' : 'PM',
+  };
+  return format.replace(/yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|a/g, token => parts[token]);
+}
+
+/** @type {Record<string, { args: number[], apply: (value: unknown, ...args: unknown[]) => unknown }>} */
+const FILTERS = {
+  default: { args: [1], apply: (value, fallback) => isBlank(value) ? fallback : value },
+  upper: { args: [0], apply: value => toText(value).toUpperCase() },
+  lower: { args: [0], apply: value => toText(value).toLowerCase() },
+  // Only the first letter, so "mcDonald" stays "McDonald" rather than "Mcdonald".
+  capitalize: { args: [0], apply: value => { const text = toText(value); return text.charAt(0).toUpperCase() + text.slice(1); } },
+  trim: { args: [0], apply: value => toText(value).trim() },
+  date: {
+    args: [0, 1],
+    apply: (value, format) => {
+      const date = toDate(value);
+      if (!date) return value;
+      return format === undefined ? date.toLocaleDateString() : formatDate(date, toText(format));
+    },
+  },
+  escape: { args: [0], apply: value => new SafeString(escapeHtml(toText(value))) },
+  raw: { args: [0], apply: value => new SafeString(toText(value)) },
+  // Escapes first, so only the <br>s it adds are markup.
+  newline_to_br: { args: [0], apply: value => new SafeString(escapeHtml(toText(value)).replace(/\r?\n/g, '<br>')) },
+};
+
+const COMPARISONS = ['==', '!=', '>=', '<=', '>', '<', 'contains'];
+
+/**
+ * Splits an expression into strings, numbers, paths and symbols.
+ * @param {string} source
+ */
+function lex(source) {
+  /** @type {{ kind: 'string' | 'number' | 'word' | 'symbol', value: string }[]} */
+  const tokens = [];
+  const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)|([A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*)|(==|!=|>=|<=|[|:,<>]))/y;
+  let index = 0;
+  while (index < source.length) {
+    if (/^\s*$/.test(source.slice(index))) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) return { tokens, error: `Unexpected "${source.slice(index).trim().charAt(0)}"` };
+    const [, double, single, number, word, symbol] = match;
+    if (double !== undefined || single !== undefined) {
+      tokens.push({ kind: 'string', value: (double ?? single).replace(/\\(.)/g, '$1') });
+    } else if (number !== undefined) {
+      tokens.push({ kind: 'number', value: number });
+    } else if (word !== undefined) {
+      tokens.push({ kind: 'word', value: word });
+    } else {
+      tokens.push({ kind: 'symbol', value: symbol });
+    }
+    index = pattern.lastIndex;
+  }
+  return { tokens, error: null };
+}
+
+class Parser {
+  /** @param {string} source */
+  constructor(source) {
+    this.source = source;
+    /** @type {TemplateError[]} */
+    this.errors = [];
+    /** @type {TemplateReference[]} */
+    this.references = [];
+  }
+
+  /** @param {number} index */
+  lineAt(index) {
+    return this.source.slice(0, index).split('\n').length;
+  }
+
+  /** @param {string} message @param {number} line */
+  error(message, line) {
+    this.errors.push({ message, line });
+  }
+
+  /**
+   * @param {{ kind: string, value: string }[]} tokens
+   * @param {number} line
+   * @returns {Operand | null}
+   */
+  operand(tokens, line) {
+    const token = tokens.shift();
+    if (!token) return null;
+    if (token.kind === 'string') return { type: 'literal', value: token.value };
+    if (token.kind === 'number') return { type: 'literal', value: Number(token.value) };
+    if (token.kind === 'word') {
+      if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+      if (token.value === 'nil' || token.value === 'null') return { type: 'literal', value: null };
+      return { type: 'path', path: token.value, line };
+    }
+    tokens.unshift(token);
+    return null;
+  }
+
+  /** @param {Operand} operand @param {boolean} hasDefault */
+  reference(operand, hasDefault) {
+    if (operand.type !== 'path') return;
+    this.references.push({ path: operand.path, root: operand.path.split('.')[0], line: operand.line, hasDefault });
+  }
+
+  /**
+   * `value | filter: arg, arg | filter`
+   * @param {string} source
+   * @param {number} line
+   * @returns {Expression | null}
+   */
+  expression(source, line) {
+    const { tokens, error } = lex(source);
+    if (error) {
+      this.error(`${error} in {{${source}}}`, line);
+      return null;
+    }
+    const operand = this.operand(tokens, line);
+    if (!operand) {
+      this.error(`Empty or invalid tag {{${source}}}`, line);
+      return null;
+    }
+    /** @type {Filter[]} */
+    const filters = [];
+    while (tokens.length > 0) {
+      const pipe = tokens.shift();
+      const name = tokens.shift();
+      if (pipe?.value !== '|' || name?.kind !== 'word') {
+        this.error(`Expected "| filter" in {{${source}}}`, line);
+        return null;
+      }
+      /** @type {Operand[]} */
+      const args = [];
+      if (tokens[0]?.value === ':') {
+        tokens.shift();
+        do {
+          const arg = this.operand(tokens, line);
+          if (!arg) {
+            this.error(`Missing argument for "${name.value}" in {{${source}}}`, line);
+            return null;
+          }
+          args.push(arg);
+        } while (tokens[0]?.value === ',' && tokens.shift());
+      }
+      const filter = FILTERS[name.value];
+      if (!filter) {
+        this.error(`Unknown filter "${name.value}". Filters are ${Object.keys(FILTERS).join(', ')}.`, line);
+        return null;
+      }
+      if (!filter.args.includes(args.length)) {
+        this.error(`"${name.value}" takes ${filter.args.join(' or ')} argument(s), not ${args.length}`, line);
+        return null;
+      }
+      args.forEach(arg => this.reference(arg, false));
+      filters.push({ name: name.value, args });
+    }
+    this.reference(operand, filters.some(f => f.name === 'default'));
+    return { operand, filters };
+  }
+
+  /**
+   * `a == "x" and b or c`
+   * @param {string} source
+   * @param {number} line
+   * @returns {Condition | null}
+   */
+  condition(source, line) {
+    const { tokens, error } = lex(source);
+    if (error || tokens.length === 0) {
+      this.error(`${error ?? 'Missing condition'} in {% ${source.trim()} %}`, line);
+      return null;
+    }
+    /** @type {Condition} */
+    const groups = [[]];
+    while (true) {
+      const left = this.operand(tokens, line);
+      if (!left) break;
+      /** @type {Comparison} */
+      const comparison = { left, op: null, right: null };
+      if (tokens[0] && COMPARISONS.includes(tokens[0].value)) {
+        comparison.op = /** @type {{ value: string }} */ (tokens.shift()).value;
+        comparison.right = this.operand(tokens, line);
+        if (!comparison.right) break;
+      }
+      [comparison.left, comparison.right].forEach(operand => operand && this.reference(operand, true));
+      groups[groups.length - 1].push(comparison);
+      const joiner = tokens.shift();
+      if (!joiner) return groups;
+      if (joiner.value === 'or') groups.push([]);
+      else if (joiner.value !== 'and') break;
+    }
+    this.error(`Can't read the condition in {% ${source.trim()} %}`, line);
+    return null;
+  }
+
+  /** @returns {Node[]} */
+  parse() {
+    const tagPattern = /\{\{([\s\S]*?)\}\}|\{%([\s\S]*?)%\}/g;
+    /** @type {{ type: 'root' | 'if' | 'for', nodes: Node[], node?: any, line: number }[]} */
+    const stack = [{ type: 'root', nodes: [], line: 1 }];
+    const current = () => stack[stack.length - 1];
+    let last = 0;
+
+    const pushText = (/** @type {string} */ text, /** @type {number} */ start) => {
+      if (!text) return;
+      const open = text.search(/\{\{|\{%/);
+      if (open !== -1) {
+        this.error(`"${text.substr(open, 2)}" is never closed`, this.lineAt(start + open));
+      }
+      current().nodes.push({ type: 'text', value: text });
+    };
+
+    for (const match of this.source.matchAll(tagPattern)) {
+      const index = /** @type {number} */ (match.index);
+      const line = this.lineAt(index);
+      pushText(this.source.slice(last, index), last);
+      last = index + match[0].length;
+
+      if (match[1] !== undefined) {
+        const expr = this.expression(match[1], line);
+        current().nodes.push(expr ? { type: 'output', expr, line } : { type: 'text', value: match[0] });
+        continue;
+      }
+
+      const [keyword = '', ...rest] = match[2].trim().split(/\s+/);
+      const args = rest.join(' ');
+      const frame = current();
+      if (keyword === 'if') {
+        const node = { type: 'if', branches: [{ condition: this.condition(args, line) ?? [], body: [] }], elseBody: [] };
+        frame.nodes.push(/** @type {Node} */ (node));
+        stack.push({ type: 'if', nodes: node.branches[0].body, node, line });
+      } else if (keyword === 'elsif' || keyword === 'elseif') {
+        if (frame.type !== 'if' || frame.nodes === frame.node.elseBody) {
+          this.error(`{% ${keyword} %} without an {% if %}`, line);
+          continue;
+        }
+        const branch = { condition: this.condition(args, line) ?? [], body: [] };
+        frame.node.branches.push(branch);
+        frame.nodes = branch.body;
+      } else if (keyword === 'else') {
+        if (frame.type === 'root') {
+          this.error('{% else %} without an {% if %} or {% for %}', line);
+          continue;
+        }
+        frame.nodes = frame.node.elseBody;
+      } else if (keyword === 'for') {
+        const loop = /^([A-Za-z_]\w*)\s+in\s+([A-Za-z_][\w.]*)$/.exec(args);
+        if (!loop) this.error(`Write loops as {% for item in list %}`, line);
+        const node = {
+          type: 'for',
+          variable: loop?.[1] ?? 'item',
+          collection: /** @type {Operand} */ ({ type: 'path', path: loop?.[2] ?? '', line }),
+          body: [],
+          elseBody: [],
+        };
+        if (loop) this.reference(node.collection, true);
+        frame.nodes.push(/** @type {Node} */ (node));
+        stack.push({ type: 'for', nodes: node.body, node, line });
+      } else if (keyword === 'endif' || keyword === 'endfor') {
+        if (frame.type !== keyword.slice(3)) {
+          this.error(`{% ${keyword} %} doesn't match an open {% ${keyword.slice(3)} %}`, line);
+          continue;
+        }
+        stack.pop();
+      } else {
+        this.error(`Unknown tag {% ${keyword} %}`, line);
+        current().nodes.push({ type: 'text', value: match[0] });
+      }
+    }
+    pushText(this.source.slice(last), last);
+
+    for (const frame of stack.slice(1).reverse()) {
+      this.error(`{% ${frame.type} %} is never closed with {% end${frame.type} %}`, frame.line);
+    }
+    return stack[0].nodes;
+  }
+}
+
+// Sends render the same subject and body for every recipient.
+const CACHE_SIZE = 100;
+/** @type {Map<string, ParsedTemplate>} */
+const cache = new Map();
+
+/**
+ * Parses a template, collecting every syntax error instead of stopping at the
+ * first, along with each variable it reads.
+ * @param {string} source
+ * @returns {ParsedTemplate}
+ */
+function parseTemplate(source) {
+  const cached = cache.get(source);
+  if (cached) return cached;
+  const parser = new Parser(source);
+  const nodes = parser.parse();
+  const parsed = { nodes, errors: parser.errors, references: parser.references };
+  cache.set(source, parsed);
+  if (cache.size > CACHE_SIZE) cache.delete(/** @type {string} */ (cache.keys().next().value));
+  return parsed;
+}
+
+/**
+ * @param {string} path
+ * @param {Record<string, unknown>[]} scopes  Innermost last.
+ */
+function lookup(path, scopes) {
+  const [root, ...rest] = path.split('.');
+  const scope = [...scopes].reverse().find(s => Object.prototype.hasOwnProperty.call(s, root));
+  /** @type {unknown} */
+  let value = scope?.[root];
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = key === 'size' && (Array.isArray(value) || typeof value === 'string')
+      ? value.length
+      : /** @type {Record<string, unknown>} */ (value)[key];
+  }
+  return value;
+}
+
+/** @param {Operand} operand @param {Record<string, unknown>[]} scopes */
+function evaluate(operand, scopes) {
+  return operand.type === 'literal' ? operand.value : lookup(operand.path, scopes);
+}
+
+/** @param {Comparison} comparison @param {Record<string, unknown>[]} scopes */
+function compare({ left, op, right }, scopes) {
+  const a = evaluate(left, scopes);
+  if (!op || !right) return !isBlank(a);
+  const b = evaluate(right, scopes);
+  switch (op) {
+    case '==': return toText(a) === toText(b);
+    case '!=': return toText(a) !== toText(b);
+    case 'contains': return Array.isArray(a) ? a.map(toText).includes(toText(b)) : toText(a).includes(toText(b));
+    default: {
+      const [x, y] = [Number(a), Number(b)];
+      if (Number.isNaN(x) || Number.isNaN(y)) return false;
+      return op === '>' ? x > y : op === '<' ? x < y : op === '>=' ? x >= y : x <= y;
+    }
+  }
+}
+
+/**
+ * @param {Node[]} nodes
+ * @param {Record<string, unknown>[]} scopes
+ * @param {boolean} escape
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes, escape) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += node.value;
+    } else if (node.type === 'output') {
+      let value = evaluate(node.expr.operand, scopes);
+      for (const filter of node.expr.filters) {
+        value = FILTERS[filter.name].apply(value, ...filter.args.map(arg => evaluate(arg, scopes)));
+      }
+      out += value instanceof SafeString || !escape ? toText(value) : escapeHtml(toText(value));
+    } else if (node.type === 'if') {
+      const branch = node.branches.find(b => b.condition.some(group => group.every(c => compare(c, scopes))));
+      out += renderNodes(branch ? branch.body : node.elseBody, scopes, escape);
+    } else {
+      const collection = evaluate(node.collection, scopes);
+      const items = Array.isArray(collection) ? collection : [];
+      if (items.length === 0) {
+        out += renderNodes(node.elseBody, scopes, escape);
+        continue;
+      }
+      items.forEach((item, index) => {
+        const forloop = { index: index + 1, index0: index, first: index === 0, last: index === items.length - 1, length: items.length };
+        out += renderNodes(node.body, [...scopes, { [node.variable]: item, forloop }], escape);
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Renders a template against `data`. Missing variables come out empty; tags
+ * with syntax errors are left in as typed, so check with validateTemplate
+ * before sending.
+ * @param {string} source
+ * @param {Record<string, unknown>} data
+ * @param {{ escape?: boolean }} [options]  escape defaults to true (HTML output).
+ */
+function renderTemplate(source, data, { escape = true } = {}) {
+  return renderNodes(parseTemplate(source).nodes, [data], escape);
+}
+
+/**
+ * Syntax errors plus every variable that isn't one of `variables` (loop
+ * variables and `forloop` are always allowed), with a suggestion when it
+ * only differs in case or separators.
+ * @param {string} source
+ * @param {{ variables: string[] }} options
+ * @returns {TemplateError[]}
+ */
+function validateTemplate(source, { variables }) {
+  const { errors, references } = parseTemplate(source);
+  const loopVariables = [...source.matchAll(/\{%\s*for\s+([A-Za-z_]\w*)\s+in\b/g)].map(m => m[1]);
+  const known = new Set([...variables, ...loopVariables, 'forloop']);
+  const unknown = references.filter(ref => !known.has(ref.root));
+  const seen = new Set();
+  const unknownErrors = unknown.filter(ref => !seen.has(ref.root) && seen.add(ref.root)).map(ref => {
+    const squash = (/** @type {string} */ name) => name.replace(/[\s_-]/g, '').toLowerCase();
+    const meant = variables.find(v => squash(v) === squash(ref.root));
+    return {
+      line: ref.line,
+      message: meant
+        ? `Unknown merge tag {{${ref.root}}}. Did you mean {{${meant}}}? Tags are case-sensitive.`
+        : `Unknown merge tag {{${ref.root}}}. Available tags are ${variables.map(v => `{{${v}}}`).join(', ')}.`,
+    };
+  });
+  return [...errors, ...unknownErrors].sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+  FILTERS: Object.keys(FILTERS),
+  escapeHtml,
+  formatDate,
+  markSafe,
+  parseTemplate,
+  renderTemplate,
+  validateTemplate,
+};
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { markSafe, renderTemplate, validateTemplate } = require('./templateEngine');
+
+test('escapes output unless it is marked safe', () => {
+  const data = { name: '<b>Tom & "Jerry"</b>', body: markSafe('<p>Hi</p>') };
+  assert.strictEqual(renderTemplate('{{ name }}', data), '&lt;b&gt;Tom &amp; &quot;Jerry&quot;&lt;/b&gt;');
+  assert.strictEqual(renderTemplate('{{ body }}', data), '<p>Hi</p>');
+  assert.strictEqual(renderTemplate('{{ name | raw }}', data), '<b>Tom & "Jerry"</b>');
+});
+
+test('does not escape when rendered with escape: false', () => {
+  assert.strictEqual(renderTemplate('Re: {{ subject }}', { subject: 'Q&A <today>' }, { escape: false }), 'Re: Q&A <today>');
+});
+
+test('newline_to_br escapes the text but keeps the breaks it adds', () => {
+  assert.strictEqual(renderTemplate('{{ note | newline_to_br }}', { note: 'a < b\nc' }), 'a &lt; b<br>c');
+});
+
+test('missing variables render empty', () => {
+  assert.strictEqual(renderTemplate('Hi {{ firstName }}!', {}), 'Hi !');
+  assert.strictEqual(renderTemplate('{{ company.name }}', { company: null }), '');
+});
+
+test('default fills in missing and blank values but not present ones', () => {
+  const template = 'Hi {{ firstName | default: "there" }}';
+  assert.strictEqual(renderTemplate(template, {}), 'Hi there');
+  assert.strictEqual(renderTemplate(template, { firstName: '  ' }), 'Hi there');
+  assert.strictEqual(renderTemplate(template, { firstName: 'Ana' }), 'Hi Ana');
+  assert.strictEqual(renderTemplate('{{ count | default: 5 }}', { count: 0 }), '0');
+});
+
+test('filters run left to right after the fallback', () => {
+  assert.strictEqual(renderTemplate('{{ name | default: "friend" | capitalize }}', {}), 'Friend');
+  assert.strictEqual(renderTemplate('{{ name | trim | upper }}', { name: ' ana ' }), 'ANA');
+});
+
+test('renders nested conditionals', () => {
+  const template = '{% if plan == "pro" %}{% if seats > 10 %}team{% else %}pro{% endif %}{% elsif trial %}trial{% else %}free{% endif %}';
+  assert.strictEqual(renderTemplate(template, { plan: 'pro', seats: 25 }), 'team');
+  assert.strictEqual(renderTemplate(template, { plan: 'pro', seats: 3 }), 'pro');
+  assert.strictEqual(renderTemplate(template, { plan: 'basic', trial: true }), 'trial');
+  assert.strictEqual(renderTemplate(template, {}), 'free');
+});
+
+test('conditions combine with and/or', () => {
+  const template = '{% if vip or spend >= 100 and country == "US" %}yes{% else %}no{% endif %}';
+  assert.strictEqual(renderTemplate(template, { vip: true }), 'yes');
+  assert.strictEqual(renderTemplate(template, { spend: 150, country: 'US' }), 'yes');
+  assert.strictEqual(renderTemplate(template, { spend: 150, country: 'FR' }), 'no');
+});
+
+test('loops expose forloop and fall back to else when empty', () => {
+  assert.strictEqual(
+    renderTemplate('{% for item in items %}{{ forloop.index }}.{{ item.name }}{% if forloop.last %}!{% else %},{% endif %}{% else %}none{% endfor %}', { items: [{ name: 'a' }, { name: 'b' }] }),
+    '1.a,2.b!'
+  );
+  assert.strictEqual(renderTemplate('{% for item in items %}x{% else %}none{% endfor %}', { items: [] }), 'none');
+});
+
+test('leaves malformed tags in the output as typed', () => {
+  assert.strictEqual(renderTemplate('Hi {{ name | shout }}', { name: 'Ana' }), 'Hi {{ name | shout }}');
+  assert.strictEqual(renderTemplate('Hi {{ }}', {}), 'Hi {{ }}');
+  assert.strictEqual(renderTemplate('Hi {{ name', { name: 'Ana' }), 'Hi {{ name');
+  assert.strictEqual(renderTemplate('{% unless vip %}x', {}), '{% unless vip %}x');
+});
+
+test('reports malformed tags with their line', () => {
+  const errors = validateTemplate('Hello\n{{ name | shout }}\n{% if name %}\n{{ name', { variables: ['name'] });
+  assert.deepStrictEqual(errors.map(e => e.line), [2, 3, 4]);
+  assert.match(errors[0].message, /Unknown filter "shout"/);
+  assert.match(errors[1].message, /never closed with \{% endif %\}/);
+  assert.match(errors[2].message, /"\{\{" is never closed/);
+});
+
+test('reports stray closing tags and wrong filter arguments', () => {
+  assert.match(validateTemplate('{% endif %}', { variables: [] })[0].message, /doesn't match an open/);
+  assert.match(validateTemplate('{% else %}', { variables: [] })[0].message, /without an \{% if %\}/);
+  assert.match(validateTemplate('{{ name | default }}', { variables: ['name'] })[0].message, /takes 1 argument/);
+});
+
+test('suggests the tag that was probably meant', () => {
+  const [error] = validateTemplate('Hi {{ first_name }}', { variables: ['firstName'] });
+  assert.match(error.message, /Did you mean \{\{firstName\}\}\?/);
+  assert.deepStrictEqual(validateTemplate('{% for item in items %}{{ item }}{% endfor %}', { variables: ['items'] }), []);
+});
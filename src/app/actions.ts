@@ -1,83 +1,622 @@
 'use server';
 
-import { db } from '@/lib/db';
-import type { Campaign, Contact } from '@/lib/types';
+import { db, normalizeEmail } from '@/lib/db';
+import { computeAnalytics, loadAnalytics, loadRecipients, toRecipients } from '@/lib/analytics';
+import { loadEngagement } from '@/lib/engagement';
+import { validateAbTest } from '@/lib/abTest';
+import type { AbTestSettings, Analytics, Campaign, CampaignContent, CampaignSchedule, CampaignSummary, CampaignVariant, Contact, ContactActivityEntry, ContentCheck, CustomField, EmailPreview, EmailTemplate, Engagement, EngagementRange, NewContact, Recipient, MailProviderInfo, SendingAccountSettings, SendingAccountUsage, SigningKeyInfo, Suppression, TemplateContent, WebhookEventType, WebhookSummary } from '@/lib/types';
+import { startCampaignSend, pauseCampaignSend, resumeCampaignSend, cancelCampaignSend } from '@/services/sendQueue';
+import { scheduleCampaignSend, unscheduleCampaignSend } from '@/services/scheduler';
+import { describeInboundResult, ingestInbound } from '@/services/inbound';
+import { isValidTimeZone } from '@/lib/timeZones';
+import { validateWebhook } from '@/lib/webhooks';
+import { lintEmail } from '@/lib/contentLint';
+import { campaignTemplateFields, customFieldNameError, mergeTagErrors } from '@/lib/mergeTags';
+import { cleanFieldValues, CUSTOM_FIELD_TYPES, normalizeFieldValue } from '@/lib/customFields';
+import { DEFAULT_TEMPLATE_ID, templateErrors } from '@/lib/emailTemplates';
+import { parseTemplate } from '@shared/templateEngine';
+import { campaignTemplate, previewCampaignEmail } from '@/services/campaignMailer';
+import { describeMailProviders, MAIL_PROVIDER_KINDS } from '@/services/providers';
+import { sendTestWebhook } from '@/services/webhooks';
 import { revalidatePath } from 'next/cache';
 
-// Simulate network delay
-const delay = (ms: number) => new Promise(res => setTimeout(res, ms));
-
 // --- Data Fetching Actions ---
 
-export async function getCampaign(): Promise<Campaign> {
-  await delay(200);
-  return db.campaign;
+export async function getCampaigns(): Promise<CampaignSummary[]> {
+  const [campaigns, contacts] = await Promise.all([db.campaigns.list(), db.contacts.list()]);
+  const suppressed = await db.suppressions.filter(contacts.map(c => c.email));
+  return Promise.all(campaigns.map(async campaign => {
+    const [deliveries, clicks, opens, job] = await Promise.all([
+      db.deliveries.listByCampaign(campaign.id),
+      db.clicks.listByCampaign(campaign.id),
+      db.opens.listByCampaign(campaign.id),
+      db.sendJobs.latestForCampaign(campaign.id),
+    ]);
+    return { ...campaign, analytics: computeAnalytics(toRecipients(contacts, deliveries, suppressed), clicks, opens, campaign), job };
+  }));
+}
+
+export async function getCampaign(campaignId: string): Promise<Campaign | null> {
+  return db.campaigns.find(campaignId);
+}
+
+export async function getRecipients(campaignId: string): Promise<Recipient[]> {
+  return loadRecipients(campaignId);
+}
+
+export async function getAnalytics(campaignId: string): Promise<Analytics> {
+  return loadAnalytics(campaignId);
+}
+
+// Sends, opens and clicks over time, for the analytics charts.
+export async function getEngagement(campaignId: string, range: EngagementRange): Promise<Engagement> {
+  return loadEngagement(campaignId, range);
+}
+
+// A contact's history across all campaigns, oldest first.
+export async function getContactActivity(contactId: string): Promise<ContactActivityEntry[]> {
+  const [activity, campaigns] = await Promise.all([db.activity.listByContact(contactId), db.campaigns.list()]);
+  const names = new Map(campaigns.map(c => [c.id, c.name]));
+  return activity.map(entry => ({ ...entry, campaignName: entry.campaignId ? names.get(entry.campaignId) ?? null : null }));
+}
+
+// Stands in for a recipient when there are no contacts yet.
+const SAMPLE_CONTACT: Contact = { id: 'preview', firstName: 'Alex', lastName: 'Sample', email: 'alex@example.com', timeZone: null, fields: {} };
+
+/**
+ * Runs the pre-send checks on unsaved content, once per A/B variant ("A"
+ * being the campaign's own subject and body), as rendered for a contact.
+ */
+export async function checkCampaignContent(
+  content: Pick<CampaignContent, 'subject' | 'body' | 'senderName' | 'rewriteSpamWords' | 'templateId' | 'slots' | 'textBody'>,
+  variants: Pick<CampaignVariant, 'subject' | 'body'>[] = [],
+): Promise<ContentCheck[]> {
+  const [contacts, customFields, template] = await Promise.all([db.contacts.list(), db.customFields.list(), campaignTemplate(content.templateId)]);
+  const suppressed = await db.suppressions.filter(contacts.map(c => c.email));
+  const recipients = contacts.filter(c => !suppressed.has(normalizeEmail(c.email)));
+  const sample = recipients.find(c => c.firstName.trim() && c.lastName.trim()) ?? recipients[0] ?? SAMPLE_CONTACT;
+
+  const versions = [{ subject: content.subject, body: content.body, textBody: content.textBody }, ...variants];
+  return versions.map((version, i) => {
+    const { subject, html, text } = previewCampaignEmail(content, template, version, sample, customFields);
+    const { score, issues } = lintEmail({ ...version, sentSubject: subject, html, text, contacts: recipients, customFields });
+    return { variantId: variants.length > 0 ? String.fromCharCode(65 + i) : null, score, issues };
+  });
+}
+
+/** Renders unsaved content the way `contactId` would get it, or for a sample contact. */
+export async function previewCampaignContent(
+  content: Pick<CampaignContent, 'subject' | 'body' | 'senderName' | 'rewriteSpamWords' | 'templateId' | 'slots' | 'textBody'>,
+  contactId: string | null,
+): Promise<EmailPreview> {
+  const [contact, customFields, template] = await Promise.all([
+    contactId ? db.contacts.find(contactId) : null,
+    db.customFields.list(),
+    campaignTemplate(content.templateId),
+  ]);
+  return previewCampaignEmail(content, template, content, contact ?? SAMPLE_CONTACT, customFields);
+}
+
+export async function getSendingAccounts(): Promise<SendingAccountUsage[]> {
+  return db.sendingAccounts.listWithUsage();
+}
+
+// Which providers have their settings in place, for the provider pickers.
+export async function getMailProviders(): Promise<MailProviderInfo[]> {
+  return describeMailProviders();
+}
+
+export async function getCustomFields(): Promise<CustomField[]> {
+  return db.customFields.list();
+}
+
+export async function getTemplates(): Promise<EmailTemplate[]> {
+  return db.templates.list();
+}
+
+export async function getSuppressions(): Promise<Suppression[]> {
+  return db.suppressions.list();
 }
 
-export async function getContacts(): Promise<Contact[]> {
-  await delay(200);
-  return db.contacts;
+// Secrets never leave the server.
+export async function getSigningKeys(): Promise<SigningKeyInfo[]> {
+  const keys = await db.signingKeys.list();
+  return keys.map(({ id, createdAt }, i) => ({ id, createdAt, active: i === keys.length - 1 }));
 }
 
-export async function getAnalytics() {
-  await delay(200);
-  const contacts = db.contacts;
-  const total = contacts.length;
-  const sent = contacts.filter(c => c.status === 'Sent').length;
-  const pending = contacts.filter(c => c.status === 'Pending').length;
-  const errors = contacts.filter(c => c.status === 'Error').length;
-  const opened = contacts.filter(c => c.openTimestamp !== null).length;
-  const openRate = sent > 0 ? parseFloat(((opened / sent) * 100).toFixed(2)) : 0;
-  const sentRate = total > 0 ? parseFloat(((sent / total) * 100).toFixed(2)) : 0;
+// How many of each webhook's deliveries the dashboard shows.
+const WEBHOOK_LOG_SIZE = 20;
 
-  return { total, sent, pending, errors, opened, openRate, sentRate };
+export async function getWebhooks(): Promise<WebhookSummary[]> {
+  const webhooks = await db.webhooks.list();
+  return Promise.all(webhooks.map(async webhook => ({
+    ...webhook,
+    recentDeliveries: await db.webhookDeliveries.listRecent(webhook.id, WEBHOOK_LOG_SIZE),
+  })));
 }
 
 // --- Data Mutation Actions ---
 
-export async function updateCampaign(data: Campaign) {
-  await delay(500);
-  db.campaign = { ...db.campaign, ...data };
+export async function createCampaign() {
+  const campaigns = await db.campaigns.list();
+  const latest = campaigns[campaigns.length - 1];
+  const campaign = await db.campaigns.create({
+    name: 'Untitled Campaign',
+    subject: '',
+    body: '',
+    senderName: latest?.senderName ?? '',
+    senderEmail: latest?.senderEmail ?? '',
+    replyTo: latest?.replyTo ?? '',
+    rewriteSpamWords: false,
+    provider: latest?.provider ?? null,
+    templateId: latest?.templateId ?? DEFAULT_TEMPLATE_ID,
+    slots: {},
+    textBody: null,
+  });
   revalidatePath('/');
-  return { success: true, message: "Campaign updated successfully!" };
+  return { success: true, message: "Campaign created!", campaignId: campaign.id };
 }
 
-export async function addContact(contactData: Omit<Contact, 'id' | 'status' | 'sentTimestamp' | 'openTimestamp'>) {
-  await delay(500);
-  const newId = (Math.max(0, ...db.contacts.map(c => parseInt(c.id))) + 1).toString();
-  const newContact: Contact = {
-    ...contactData,
-    id: newId,
-    status: 'Pending',
-    sentTimestamp: null,
-    openTimestamp: null,
+export async function duplicateCampaign(campaignId: string) {
+  const source = await db.campaigns.find(campaignId);
+  if (!source) {
+    return { success: false, message: "Campaign not found." };
+  }
+  const { name, subject, body, senderName, senderEmail, replyTo, rewriteSpamWords, provider, templateId, slots, textBody, abTest } = source;
+  let campaign = await db.campaigns.create({ name: `Copy of ${name}`, subject, body, senderName, senderEmail, replyTo, rewriteSpamWords, provider, templateId, slots, textBody });
+  if (abTest) {
+    // The copy gets the same test, not yet run.
+    campaign = await db.campaigns.update(campaign.id, { abTest: { ...abTest, decideAt: null, winnerId: null } }) ?? campaign;
+  }
+  revalidatePath('/');
+  return { success: true, message: `Duplicated "${name}".`, campaignId: campaign.id };
+}
+
+export async function archiveCampaign(campaignId: string) {
+  const campaign = await db.campaigns.find(campaignId);
+  if (!campaign) {
+    return { success: false, message: "Campaign not found." };
+  }
+  if (campaign.status === 'sending') {
+    return { success: false, message: "A campaign can't be archived while it is sending." };
+  }
+  await db.campaigns.update(campaignId, { status: 'archived', schedule: null });
+  revalidatePath('/');
+  return { success: true, message: `Archived "${campaign.name}".` };
+}
+
+// Variants are lettered B, C, ... in the order they are given; A is the
+// campaign's own subject and body.
+function normalizeAbTest({ variants, testPercent, metric, waitHours }: AbTestSettings): AbTestSettings {
+  return {
+    variants: variants.map((v, i) => ({ id: String.fromCharCode(66 + i), subject: v.subject, body: v.body })),
+    testPercent,
+    metric,
+    waitHours,
   };
-  db.contacts.push(newContact);
+}
+
+/** Saves the campaign's content, and its A/B test settings unless `abTest` is left out. */
+export async function updateCampaign(campaignId: string, data: CampaignContent, abTest?: AbTestSettings | null) {
+  const campaign = await db.campaigns.find(campaignId);
+  if (!campaign) {
+    return { success: false, message: "Campaign not found." };
+  }
+  if (campaign.status === 'archived') {
+    return { success: false, message: "Archived campaigns can't be edited." };
+  }
+  if (data.provider !== null && !MAIL_PROVIDER_KINDS.includes(data.provider)) {
+    return { success: false, message: `"${data.provider}" isn't a mail provider.` };
+  }
+  if (!await db.templates.find(data.templateId)) {
+    return { success: false, message: "That template no longer exists. Pick another one." };
+  }
+  const tagErrors = mergeTagErrors(campaignTemplateFields(data, abTest === undefined ? campaign.abTest : abTest), await db.customFields.list());
+  if (tagErrors.length > 0) {
+    return { success: false, message: tagErrors.join('\n') };
+  }
+
+  let nextAbTest = campaign.abTest;
+  if (abTest !== undefined) {
+    const settings = abTest && normalizeAbTest(abTest);
+    const error = settings && validateAbTest(settings);
+    if (error) {
+      return { success: false, message: error };
+    }
+    const current = campaign.abTest && normalizeAbTest(campaign.abTest);
+    const unchanged = JSON.stringify(settings) === JSON.stringify(current);
+    if (!unchanged && campaign.abTest?.decideAt) {
+      return { success: false, message: "The A/B test has already started, so its settings can't change." };
+    }
+    if (settings && campaign.schedule?.recipientLocalTime) {
+      return { success: false, message: "A/B tested campaigns can't go out at each contact's local time. Change the schedule first." };
+    }
+    if (!unchanged) {
+      nextAbTest = settings && { ...settings, decideAt: null, winnerId: null };
+    }
+  }
+
+  await db.campaigns.update(campaignId, { ...data, abTest: nextAbTest });
+  revalidatePath('/');
+  return { success: true, message: "Campaign updated successfully!" };
+}
+
+export async function updateSendingAccount(accountId: string, settings: SendingAccountSettings) {
+  const { ratePerMinute, burst, hourlyQuota, dailyQuota, isDefault } = settings;
+  const isPositive = (n: number) => Number.isFinite(n) && n > 0;
+  if (!isPositive(ratePerMinute) || !Number.isInteger(burst) || burst < 1) {
+    return { success: false, message: "Rate must be above zero and burst at least 1." };
+  }
+  if ([hourlyQuota, dailyQuota].some(q => q !== null && (!Number.isInteger(q) || q < 1))) {
+    return { success: false, message: "Quotas must be whole numbers above zero, or empty for no limit." };
+  }
+  const existing = await db.sendingAccounts.find(accountId);
+  if (existing?.isDefault && !isDefault) {
+    return { success: false, message: "Campaigns without a provider need a default account. Make another account the default instead." };
+  }
+  const account = await db.sendingAccounts.update(accountId, { ratePerMinute, burst, hourlyQuota, dailyQuota, isDefault });
+  if (!account) {
+    return { success: false, message: "Sending account not found." };
+  }
+  revalidatePath('/');
+  return { success: true, message: `Settings for ${account.name} saved.` };
+}
+
+export async function rotateSigningKey() {
+  const key = await db.signingKeys.rotate();
+  revalidatePath('/');
+  return { success: true, message: `New links are now signed with key ${key.id}. Links already sent keep working.` };
+}
+
+export async function retireSigningKey(id: string) {
+  const retired = await db.signingKeys.retire(id);
+  if (!retired) {
+    return { success: false, message: "Only keys that are no longer active can be retired." };
+  }
+  revalidatePath('/');
+  return { success: true, message: `Key ${id} retired. Links signed with it no longer work.` };
+}
+
+// Checks a contact's custom field values against their types.
+async function contactFields(values: Record<string, string> | undefined) {
+  const { fields, invalid } = cleanFieldValues(values ?? {}, await db.customFields.list());
+  const error = invalid.length > 0 ? `Check the value of ${invalid.join(', ')}; it doesn't match the field's type.` : null;
+  return { fields, error };
+}
+
+// How addresses on the suppression list got there, as in "ann@example.com has unsubscribed".
+const SUPPRESSED_BECAUSE: Record<Suppression['reason'], { one: string, many: string }> = {
+  unsubscribed: { one: 'has unsubscribed', many: 'they unsubscribed' },
+  bounced: { one: 'hard bounced', many: 'they hard bounced' },
+  manual: { one: 'is on the suppression list', many: "they're on the suppression list" },
+};
+
+export async function addContact(contactData: NewContact) {
+  const email = contactData.email.trim();
+  if (!email.includes('@')) {
+    return { success: false, message: "Enter a valid email address." };
+  }
+  const timeZone = contactData.timeZone?.trim() || null;
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return { success: false, message: `"${timeZone}" isn't a known time zone.` };
+  }
+  const { fields, error } = await contactFields(contactData.fields);
+  if (error) {
+    return { success: false, message: error };
+  }
+  const [reason] = (await db.suppressions.reasons([email])).values();
+  if (reason) {
+    return { success: false, message: `${email} ${SUPPRESSED_BECAUSE[reason].one} and can't be added back.` };
+  }
+  await db.contacts.insertMany([{ ...contactData, email, timeZone, fields }]);
   revalidatePath('/');
   return { success: true, message: "Contact added!" };
 }
 
-export async function addContacts(contactsData: Omit<Contact, 'id' | 'status' | 'sentTimestamp' | 'openTimestamp'>[]) {
-    await delay(500);
-    let maxId = Math.max(0, ...db.contacts.map(c => parseInt(c.id)));
-    for (const contactData of contactsData) {
-        maxId++;
-        const newContact: Contact = {
-            ...contactData,
-            id: maxId.toString(),
-            status: 'Pending',
-            sentTimestamp: null,
-            openTimestamp: null,
-        };
-        db.contacts.push(newContact);
+export async function updateContact(contactId: string, contactData: NewContact) {
+  const email = contactData.email.trim();
+  if (!email.includes('@')) {
+    return { success: false, message: "Enter a valid email address." };
+  }
+  const timeZone = contactData.timeZone?.trim() || null;
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return { success: false, message: `"${timeZone}" isn't a known time zone.` };
+  }
+  const { fields, error } = await contactFields(contactData.fields);
+  if (error) {
+    return { success: false, message: error };
+  }
+  const contact = await db.contacts.find(contactId);
+  if (!contact) {
+    return { success: false, message: "Contact not found." };
+  }
+  if (normalizeEmail(email) !== normalizeEmail(contact.email) && (await db.suppressions.filter([email])).size > 0) {
+    return { success: false, message: `${email} is on the suppression list.` };
+  }
+  await db.contacts.update(contactId, { firstName: contactData.firstName.trim(), lastName: contactData.lastName.trim(), email, timeZone, fields });
+  revalidatePath('/');
+  return { success: true, message: "Contact saved." };
+}
+
+/**
+ * Imports contacts, first creating `newFields` for columns of the file that
+ * were mapped to a field that doesn't exist yet.
+ */
+export async function addContacts(contactsData: NewContact[], newFields: CustomField[] = []) {
+    const existing = await db.customFields.list();
+    for (const field of newFields) {
+        const error = fieldError(field, existing);
+        if (error) {
+            return { success: false, message: error };
+        }
+        existing.push(field);
     }
+    if (newFields.length > 0) {
+        await db.customFields.add(newFields);
+    }
+
+    // Rows without a valid email, and suppressed addresses, are left out of
+    // imports, and unknown time zones and values that don't fit their field
+    // are dropped rather than failing the whole file.
+    const valid = contactsData
+        .map(c => ({ ...c, email: c.email.trim() }))
+        .filter(c => c.email.includes('@'));
+    const invalidEmails = contactsData.length - valid.length;
+    const suppressed = await db.suppressions.reasons(valid.map(c => c.email));
+    let invalidValues = 0;
+    const cleaned = valid
+        .filter(c => !suppressed.has(normalizeEmail(c.email)))
+        .map(c => {
+            const timeZone = c.timeZone?.trim() || null;
+            const { fields, invalid } = cleanFieldValues(c.fields ?? {}, existing);
+            invalidValues += invalid.length;
+            return { ...c, timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : null, fields };
+        });
+    await db.contacts.insertMany(cleaned);
     revalidatePath('/');
-    return { success: true, message: `${contactsData.length} contacts added!` };
+    const skipped = new Map<Suppression['reason'], number>();
+    for (const c of valid) {
+        const reason = suppressed.get(normalizeEmail(c.email));
+        if (reason) skipped.set(reason, (skipped.get(reason) ?? 0) + 1);
+    }
+    const skippedBecause = [...skipped].map(([reason, count], i) => `${count}${i === 0 ? ' skipped' : ''} because ${SUPPRESSED_BECAUSE[reason].many}`);
+    return {
+        success: true,
+        message: `${cleaned.length} contacts added!`
+            + (skippedBecause.length > 0 ? ` ${skippedBecause.join(', ')}.` : '')
+            + (invalidEmails > 0 ? ` ${invalidEmails} rows without a valid email address were skipped.` : '')
+            + (invalidValues > 0 ? ` ${invalidValues} values didn't match their field's type and were left empty.` : ''),
+    };
+}
+
+// Why a new field can't be added, or null if it can.
+function fieldError(field: CustomField, existing: CustomField[]) {
+  if (!CUSTOM_FIELD_TYPES.includes(field.type)) {
+    return `"${field.type}" isn't a field type.`;
+  }
+  return customFieldNameError(field.name, existing) ?? defaultValueError(field);
+}
+
+function defaultValueError({ type, defaultValue }: Pick<CustomField, 'type' | 'defaultValue'>) {
+  if (defaultValue && normalizeFieldValue(type, defaultValue) === null) {
+    return `The default "${defaultValue}" isn't a valid ${type}.`;
+  }
+  return null;
+}
+
+export async function addCustomField(field: CustomField) {
+  const name = field.name.trim();
+  const defaultValue = field.defaultValue?.trim() || null;
+  const error = fieldError({ ...field, name, defaultValue }, await db.customFields.list());
+  if (error) {
+    return { success: false, message: error };
+  }
+  await db.customFields.add([{ name, type: field.type, defaultValue: defaultValue && normalizeFieldValue(field.type, defaultValue) }]);
+  revalidatePath('/');
+  return { success: true, message: `Added {{${name}}}.` };
+}
+
+/** Changes a field's type or default; its name is the merge tag, so it stays. */
+export async function updateCustomField(name: string, patch: Pick<CustomField, 'type' | 'defaultValue'>) {
+  if (!CUSTOM_FIELD_TYPES.includes(patch.type)) {
+    return { success: false, message: `"${patch.type}" isn't a field type.` };
+  }
+  const defaultValue = patch.defaultValue?.trim() || null;
+  const error = defaultValueError({ type: patch.type, defaultValue });
+  if (error) {
+    return { success: false, message: error };
+  }
+  const field = (await db.customFields.list()).find(f => f.name === name);
+  if (!field) {
+    return { success: false, message: "Field not found." };
+  }
+  if (patch.type !== field.type) {
+    const contacts = await db.contacts.list();
+    const unconvertible = contacts.filter(c => c.fields[name] !== undefined && normalizeFieldValue(patch.type, c.fields[name]) === null);
+    if (unconvertible.length > 0) {
+      return { success: false, message: `${unconvertible.length} contacts have a ${name} that isn't a valid ${patch.type}. Fix them first.` };
+    }
+  }
+  await db.customFields.update(name, { type: patch.type, defaultValue: defaultValue && normalizeFieldValue(patch.type, defaultValue) });
+  revalidatePath('/');
+  return { success: true, message: `Saved {{${name}}}.` };
+}
+
+export async function deleteCustomField(name: string) {
+  // Campaigns still to go out would send the tag out blank, or as typed.
+  const campaigns = await db.campaigns.list();
+  const using = campaigns.filter(campaign =>
+    campaign.status !== 'sent' && campaign.status !== 'archived'
+    && campaignTemplateFields(campaign, campaign.abTest)
+      .some(({ source }) => parseTemplate(source).references.some(ref => ref.root === name)));
+  if (using.length > 0) {
+    return { success: false, message: `{{${name}}} is used by ${using.map(c => `"${c.name}"`).join(', ')}. Take it out of those campaigns first.` };
+  }
+  const templates = (await db.templates.list()).filter(t => parseTemplate(t.html).references.some(ref => ref.root === name));
+  if (templates.length > 0) {
+    return { success: false, message: `{{${name}}} is used by the ${templates.map(t => `"${t.name}"`).join(', ')} template. Take it out of the template first.` };
+  }
+  const removed = await db.customFields.remove(name);
+  if (!removed) {
+    return { success: false, message: "Field not found." };
+  }
+  revalidatePath('/');
+  return { success: true, message: `Deleted {{${name}}} and its values.` };
+}
+
+// Name required, and HTML the mailer can render with a body slot in it.
+async function templateContentError({ name, html }: TemplateContent) {
+  if (!name.trim()) {
+    return "Give the template a name.";
+  }
+  const errors = templateErrors(html, await db.customFields.list());
+  return errors.length > 0 ? errors.join('\n') : null;
+}
+
+export async function createTemplate(content: TemplateContent) {
+  const error = await templateContentError(content);
+  if (error) {
+    return { success: false, message: error };
+  }
+  const template = await db.templates.create({ ...content, name: content.name.trim() });
+  revalidatePath('/');
+  return { success: true, message: `Created "${template.name}".`, templateId: template.id };
+}
+
+export async function updateTemplate(id: string, content: TemplateContent) {
+  const error = await templateContentError(content);
+  if (error) {
+    return { success: false, message: error };
+  }
+  const template = await db.templates.update(id, { ...content, name: content.name.trim() });
+  if (!template) {
+    return { success: false, message: "Template not found." };
+  }
+  revalidatePath('/');
+  return { success: true, message: `Saved "${template.name}" (version ${template.version}).` };
+}
+
+export async function duplicateTemplate(id: string) {
+  const source = await db.templates.find(id);
+  if (!source) {
+    return { success: false, message: "Template not found." };
+  }
+  const template = await db.templates.create({ name: `Copy of ${source.name}`, description: source.description, html: source.html });
+  revalidatePath('/');
+  return { success: true, message: `Duplicated "${source.name}".`, templateId: template.id };
+}
+
+/** Makes an earlier version current again, as a new version so nothing is lost. */
+export async function restoreTemplateVersion(id: string, version: number) {
+  const template = await db.templates.find(id);
+  const saved = template?.history.find(v => v.version === version);
+  if (!template || !saved) {
+    return { success: false, message: "Version not found." };
+  }
+  const error = await templateContentError({ name: saved.name, description: template.description, html: saved.html });
+  if (error) {
+    return { success: false, message: `Version ${version} can't be restored: ${error}` };
+  }
+  const restored = await db.templates.update(id, { name: saved.name, description: template.description, html: saved.html });
+  revalidatePath('/');
+  return { success: true, message: `Restored version ${version} of "${saved.name}" as version ${restored?.version}.` };
+}
+
+export async function deleteTemplate(id: string) {
+  const template = await db.templates.find(id);
+  if (!template) {
+    return { success: false, message: "Template not found." };
+  }
+  if (template.builtIn) {
+    return { success: false, message: "Built-in templates can't be deleted. Duplicate one to make your own version." };
+  }
+  const campaigns = await db.campaigns.list();
+  const using = campaigns.filter(c => c.templateId === id && c.status !== 'sent' && c.status !== 'archived');
+  if (using.length > 0) {
+    return { success: false, message: `"${template.name}" is used by ${using.map(c => `"${c.name}"`).join(', ')}. Switch those campaigns to another template first.` };
+  }
+  await db.templates.remove(id);
+  revalidatePath('/');
+  return { success: true, message: `Deleted "${template.name}".` };
+}
+
+export async function addSuppression(email: string) {
+  if (!email.includes('@')) {
+    return { success: false, message: "Enter a valid email address." };
+  }
+  const entry = await db.suppressions.add(email, 'manual');
+  revalidatePath('/');
+  return { success: true, message: `${entry.email} won't be emailed again.` };
+}
+
+export async function removeSuppression(email: string) {
+  const removed = await db.suppressions.remove(email);
+  if (!removed) {
+    return { success: false, message: `${email} isn't on the suppression list.` };
+  }
+  revalidatePath('/');
+  return { success: true, message: `${email} can be emailed again.` };
+}
+
+export async function addWebhook(url: string, events: WebhookEventType[]) {
+  const error = validateWebhook(url.trim(), events);
+  if (error) {
+    return { success: false, message: error };
+  }
+  const webhook = await db.webhooks.create({ url: url.trim(), events });
+  revalidatePath('/');
+  return { success: true, message: `Events will be sent to ${webhook.url}.` };
+}
+
+export async function updateWebhook(id: string, patch: { events?: WebhookEventType[], enabled?: boolean }) {
+  const webhook = await db.webhooks.find(id);
+  if (!webhook) {
+    return { success: false, message: "Webhook not found." };
+  }
+  const error = patch.events && validateWebhook(webhook.url, patch.events);
+  if (error) {
+    return { success: false, message: error };
+  }
+  await db.webhooks.update(id, patch);
+  revalidatePath('/');
+  return { success: true, message: "Webhook updated." };
+}
+
+export async function deleteWebhook(id: string) {
+  const removed = await db.webhooks.remove(id);
+  if (!removed) {
+    return { success: false, message: "Webhook not found." };
+  }
+  revalidatePath('/');
+  return { success: true, message: "Webhook deleted." };
+}
+
+export async function testWebhook(id: string) {
+  const webhook = await db.webhooks.find(id);
+  if (!webhook) {
+    return { success: false, message: "Webhook not found." };
+  }
+  const delivery = await sendTestWebhook(id);
+  revalidatePath('/');
+  if (delivery?.status !== 'succeeded') {
+    return { success: false, message: `Test event failed: ${delivery?.error ?? 'unknown error'}` };
+  }
+  return { success: true, message: `Test event delivered (HTTP ${delivery.responseStatus}).` };
+}
+
+// Replies and bounce reports saved from the inbox, as .eml files or an mbox.
+export async function importInboundMail(formData: FormData) {
+  const files = formData.getAll('files').filter((f): f is File => typeof f !== 'string');
+  if (files.length === 0) {
+    return { success: false, message: "Choose one or more .eml or mbox files." };
+  }
+  const result = await ingestInbound(await Promise.all(files.map(f => f.text())));
+  revalidatePath('/');
+  return { success: true, message: describeInboundResult(result) };
 }
 
 export async function deleteContacts(ids: string[]) {
-    await delay(500);
-    db.contacts = db.contacts.filter(c => !ids.includes(c.id));
+    await db.contacts.remove(ids);
     revalidatePath('/');
     return { success: true, message: "Selected contacts deleted." };
 }
@@ -88,228 +627,78 @@ function capitalize(s: string) {
 }
 
 export async function cleanContacts(ids: string[]) {
-    await delay(500);
-    let updatedCount = 0;
-    db.contacts.forEach(contact => {
-        if (ids.includes(contact.id)) {
-            contact.email = contact.email.trim().toLowerCase();
-            contact.firstName = capitalize(contact.firstName.trim());
-            contact.lastName = capitalize(contact.lastName.trim());
-            updatedCount++;
-        }
+    const updatedCount = await db.contacts.updateMany(ids, contact => {
+        contact.email = contact.email.trim().toLowerCase();
+        contact.firstName = capitalize(contact.firstName.trim());
+        contact.lastName = capitalize(contact.lastName.trim());
     });
     revalidatePath('/');
     return { success: true, message: `Cleaned ${updatedCount} contacts.` };
 }
 
-function createAntiSpamSubject(subject: string, firstName: string) {
-  let antiSpam = subject;
-  const spamWords: { [key: string]: string } = {
-    'FREE': 'Complimentary', 'URGENT': 'Important', 'ACT NOW': 'Take Action',
-    'LIMITED TIME': 'Special Offer', 'CLICK HERE': 'Learn More', 'BUY NOW': 'Get Started',
-    'MONEY': 'Value', 'CASH': 'Savings', 'WIN': 'Receive', 'WINNER': 'Selected',
-    'DEAL': 'Offer', 'SALE': 'Special Price'
-  };
-  for (let spam in spamWords) {
-    antiSpam = antiSpam.replace(new RegExp(spam, 'gi'), spamWords[spam]);
-  }
-  if (antiSpam === antiSpam.toUpperCase() && antiSpam.length > 5) {
-    antiSpam = antiSpam.charAt(0).toUpperCase() + antiSpam.slice(1).toLowerCase();
-  }
-  return antiSpam.replace(/!{2,}/g, '!').replace(/\?{2,}/g, '?');
-}
+// --- Sending Actions ---
 
-function personalizeContent(content: string, contact: Omit<Contact, 'id'>) {
-  return content
-    .replace(/\{\{firstName\}\}/g, contact.firstName)
-    .replace(/\{\{lastName\}\}/g, contact.lastName)
-    .replace(/\{\{fullName\}\}/g, `${contact.firstName} ${contact.lastName}`.trim())
-    .replace(/\{\{date\}\}/g, new Date().toLocaleDateString());
+function errorMessage(error: unknown) {
+  return error instanceof Error ? error.message : String(error);
 }
 
-// Enhanced function to send email via backend
-async function sendEmailViaBackend(contact: Contact, subject: string, htmlContent: string) {
-  console.log(`🚀 Sending email to: ${contact.email}`);
-  
+export async function sendCampaign(campaignId: string) {
   try {
-    const response = await fetch('http://localhost:5000/api/send-contact', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        name: `${contact.firstName} ${contact.lastName}`.trim(),
-        email: contact.email,
-        subject: subject,
-        message: htmlContent.replace(/<[^>]*>/g, ''), // Strip HTML for text version
-        htmlContent: htmlContent // Send full HTML
-      }),
-    });
-
-    console.log(`📡 Response status: ${response.status}`);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ message: 'Unknown error' }));
-      console.error(`❌ Backend error:`, errorData);
-      throw new Error(`Backend error: ${errorData.message || `HTTP ${response.status}`}`);
-    }
-
-    const result = await response.json();
-    console.log(`✅ Email sent successfully:`, result);
-    return result.success;
+    const { pendingCount } = await startCampaignSend(campaignId);
+    revalidatePath('/');
+    return { success: true, message: `Sending to ${pendingCount} recipients in the background.` };
+  } catch (error) {
+    return { success: false, message: errorMessage(error) };
+  }
+}
 
+export async function scheduleCampaign(campaignId: string, schedule: CampaignSchedule) {
+  try {
+    await scheduleCampaignSend(campaignId, schedule);
+    revalidatePath('/');
+    const where = schedule.recipientLocalTime ? "in each contact's time zone" : `(${schedule.timeZone})`;
+    return { success: true, message: `Scheduled for ${schedule.sendAt.replace('T', ' ')} ${where}.` };
   } catch (error) {
-    console.error('❌ Network or parsing error:', error);
-    throw error;
+    return { success: false, message: errorMessage(error) };
   }
 }
 
-export async function sendCampaign() {
-  console.log('🚀 Starting real email campaign...');
-  await delay(1000);
-  
-  let emailsSent = 0;
-  let emailsFailed = 0;
-  const errors: string[] = [];
-  
-  const pendingContacts = db.contacts.filter(contact => contact.status === 'Pending');
-  
-  if (pendingContacts.length === 0) {
-    return { success: false, message: "No pending contacts to send to!" };
+export async function unscheduleCampaign(campaignId: string) {
+  try {
+    await unscheduleCampaignSend(campaignId);
+    revalidatePath('/');
+    return { success: true, message: "Schedule cancelled." };
+  } catch (error) {
+    return { success: false, message: errorMessage(error) };
   }
+}
 
-  console.log(`📧 Found ${pendingContacts.length} contacts to email`);
-  
-  // Test backend connection first
+export async function pauseCampaign(campaignId: string) {
   try {
-    const healthCheck = await fetch('http://localhost:5000/api/health');
-    if (!healthCheck.ok) {
-      throw new Error('Backend server not responding');
-    }
-    const health = await healthCheck.json();
-    console.log('🏥 Backend health check:', health);
-    
-    if (health.emailService !== 'loaded') {
-      throw new Error('Email service not properly loaded on backend');
-    }
+    await pauseCampaignSend(campaignId);
+    revalidatePath('/');
+    return { success: true, message: "Sending paused." };
   } catch (error) {
-    console.error('❌ Backend connection failed:', error);
-    return { 
-      success: false, 
-      message: "Cannot connect to email backend. Please make sure the backend server is running on port 5000.",
-      error: error.message
-    };
+    return { success: false, message: errorMessage(error) };
   }
-  
-  for (const contact of pendingContacts) {
-    try {
-      console.log(`\n📤 Processing: ${contact.email}`);
-      
-      const personalizedSubject = personalizeContent(db.campaign.subject, contact);
-      const finalSubject = createAntiSpamSubject(personalizedSubject, contact.firstName);
-      const personalizedBody = personalizeContent(db.campaign.body, contact);
-      
-      // Create tracking pixel
-      const trackingPixel = `<img src="${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:9002'}/api/track/${contact.id}" width="1" height="1" alt="" style="display:none;" />`;
-      
-      // Create proper HTML email
-      const emailHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>${finalSubject}</title>
-          <style>
-            body { 
-              font-family: Arial, sans-serif; 
-              line-height: 1.6; 
-              color: #333; 
-              max-width: 600px; 
-              margin: 0 auto; 
-              padding: 20px; 
-            }
-            .header { 
-              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-              color: white; 
-              padding: 30px; 
-              text-align: center; 
-              border-radius: 10px 10px 0 0; 
-            }
-            .content { 
-              background: #fff; 
-              padding: 30px; 
-              border: 1px solid #ddd; 
-              border-top: none; 
-            }
-            .footer { 
-              background: #f8f9fa; 
-              padding: 20px; 
-              text-align: center; 
-              font-size: 12px; 
-              color: #666; 
-              border-radius: 0 0 10px 10px; 
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Message from ${db.campaign.senderName}</h1>
-          </div>
-          <div class="content">
-            ${personalizedBody.replace(/\n/g, '<br>')}
-          </div>
-          <div class="footer">
-            <p>Sent by ${db.campaign.senderName} | ${new Date().toLocaleDateString()}</p>
-            <p>This email was sent to ${contact.email}</p>
-          </div>
-          ${trackingPixel}
-        </body>
-        </html>
-      `;
-
-      // Send email via backend
-      await sendEmailViaBackend(contact, finalSubject, emailHtml);
-      
-      // Update contact status to sent
-      contact.status = 'Sent';
-      contact.sentTimestamp = new Date().toISOString();
-      emailsSent++;
-      
-      console.log(`✅ Email sent successfully to: ${contact.email}`);
-      
-      // Add delay between emails to avoid overwhelming the server
-      await delay(500);
-      
-    } catch (error) {
-      console.error(`❌ Failed to send email to ${contact.email}:`, error);
-      contact.status = 'Error';
-      emailsFailed++;
-      errors.push(`${contact.email}: ${error.message}`);
-    }
+}
+
+export async function resumeCampaign(campaignId: string) {
+  try {
+    await resumeCampaignSend(campaignId);
+    revalidatePath('/');
+    return { success: true, message: "Sending resumed." };
+  } catch (error) {
+    return { success: false, message: errorMessage(error) };
   }
+}
 
-  revalidatePath('/');
-  
-  const resultMessage = emailsFailed > 0 
-    ? `Campaign completed! ${emailsSent} emails sent successfully, ${emailsFailed} failed.`
-    : `Campaign sent successfully to ${emailsSent} recipients! 🎉`;
-    
-  console.log(`📊 Campaign finished: ${emailsSent} sent, ${emailsFailed} failed`);
-  
-  if (errors.length > 0) {
-    console.log('❌ Errors encountered:');
-    errors.forEach(error => console.log(`   - ${error}`));
-  }
-  
-  return { 
-    success: emailsSent > 0, 
-    message: resultMessage,
-    stats: {
-      sent: emailsSent,
-      failed: emailsFailed,
-      total: pendingContacts.length
-    },
-    errors: errors
-  };
-}
\ No newline at end of file
+export async function cancelCampaign(campaignId: string) {
+  try {
+    await cancelCampaignSend(campaignId);
+    revalidatePath('/');
+    return { success: true, message: "Sending cancelled. Contacts that weren't reached stay pending." };
+  } catch (error) {
+    return { success: false, message: errorMessage(error) };
+  }
+}
@@ -0,0 +1,21 @@
+import { describeBounceResult, ingestBounces } from '@/services/bounces';
+import { readRawMessages } from '@/services/inbound';
+import { rejectUnlessInternal } from '@/lib/internalAuth';
+import { NextResponse } from 'next/server';
+
+// Takes delivery status notifications only, either as the raw body (one
+// message, or an mbox) or as uploaded .eml/.mbox files in multipart form data
+// under "files". /api/inbound takes replies as well. Like it, this needs
+// the backend's shared secret, since a forged DSN suppresses an address.
+export async function POST(request: Request) {
+  const rejection = rejectUnlessInternal(request);
+  if (rejection) return rejection;
+
+  const raws = await readRawMessages(request);
+  if (raws.every(raw => raw.trim() === '')) {
+    return NextResponse.json({ success: false, message: 'No messages received.' }, { status: 400 });
+  }
+
+  const result = await ingestBounces(raws);
+  return NextResponse.json({ success: true, message: describeBounceResult(result), ...result });
+}
@@ -0,0 +1,57 @@
+import { subscribeToCampaign } from '@/lib/campaignEvents';
+import type { CampaignEvent } from '@/lib/types';
+
+export const dynamic = 'force-dynamic';
+
+const HEARTBEAT_MS = 15000;
+
+// Server-sent events stream of a campaign's sends, failures, opens and job changes.
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  const { id: campaignId } = await params;
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      // Enqueueing throws once the stream is closed, which can happen before
+      // the abort signal fires; stop listening then instead.
+      const write = (chunk: string) => {
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch {
+          cleanup();
+        }
+      };
+      const unsubscribe = subscribeToCampaign(campaignId, (event: CampaignEvent) => write(`data: ${JSON.stringify(event)}\n\n`));
+      // Comment lines keep proxies from closing an idle connection.
+      const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS);
+
+      cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+      request.signal.addEventListener('abort', () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch {
+          // Already closed by the client.
+        }
+      });
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+    },
+  });
+}
@@ -0,0 +1,48 @@
+import { loadCampaignReport, recipientsCsv, reportHtml, REPORT_FORMATS, type ReportFormat } from '@/lib/reports';
+import { NextResponse } from 'next/server';
+
+export const dynamic = 'force-dynamic';
+
+const CONTENT_TYPES: Record<ReportFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+};
+
+function fileName(campaignName: string, format: ReportFormat) {
+  const slug = campaignName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'campaign';
+  return `${slug}-report-${new Date().toISOString().slice(0, 10)}.${format}`;
+}
+
+// Downloads a campaign's results: ?format=csv for one row per recipient,
+// json for the analytics summary, html for a printable report.
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  const { id: campaignId } = await params;
+  const format = (new URL(request.url).searchParams.get('format') ?? 'csv') as ReportFormat;
+  if (!REPORT_FORMATS.includes(format)) {
+    return NextResponse.json({ success: false, message: `Unknown format. Use one of: ${REPORT_FORMATS.join(', ')}.` }, { status: 400 });
+  }
+
+  const report = await loadCampaignReport(campaignId);
+  if (!report) {
+    return NextResponse.json({ success: false, message: 'Campaign not found.' }, { status: 404 });
+  }
+
+  const body = format === 'csv'
+    ? recipientsCsv(report.recipients)
+    : format === 'json'
+      ? JSON.stringify(report.analytics, null, 2)
+      : reportHtml(report);
+
+  console.log(`📄 Exported ${format.toUpperCase()} report for campaign ${campaignId}`);
+  return new NextResponse(body, {
+    headers: {
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${fileName(report.campaign.name, format)}"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
@@ -0,0 +1,34 @@
+import { db } from '@/lib/db';
+import { publishDeliveryEvent } from '@/lib/campaignEvents';
+import { emitEmailEvent } from '@/services/webhooks';
+import { verifyToken } from '@/lib/tokens';
+import type { ClickToken } from '@/lib/links';
+import { NextResponse } from 'next/server';
+
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ token: string }> }
+) {
+  const { token } = await params;
+  const payload = await verifyToken<ClickToken>(token, 'click');
+
+  // The destination comes from the links we registered when sending, never
+  // from the request, so this can't be abused as an open redirect.
+  const link = payload ? await db.links.find(payload.l) : null;
+  if (!payload || !link || (payload.c && payload.c !== link.campaignId)) {
+    console.warn(`⚠️  Rejected invalid click token ${token.slice(0, 12)}…`);
+    return new NextResponse('Link not found', { status: 404 });
+  }
+
+  const delivery = await db.deliveries.find(payload.d);
+  if (delivery && delivery.campaignId === link.campaignId) {
+    await db.clicks.record(delivery, link, request.headers.get('user-agent'));
+    console.log(`Tracked click for delivery ${delivery.id} on ${link.url}`);
+    await publishDeliveryEvent('clicked', delivery.id);
+    await emitEmailEvent('email.clicked', delivery.id, { url: link.url });
+  } else {
+    console.log(`Delivery with id ${payload.d} not found, redirecting without tracking.`);
+  }
+
+  return NextResponse.redirect(link.url, 302);
+}
@@ -0,0 +1,20 @@
+import { describeInboundResult, ingestInbound, readRawMessages } from '@/services/inbound';
+import { rejectUnlessInternal } from '@/lib/internalAuth';
+import { NextResponse } from 'next/server';
+
+// Mail that came back to the Reply-To or bounce address: replies and bounce
+// reports, as the raw body (one message, or an mbox) or as uploaded
+// .eml/.mbox files under "files". The backend's inbound SMTP listener posts
+// here with the shared secret; anyone else could forge bounces and replies.
+export async function POST(request: Request) {
+  const rejection = rejectUnlessInternal(request);
+  if (rejection) return rejection;
+
+  const raws = await readRawMessages(request);
+  if (raws.every(raw => raw.trim() === '')) {
+    return NextResponse.json({ success: false, message: 'No messages received.' }, { status: 400 });
+  }
+
+  const result = await ingestInbound(raws);
+  return NextResponse.json({ success: true, message: describeInboundResult(result), ...result });
+}
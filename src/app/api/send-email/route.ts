@@ -1,6 +1,10 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { sendEmail } from '@/services/emailService';
+import { db } from '@/lib/db';
+import { defaultSender, getMailProvider, newMessageId } from '@/services/providers';
+import { htmlToText } from '@shared/htmlToText';
+import { classifySendError } from '@/lib/smtpErrors';
 
+// Sends a one-off email through the default sending account's provider.
 export async function POST(req: NextRequest) {
   try {
     const { to, subject, html } = await req.json();
@@ -9,10 +13,22 @@ export async function POST(req: NextRequest) {
       return NextResponse.json({ error: 'Missing required fields' }, { status: 400 });
     }
 
-    await sendEmail(to, subject, html);
-    return NextResponse.json({ message: 'Email sent successfully' });
+    const account = await db.sendingAccounts.forProvider(null);
+    const provider = getMailProvider(account.provider);
+    const from = defaultSender();
+    const { messageId } = await provider.send({
+      from,
+      to: { name: '', email: to },
+      replyTo: null,
+      subject,
+      html,
+      text: htmlToText(html),
+      headers: {},
+      messageId: newMessageId(from.email),
+    });
+    return NextResponse.json({ message: 'Email sent successfully', provider: provider.kind, messageId });
   } catch (error) {
     console.error('API error:', error);
-    return NextResponse.json({ error: 'Failed to send email' }, { status: 500 });
+    return NextResponse.json({ error: 'Failed to send email', reason: classifySendError(error).reason }, { status: 500 });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,29 @@
+import { db, normalizeEmail } from '@/lib/db';
+import { unsubscribeUrl } from '@/lib/links';
+import { rejectUnlessInternal } from '@/lib/internalAuth';
+import { NextResponse } from 'next/server';
+
+// Lets the Express backend honour the suppression list on its own send paths.
+// Only answers for the addresses it's asked about, and hands back signed
+// unsubscribe links for the ones that may still be emailed, so only to
+// callers holding the shared secret.
+export async function POST(request: Request) {
+  const rejection = rejectUnlessInternal(request);
+  if (rejection) return rejection;
+
+  const body = await request.json().catch(() => null);
+  const emails: unknown = body?.emails;
+  if (!Array.isArray(emails) || !emails.every(e => typeof e === 'string')) {
+    return NextResponse.json({ success: false, message: 'Expected { emails: string[] }' }, { status: 400 });
+  }
+
+  const suppressed = await db.suppressions.filter(emails);
+  const unsubscribeUrls: Record<string, string> = {};
+  for (const email of emails) {
+    if (!suppressed.has(normalizeEmail(email))) {
+      unsubscribeUrls[email] = await unsubscribeUrl(email);
+    }
+  }
+
+  return NextResponse.json({ success: true, suppressed: [...suppressed], unsubscribeUrls });
+}
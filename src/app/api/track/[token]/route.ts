@@ -0,0 +1,53 @@
+import { db } from '@/lib/db';
+import { publishDeliveryEvent } from '@/lib/campaignEvents';
+import { emitEmailEvent } from '@/services/webhooks';
+import { verifyToken } from '@/lib/tokens';
+import { classifyOpen } from '@/lib/openDetection';
+import type { OpenToken } from '@/lib/links';
+import { NextResponse } from 'next/server';
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// The first hop in X-Forwarded-For is the client when we run behind a proxy.
+function clientIp(request: Request) {
+  const forwarded = request.headers.get('x-forwarded-for');
+  return forwarded?.split(',')[0].trim() || request.headers.get('x-real-ip');
+}
+
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ token: string }> }
+) {
+  const { token } = await params;
+  const payload = await verifyToken<OpenToken>(token, 'open');
+
+  if (payload) {
+    const delivery = await db.deliveries.find(payload.d);
+    if (delivery && delivery.campaignId === payload.c) {
+      const timestamp = new Date().toISOString();
+      const userAgent = request.headers.get('user-agent');
+      const ip = clientIp(request);
+      const { proxy, machine, reason } = classifyOpen({ userAgent, ip, sentTimestamp: delivery.sentTimestamp, timestamp });
+      const open = await db.opens.record(delivery, { timestamp, userAgent, ip, proxy, machine, machineReason: reason });
+      console.log(`Tracked ${open.machine ? `machine open (${open.machineReason})` : 'open'} for delivery ${delivery.id} at ${timestamp}`);
+      await publishDeliveryEvent('opened', delivery.id);
+      await emitEmailEvent('email.opened', delivery.id, { timestamp, machine: open.machine, machineReason: open.machineReason });
+    } else {
+      console.log(`Delivery ${payload.d} of campaign ${payload.c} not found.`);
+    }
+  } else {
+    // Forged, tampered with, or signed with a retired key. Still answer with
+    // the pixel so nothing looks different from the outside.
+    console.warn(`⚠️  Ignored invalid tracking token ${token.slice(0, 12)}…`);
+  }
+
+  return new NextResponse(PIXEL, {
+    headers: {
+      'Content-Type': 'image/gif',
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Pragma': 'no-cache',
+      'Expires': '0',
+    },
+  });
+}
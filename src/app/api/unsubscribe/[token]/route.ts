@@ -0,0 +1,61 @@
+import { db, normalizeEmail } from '@/lib/db';
+import { verifyToken } from '@/lib/tokens';
+import type { UnsubscribeToken } from '@/lib/links';
+import { escapeHtml } from '@/lib/utils';
+import { emitWebhookEvent } from '@/services/webhooks';
+import { NextResponse } from 'next/server';
+
+function page(title: string, body: string, status = 200) {
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; max-width: 480px; margin: 80px auto; padding: 0 20px; text-align: center; }
+    button { background: #667eea; color: white; border: none; padding: 12px 24px; border-radius: 6px; font-size: 16px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  ${body}
+</body>
+</html>`;
+  return new NextResponse(html, { status, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+const invalidLink = () => page('Invalid link', '<p>This unsubscribe link is invalid or has been tampered with.</p>', 400);
+
+// Opening the link only asks for confirmation, so link scanners that fetch
+// every URL in an email can't unsubscribe people by accident.
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ token: string }> }
+) {
+  const { token } = await params;
+  const payload = await verifyToken<UnsubscribeToken>(token, 'unsub');
+  if (!payload) return invalidLink();
+
+  return page('Unsubscribe', `
+  <p>Stop sending emails to <strong>${escapeHtml(payload.e)}</strong>?</p>
+  <form method="POST"><button type="submit">Unsubscribe</button></form>`);
+}
+
+// Handles both the confirmation form above and one-click unsubscribes from
+// mail clients (RFC 8058), which POST "List-Unsubscribe=One-Click" here.
+export async function POST(
+  request: Request,
+  { params }: { params: Promise<{ token: string }> }
+) {
+  const { token } = await params;
+  const payload = await verifyToken<UnsubscribeToken>(token, 'unsub');
+  if (!payload) return invalidLink();
+
+  const delivery = payload.d ? await db.deliveries.find(payload.d) : null;
+  await db.suppressions.add(payload.e, 'unsubscribed', delivery?.campaignId ?? payload.c ?? null);
+  console.log(`🚫 ${payload.e} unsubscribed${delivery ? ` via campaign ${delivery.campaignId}` : ''}`);
+  await emitWebhookEvent('contact.unsubscribed', { email: normalizeEmail(payload.e), campaignId: delivery?.campaignId ?? payload.c ?? null, deliveryId: delivery?.id ?? null });
+
+  return page("You've been unsubscribed", `<p>We won't send any more emails to <strong>${escapeHtml(payload.e)}</strong>.</p>`);
+}
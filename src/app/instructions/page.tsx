@@ -13,7 +13,7 @@ export default function InstructionsPage() {
         },
         {
             title: "3. Send Your Campaign",
-            description: "When you're ready, click the 'Send Campaign' button at the top of the dashboard. The system will send emails to all contacts with a 'Pending' status. You'll see a notification when the campaign is complete.",
+            description: "When you're ready, click the 'Send Campaign' button at the top of the dashboard. The system queues a background send to all contacts with a 'Pending' status, so you can close the tab while it runs. Use Pause, Resume and Cancel to control it; an interrupted send picks up where it left off when the server restarts. To send later, use 'Schedule' to pick a date and time, optionally delivered at that time in each contact's own time zone.",
         },
         {
             title: "4. Track Your Analytics",
@@ -1,16 +1,43 @@
 import Dashboard from "@/components/Dashboard";
-import { getCampaign, getContacts, getAnalytics } from "@/app/actions";
+import { getCampaigns, getRecipients, getAnalytics, getSendingAccounts, getSuppressions, getSigningKeys, getWebhooks, getMailProviders, getCustomFields, getTemplates } from "@/app/actions";
 
-export default async function DashboardPage() {
-  const campaign = await getCampaign();
-  const contacts = await getContacts();
-  const analytics = await getAnalytics();
+// Always read the latest data from storage instead of prerendering at build time.
+export const dynamic = "force-dynamic";
+
+export default async function DashboardPage({
+  searchParams,
+}: {
+  searchParams: Promise<{ campaign?: string }>;
+}) {
+  const { campaign: requestedId } = await searchParams;
+  const campaigns = await getCampaigns();
+  const campaign =
+    campaigns.find(c => c.id === requestedId) ??
+    [...campaigns].reverse().find(c => c.status !== "archived") ??
+    campaigns[campaigns.length - 1];
+  const contacts = await getRecipients(campaign.id);
+  const analytics = await getAnalytics(campaign.id);
+  const sendingAccounts = await getSendingAccounts();
+  const suppressions = await getSuppressions();
+  const signingKeys = await getSigningKeys();
+  const webhooks = await getWebhooks();
+  const mailProviders = await getMailProviders();
+  const customFields = await getCustomFields();
+  const templates = await getTemplates();
 
   return (
     <Dashboard
+      campaigns={campaigns}
       initialCampaign={campaign}
       initialContacts={contacts}
       initialAnalytics={analytics}
+      sendingAccounts={sendingAccounts}
+      suppressions={suppressions}
+      signingKeys={signingKeys}
+      webhooks={webhooks}
+      mailProviders={mailProviders}
+      customFields={customFields}
+      templates={templates}
     />
   );
 }
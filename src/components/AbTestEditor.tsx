@@ -0,0 +1,92 @@
+'use client';
+
+import type { AbTestSettings } from '@/lib/types';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { PlusCircle, Trash2, FlaskConical } from 'lucide-react';
+import { MAX_VARIANTS } from '@/lib/abTest';
+import { EmailBodyEditor } from '@/components/EmailBodyEditor';
+
+// Variants B, C, ... of the subject and body, and how the winner is picked.
+// Variant A is the campaign's own subject and body.
+export function AbTestEditor({ value, onChange, started, mergeTags }: { value: AbTestSettings | null, onChange: (value: AbTestSettings | null) => void, started: boolean, mergeTags: string[] }) {
+    const letter = (index: number) => String.fromCharCode(66 + index);
+
+    const setVariant = (index: number, patch: { subject?: string, body?: string }) => {
+        if (!value) return;
+        onChange({ ...value, variants: value.variants.map((v, i) => i === index ? { ...v, ...patch } : v) });
+    };
+
+    const addVariant = () => {
+        if (!value) return;
+        onChange({ ...value, variants: [...value.variants, { id: letter(value.variants.length), subject: '', body: '' }] });
+    };
+
+    const removeVariant = (index: number) => {
+        if (!value) return;
+        onChange({ ...value, variants: value.variants.filter((_, i) => i !== index) });
+    };
+
+    const handleToggle = (enabled: boolean) => {
+        onChange(enabled ? { variants: [{ id: 'B', subject: '', body: '' }], testPercent: 20, metric: 'open', waitHours: 4 } : null);
+    };
+
+    return (
+        <div className="space-y-4 rounded-lg border p-4">
+            <div className="flex items-center justify-between gap-4">
+                <div>
+                    <Label htmlFor="ab-test" className="flex items-center gap-2"><FlaskConical className="w-4 h-4" />A/B Test</Label>
+                    <p className="text-xs text-muted-foreground mt-1">
+                        Send variants to a slice of your contacts first, then the best one to everyone else.
+                    </p>
+                </div>
+                <Switch id="ab-test" checked={!!value} onCheckedChange={handleToggle} disabled={started} />
+            </div>
+            {started && (
+                <p className="text-sm text-muted-foreground">This test has started sending, so its variants and settings are locked.</p>
+            )}
+            {value && (
+                <>
+                    {value.variants.map((variant, index) => (
+                        <div key={index} className="space-y-2 rounded-md bg-secondary p-3">
+                            <div className="flex items-center justify-between">
+                                <span className="text-sm font-medium">Variant {letter(index)}</span>
+                                <Button variant="ghost" size="sm" onClick={() => removeVariant(index)} disabled={started || value.variants.length === 1}>
+                                    <Trash2 className="h-4 w-4" />
+                                </Button>
+                            </div>
+                            <Input value={variant.subject} onChange={e => setVariant(index, { subject: e.target.value })} placeholder="Subject" disabled={started} />
+                            <EmailBodyEditor value={variant.body} onChange={body => setVariant(index, { body })} mergeTags={mergeTags} disabled={started} minHeight={140} />
+                        </div>
+                    ))}
+                    <Button variant="outline" size="sm" onClick={addVariant} disabled={started || value.variants.length >= MAX_VARIANTS - 1}>
+                        <PlusCircle className="mr-2 h-4 w-4" />Add Variant
+                    </Button>
+                    <div className="grid gap-4 md:grid-cols-3">
+                        <div>
+                            <Label htmlFor="ab-test-percent">Test slice (% of contacts)</Label>
+                            <Input id="ab-test-percent" type="number" min={1} max={100} value={value.testPercent} onChange={e => onChange({ ...value, testPercent: Number(e.target.value) })} disabled={started} />
+                        </div>
+                        <div>
+                            <Label htmlFor="ab-test-metric">Pick the winner by</Label>
+                            <Select value={value.metric} onValueChange={metric => onChange({ ...value, metric: metric as AbTestSettings['metric'] })} disabled={started}>
+                                <SelectTrigger id="ab-test-metric"><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem value="open">Open rate</SelectItem>
+                                    <SelectItem value="click">Click rate</SelectItem>
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div>
+                            <Label htmlFor="ab-test-wait">Wait before picking (hours)</Label>
+                            <Input id="ab-test-wait" type="number" min={1} step="any" value={value.waitHours} onChange={e => onChange({ ...value, waitHours: Number(e.target.value) })} disabled={started} />
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,76 @@
+'use client';
+
+import { useState, useTransition } from 'react';
+import type { NewContact } from '@/lib/types';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger, DialogFooter, DialogClose } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { PlusCircle, Loader2 } from 'lucide-react';
+import { listTimeZones } from '@/lib/timeZones';
+
+/** Adds a single contact by hand. */
+export function AddContactDialog({ onAdd }: { onAdd: (contact: NewContact) => void }) {
+    const [isPending, startTransition] = useTransition();
+    const [firstName, setFirstName] = useState('');
+    const [lastName, setLastName] = useState('');
+    const [email, setEmail] = useState('');
+    const [timeZone, setTimeZone] = useState('');
+    const [isOpen, setIsOpen] = useState(false);
+
+    const handleAdd = () => {
+        startTransition(() => {
+            onAdd({ firstName, lastName, email, timeZone: timeZone || null });
+            setIsOpen(false);
+            setFirstName('');
+            setLastName('');
+            setEmail('');
+            setTimeZone('');
+        });
+    };
+
+    return (
+        <Dialog open={isOpen} onOpenChange={setIsOpen}>
+            <DialogTrigger asChild>
+                <Button>
+                    <PlusCircle className="mr-2 h-4 w-4" />
+                    Add Contact
+                </Button>
+            </DialogTrigger>
+            <DialogContent>
+                <DialogHeader>
+                    <DialogTitle>Add New Contact</DialogTitle>
+                    <DialogDescription>Enter the details for the new contact.</DialogDescription>
+                </DialogHeader>
+                <div className="space-y-4 py-4">
+                    <div className="space-y-2">
+                        <Label htmlFor="firstName">First Name</Label>
+                        <Input id="firstName" value={firstName} onChange={e => setFirstName(e.target.value)} />
+                    </div>
+                     <div className="space-y-2">
+                        <Label htmlFor="lastName">Last Name</Label>
+                        <Input id="lastName" value={lastName} onChange={e => setLastName(e.target.value)} />
+                    </div>
+                     <div className="space-y-2">
+                        <Label htmlFor="email">Email</Label>
+                        <Input id="email" type="email" value={email} onChange={e => setEmail(e.target.value)} />
+                    </div>
+                     <div className="space-y-2">
+                        <Label htmlFor="timeZone">Time Zone</Label>
+                        <Input id="timeZone" list="time-zones" value={timeZone} onChange={e => setTimeZone(e.target.value)} placeholder="e.g. Europe/Berlin" />
+                        <datalist id="time-zones">
+                            {listTimeZones().map(zone => <option key={zone} value={zone} />)}
+                        </datalist>
+                        <p className="text-xs text-muted-foreground">Optional. Used when a campaign is scheduled in each contact's local time.</p>
+                    </div>
+                </div>
+                <DialogFooter>
+                    <DialogClose asChild><Button variant="outline">Cancel</Button></DialogClose>
+                    <Button onClick={handleAdd} disabled={isPending || !email}>
+                        {isPending ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Adding...</> : 'Add Contact'}
+                    </Button>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
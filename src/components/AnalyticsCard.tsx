@@ -0,0 +1,101 @@
+'use client';
+
+import type { Analytics } from '@/lib/types';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Progress } from '@/components/ui/progress';
+import { Mail, Users, BarChart, Send, Rocket, MousePointerClick, Percent } from 'lucide-react';
+import { formatDistanceStrict } from 'date-fns';
+import { ExportReportMenu } from '@/components/ExportReportMenu';
+import { VariantsTable } from '@/components/VariantsTable';
+
+/** The campaign's headline numbers, updated live while it sends. */
+export function AnalyticsCard({ campaignId, analytics, etaMs }: { campaignId: string, analytics: Analytics, etaMs: number | null }) {
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-start justify-between gap-4 space-y-0">
+                <div className="space-y-1.5">
+                    <CardTitle className="flex items-center gap-2"><BarChart className="w-6 h-6" />Campaign Analytics</CardTitle>
+                    <CardDescription>An overview of your campaign performance.</CardDescription>
+                </div>
+                <ExportReportMenu campaignId={campaignId} />
+            </CardHeader>
+            <CardContent>
+                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 text-center">
+                    <div className="p-4 rounded-lg bg-secondary">
+                        <Users className="w-6 h-6 mx-auto mb-2 text-primary" />
+                        <p className="text-2xl font-bold">{analytics.total}</p>
+                        <p className="text-sm text-muted-foreground">Total Contacts</p>
+                    </div>
+                    <div className="p-4 rounded-lg bg-secondary">
+                        <Send className="w-6 h-6 mx-auto mb-2 text-blue-500" />
+                        <p className="text-2xl font-bold">{analytics.sent}</p>
+                        <p className="text-sm text-muted-foreground">Sent</p>
+                        {analytics.bounced > 0 && (
+                            <p className="text-xs text-muted-foreground mt-1">{analytics.bounced} bounced · {analytics.hardBounces} hard</p>
+                        )}
+                    </div>
+                    <div className="p-4 rounded-lg bg-secondary">
+                        <Mail className="w-6 h-6 mx-auto mb-2 text-green-500" />
+                        <p className="text-2xl font-bold">{analytics.opened}</p>
+                        <p className="text-sm text-muted-foreground">Opened</p>
+                        <p className="text-xs text-muted-foreground mt-1" title="Machine opens are pixel fetches by mail privacy proxies and scanners; they don't count towards Opened.">
+                            {analytics.totalOpens} total · {analytics.machineOpens} machine
+                        </p>
+                    </div>
+                    <div className="p-4 rounded-lg bg-secondary">
+                        <Rocket className="w-6 h-6 mx-auto mb-2 text-violet-500" />
+                        <p className="text-2xl font-bold">{analytics.openRate}%</p>
+                        <p className="text-sm text-muted-foreground">Open Rate</p>
+                    </div>
+                    <div className="p-4 rounded-lg bg-secondary">
+                        <MousePointerClick className="w-6 h-6 mx-auto mb-2 text-orange-500" />
+                        <p className="text-2xl font-bold">{analytics.clicked}</p>
+                        <p className="text-sm text-muted-foreground">Clicked</p>
+                        {analytics.replied > 0 && <p className="text-xs text-muted-foreground mt-1">{analytics.replied} replied</p>}
+                    </div>
+                    <div className="p-4 rounded-lg bg-secondary">
+                        <Percent className="w-6 h-6 mx-auto mb-2 text-pink-500" />
+                        <p className="text-2xl font-bold">{analytics.clickRate}%</p>
+                        <p className="text-sm text-muted-foreground">Click Rate</p>
+                    </div>
+                </div>
+                <div className="mt-4 space-y-2">
+                    <div>
+                        <div className="flex justify-between mb-1">
+                            <span className="text-sm font-medium text-muted-foreground">Sent Progress</span>
+                            <span className="text-sm font-medium">
+                                {analytics.sent} / {analytics.total}
+                                {etaMs !== null && <span className="ml-2 text-muted-foreground">· about {formatDistanceStrict(0, etaMs)} left</span>}
+                            </span>
+                        </div>
+                        <Progress value={analytics.sentRate} />
+                    </div>
+                </div>
+                {analytics.variantTest && <VariantsTable variants={analytics.variants} test={analytics.variantTest} />}
+                {analytics.links.length > 0 && (
+                    <div className="mt-6 border rounded-lg overflow-hidden">
+                        <Table>
+                            <TableHeader className="bg-secondary">
+                                <TableRow>
+                                    <TableHead>Link</TableHead>
+                                    <TableHead className="text-right">Clicks</TableHead>
+                                    <TableHead className="text-right">Unique Clicks</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {analytics.links.map(link => (
+                                    <TableRow key={link.url}>
+                                        <TableCell className="max-w-md truncate"><a href={link.url} target="_blank" rel="noreferrer" className="hover:underline">{link.url}</a></TableCell>
+                                        <TableCell className="text-right">{link.clicks}</TableCell>
+                                        <TableCell className="text-right">{link.uniqueClicks}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,176 @@
+'use client';
+
+import { useState, useTransition } from 'react';
+import type { AbTestSettings, Campaign, CampaignContent, ContentCheck, CustomField, EmailTemplate, MailProviderInfo, MailProviderKind, Recipient } from '@/lib/types';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle, CardFooter } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { checkCampaignContent } from '@/app/actions';
+import { Loader2, ShieldCheck } from 'lucide-react';
+import { campaignTemplateFields, MERGE_TAGS, mergeTagErrors } from '@/lib/mergeTags';
+import { BODY_SLOT, slotLabel, templateSlots } from '@/lib/emailTemplates';
+import { htmlToText } from '@shared/htmlToText';
+import { EmailBodyEditor } from '@/components/EmailBodyEditor';
+import { EmailPreview } from '@/components/EmailPreview';
+import { MailProviderSelect } from '@/components/MailProviderSelect';
+import { AbTestEditor } from '@/components/AbTestEditor';
+import { ContentCheckPanel } from '@/components/ContentCheckPanel';
+
+/** Edits the campaign's content and settings. */
+export function CampaignEditor({ campaign, contacts, customFields, templates, providers, accountProvider, onSave }: { campaign: Campaign, contacts: Recipient[], customFields: CustomField[], templates: EmailTemplate[], providers: MailProviderInfo[], accountProvider: MailProviderKind, onSave: (data: CampaignContent, abTest: AbTestSettings | null) => void }) {
+    const [isPending, startTransition] = useTransition();
+    const [name, setName] = useState(campaign.name);
+    const [subject, setSubject] = useState(campaign.subject);
+    const [body, setBody] = useState(campaign.body);
+    const [senderName, setSenderName] = useState(campaign.senderName);
+    const [senderEmail, setSenderEmail] = useState(campaign.senderEmail);
+    const [abTest, setAbTest] = useState<AbTestSettings | null>(campaign.abTest);
+    const [rewriteSpamWords, setRewriteSpamWords] = useState(campaign.rewriteSpamWords);
+    const [provider, setProvider] = useState(campaign.provider);
+    const [templateId, setTemplateId] = useState(campaign.templateId);
+    // Kept for every template picked, so switching back and forth loses nothing.
+    const [slotDrafts, setSlotDrafts] = useState(campaign.slots);
+    const [textBody, setTextBody] = useState(campaign.textBody);
+    const [checks, setChecks] = useState<ContentCheck[] | null>(null);
+    const [isChecking, startChecking] = useTransition();
+    const [tagErrors, setTagErrors] = useState<string[]>([]);
+    const mergeTags = [...MERGE_TAGS, ...customFields.map(f => f.name)];
+    const template = templates.find(t => t.id === templateId);
+    const extraSlots = template ? templateSlots(template.html).filter(slot => slot !== BODY_SLOT) : [];
+    const slots = Object.fromEntries(extraSlots.map(slot => [slot, slotDrafts[slot] ?? '']));
+
+    const handleSave = () => {
+        const errors = mergeTagErrors(campaignTemplateFields({ subject, body, slots, textBody }, abTest), customFields);
+        setTagErrors(errors);
+        if (errors.length > 0) return;
+        startTransition(() => {
+            onSave({ name, subject, body, senderName, senderEmail, replyTo: campaign.replyTo, rewriteSpamWords, provider, templateId, slots, textBody }, abTest);
+        });
+    };
+
+    // Checks what is in the editor, saved or not.
+    const handleCheck = () => {
+        startChecking(async () => {
+            setChecks(await checkCampaignContent({ subject, body, textBody, senderName, rewriteSpamWords, templateId, slots }, abTest?.variants ?? []));
+        });
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle>Campaign Editor</CardTitle>
+                <CardDescription>Craft your email content and settings.</CardDescription>
+            </CardHeader>
+            <CardContent className="grid gap-6 xl:grid-cols-2">
+                <div className="space-y-4">
+                    <div>
+                        <Label htmlFor="name">Campaign Name</Label>
+                        <Input id="name" value={name} onChange={e => setName(e.target.value)} placeholder="e.g. Spring Newsletter" />
+                    </div>
+                    <div>
+                        <Label htmlFor="subject">Subject{abTest && ' (Variant A)'}</Label>
+                        <Input id="subject" value={subject} onChange={e => setSubject(e.target.value)} placeholder="e.g. An important message for {{firstName}}" />
+                        <p className="text-xs text-muted-foreground mt-1">
+                            Use {'{{firstName}}'}, {'{{lastName}}'}, {'{{fullName}}'}, {'{{email}}'} and {'{{date}}'} for personalization,
+                            with fallbacks like {'{{firstName | default: "there"}}'} and filters such as upper, capitalize and {'date: "MMMM d"'}.
+                            {' {% if firstName %}...{% else %}...{% endif %}'} shows text only when a field is filled in.
+                            {customFields.length > 0 && <> Custom fields: {customFields.map(f => `{{${f.name}}}`).join(', ')}.</>}
+                        </p>
+                    </div>
+                    <div>
+                        <Label htmlFor="campaign-template">Template</Label>
+                        <Select value={templateId} onValueChange={setTemplateId}>
+                            <SelectTrigger id="campaign-template"><SelectValue placeholder="Choose a template" /></SelectTrigger>
+                            <SelectContent>
+                                {templates.map(t => <SelectItem key={t.id} value={t.id}>{t.name}</SelectItem>)}
+                            </SelectContent>
+                        </Select>
+                        {template?.description && <p className="text-xs text-muted-foreground mt-1">{template.description}</p>}
+                    </div>
+                    <div>
+                        <Label htmlFor="body">Body{abTest && ' (Variant A)'}</Label>
+                        <EmailBodyEditor id="body" value={body} onChange={setBody} mergeTags={mergeTags} />
+                    </div>
+                    {extraSlots.map(slot => (
+                        <div key={slot}>
+                            <Label htmlFor={`slot-${slot}`}>{slotLabel(slot)}</Label>
+                            <EmailBodyEditor
+                                id={`slot-${slot}`}
+                                value={slots[slot]}
+                                onChange={html => setSlotDrafts(prev => ({ ...prev, [slot]: html }))}
+                                mergeTags={mergeTags}
+                                minHeight={80}
+                            />
+                        </div>
+                    ))}
+                    <div className="space-y-2">
+                        <div className="flex items-center justify-between gap-4">
+                            <div>
+                                <Label htmlFor="custom-text">Write the plain-text version myself</Label>
+                                <p className="text-xs text-muted-foreground mt-1">
+                                    Email clients that don't show HTML get this instead. Left off, it's made from the HTML.
+                                    An unsubscribe link is added at the end{abTest && ', and variants B and up always get the version made from their HTML'}.
+                                </p>
+                            </div>
+                            {/* Starts from the body as text, merge tags and all. */}
+                            <Switch id="custom-text" checked={textBody !== null} onCheckedChange={on => setTextBody(on ? htmlToText(body) : null)} />
+                        </div>
+                        {textBody !== null && (
+                            <Textarea value={textBody} onChange={e => setTextBody(e.target.value)} rows={10} className="font-mono text-xs" aria-label="Plain-text version" />
+                        )}
+                    </div>
+                    <div className="flex items-center justify-between gap-4">
+                        <div>
+                            <Label htmlFor="rewrite-spam-words">Rewrite spam trigger words</Label>
+                            <p className="text-xs text-muted-foreground mt-1">
+                                Swap words like "FREE" or "URGENT" in the subject for milder ones when sending.
+                            </p>
+                        </div>
+                        <Switch id="rewrite-spam-words" checked={rewriteSpamWords} onCheckedChange={setRewriteSpamWords} />
+                    </div>
+                    <div>
+                        <Label htmlFor="campaign-provider">Delivery</Label>
+                        <MailProviderSelect
+                            id="campaign-provider"
+                            providers={providers}
+                            value={provider}
+                            onChange={setProvider}
+                            defaultLabel={`Sending account default (${providers.find(p => p.kind === accountProvider)?.label ?? accountProvider})`}
+                        />
+                    </div>
+                    <AbTestEditor value={abTest} onChange={setAbTest} started={!!campaign.abTest?.decideAt} mergeTags={mergeTags} />
+                    {tagErrors.length > 0 && (
+                        <div className="rounded-lg border border-destructive/50 p-4 text-sm text-destructive space-y-1">
+                            <p className="font-medium">Fix these merge tags before saving:</p>
+                            <ul className="list-disc pl-5">
+                                {tagErrors.map(error => <li key={error}>{error}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                    {checks && <ContentCheckPanel checks={checks} />}
+                </div>
+                <div className="xl:sticky xl:top-4 xl:self-start">
+                    <Label>Preview</Label>
+                    <EmailPreview
+                        versions={[{ id: abTest ? 'A' : null, subject, body, textBody }, ...(abTest?.variants ?? [])]}
+                        settings={{ senderName, rewriteSpamWords, templateId, slots }}
+                        contacts={contacts}
+                    />
+                </div>
+            </CardContent>
+            <CardFooter className="gap-2">
+                 <Button onClick={handleSave} disabled={isPending || campaign.status === 'archived'}>
+                    {isPending ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Saving...</> : 'Save Campaign'}
+                 </Button>
+                 <Button variant="outline" onClick={handleCheck} disabled={isChecking}>
+                    {isChecking ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <ShieldCheck className="mr-2 h-4 w-4" />}
+                    Check Content
+                 </Button>
+            </CardFooter>
+        </Card>
+    );
+}
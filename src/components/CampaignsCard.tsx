@@ -0,0 +1,87 @@
+'use client';
+
+import { useTransition } from 'react';
+import type { CampaignStatus, CampaignSummary } from '@/lib/types';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { PlusCircle, Copy, Archive, Megaphone } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+
+const campaignStatusClasses: Record<CampaignStatus, string> = {
+    draft: 'bg-gray-100 text-gray-800',
+    scheduled: 'bg-amber-100 text-amber-800',
+    sending: 'bg-blue-100 text-blue-800',
+    sent: 'bg-green-100 text-green-800',
+    archived: 'bg-slate-200 text-slate-500',
+};
+
+/** Lists the campaigns to pick from, and creates, duplicates or archives them. */
+export function CampaignsCard({
+    campaigns,
+    activeId,
+    onSelect,
+    onCreate,
+    onDuplicate,
+    onArchive,
+}: {
+    campaigns: CampaignSummary[],
+    activeId: string,
+    onSelect: (id: string) => void,
+    onCreate: () => Promise<void>,
+    onDuplicate: (id: string) => Promise<void>,
+    onArchive: (id: string) => Promise<void>,
+}) {
+    const [isPending, startTransition] = useTransition();
+    const active = campaigns.find(c => c.id === activeId);
+    // Newest first, archived campaigns at the bottom.
+    const sorted = [...campaigns].reverse().sort((a, b) => Number(a.status === 'archived') - Number(b.status === 'archived'));
+
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-start justify-between">
+                <div>
+                    <CardTitle className="flex items-center gap-2"><Megaphone className="w-6 h-6" />Campaigns</CardTitle>
+                    <CardDescription>Pick a campaign to edit, send and track.</CardDescription>
+                </div>
+                <div className="flex gap-2">
+                    <Button variant="outline" onClick={() => startTransition(() => onDuplicate(activeId))} disabled={isPending || !active}><Copy className="mr-2 h-4 w-4" />Duplicate</Button>
+                    <Button variant="outline" onClick={() => startTransition(() => onArchive(activeId))} disabled={isPending || !active || active.status === 'archived' || active.status === 'sending'}><Archive className="mr-2 h-4 w-4" />Archive</Button>
+                    <Button onClick={() => startTransition(onCreate)} disabled={isPending}><PlusCircle className="mr-2 h-4 w-4" />New Campaign</Button>
+                </div>
+            </CardHeader>
+            <CardContent>
+                <div className="border rounded-lg overflow-hidden">
+                    <Table>
+                        <TableHeader className="bg-secondary">
+                            <TableRow>
+                                <TableHead>Name</TableHead>
+                                <TableHead>Status</TableHead>
+                                <TableHead>Sent</TableHead>
+                                <TableHead>Open Rate</TableHead>
+                                <TableHead>Created</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {sorted.map(campaign => (
+                                <TableRow
+                                    key={campaign.id}
+                                    data-state={campaign.id === activeId && "selected"}
+                                    className={`cursor-pointer ${campaign.status === 'archived' ? 'text-muted-foreground' : ''}`}
+                                    onClick={() => onSelect(campaign.id)}
+                                >
+                                    <TableCell className="font-medium">{campaign.name}</TableCell>
+                                    <TableCell><Badge variant="outline" className={`border-transparent capitalize ${campaignStatusClasses[campaign.status]}`}>{campaign.status}</Badge></TableCell>
+                                    <TableCell>{campaign.analytics.sent} / {campaign.analytics.total}</TableCell>
+                                    <TableCell>{campaign.analytics.openRate}%</TableCell>
+                                    <TableCell>{format(parseISO(campaign.createdAt), 'PP')}</TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
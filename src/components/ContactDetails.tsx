@@ -0,0 +1,145 @@
+'use client';
+
+import { useState, useTransition, useEffect } from 'react';
+import type { ContactActivityEntry, ContactActivityType, CustomField, NewContact, Recipient } from '@/lib/types';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { SheetDescription, SheetFooter, SheetHeader, SheetTitle } from '@/components/ui/sheet';
+import { Button } from '@/components/ui/button';
+import { getContactActivity } from '@/app/actions';
+import { Mail, Send, Loader2, XCircle, MailX, MousePointerClick, Activity, Undo2, Reply, Pencil, UserPlus, BellOff, BellRing } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { listTimeZones } from '@/lib/timeZones';
+
+const ACTIVITY_ICONS: Record<ContactActivityType, React.ElementType> = {
+    added: UserPlus,
+    edited: Pencil,
+    sent: Send,
+    failed: XCircle,
+    opened: Mail,
+    clicked: MousePointerClick,
+    bounced: Undo2,
+    replied: Reply,
+    unsubscribed: BellOff,
+    suppressed: MailX,
+    resubscribed: BellRing,
+};
+
+const ACTIVITY_LABELS: Record<ContactActivityType, string> = {
+    added: 'Added',
+    edited: 'Edited',
+    sent: 'Sent',
+    failed: 'Send failed',
+    opened: 'Opened',
+    clicked: 'Clicked',
+    bounced: 'Bounced',
+    replied: 'Replied',
+    unsubscribed: 'Unsubscribed',
+    suppressed: 'Suppressed',
+    resubscribed: 'Can be emailed again',
+};
+
+// The contact sheet: editable fields on top, the contact's history across
+// every campaign below.
+export function ContactDetails({ contact, customFields, onSave }: { contact: Recipient, customFields: CustomField[], onSave: (id: string, contact: NewContact) => Promise<void> }) {
+    const [isPending, startTransition] = useTransition();
+    const [firstName, setFirstName] = useState(contact.firstName);
+    const [lastName, setLastName] = useState(contact.lastName);
+    const [email, setEmail] = useState(contact.email);
+    const [timeZone, setTimeZone] = useState(contact.timeZone ?? '');
+    const [fields, setFields] = useState(contact.fields);
+    const [activity, setActivity] = useState<ContactActivityEntry[] | null>(null);
+
+    // The row changes whenever the contact is edited or something happens
+    // to one of its deliveries, so the timeline is refetched with it.
+    useEffect(() => {
+        let cancelled = false;
+        getContactActivity(contact.id).then(entries => {
+            if (!cancelled) setActivity(entries);
+        });
+        return () => { cancelled = true; };
+    }, [contact]);
+
+    const handleSave = () => {
+        startTransition(async () => {
+            await onSave(contact.id, { firstName, lastName, email, timeZone: timeZone || null, fields });
+        });
+    };
+
+    return (
+        <>
+            <SheetHeader>
+                <SheetTitle>{`${contact.firstName} ${contact.lastName}`.trim() || contact.email}</SheetTitle>
+                <SheetDescription>{contact.email}</SheetDescription>
+            </SheetHeader>
+            <div className="space-y-4 py-6">
+                <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                        <Label htmlFor="contact-first-name">First Name</Label>
+                        <Input id="contact-first-name" value={firstName} onChange={e => setFirstName(e.target.value)} />
+                    </div>
+                    <div className="space-y-2">
+                        <Label htmlFor="contact-last-name">Last Name</Label>
+                        <Input id="contact-last-name" value={lastName} onChange={e => setLastName(e.target.value)} />
+                    </div>
+                </div>
+                <div className="space-y-2">
+                    <Label htmlFor="contact-email">Email</Label>
+                    <Input id="contact-email" type="email" value={email} onChange={e => setEmail(e.target.value)} />
+                </div>
+                <div className="space-y-2">
+                    <Label htmlFor="contact-time-zone">Time Zone</Label>
+                    <Input id="contact-time-zone" list="contact-time-zones" value={timeZone} onChange={e => setTimeZone(e.target.value)} placeholder="e.g. Europe/Berlin" />
+                    <datalist id="contact-time-zones">
+                        {listTimeZones().map(zone => <option key={zone} value={zone} />)}
+                    </datalist>
+                </div>
+                {customFields.map(field => (
+                    <div key={field.name} className="space-y-2">
+                        <Label htmlFor={`contact-field-${field.name}`}>{field.name}</Label>
+                        <Input
+                            id={`contact-field-${field.name}`}
+                            type={field.type}
+                            value={fields[field.name] ?? ''}
+                            onChange={e => setFields(prev => ({ ...prev, [field.name]: e.target.value }))}
+                            placeholder={field.defaultValue ? `Default: ${field.defaultValue}` : undefined}
+                        />
+                    </div>
+                ))}
+            </div>
+            <SheetFooter>
+                <Button onClick={handleSave} disabled={isPending || !email}>
+                    {isPending ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Saving...</> : 'Save Contact'}
+                </Button>
+            </SheetFooter>
+
+            <h3 className="mt-8 mb-4 text-sm font-semibold flex items-center gap-2"><Activity className="w-4 h-4" />Activity</h3>
+            {activity === null ? (
+                <div className="flex justify-center py-6"><Loader2 className="h-5 w-5 animate-spin text-muted-foreground" /></div>
+            ) : activity.length === 0 ? (
+                <p className="text-sm text-muted-foreground">Nothing has happened with this contact yet.</p>
+            ) : (
+                <ol className="relative border-l ml-2 space-y-4">
+                    {activity.map(entry => {
+                        const Icon = ACTIVITY_ICONS[entry.type];
+                        return (
+                            <li key={entry.id} className="ml-6">
+                                <span className="absolute -left-3 flex h-6 w-6 items-center justify-center rounded-full bg-secondary">
+                                    <Icon className="h-3 w-3" />
+                                </span>
+                                <div className="flex flex-wrap items-center gap-2 text-sm">
+                                    <span className="font-medium">{ACTIVITY_LABELS[entry.type]}</span>
+                                    {entry.campaignName && <span className="text-muted-foreground">· {entry.campaignName}</span>}
+                                    {entry.variantId && <Badge variant="outline" title="A/B test variant">{entry.variantId}</Badge>}
+                                </div>
+                                <time className="text-xs text-muted-foreground">{format(parseISO(entry.timestamp), 'PPp')}</time>
+                                {entry.detail && <p className="text-sm text-muted-foreground break-words">{entry.detail}</p>}
+                            </li>
+                        );
+                    })}
+                </ol>
+            )}
+        </>
+    );
+}
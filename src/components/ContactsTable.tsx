@@ -0,0 +1,252 @@
+'use client';
+
+import { useState, useTransition, useRef } from 'react';
+import type { AbTest, CustomField, NewContact, Recipient } from '@/lib/types';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Dialog, DialogContent } from '@/components/ui/dialog';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Badge } from '@/components/ui/badge';
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
+import { Sheet, SheetContent } from '@/components/ui/sheet';
+import { Button } from '@/components/ui/button';
+import { CircleUser, Send, Loader2, CheckCircle2, XCircle, Trash2, Sparkles, Upload, RotateCw, Clock, MailX, Undo2, Reply, FlaskConical } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { parseCsv } from '@/lib/csv';
+import { ContactDetails } from '@/components/ContactDetails';
+import { type CsvImport, csvColumns, extraColumns, ImportColumnsForm } from '@/components/ImportColumnsForm';
+import { AddContactDialog } from '@/components/AddContactDialog';
+
+/** The contacts and how the campaign went for each of them, with ways to add, import and remove contacts. */
+export function ContactsTable({ 
+    contacts, 
+    abTest,
+    customFields,
+    onAddContact, 
+    onAddContacts,
+    onUpdateContact,
+    onDeleteContacts,
+    onCleanContacts,
+}: { 
+    contacts: Recipient[], 
+    abTest: AbTest | null,
+    customFields: CustomField[],
+    onAddContact: (contact: NewContact) => void,
+    onUpdateContact: (id: string, contact: NewContact) => Promise<void>,
+    onAddContacts: (contacts: NewContact[], newFields: CustomField[]) => void,
+    onDeleteContacts: (ids: string[]) => void,
+    onCleanContacts: (ids: string[]) => void,
+}) {
+    const [selectedContactIds, setSelectedContactIds] = useState<string[]>([]);
+    const [openContactId, setOpenContactId] = useState<string | null>(null);
+    const [isPending, startTransition] = useTransition();
+    const fileInputRef = useRef<HTMLInputElement>(null);
+    const [pendingImport, setPendingImport] = useState<CsvImport | null>(null);
+    const openContact = contacts.find(c => c.id === openContactId) ?? null;
+
+    const isAllSelected = contacts.length > 0 && selectedContactIds.length === contacts.length;
+
+    const handleSelectAll = (checked: boolean) => {
+        setSelectedContactIds(checked ? contacts.map(c => c.id) : []);
+    };
+
+    const handleSelectOne = (contactId: string, checked: boolean) => {
+        setSelectedContactIds(prev =>
+            checked ? [...prev, contactId] : prev.filter(id => id !== contactId)
+        );
+    };
+    
+    const handleDelete = () => {
+        startTransition(() => {
+            onDeleteContacts(selectedContactIds);
+            setSelectedContactIds([]);
+        });
+    };
+    
+    const handleClean = () => {
+        startTransition(() => {
+            onCleanContacts(selectedContactIds);
+            setSelectedContactIds([]);
+        });
+    };
+
+    const handleImportClick = () => {
+        fileInputRef.current?.click();
+    };
+    
+    const handleFileImport = (event: React.ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const text = e.target?.result;
+            if (typeof text !== 'string') return;
+            
+            const [header = [], ...rows] = parseCsv(text).map(row => row.map(cell => cell.trim()));
+            const csv = { header, rows, columns: csvColumns(header) };
+            
+            if (csv.columns.email === -1) {
+                // You would use your toast hook here to show an error
+                console.error("CSV must have an 'email' column.");
+                return;
+            }
+
+            // Anything beyond the standard columns can go into custom fields.
+            if (extraColumns(csv).length > 0) {
+                setPendingImport(csv);
+            } else {
+                importCsv(csv, {}, []);
+            }
+        };
+        reader.readAsText(file);
+        event.target.value = ''; // Reset file input
+    };
+
+    // `mapping` says which custom field each extra column goes into.
+    const importCsv = ({ rows, columns }: CsvImport, mapping: Record<number, string>, newFields: CustomField[]) => {
+        const newContacts = rows.map(values => ({
+            email: values[columns.email] || '',
+            firstName: values[columns.firstName] || '',
+            lastName: values[columns.lastName] || '',
+            timeZone: values[columns.timeZone] || null,
+            fields: Object.fromEntries(Object.entries(mapping).map(([index, name]) => [name, values[Number(index)] ?? ''])),
+        })).filter(c => c.email);
+        
+        setPendingImport(null);
+        startTransition(() => {
+            onAddContacts(newContacts, newFields);
+        });
+    };
+
+    // Shows why the last attempt failed when hovering an Error or Retrying pill.
+    const WithReason = ({ reason, children }: { reason: string | null, children: React.ReactElement }) => {
+        if (!reason) return children;
+        return (
+            <TooltipProvider>
+                <Tooltip>
+                    <TooltipTrigger asChild>{children}</TooltipTrigger>
+                    <TooltipContent className="max-w-xs">{reason}</TooltipContent>
+                </Tooltip>
+            </TooltipProvider>
+        );
+    };
+
+    const StatusPill = ({ recipient }: { recipient: Recipient }) => {
+        const baseClasses = "px-2 py-1 text-xs font-medium rounded-full inline-flex items-center gap-1.5";
+        const { status, error, nextAttemptAt, attempts } = recipient;
+        if (status === 'Sent') {
+            return <div className={`${baseClasses} bg-blue-100 text-blue-800`}><CheckCircle2 className="w-3 h-3" />Sent</div>;
+        }
+        if (status === 'Error') {
+            return <WithReason reason={error}><div className={`${baseClasses} bg-red-100 text-red-800 cursor-help`}><XCircle className="w-3 h-3" />Error</div></WithReason>;
+        }
+        if (status === 'Sending') {
+            return <div className={`${baseClasses} bg-indigo-100 text-indigo-800`}><Send className="w-3 h-3" />Sending</div>;
+        }
+        if (status === 'Suppressed') {
+            return <div className={`${baseClasses} bg-slate-200 text-slate-600`}><MailX className="w-3 h-3" />Suppressed</div>;
+        }
+        if (status === 'Replied' && recipient.replyTimestamp) {
+            return <WithReason reason={`Replied ${format(parseISO(recipient.replyTimestamp), 'Pp')}`}><div className={`${baseClasses} bg-emerald-100 text-emerald-800 cursor-help`}><Reply className="w-3 h-3" />Replied</div></WithReason>;
+        }
+        if (status === 'Bounced' && recipient.bounce) {
+            const { kind, status: code, diagnostic } = recipient.bounce;
+            const reason = `${kind === 'hard' ? 'Hard' : 'Soft'} bounce (${code})${diagnostic ? `: ${diagnostic}` : ''}`;
+            return <WithReason reason={reason}><div className={`${baseClasses} bg-purple-100 text-purple-800 cursor-help`}><Undo2 className="w-3 h-3" />{kind === 'hard' ? 'Bounced' : 'Soft Bounce'}</div></WithReason>;
+        }
+        if (error && nextAttemptAt) {
+            const reason = `Attempt ${attempts} failed: ${error}. Retrying at ${format(parseISO(nextAttemptAt), 'p')}.`;
+            return <WithReason reason={reason}><div className={`${baseClasses} bg-orange-100 text-orange-800 cursor-help`}><RotateCw className="w-3 h-3" />Retrying</div></WithReason>;
+        }
+        if (nextAttemptAt && abTest?.decideAt && !abTest.winnerId && recipient.variantId === null) {
+            const reason = `Waiting for the A/B test winner, picked at ${format(parseISO(abTest.decideAt), 'Pp')}.`;
+            return <WithReason reason={reason}><div className={`${baseClasses} bg-amber-100 text-amber-800 cursor-help`}><FlaskConical className="w-3 h-3" />Scheduled</div></WithReason>;
+        }
+        if (nextAttemptAt) {
+            const reason = `Held until ${format(parseISO(nextAttemptAt), 'Pp')}, the scheduled time in ${recipient.timeZone ?? 'the campaign time zone'}.`;
+            return <WithReason reason={reason}><div className={`${baseClasses} bg-amber-100 text-amber-800 cursor-help`}><Clock className="w-3 h-3" />Scheduled</div></WithReason>;
+        }
+        return <div className={`${baseClasses} bg-yellow-100 text-yellow-800`}><Loader2 className="w-3 h-3 animate-spin" />Pending</div>;
+    };
+    
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-start justify-between">
+                <div>
+                    <CardTitle className="flex items-center gap-2"><CircleUser className="w-6 h-6" />Contacts</CardTitle>
+                    <CardDescription>Manage your campaign recipients.</CardDescription>
+                </div>
+                <div className="flex gap-2">
+                    <input type="file" ref={fileInputRef} onChange={handleFileImport} accept=".csv" className="hidden" />
+                    <Button variant="outline" onClick={handleImportClick}><Upload className="mr-2 h-4 w-4" />Import CSV</Button>
+                    <AddContactDialog onAdd={onAddContact} />
+                </div>
+            </CardHeader>
+            <CardContent>
+                 {selectedContactIds.length > 0 && (
+                    <div className="mb-4 flex items-center gap-2 p-2 rounded-lg bg-secondary">
+                        <p className="text-sm font-medium">{selectedContactIds.length} selected</p>
+                        <Button variant="outline" size="sm" onClick={handleClean} disabled={isPending}><Sparkles className="mr-2 h-4 w-4" />Clean</Button>
+                        <Button variant="destructive" size="sm" onClick={handleDelete} disabled={isPending}><Trash2 className="mr-2 h-4 w-4" />Delete</Button>
+                    </div>
+                 )}
+                <div className="border rounded-lg overflow-hidden">
+                    <Table>
+                        <TableHeader className="bg-secondary">
+                            <TableRow>
+                                <TableHead className="w-[50px]"><Checkbox checked={isAllSelected} onCheckedChange={handleSelectAll} /></TableHead>
+                                <TableHead>Name</TableHead>
+                                <TableHead>Email</TableHead>
+                                <TableHead>Time Zone</TableHead>
+                                <TableHead>Status</TableHead>
+                                <TableHead>Sent Time</TableHead>
+                                <TableHead>Open Time</TableHead>
+                                <TableHead>Reply</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {contacts.length === 0 ? (
+                                <TableRow>
+                                    <TableCell colSpan={8} className="text-center h-24 text-muted-foreground">
+                                        No contacts yet. Add one or import a CSV to get started!
+                                    </TableCell>
+                                </TableRow>
+                            ) : contacts.map(contact => (
+                                <TableRow key={contact.id} data-state={selectedContactIds.includes(contact.id) && "selected"} className="cursor-pointer" onClick={() => setOpenContactId(contact.id)}>
+                                    <TableCell onClick={e => e.stopPropagation()}><Checkbox checked={selectedContactIds.includes(contact.id)} onCheckedChange={(checked) => handleSelectOne(contact.id, !!checked)} /></TableCell>
+                                    <TableCell className="font-medium">{contact.firstName} {contact.lastName}</TableCell>
+                                    <TableCell className="text-muted-foreground">{contact.email}</TableCell>
+                                    <TableCell className="text-muted-foreground">{contact.timeZone ?? '—'}</TableCell>
+                                    <TableCell>
+                                        <div className="flex items-center gap-2">
+                                            <StatusPill recipient={contact} />
+                                            {abTest && contact.variantId && <Badge variant="outline" title="A/B test variant">{contact.variantId}</Badge>}
+                                        </div>
+                                    </TableCell>
+                                    <TableCell>{contact.sentTimestamp ? format(parseISO(contact.sentTimestamp), 'Pp') : '—'}</TableCell>
+                                    <TableCell>{contact.openTimestamp ? <span className="text-green-600 font-medium">{format(parseISO(contact.openTimestamp), 'Pp')}</span> : '—'}</TableCell>
+                                    <TableCell className="max-w-xs">
+                                        {contact.replySnippet !== null ? (
+                                            <p className="truncate text-sm text-muted-foreground" title={contact.replySnippet}>{contact.replySnippet || <em>No text</em>}</p>
+                                        ) : '—'}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </div>
+            </CardContent>
+            <Sheet open={!!openContact} onOpenChange={open => !open && setOpenContactId(null)}>
+                <SheetContent className="w-full sm:max-w-lg overflow-y-auto">
+                    {openContact && <ContactDetails key={openContact.id} contact={openContact} customFields={customFields} onSave={onUpdateContact} />}
+                </SheetContent>
+            </Sheet>
+            <Dialog open={!!pendingImport} onOpenChange={open => !open && setPendingImport(null)}>
+                <DialogContent>
+                    {pendingImport && <ImportColumnsForm csv={pendingImport} customFields={customFields} onImport={(mapping, newFields) => importCsv(pendingImport, mapping, newFields)} />}
+                </DialogContent>
+            </Dialog>
+        </Card>
+    );
+}
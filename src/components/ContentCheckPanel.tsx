@@ -0,0 +1,48 @@
+'use client';
+
+import type { ContentCheck, LintSeverity } from '@/lib/types';
+import { Badge } from '@/components/ui/badge';
+import { CheckCircle2, XCircle, AlertTriangle, Info } from 'lucide-react';
+
+const LINT_ICONS: Record<LintSeverity, { icon: React.ElementType, className: string }> = {
+    error: { icon: XCircle, className: 'text-red-600' },
+    warning: { icon: AlertTriangle, className: 'text-amber-600' },
+    info: { icon: Info, className: 'text-blue-600' },
+};
+
+const scoreClasses = (score: number) =>
+    score >= 80 ? 'bg-green-100 text-green-800' : score >= 50 ? 'bg-amber-100 text-amber-800' : 'bg-red-100 text-red-800';
+
+// Results of the pre-send check, one block per A/B variant.
+export function ContentCheckPanel({ checks }: { checks: ContentCheck[] }) {
+    return (
+        <div className="space-y-4 rounded-lg border p-4">
+            {checks.map(check => (
+                <div key={check.variantId ?? 'campaign'} className="space-y-2">
+                    <div className="flex items-center gap-2">
+                        <span className="text-sm font-medium">{check.variantId ? `Variant ${check.variantId}` : 'Content Check'}</span>
+                        <Badge variant="outline" className={`border-transparent ${scoreClasses(check.score)}`}>{check.score}/100</Badge>
+                    </div>
+                    {check.issues.length === 0 ? (
+                        <p className="flex items-center gap-2 text-sm text-muted-foreground"><CheckCircle2 className="h-4 w-4 text-green-600" />No problems found.</p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {check.issues.map(issue => {
+                                const { icon: Icon, className } = LINT_ICONS[issue.severity];
+                                return (
+                                    <li key={issue.id} className="flex gap-2 text-sm">
+                                        <Icon className={`mt-0.5 h-4 w-4 shrink-0 ${className}`} />
+                                        <div>
+                                            <p>{issue.message}</p>
+                                            <p className="text-xs text-muted-foreground">{issue.suggestion}</p>
+                                        </div>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
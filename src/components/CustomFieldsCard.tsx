@@ -0,0 +1,122 @@
+'use client';
+
+import { useState, useTransition } from 'react';
+import type { CustomField, CustomFieldType } from '@/lib/types';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { PlusCircle, Loader2, Trash2, Tags } from 'lucide-react';
+import { CUSTOM_FIELD_TYPES } from '@/lib/customFields';
+
+const CUSTOM_FIELD_TYPE_LABELS: Record<CustomFieldType, string> = { text: 'Text', number: 'Number', date: 'Date' };
+
+function CustomFieldTypeSelect({ id, value, onChange, disabled }: { id?: string, value: CustomFieldType, onChange: (type: CustomFieldType) => void, disabled?: boolean }) {
+    return (
+        <Select value={value} onValueChange={type => onChange(type as CustomFieldType)} disabled={disabled}>
+            <SelectTrigger id={id} className="w-32"><SelectValue /></SelectTrigger>
+            <SelectContent>
+                {CUSTOM_FIELD_TYPES.map(type => <SelectItem key={type} value={type}>{CUSTOM_FIELD_TYPE_LABELS[type]}</SelectItem>)}
+            </SelectContent>
+        </Select>
+    );
+}
+
+function CustomFieldRow({ field, onUpdate, onDelete }: {
+    field: CustomField,
+    onUpdate: (name: string, patch: Pick<CustomField, 'type' | 'defaultValue'>) => Promise<void>,
+    onDelete: (name: string) => Promise<void>,
+}) {
+    const [isPending, startTransition] = useTransition();
+    const [type, setType] = useState(field.type);
+    const [defaultValue, setDefaultValue] = useState(field.defaultValue ?? '');
+    const changed = type !== field.type || defaultValue !== (field.defaultValue ?? '');
+
+    return (
+        <TableRow>
+            <TableCell className="font-mono text-sm">{`{{${field.name}}}`}</TableCell>
+            <TableCell><CustomFieldTypeSelect value={type} onChange={setType} disabled={isPending} /></TableCell>
+            <TableCell><Input value={defaultValue} onChange={e => setDefaultValue(e.target.value)} placeholder="No default" disabled={isPending} /></TableCell>
+            <TableCell className="text-right whitespace-nowrap">
+                <Button variant="outline" size="sm" disabled={isPending || !changed} onClick={() => startTransition(() => onUpdate(field.name, { type, defaultValue: defaultValue || null }))}>Save</Button>
+                <Button variant="ghost" size="sm" disabled={isPending} onClick={() => startTransition(() => onDelete(field.name))} title="Delete the field and every contact's value for it">
+                    <Trash2 className="h-4 w-4" />
+                </Button>
+            </TableCell>
+        </TableRow>
+    );
+}
+
+/** The extra fields contacts can carry, usable as merge tags. */
+export function CustomFieldsCard({ fields, onAdd, onUpdate, onDelete }: {
+    fields: CustomField[],
+    onAdd: (field: CustomField) => Promise<boolean>,
+    onUpdate: (name: string, patch: Pick<CustomField, 'type' | 'defaultValue'>) => Promise<void>,
+    onDelete: (name: string) => Promise<void>,
+}) {
+    const [isPending, startTransition] = useTransition();
+    const [name, setName] = useState('');
+    const [type, setType] = useState<CustomFieldType>('text');
+    const [defaultValue, setDefaultValue] = useState('');
+
+    const handleAdd = () => {
+        startTransition(async () => {
+            if (await onAdd({ name, type, defaultValue: defaultValue || null })) {
+                setName('');
+                setDefaultValue('');
+            }
+        });
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2"><Tags className="w-6 h-6" />Custom Fields</CardTitle>
+                <CardDescription>
+                    Extra details kept for every contact. Each field is a merge tag named after it, like {'{{company}}'}; the default
+                    is used for contacts who don't have a value. Dates are written as yyyy-mm-dd.
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <div className="flex flex-wrap items-end gap-2 rounded-lg bg-secondary p-4">
+                    <div className="space-y-1">
+                        <Label htmlFor="new-field-name">Name</Label>
+                        <Input id="new-field-name" value={name} onChange={e => setName(e.target.value)} placeholder="e.g. company" />
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="new-field-type">Type</Label>
+                        <CustomFieldTypeSelect id="new-field-type" value={type} onChange={setType} />
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="new-field-default">Default</Label>
+                        <Input id="new-field-default" value={defaultValue} onChange={e => setDefaultValue(e.target.value)} placeholder="Optional" />
+                    </div>
+                    <Button onClick={handleAdd} disabled={isPending || !name.trim()}>
+                        {isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <PlusCircle className="mr-2 h-4 w-4" />}Add Field
+                    </Button>
+                </div>
+                {fields.length === 0 ? (
+                    <p className="text-center text-sm text-muted-foreground">No custom fields yet. Add one here or import a CSV with extra columns.</p>
+                ) : (
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Merge Tag</TableHead>
+                                <TableHead>Type</TableHead>
+                                <TableHead>Default</TableHead>
+                                <TableHead />
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {fields.map(field => (
+                                <CustomFieldRow key={`${field.name}-${field.type}-${field.defaultValue}`} field={field} onUpdate={onUpdate} onDelete={onDelete} />
+                            ))}
+                        </TableBody>
+                    </Table>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
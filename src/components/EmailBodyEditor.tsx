@@ -0,0 +1,241 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { escapeHtml } from '@shared/templateEngine';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu';
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
+import { Bold, Braces, CodeXml, Heading1, Heading2, ImagePlus, Italic, Link2, List, ListOrdered, Pilcrow, RectangleHorizontal, RemoveFormatting, Underline } from 'lucide-react';
+
+// The browser writes ">", "<", "&" and double spaces in text as entities,
+// which would break comparisons and filter arguments inside merge tags.
+function cleanEditorHtml(html: string) {
+    if (html === '<br>' || html === '<p><br></p>') return '';
+    return html.replace(/\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}/g, tag => tag
+        .replace(/&nbsp;|\u00a0/g, ' ')
+        .replace(/&gt;/g, '>')
+        .replace(/&lt;/g, '<')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&'));
+}
+
+function ToolbarButton({ label, icon: Icon, onClick, active }: { label: string, icon: React.ElementType, onClick: () => void, active?: boolean }) {
+    return (
+        <TooltipProvider>
+            <Tooltip>
+                <TooltipTrigger asChild>
+                    {/* Keeps the selection in the editor when clicked. */}
+                    <Button type="button" variant={active ? 'secondary' : 'ghost'} size="sm" className="h-8 w-8 p-0" onMouseDown={e => e.preventDefault()} onClick={onClick} aria-label={label}>
+                        <Icon className="h-4 w-4" />
+                    </Button>
+                </TooltipTrigger>
+                <TooltipContent>{label}</TooltipContent>
+            </Tooltip>
+        </TooltipProvider>
+    );
+}
+
+// A toolbar button that asks for a few values before inserting something.
+function InsertPopover({ label, icon: Icon, fields, onInsert }: {
+    label: string,
+    icon: React.ElementType,
+    fields: { id: string, label: string, placeholder: string, required?: boolean }[],
+    onInsert: (values: Record<string, string>) => void,
+}) {
+    const [open, setOpen] = useState(false);
+    const [values, setValues] = useState<Record<string, string>>({});
+    const ready = fields.every(f => !f.required || values[f.id]?.trim());
+
+    const handleInsert = () => {
+        onInsert(values);
+        setValues({});
+        setOpen(false);
+    };
+
+    return (
+        <Popover open={open} onOpenChange={setOpen}>
+            <PopoverTrigger asChild>
+                <Button type="button" variant="ghost" size="sm" className="h-8 w-8 p-0" onMouseDown={e => e.preventDefault()} aria-label={label} title={label}>
+                    <Icon className="h-4 w-4" />
+                </Button>
+            </PopoverTrigger>
+            <PopoverContent className="w-80 space-y-3">
+                {fields.map(field => (
+                    <div key={field.id} className="space-y-1">
+                        <Label htmlFor={`insert-${label}-${field.id}`}>{field.label}</Label>
+                        <Input
+                            id={`insert-${label}-${field.id}`}
+                            value={values[field.id] ?? ''}
+                            onChange={e => setValues(prev => ({ ...prev, [field.id]: e.target.value }))}
+                            onKeyDown={e => e.key === 'Enter' && ready && handleInsert()}
+                            placeholder={field.placeholder}
+                        />
+                    </div>
+                ))}
+                <Button type="button" size="sm" onClick={handleInsert} disabled={!ready}>Insert {label.toLowerCase()}</Button>
+            </PopoverContent>
+        </Popover>
+    );
+}
+
+/**
+ * Edits an email body as formatted text, or as HTML in source mode. Both
+ * write the same HTML, merge tags included, through `onChange`.
+ */
+export function EmailBodyEditor({ id, value, onChange, mergeTags, disabled, minHeight = 240 }: {
+    id?: string,
+    value: string,
+    onChange: (html: string) => void,
+    mergeTags: string[],
+    disabled?: boolean,
+    minHeight?: number,
+}) {
+    const [mode, setMode] = useState<'visual' | 'source'>('visual');
+    const editorRef = useRef<HTMLDivElement>(null);
+    // Where the cursor was, so toolbar popovers can insert there after
+    // taking the focus away.
+    const rangeRef = useRef<Range | null>(null);
+
+    // Only replaces the editor's content for outside changes (source mode, a
+    // different campaign), so typing doesn't move the cursor.
+    useEffect(() => {
+        const editor = editorRef.current;
+        if (editor && cleanEditorHtml(editor.innerHTML) !== value) {
+            editor.innerHTML = value;
+        }
+    }, [value, mode]);
+
+    const saveSelection = () => {
+        const selection = window.getSelection();
+        if (selection?.rangeCount && editorRef.current?.contains(selection.anchorNode)) {
+            rangeRef.current = selection.getRangeAt(0).cloneRange();
+        }
+    };
+
+    const emitChange = () => {
+        if (editorRef.current) onChange(cleanEditorHtml(editorRef.current.innerHTML));
+    };
+
+    const run = (command: string, argument?: string) => {
+        const editor = editorRef.current;
+        if (!editor || disabled) return;
+        editor.focus();
+        const selection = window.getSelection();
+        if (rangeRef.current && selection) {
+            selection.removeAllRanges();
+            selection.addRange(rangeRef.current);
+        }
+        document.execCommand('defaultParagraphSeparator', false, 'p');
+        document.execCommand(command, false, argument);
+        saveSelection();
+        emitChange();
+    };
+
+    const insertLink = ({ url, text }: Record<string, string>) => {
+        const selected = rangeRef.current && !rangeRef.current.collapsed;
+        if (selected && !text) {
+            run('createLink', url);
+        } else {
+            run('insertHTML', `<a href="${escapeHtml(url)}">${escapeHtml(text || url)}</a>`);
+        }
+    };
+
+    const insertImage = ({ url, alt }: Record<string, string>) => {
+        run('insertHTML', `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt ?? '')}" style="max-width: 100%; height: auto;">`);
+    };
+
+    // Inline styles, since most email clients ignore stylesheets.
+    const insertButton = ({ url, text }: Record<string, string>) => {
+        run('insertHTML', `<p><a href="${escapeHtml(url)}" style="display: inline-block; padding: 12px 24px; background: #667eea; color: #ffffff; border-radius: 6px; text-decoration: none; font-weight: bold;">${escapeHtml(text)}</a></p>`);
+    };
+
+    return (
+        <div className="rounded-md border bg-background">
+            <div className="flex flex-wrap items-center gap-1 border-b bg-secondary/50 p-1">
+                {mode === 'visual' && !disabled && (
+                    <>
+                        <ToolbarButton label="Bold" icon={Bold} onClick={() => run('bold')} />
+                        <ToolbarButton label="Italic" icon={Italic} onClick={() => run('italic')} />
+                        <ToolbarButton label="Underline" icon={Underline} onClick={() => run('underline')} />
+                        <ToolbarButton label="Heading" icon={Heading1} onClick={() => run('formatBlock', 'h1')} />
+                        <ToolbarButton label="Subheading" icon={Heading2} onClick={() => run('formatBlock', 'h2')} />
+                        <ToolbarButton label="Paragraph" icon={Pilcrow} onClick={() => run('formatBlock', 'p')} />
+                        <ToolbarButton label="Bulleted list" icon={List} onClick={() => run('insertUnorderedList')} />
+                        <ToolbarButton label="Numbered list" icon={ListOrdered} onClick={() => run('insertOrderedList')} />
+                        <InsertPopover
+                            label="Link"
+                            icon={Link2}
+                            fields={[
+                                { id: 'url', label: 'URL', placeholder: 'https://example.com', required: true },
+                                { id: 'text', label: 'Text', placeholder: 'Leave empty to link the selected text' },
+                            ]}
+                            onInsert={insertLink}
+                        />
+                        <InsertPopover
+                            label="Image"
+                            icon={ImagePlus}
+                            fields={[
+                                { id: 'url', label: 'Image URL', placeholder: 'https://example.com/banner.png', required: true },
+                                { id: 'alt', label: 'Alt text', placeholder: 'What the image shows' },
+                            ]}
+                            onInsert={insertImage}
+                        />
+                        <InsertPopover
+                            label="Button"
+                            icon={RectangleHorizontal}
+                            fields={[
+                                { id: 'text', label: 'Label', placeholder: 'e.g. Read more', required: true },
+                                { id: 'url', label: 'URL', placeholder: 'https://example.com', required: true },
+                            ]}
+                            onInsert={insertButton}
+                        />
+                        <DropdownMenu>
+                            <DropdownMenuTrigger asChild>
+                                <Button type="button" variant="ghost" size="sm" className="h-8 px-2" onMouseDown={e => e.preventDefault()}>
+                                    <Braces className="mr-1 h-4 w-4" />Merge tag
+                                </Button>
+                            </DropdownMenuTrigger>
+                            <DropdownMenuContent onCloseAutoFocus={e => e.preventDefault()}>
+                                {mergeTags.map(tag => (
+                                    <DropdownMenuItem key={tag} onSelect={() => run('insertText', `{{${tag}}}`)}>{`{{${tag}}}`}</DropdownMenuItem>
+                                ))}
+                            </DropdownMenuContent>
+                        </DropdownMenu>
+                        <ToolbarButton label="Clear formatting" icon={RemoveFormatting} onClick={() => run('removeFormat')} />
+                    </>
+                )}
+                <div className="ml-auto">
+                    <ToolbarButton label={mode === 'visual' ? 'Edit HTML' : 'Back to formatted text'} icon={CodeXml} active={mode === 'source'} onClick={() => setMode(mode === 'visual' ? 'source' : 'visual')} />
+                </div>
+            </div>
+            {mode === 'visual' ? (
+                <div
+                    id={id}
+                    ref={editorRef}
+                    contentEditable={!disabled}
+                    suppressContentEditableWarning
+                    onInput={emitChange}
+                    onKeyUp={saveSelection}
+                    onMouseUp={saveSelection}
+                    onBlur={saveSelection}
+                    className="p-3 text-sm focus:outline-none [&_a]:text-primary [&_a]:underline [&_h1]:text-2xl [&_h1]:font-bold [&_h2]:text-xl [&_h2]:font-semibold [&_img]:max-w-full [&_ol]:list-decimal [&_ol]:pl-6 [&_p]:my-2 [&_ul]:list-disc [&_ul]:pl-6"
+                    style={{ minHeight }}
+                />
+            ) : (
+                <Textarea
+                    id={id}
+                    value={value}
+                    onChange={e => onChange(e.target.value)}
+                    className="rounded-none border-0 font-mono text-xs focus-visible:ring-0"
+                    style={{ minHeight }}
+                    disabled={disabled}
+                    spellCheck={false}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,137 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import type { CampaignContent, EmailPreview as RenderedEmail, Recipient } from '@/lib/types';
+import { previewCampaignContent } from '@/app/actions';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ChevronLeft, ChevronRight, FileText, Loader2, Monitor, Moon, Smartphone } from 'lucide-react';
+
+// How long typing has to pause before the preview is rendered again.
+const RENDER_DELAY_MS = 400;
+
+const DEVICE_WIDTHS = { desktop: 680, mobile: 375 };
+
+// Roughly what clients that force a dark theme on every email do: invert
+// the colours, then turn images back the right way.
+const DARK_MODE_STYLE = '<style>html { filter: invert(1) hue-rotate(180deg); background: #fff; } img { filter: invert(1) hue-rotate(180deg); }</style>';
+
+const withDarkMode = (html: string) =>
+    html.includes('</head>') ? html.replace('</head>', `${DARK_MODE_STYLE}</head>`) : DARK_MODE_STYLE + html;
+
+/**
+ * Shows unsaved content exactly as the mailer would render it for one of
+ * `contacts`, apart from link tracking, as HTML or as the text part.
+ * `versions` are the A/B variants, if there is a test.
+ */
+export function EmailPreview({ versions, settings, contacts }: {
+    versions: { id: string | null, subject: string, body: string, textBody?: string | null }[],
+    settings: Pick<CampaignContent, 'senderName' | 'rewriteSpamWords' | 'templateId' | 'slots'>,
+    contacts: Recipient[],
+}) {
+    const [versionIndex, setVersionIndex] = useState(0);
+    const [contactIndex, setContactIndex] = useState(0);
+    const [device, setDevice] = useState<keyof typeof DEVICE_WIDTHS>('desktop');
+    const [dark, setDark] = useState(false);
+    const [showText, setShowText] = useState(false);
+    const [preview, setPreview] = useState<RenderedEmail | null>(null);
+    const [isRendering, setIsRendering] = useState(false);
+
+    const version = versions[versionIndex] ?? versions[0];
+    const textBody = version.textBody ?? null;
+    const contact = contacts[contactIndex] ?? null;
+    const { senderName, rewriteSpamWords, templateId, slots } = settings;
+    // Compared by value, since the editor builds a new object on every render.
+    const slotsKey = JSON.stringify(slots);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsRendering(true);
+        const timer = setTimeout(() => {
+            previewCampaignContent({ subject: version.subject, body: version.body, textBody, senderName, rewriteSpamWords, templateId, slots: JSON.parse(slotsKey) }, contact?.id ?? null)
+                .then(result => {
+                    if (!cancelled) setPreview(result);
+                })
+                .finally(() => {
+                    if (!cancelled) setIsRendering(false);
+                });
+        }, RENDER_DELAY_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [version.subject, version.body, textBody, senderName, rewriteSpamWords, templateId, slotsKey, contact?.id]);
+
+    const stepContact = (step: number) => setContactIndex((contactIndex + step + contacts.length) % contacts.length);
+
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+                <Button type="button" variant="outline" size="icon" onClick={() => stepContact(-1)} disabled={contacts.length < 2} aria-label="Previous contact">
+                    <ChevronLeft className="h-4 w-4" />
+                </Button>
+                <Select value={contact?.id ?? 'sample'} onValueChange={id => setContactIndex(contacts.findIndex(c => c.id === id))} disabled={contacts.length === 0}>
+                    <SelectTrigger className="w-64"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                        {contacts.length === 0 && <SelectItem value="sample">Sample contact</SelectItem>}
+                        {contacts.map(c => (
+                            <SelectItem key={c.id} value={c.id}>{`${c.firstName} ${c.lastName}`.trim() || c.email}</SelectItem>
+                        ))}
+                    </SelectContent>
+                </Select>
+                <Button type="button" variant="outline" size="icon" onClick={() => stepContact(1)} disabled={contacts.length < 2} aria-label="Next contact">
+                    <ChevronRight className="h-4 w-4" />
+                </Button>
+                {versions.length > 1 && (
+                    <Select value={String(versionIndex)} onValueChange={index => setVersionIndex(Number(index))}>
+                        <SelectTrigger className="w-32"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                            {versions.map((v, i) => <SelectItem key={v.id ?? i} value={String(i)}>Variant {v.id}</SelectItem>)}
+                        </SelectContent>
+                    </Select>
+                )}
+                <div className="ml-auto flex items-center gap-1">
+                    <Button type="button" variant={showText ? 'secondary' : 'ghost'} size="icon" onClick={() => setShowText(!showText)} aria-label="Plain text version">
+                        <FileText className="h-4 w-4" />
+                    </Button>
+                    <Button type="button" variant={device === 'desktop' ? 'secondary' : 'ghost'} size="icon" onClick={() => setDevice('desktop')} aria-label="Desktop width">
+                        <Monitor className="h-4 w-4" />
+                    </Button>
+                    <Button type="button" variant={device === 'mobile' ? 'secondary' : 'ghost'} size="icon" onClick={() => setDevice('mobile')} aria-label="Mobile width">
+                        <Smartphone className="h-4 w-4" />
+                    </Button>
+                    <Label htmlFor="preview-dark-mode" className="ml-2 flex items-center gap-1"><Moon className="h-4 w-4" />Dark</Label>
+                    <Switch id="preview-dark-mode" checked={dark} onCheckedChange={setDark} />
+                </div>
+            </div>
+            <div className="rounded-lg border text-sm">
+                <div className="space-y-1 border-b p-3">
+                    <p><span className="text-muted-foreground">To:</span> {contact ? contact.email : 'A sample contact'}</p>
+                    <p className="flex items-center gap-2">
+                        <span className="text-muted-foreground">Subject:</span>
+                        <span className="font-medium">{preview?.subject}</span>
+                        {isRendering && <Loader2 className="h-3 w-3 animate-spin text-muted-foreground" />}
+                    </p>
+                </div>
+                <div className="flex justify-center bg-muted p-4">
+                    {showText ? (
+                        <pre className="h-[640px] max-w-full overflow-auto whitespace-pre-wrap bg-white p-4 font-mono text-xs shadow" style={{ width: DEVICE_WIDTHS[device] }}>
+                            {preview?.text}
+                        </pre>
+                    ) : (
+                        // Sandboxed, so nothing in the email can run scripts or reach the dashboard.
+                        <iframe
+                            title="Email preview"
+                            sandbox=""
+                            srcDoc={preview ? (dark ? withDarkMode(preview.html) : preview.html) : ''}
+                            className="h-[640px] max-w-full border-0 bg-white shadow"
+                            style={{ width: DEVICE_WIDTHS[device] }}
+                        />
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
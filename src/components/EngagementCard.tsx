@@ -0,0 +1,194 @@
+'use client';
+
+import { Fragment, useState, useRef, useMemo, useEffect } from 'react';
+import type { Analytics, Engagement, EngagementBucket } from '@/lib/types';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Calendar } from '@/components/ui/calendar';
+import { ChartContainer, ChartLegend, ChartLegendContent, ChartTooltip, ChartTooltipContent, type ChartConfig } from '@/components/ui/chart';
+import { Bar, CartesianGrid, ComposedChart, Line, LineChart, XAxis, YAxis } from 'recharts';
+import type { DateRange } from 'react-day-picker';
+import { Button } from '@/components/ui/button';
+import { getEngagement } from '@/app/actions';
+import { Loader2, Activity, CalendarRange } from 'lucide-react';
+import { endOfDay, format, parseISO, startOfDay } from 'date-fns';
+
+const activityChartConfig = {
+    sends: { label: "Sends", color: "hsl(var(--chart-1))" },
+    opens: { label: "Opens", color: "hsl(var(--chart-2))" },
+    clicks: { label: "Clicks", color: "hsl(var(--chart-4))" },
+} satisfies ChartConfig;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Charts refetch as events come in, but not more often than this mid-send.
+const ENGAGEMENT_REFRESH_MS = 5000;
+
+function bucketLabel(bucket: EngagementBucket) {
+    const hourly = parseISO(bucket.end).getTime() - parseISO(bucket.start).getTime() <= 60 * 60 * 1000;
+    return format(parseISO(bucket.start), hourly ? 'MMM d, HH:mm' : 'MMM d');
+}
+
+function curveHoursLabel(hours: number) {
+    return hours <= 48 ? `${hours}h` : `${hours / 24}d`;
+}
+
+function EngagementHeatmap({ title, counts }: { title: string, counts: number[][] }) {
+    const max = Math.max(1, ...counts.flat());
+    return (
+        <div className="space-y-2">
+            <p className="text-sm font-medium text-muted-foreground">{title}</p>
+            <div className="grid gap-px text-[10px] text-muted-foreground" style={{ gridTemplateColumns: 'auto repeat(24, minmax(0, 1fr))' }}>
+                <span />
+                {counts[0].map((_, hour) => <span key={hour} className="text-center">{hour % 6 === 0 ? hour : ''}</span>)}
+                {counts.map((row, day) => (
+                    <Fragment key={day}>
+                        <span className="pr-2">{WEEKDAYS[day]}</span>
+                        {row.map((count, hour) => (
+                            <div
+                                key={hour}
+                                className="h-4 rounded-sm bg-primary"
+                                style={{ opacity: count === 0 ? 0.06 : 0.15 + 0.85 * (count / max) }}
+                                title={`${WEEKDAYS[day]} ${String(hour).padStart(2, '0')}:00 · ${count}`}
+                            />
+                        ))}
+                    </Fragment>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/** Sends, opens and clicks over time, when in the week people engage, and how the open rate compares with earlier campaigns. */
+export function EngagementCard({ campaignId, analytics }: { campaignId: string, analytics: Analytics }) {
+    const [range, setRange] = useState<DateRange | undefined>();
+    const [engagement, setEngagement] = useState<Engagement | null>(null);
+    const lastFetchRef = useRef(0);
+
+    // Switching campaigns or ranges shouldn't wait for the throttle.
+    useEffect(() => {
+        lastFetchRef.current = 0;
+    }, [campaignId, range]);
+
+    useEffect(() => {
+        let cancelled = false;
+        const delay = Math.max(0, lastFetchRef.current + ENGAGEMENT_REFRESH_MS - Date.now());
+        const timer = setTimeout(() => {
+            lastFetchRef.current = Date.now();
+            getEngagement(campaignId, {
+                from: range?.from ? startOfDay(range.from).toISOString() : null,
+                to: range?.from ? endOfDay(range.to ?? range.from).toISOString() : null,
+                // Heatmap hours are the viewer's local hours.
+                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            })
+                .then(result => { if (!cancelled) setEngagement(result); })
+                .catch(error => console.error('❌ Failed to load engagement:', error));
+        }, delay);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [campaignId, range, analytics.sent, analytics.totalOpens, analytics.clicked]);
+
+    const activity = useMemo(
+        () => engagement?.buckets.map(bucket => ({ ...bucket, label: bucketLabel(bucket) })) ?? [],
+        [engagement],
+    );
+
+    const curves = engagement?.openRateCurves ?? [];
+    const curveConfig = useMemo(() => Object.fromEntries(curves.map((curve, i) => [
+        `campaign-${curve.campaignId}`,
+        { label: i === 0 ? `${curve.name} (this campaign)` : curve.name, color: `hsl(var(--chart-${i + 1}))` },
+    ])) satisfies ChartConfig, [curves]);
+    const curveData = useMemo(() => {
+        const rows = new Map<number, Record<string, number>>();
+        for (const curve of curves) {
+            for (const point of curve.points) {
+                rows.set(point.hours, { ...rows.get(point.hours), hours: point.hours, [`campaign-${curve.campaignId}`]: point.openRate });
+            }
+        }
+        return [...rows.values()].sort((a, b) => a.hours - b.hours);
+    }, [curves]);
+
+    const rangeLabel = range?.from
+        ? `${format(range.from, 'MMM d, yyyy')}${range.to ? ` – ${format(range.to, 'MMM d, yyyy')}` : ''}`
+        : 'All time';
+
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-start justify-between gap-4 space-y-0">
+                <div className="space-y-1.5">
+                    <CardTitle className="flex items-center gap-2"><Activity className="w-6 h-6" />Engagement Over Time</CardTitle>
+                    <CardDescription>Sends, opens and clicks by hour for the first two days, then by day. Machine opens are left out.</CardDescription>
+                </div>
+                <Popover>
+                    <PopoverTrigger asChild>
+                        <Button variant="outline" size="sm"><CalendarRange className="mr-2 h-4 w-4" />{rangeLabel}</Button>
+                    </PopoverTrigger>
+                    <PopoverContent className="w-auto p-0" align="end">
+                        <Calendar mode="range" selected={range} onSelect={setRange} numberOfMonths={2} initialFocus />
+                        <div className="border-t p-2 text-right">
+                            <Button variant="ghost" size="sm" onClick={() => setRange(undefined)} disabled={!range}>Show all time</Button>
+                        </div>
+                    </PopoverContent>
+                </Popover>
+            </CardHeader>
+            <CardContent>
+                {!engagement ? (
+                    <div className="flex h-40 items-center justify-center text-muted-foreground"><Loader2 className="h-5 w-5 animate-spin" /></div>
+                ) : !engagement.firstSentAt ? (
+                    <p className="py-10 text-center text-muted-foreground">Nothing has been sent yet.</p>
+                ) : (
+                    <div className="space-y-8">
+                        {activity.length > 0 ? (
+                            <ChartContainer config={activityChartConfig} className="aspect-auto h-64 w-full">
+                                <ComposedChart data={activity}>
+                                    <CartesianGrid vertical={false} />
+                                    <XAxis dataKey="label" tickLine={false} axisLine={false} minTickGap={24} />
+                                    <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+                                    <ChartTooltip content={<ChartTooltipContent />} />
+                                    <ChartLegend content={<ChartLegendContent />} />
+                                    <Bar dataKey="sends" fill="var(--color-sends)" radius={2} />
+                                    <Line dataKey="opens" stroke="var(--color-opens)" strokeWidth={2} dot={false} type="monotone" />
+                                    <Line dataKey="clicks" stroke="var(--color-clicks)" strokeWidth={2} dot={false} type="monotone" />
+                                </ComposedChart>
+                            </ChartContainer>
+                        ) : (
+                            <p className="py-10 text-center text-muted-foreground">No activity in this date range.</p>
+                        )}
+
+                        <div className="space-y-2">
+                            <p className="text-sm font-medium text-muted-foreground">Open rate since the first send, compared with earlier campaigns</p>
+                            <ChartContainer config={curveConfig} className="aspect-auto h-64 w-full">
+                                <LineChart data={curveData}>
+                                    <CartesianGrid vertical={false} />
+                                    <XAxis dataKey="hours" tickLine={false} axisLine={false} tickFormatter={curveHoursLabel} minTickGap={16} />
+                                    <YAxis tickLine={false} axisLine={false} width={40} unit="%" />
+                                    <ChartTooltip content={<ChartTooltipContent labelFormatter={(_, payload) => `After ${curveHoursLabel(payload[0]?.payload.hours)}`} />} />
+                                    <ChartLegend content={<ChartLegendContent />} />
+                                    {curves.map((curve, i) => (
+                                        <Line
+                                            key={curve.campaignId}
+                                            dataKey={`campaign-${curve.campaignId}`}
+                                            stroke={`var(--color-campaign-${curve.campaignId})`}
+                                            strokeWidth={i === 0 ? 3 : 1.5}
+                                            strokeDasharray={i === 0 ? undefined : '4 4'}
+                                            dot={false}
+                                            type="monotone"
+                                            connectNulls
+                                        />
+                                    ))}
+                                </LineChart>
+                            </ChartContainer>
+                        </div>
+
+                        <div className="grid gap-8 lg:grid-cols-2">
+                            <EngagementHeatmap title="Opens by day and hour" counts={engagement.openHeatmap} />
+                            <EngagementHeatmap title="Clicks by day and hour" counts={engagement.clickHeatmap} />
+                        </div>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
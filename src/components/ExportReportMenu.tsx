@@ -0,0 +1,22 @@
+'use client';
+
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu';
+import { Button } from '@/components/ui/button';
+import { Download } from 'lucide-react';
+
+/** Downloads the campaign's recipients as CSV, a JSON summary or a printable HTML report. */
+export function ExportReportMenu({ campaignId }: { campaignId: string }) {
+    const href = (format: string) => `/api/campaigns/${campaignId}/report?format=${format}`;
+    return (
+        <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+                <Button variant="outline" size="sm"><Download className="mr-2 h-4 w-4" />Export</Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+                <DropdownMenuItem asChild><a href={href('csv')} download>Recipients (CSV)</a></DropdownMenuItem>
+                <DropdownMenuItem asChild><a href={href('json')} download>Summary (JSON)</a></DropdownMenuItem>
+                <DropdownMenuItem asChild><a href={href('html')} download>Printable report (HTML)</a></DropdownMenuItem>
+            </DropdownMenuContent>
+        </DropdownMenu>
+    );
+}
@@ -0,0 +1,90 @@
+'use client';
+
+import { useState } from 'react';
+import type { CustomField } from '@/lib/types';
+import { Label } from '@/components/ui/label';
+import { DialogDescription, DialogHeader, DialogTitle, DialogFooter, DialogClose } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Upload } from 'lucide-react';
+import { customFieldNameError } from '@/lib/mergeTags';
+import { fieldNameFromHeader } from '@/lib/customFields';
+
+// A parsed CSV file and where its standard columns are (-1 if missing).
+export interface CsvImport {
+    header: string[],
+    rows: string[][],
+    columns: { email: number, firstName: number, lastName: number, timeZone: number },
+}
+
+export function csvColumns(header: string[]): CsvImport['columns'] {
+    const column = (...names: string[]) => header.findIndex(h => names.includes(h.toLowerCase()));
+    return {
+        email: column('email'),
+        firstName: column('firstname', 'first name'),
+        lastName: column('lastname', 'last name'),
+        timeZone: column('timezone', 'time zone'),
+    };
+}
+
+export const extraColumns = ({ header, columns }: CsvImport) =>
+    header.map((_, i) => i).filter(i => header[i] && !Object.values(columns).includes(i));
+
+// Lets the user put each extra CSV column into a custom field, a new one
+// named after the column, or leave it out.
+export function ImportColumnsForm({ csv, customFields, onImport }: { csv: CsvImport, customFields: CustomField[], onImport: (mapping: Record<number, string>, newFields: CustomField[]) => void }) {
+    const columns = extraColumns(csv);
+    const [choices, setChoices] = useState<Record<number, string>>(() => Object.fromEntries(columns.map(i => {
+        const name = fieldNameFromHeader(csv.header[i]);
+        const existing = customFields.find(f => f.name.toLowerCase() === name.toLowerCase());
+        return [i, existing ? `field:${existing.name}` : customFieldNameError(name, customFields) ? 'skip' : `new:${name}`];
+    })));
+
+    const handleImport = () => {
+        const mapping: Record<number, string> = {};
+        const newFields: CustomField[] = [];
+        for (const [index, choice] of Object.entries(choices)) {
+            if (choice === 'skip') continue;
+            const name = choice.slice(choice.indexOf(':') + 1);
+            mapping[Number(index)] = name;
+            if (choice.startsWith('new:') && !newFields.some(f => f.name === name)) {
+                newFields.push({ name, type: 'text', defaultValue: null });
+            }
+        }
+        onImport(mapping, newFields);
+    };
+
+    return (
+        <>
+            <DialogHeader>
+                <DialogTitle>Import Extra Columns</DialogTitle>
+                <DialogDescription>
+                    {csv.rows.length} rows. Choose which custom field each of these columns goes into; fields can be used in campaigns as merge tags.
+                </DialogDescription>
+            </DialogHeader>
+            <div className="space-y-3 py-4">
+                {columns.map(i => {
+                    const newName = fieldNameFromHeader(csv.header[i]);
+                    const canCreate = !customFieldNameError(newName, customFields);
+                    return (
+                        <div key={i} className="grid grid-cols-2 items-center gap-4">
+                            <Label htmlFor={`import-column-${i}`} className="truncate" title={csv.header[i]}>{csv.header[i]}</Label>
+                            <Select value={choices[i]} onValueChange={choice => setChoices(prev => ({ ...prev, [i]: choice }))}>
+                                <SelectTrigger id={`import-column-${i}`}><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem value="skip">Don't import</SelectItem>
+                                    {canCreate && <SelectItem value={`new:${newName}`}>New text field {`{{${newName}}}`}</SelectItem>}
+                                    {customFields.map(f => <SelectItem key={f.name} value={`field:${f.name}`}>{`{{${f.name}}}`}</SelectItem>)}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                    );
+                })}
+            </div>
+            <DialogFooter>
+                <DialogClose asChild><Button variant="outline">Cancel</Button></DialogClose>
+                <Button onClick={handleImport}><Upload className="mr-2 h-4 w-4" />Import</Button>
+            </DialogFooter>
+        </>
+    );
+}
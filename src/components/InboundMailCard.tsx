@@ -0,0 +1,41 @@
+'use client';
+
+import { useTransition, useRef } from 'react';
+import { Card, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Loader2, Upload, Inbox } from 'lucide-react';
+
+/** Imports replies and bounces from .eml or mbox files. */
+export function InboundMailCard({ onImport }: { onImport: (formData: FormData) => Promise<void> }) {
+    const [isPending, startTransition] = useTransition();
+    const fileInputRef = useRef<HTMLInputElement>(null);
+
+    const handleFiles = (event: React.ChangeEvent<HTMLInputElement>) => {
+        const files = Array.from(event.target.files ?? []);
+        if (files.length === 0) return;
+        const formData = new FormData();
+        files.forEach(file => formData.append('files', file));
+        startTransition(async () => {
+            await onImport(formData);
+        });
+        event.target.value = '';
+    };
+
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-start justify-between gap-4 space-y-0">
+                <div className="space-y-1.5">
+                    <CardTitle className="flex items-center gap-2"><Inbox className="w-6 h-6" />Replies &amp; Bounces</CardTitle>
+                    <CardDescription>
+                        Import mail from the reply and bounce inbox as .eml files or an mbox export. Replies mark the contact as Replied (out-of-office and other auto-replies are ignored), and hard-bounced addresses are added to the suppression list.
+                        The backend can also receive this mail directly over SMTP when started with <code>INBOUND_SMTP_PORT</code> set.
+                    </CardDescription>
+                </div>
+                <input type="file" ref={fileInputRef} onChange={handleFiles} accept=".eml,.mbox,.txt,message/rfc822,application/mbox" multiple className="hidden" />
+                <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={isPending}>
+                    {isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Upload className="mr-2 h-4 w-4" />}Import Mail
+                </Button>
+            </CardHeader>
+        </Card>
+    );
+}
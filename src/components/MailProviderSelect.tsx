@@ -0,0 +1,24 @@
+'use client';
+
+import type { MailProviderInfo, MailProviderKind } from '@/lib/types';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+
+// Picks a mail provider. With `defaultLabel` there is also a "use the default"
+// option, which comes back as null.
+export function MailProviderSelect<T extends MailProviderKind | null>({ id, providers, value, onChange, defaultLabel }: { id: string, providers: MailProviderInfo[], value: T, onChange: (value: T) => void, defaultLabel?: string }) {
+    const selected = providers.find(p => p.kind === value);
+    return (
+        <div className="space-y-1">
+            <Select value={value ?? 'default'} onValueChange={kind => onChange((kind === 'default' ? null : kind) as T)}>
+                <SelectTrigger id={id}><SelectValue /></SelectTrigger>
+                <SelectContent>
+                    {defaultLabel && <SelectItem value="default">{defaultLabel}</SelectItem>}
+                    {providers.map(p => (
+                        <SelectItem key={p.kind} value={p.kind}>{p.label}{!p.configured && ' (not configured)'}</SelectItem>
+                    ))}
+                </SelectContent>
+            </Select>
+            {selected && <p className={`text-xs ${selected.configured ? 'text-muted-foreground' : 'text-destructive'}`}>{selected.detail}</p>}
+        </div>
+    );
+}
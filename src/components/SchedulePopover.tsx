@@ -0,0 +1,60 @@
+'use client';
+
+import { useState, useTransition } from 'react';
+import type { Campaign, CampaignSchedule } from '@/lib/types';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Calendar } from '@/components/ui/calendar';
+import { Switch } from '@/components/ui/switch';
+import { Button } from '@/components/ui/button';
+import { Loader2, CalendarClock } from 'lucide-react';
+import { format, parseISO, startOfToday } from 'date-fns';
+
+/** Picks when the campaign goes out, optionally at that time in each contact's own time zone. */
+export function SchedulePopover({ campaign, onSchedule }: { campaign: Campaign, onSchedule: (schedule: CampaignSchedule) => Promise<void> }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [isPending, startTransition] = useTransition();
+    const { schedule } = campaign;
+    const [date, setDate] = useState<Date | undefined>(schedule ? parseISO(schedule.sendAt) : undefined);
+    const [time, setTime] = useState(schedule?.sendAt.slice(11) ?? '09:00');
+    const [recipientLocalTime, setRecipientLocalTime] = useState(schedule?.recipientLocalTime ?? false);
+
+    const handleSave = () => {
+        if (!date) return;
+        startTransition(async () => {
+            await onSchedule({
+                sendAt: `${format(date, 'yyyy-MM-dd')}T${time}`,
+                // Times are picked in the browser's zone, which is also the
+                // fallback for contacts without one.
+                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                recipientLocalTime,
+            });
+            setIsOpen(false);
+        });
+    };
+
+    return (
+        <Popover open={isOpen} onOpenChange={setIsOpen}>
+            <PopoverTrigger asChild>
+                <Button size="lg" variant="outline"><CalendarClock className="mr-2 h-4 w-4" />{schedule ? 'Reschedule' : 'Schedule'}</Button>
+            </PopoverTrigger>
+            <PopoverContent className="w-auto" align="end">
+                <div className="space-y-4">
+                    <Calendar mode="single" selected={date} onSelect={setDate} disabled={{ before: startOfToday() }} initialFocus />
+                    <div className="space-y-2">
+                        <Label htmlFor="schedule-time">Time</Label>
+                        <Input id="schedule-time" type="time" value={time} onChange={e => setTime(e.target.value)} />
+                    </div>
+                    <div className="flex items-center justify-between gap-4">
+                        <Label htmlFor="schedule-local">Deliver in each contact's time zone</Label>
+                        <Switch id="schedule-local" checked={recipientLocalTime} onCheckedChange={setRecipientLocalTime} />
+                    </div>
+                    <Button className="w-full" onClick={handleSave} disabled={isPending || !date || !time}>
+                        {isPending ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Scheduling...</> : 'Save Schedule'}
+                    </Button>
+                </div>
+            </PopoverContent>
+        </Popover>
+    );
+}
@@ -0,0 +1,75 @@
+'use client';
+
+import { useTransition } from 'react';
+import type { Campaign, CampaignSchedule, SendJob } from '@/lib/types';
+import { Button } from '@/components/ui/button';
+import { Send, Loader2, Pause, Play, Ban, CalendarX } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { SchedulePopover } from '@/components/SchedulePopover';
+
+/** Starts, schedules, pauses, resumes or cancels the campaign's send, depending on where it is at. */
+export function SendControls({
+    campaign,
+    job,
+    onSend,
+    onSchedule,
+    onUnschedule,
+    onPause,
+    onResume,
+    onCancel,
+}: {
+    campaign: Campaign,
+    job: SendJob | null,
+    onSend: () => Promise<void>,
+    onSchedule: (schedule: CampaignSchedule) => Promise<void>,
+    onUnschedule: () => Promise<void>,
+    onPause: () => Promise<void>,
+    onResume: () => Promise<void>,
+    onCancel: () => Promise<void>,
+}) {
+    const [isPending, startTransition] = useTransition();
+    const unfinished = job && (job.status === 'running' || job.status === 'paused') ? job : null;
+
+    if (!unfinished) {
+        const { schedule } = campaign;
+        return (
+            <div className="flex flex-col items-end gap-1">
+                <div className="flex gap-2">
+                    {campaign.status !== 'archived' && <SchedulePopover key={schedule?.sendAt} campaign={campaign} onSchedule={onSchedule} />}
+                    {schedule && (
+                        <Button size="lg" variant="outline" onClick={() => startTransition(onUnschedule)} disabled={isPending}><CalendarX className="mr-2 h-4 w-4" />Unschedule</Button>
+                    )}
+                    <Button size="lg" onClick={() => startTransition(onSend)} disabled={isPending || campaign.status === 'archived'}>
+                        {isPending ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Queueing Campaign...</> : <><Send className="mr-2 h-4 w-4" /> {schedule ? 'Send Now' : 'Send Campaign'}</>}
+                    </Button>
+                </div>
+                {schedule && (
+                    <p className="text-sm text-muted-foreground">
+                        Scheduled for {format(parseISO(schedule.sendAt), 'PPp')}{' '}
+                        {schedule.recipientLocalTime ? "in each contact's time zone" : `(${schedule.timeZone})`}
+                    </p>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col items-end gap-1">
+            <div className="flex gap-2">
+                {unfinished.status === 'running' ? (
+                    <Button size="lg" variant="outline" onClick={() => startTransition(onPause)} disabled={isPending}><Pause className="mr-2 h-4 w-4" />Pause</Button>
+                ) : (
+                    <Button size="lg" onClick={() => startTransition(onResume)} disabled={isPending}><Play className="mr-2 h-4 w-4" />Resume</Button>
+                )}
+                <Button size="lg" variant="destructive" onClick={() => startTransition(onCancel)} disabled={isPending}><Ban className="mr-2 h-4 w-4" />Cancel</Button>
+            </div>
+            <p className="text-sm text-muted-foreground flex items-center gap-1.5">
+                {unfinished.status === 'paused'
+                    ? unfinished.error ?? 'Sending paused.'
+                    : unfinished.deferredUntil
+                        ? `Sending quota reached, resuming ${format(parseISO(unfinished.deferredUntil), 'Pp')}`
+                        : <><Loader2 className="w-3 h-3 animate-spin" /> Sending in the background…</>}
+            </p>
+        </div>
+    );
+}
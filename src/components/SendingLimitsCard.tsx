@@ -0,0 +1,84 @@
+'use client';
+
+import { useState, useTransition } from 'react';
+import type { MailProviderInfo, SendingAccountSettings, SendingAccountUsage } from '@/lib/types';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Button } from '@/components/ui/button';
+import { Loader2, Gauge } from 'lucide-react';
+
+/** Each provider's sending account, with its limits and how much of them is used. */
+export function SendingLimitsCard({ accounts, providers, onSave }: { accounts: SendingAccountUsage[], providers: MailProviderInfo[], onSave: (id: string, settings: SendingAccountSettings) => Promise<void> }) {
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2"><Gauge className="w-6 h-6" />Sending Accounts</CardTitle>
+                <CardDescription>Each provider's account keeps campaigns sent through it under that provider's caps. When a quota runs out, sending waits for the next window instead of failing.</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                {/* Keyed on the default too, so the switch follows it when another account takes over. */}
+                {accounts.map(account => <SendingAccountForm key={`${account.id}-${account.isDefault}`} account={account} provider={providers.find(p => p.kind === account.provider)} onSave={onSave} />)}
+            </CardContent>
+        </Card>
+    );
+}
+
+function SendingAccountForm({ account, provider, onSave }: { account: SendingAccountUsage, provider: MailProviderInfo | undefined, onSave: (id: string, settings: SendingAccountSettings) => Promise<void> }) {
+    const [isPending, startTransition] = useTransition();
+    const [isDefault, setIsDefault] = useState(account.isDefault);
+    const [ratePerMinute, setRatePerMinute] = useState(String(account.ratePerMinute));
+    const [burst, setBurst] = useState(String(account.burst));
+    const [hourlyQuota, setHourlyQuota] = useState(account.hourlyQuota?.toString() ?? '');
+    const [dailyQuota, setDailyQuota] = useState(account.dailyQuota?.toString() ?? '');
+
+    const toQuota = (value: string) => value.trim() === '' ? null : Number(value);
+
+    const handleSave = () => {
+        startTransition(() => onSave(account.id, {
+            ratePerMinute: Number(ratePerMinute),
+            burst: Number(burst),
+            hourlyQuota: toQuota(hourlyQuota),
+            dailyQuota: toQuota(dailyQuota),
+            isDefault,
+        }));
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-baseline justify-between">
+                <h3 className="font-semibold">{account.name}</h3>
+                <p className="text-sm text-muted-foreground">
+                    {account.sentLastHour} sent in the last hour · {account.sentLastDay} in the last 24 hours
+                </p>
+            </div>
+            {provider && <p className={`text-xs ${provider.configured ? 'text-muted-foreground' : 'text-destructive'}`}>{provider.detail}</p>}
+            <div className="flex items-center gap-2">
+                <Switch id={`default-${account.id}`} checked={isDefault} onCheckedChange={setIsDefault} disabled={account.isDefault} />
+                <Label htmlFor={`default-${account.id}`}>Default for campaigns that don't pick a provider</Label>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div className="space-y-2">
+                    <Label htmlFor={`rate-${account.id}`}>Emails per minute</Label>
+                    <Input id={`rate-${account.id}`} type="number" min={1} value={ratePerMinute} onChange={e => setRatePerMinute(e.target.value)} />
+                </div>
+                <div className="space-y-2">
+                    <Label htmlFor={`burst-${account.id}`}>Burst</Label>
+                    <Input id={`burst-${account.id}`} type="number" min={1} value={burst} onChange={e => setBurst(e.target.value)} />
+                </div>
+                <div className="space-y-2">
+                    <Label htmlFor={`hourly-${account.id}`}>Hourly quota</Label>
+                    <Input id={`hourly-${account.id}`} type="number" min={1} value={hourlyQuota} onChange={e => setHourlyQuota(e.target.value)} placeholder="Unlimited" />
+                </div>
+                <div className="space-y-2">
+                    <Label htmlFor={`daily-${account.id}`}>Daily quota</Label>
+                    <Input id={`daily-${account.id}`} type="number" min={1} value={dailyQuota} onChange={e => setDailyQuota(e.target.value)} placeholder="Unlimited" />
+                </div>
+            </div>
+            <Button onClick={handleSave} disabled={isPending}>
+                {isPending ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Saving...</> : 'Save Account'}
+            </Button>
+        </div>
+    );
+}
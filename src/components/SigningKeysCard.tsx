@@ -0,0 +1,53 @@
+'use client';
+
+import { useTransition } from 'react';
+import type { SigningKeyInfo } from '@/lib/types';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { KeyRound } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+
+/** The keys tracking, click and unsubscribe links are signed with, and their rotation. */
+export function SigningKeysCard({ keys, onRotate, onRetire }: { keys: SigningKeyInfo[], onRotate: () => Promise<void>, onRetire: (id: string) => Promise<void> }) {
+    const [isPending, startTransition] = useTransition();
+
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-start justify-between">
+                <div>
+                    <CardTitle className="flex items-center gap-2"><KeyRound className="w-6 h-6" />Link Signing Keys</CardTitle>
+                    <CardDescription>Tracking, click and unsubscribe links carry tokens signed with the active key. Rotate to start signing with a new one; retire an old key once its emails no longer matter, since its links (including unsubscribe links) stop working.</CardDescription>
+                </div>
+                <Button variant="outline" onClick={() => startTransition(onRotate)} disabled={isPending}>Rotate Key</Button>
+            </CardHeader>
+            <CardContent>
+                <div className="border rounded-lg overflow-hidden">
+                    <Table>
+                        <TableHeader className="bg-secondary">
+                            <TableRow>
+                                <TableHead>Key</TableHead>
+                                <TableHead>Created</TableHead>
+                                <TableHead className="w-[100px]"></TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {keys.map(key => (
+                                <TableRow key={key.id}>
+                                    <TableCell className="font-medium">
+                                        {key.id} {key.active && <Badge variant="outline" className="ml-2 border-transparent bg-green-100 text-green-800">Active</Badge>}
+                                    </TableCell>
+                                    <TableCell>{format(parseISO(key.createdAt), 'Pp')}</TableCell>
+                                    <TableCell>
+                                        {!key.active && <Button variant="ghost" size="sm" onClick={() => startTransition(() => onRetire(key.id))} disabled={isPending}>Retire</Button>}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
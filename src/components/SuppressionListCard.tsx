@@ -0,0 +1,66 @@
+'use client';
+
+import { useState, useTransition } from 'react';
+import type { Suppression } from '@/lib/types';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { MailX } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+
+/** The addresses never emailed, with a way to add and remove them by hand. */
+export function SuppressionListCard({ suppressions, onAdd, onRemove }: { suppressions: Suppression[], onAdd: (email: string) => Promise<void>, onRemove: (email: string) => Promise<void> }) {
+    const [isPending, startTransition] = useTransition();
+    const [email, setEmail] = useState('');
+
+    const handleAdd = () => {
+        startTransition(async () => {
+            await onAdd(email);
+            setEmail('');
+        });
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2"><MailX className="w-6 h-6" />Suppression List</CardTitle>
+                <CardDescription>Addresses that are never emailed, whichever campaign or import they turn up in. People who unsubscribe and hard-bounced addresses are added automatically.</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <div className="flex gap-2">
+                    <Input type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="someone@example.com" />
+                    <Button onClick={handleAdd} disabled={isPending || !email}>Suppress</Button>
+                </div>
+                <div className="border rounded-lg overflow-hidden">
+                    <Table>
+                        <TableHeader className="bg-secondary">
+                            <TableRow>
+                                <TableHead>Email</TableHead>
+                                <TableHead>Reason</TableHead>
+                                <TableHead>Since</TableHead>
+                                <TableHead className="w-[100px]"></TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {suppressions.length === 0 ? (
+                                <TableRow>
+                                    <TableCell colSpan={4} className="text-center h-16 text-muted-foreground">The suppression list is empty.</TableCell>
+                                </TableRow>
+                            ) : suppressions.map(entry => (
+                                <TableRow key={entry.email}>
+                                    <TableCell className="font-medium">{entry.email}</TableCell>
+                                    <TableCell className="capitalize text-muted-foreground">{entry.reason}</TableCell>
+                                    <TableCell>{format(parseISO(entry.createdAt), 'Pp')}</TableCell>
+                                    <TableCell>
+                                        <Button variant="ghost" size="sm" onClick={() => startTransition(() => onRemove(entry.email))} disabled={isPending}>Remove</Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,211 @@
+'use client';
+
+import { useMemo, useState, useTransition } from 'react';
+import type { CustomField, EmailTemplate, TemplateContent } from '@/lib/types';
+import { BODY_SLOT, renderSample, slotLabel, templateErrors, templateSlots } from '@/lib/emailTemplates';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { format, parseISO } from 'date-fns';
+import { Copy, LayoutTemplate, Loader2, Pencil, PlusCircle, RotateCcw, Trash2 } from 'lucide-react';
+
+// What "New Template" starts from: the least a template needs.
+const STARTER_HTML = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{ subject }}</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+  {{ slots.body }}
+  <p style="font-size: 12px; color: #666;"><a href="{{ unsubscribeUrl }}">Unsubscribe</a></p>
+</body>
+</html>
+`;
+
+// Thumbnails render the template at full email width and scale it down.
+const THUMBNAIL_SCALE = 0.4;
+
+function TemplateThumbnail({ html }: { html: string }) {
+    const sample = useMemo(() => renderSample(html), [html]);
+    return (
+        <div className="h-48 overflow-hidden rounded-md border bg-white">
+            <iframe
+                title="Template thumbnail"
+                sandbox=""
+                srcDoc={sample}
+                tabIndex={-1}
+                className="pointer-events-none origin-top-left border-0"
+                style={{ width: 640, height: 480, transform: `scale(${THUMBNAIL_SCALE})` }}
+            />
+        </div>
+    );
+}
+
+function SlotList({ html }: { html: string }) {
+    const slots = templateSlots(html).filter(slot => slot !== BODY_SLOT);
+    return (
+        <p className="text-xs text-muted-foreground">
+            {slots.length === 0 ? 'Body only' : `Body, ${slots.map(slotLabel).join(', ')}`}
+        </p>
+    );
+}
+
+/**
+ * Edits a template's HTML next to a preview with sample content. For saved
+ * templates it also lists earlier versions, which can be restored.
+ */
+function TemplateEditorDialog({ template, customFields, onSave, onRestore, onClose }: {
+    template: EmailTemplate | null,
+    customFields: CustomField[],
+    onSave: (content: TemplateContent) => Promise<boolean>,
+    onRestore: (version: number) => Promise<void>,
+    onClose: () => void,
+}) {
+    const [isPending, startTransition] = useTransition();
+    const [name, setName] = useState(template?.name ?? '');
+    const [description, setDescription] = useState(template?.description ?? '');
+    const [html, setHtml] = useState(template?.html ?? STARTER_HTML);
+    const errors = useMemo(() => templateErrors(html, customFields), [html, customFields]);
+    const sample = useMemo(() => errors.length > 0 ? null : renderSample(html), [html, errors]);
+
+    const handleSave = () => {
+        startTransition(async () => {
+            if (await onSave({ name, description, html })) onClose();
+        });
+    };
+
+    return (
+        <Dialog open onOpenChange={open => !open && onClose()}>
+            <DialogContent className="max-w-6xl">
+                <DialogHeader>
+                    <DialogTitle>{template ? `Edit ${template.name}` : 'New Template'}</DialogTitle>
+                    <DialogDescription>
+                        Use {'{{ slots.body }}'} where the campaign body goes and {'{{ slots.anyName }}'} for other content campaigns fill in,
+                        plus {'{{ subject }}'}, {'{{ senderName }}'}, {'{{ unsubscribeUrl }}'} and the merge tags.
+                    </DialogDescription>
+                </DialogHeader>
+                <div className="grid gap-4 lg:grid-cols-2">
+                    <div className="space-y-3">
+                        <div className="grid grid-cols-2 gap-2">
+                            <div className="space-y-1">
+                                <Label htmlFor="template-name">Name</Label>
+                                <Input id="template-name" value={name} onChange={e => setName(e.target.value)} placeholder="e.g. Product update" />
+                            </div>
+                            <div className="space-y-1">
+                                <Label htmlFor="template-description">Description</Label>
+                                <Input id="template-description" value={description} onChange={e => setDescription(e.target.value)} placeholder="Optional" />
+                            </div>
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="template-html">HTML</Label>
+                            <Textarea id="template-html" value={html} onChange={e => setHtml(e.target.value)} className="h-[420px] font-mono text-xs" spellCheck={false} />
+                        </div>
+                        {errors.length > 0 && (
+                            <ul className="list-disc space-y-1 pl-5 text-sm text-destructive">
+                                {errors.map(error => <li key={error}>{error}</li>)}
+                            </ul>
+                        )}
+                    </div>
+                    <div className="space-y-3">
+                        <Label>Preview</Label>
+                        <div className="flex justify-center rounded-lg border bg-muted p-2">
+                            <iframe title="Template preview" sandbox="" srcDoc={sample ?? ''} className="h-[440px] w-full border-0 bg-white" />
+                        </div>
+                        {template && template.history.length > 0 && (
+                            <div className="space-y-1">
+                                <Label>Earlier versions</Label>
+                                <ul className="max-h-32 divide-y overflow-y-auto rounded-md border text-sm">
+                                    {template.history.map(v => (
+                                        <li key={v.version} className="flex items-center justify-between gap-2 px-3 py-1">
+                                            <span>Version {v.version} · {v.name} · <span className="text-muted-foreground">{format(parseISO(v.savedAt), 'PPp')}</span></span>
+                                            <Button type="button" variant="ghost" size="sm" disabled={isPending} onClick={() => startTransition(() => onRestore(v.version))}>
+                                                <RotateCcw className="mr-1 h-3 w-3" />Restore
+                                            </Button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </div>
+                </div>
+                <DialogFooter>
+                    {template && <p className="mr-auto self-center text-xs text-muted-foreground">Version {template.version}</p>}
+                    <Button variant="outline" onClick={onClose}>Cancel</Button>
+                    <Button onClick={handleSave} disabled={isPending || !name.trim() || errors.length > 0}>
+                        {isPending ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Saving...</> : 'Save Template'}
+                    </Button>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+/** The reusable layouts campaigns are sent in. */
+export function TemplateLibrary({ templates, customFields, onCreate, onUpdate, onDuplicate, onDelete, onRestore }: {
+    templates: EmailTemplate[],
+    customFields: CustomField[],
+    onCreate: (content: TemplateContent) => Promise<boolean>,
+    onUpdate: (id: string, content: TemplateContent) => Promise<boolean>,
+    onDuplicate: (id: string) => Promise<void>,
+    onDelete: (id: string) => Promise<void>,
+    onRestore: (id: string, version: number) => Promise<void>,
+}) {
+    const [isPending, startTransition] = useTransition();
+    // The template being edited, 'new' for one that isn't saved yet.
+    const [editing, setEditing] = useState<string | null>(null);
+    const editingTemplate = templates.find(t => t.id === editing) ?? null;
+
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-start justify-between">
+                <div>
+                    <CardTitle className="flex items-center gap-2"><LayoutTemplate className="w-6 h-6" />Templates</CardTitle>
+                    <CardDescription>
+                        Layouts campaigns are sent in. Every save is kept as a version you can go back to. Built-in templates can be edited but not deleted.
+                    </CardDescription>
+                </div>
+                <Button onClick={() => setEditing('new')}><PlusCircle className="mr-2 h-4 w-4" />New Template</Button>
+            </CardHeader>
+            <CardContent className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                {templates.map(template => (
+                    <div key={template.id} className="space-y-2 rounded-lg border p-3">
+                        <TemplateThumbnail html={template.html} />
+                        <div className="flex items-center gap-2">
+                            <h3 className="truncate font-semibold">{template.name}</h3>
+                            {template.builtIn && <Badge variant="secondary">Built-in</Badge>}
+                            <span className="ml-auto text-xs text-muted-foreground">v{template.version}</span>
+                        </div>
+                        {template.description && <p className="line-clamp-2 text-sm text-muted-foreground">{template.description}</p>}
+                        <SlotList html={template.html} />
+                        <div className="flex gap-1">
+                            <Button variant="outline" size="sm" onClick={() => setEditing(template.id)}><Pencil className="mr-1 h-3 w-3" />Edit</Button>
+                            <Button variant="outline" size="sm" disabled={isPending} onClick={() => startTransition(() => onDuplicate(template.id))}><Copy className="mr-1 h-3 w-3" />Duplicate</Button>
+                            {!template.builtIn && (
+                                <Button variant="ghost" size="sm" className="ml-auto" disabled={isPending} onClick={() => startTransition(() => onDelete(template.id))} aria-label={`Delete ${template.name}`}>
+                                    <Trash2 className="h-4 w-4" />
+                                </Button>
+                            )}
+                        </div>
+                    </div>
+                ))}
+            </CardContent>
+            {editing && (
+                // Keyed on the version so a restore shows the restored content.
+                <TemplateEditorDialog
+                    key={editingTemplate ? `${editingTemplate.id}-${editingTemplate.version}` : 'new'}
+                    template={editingTemplate}
+                    customFields={customFields}
+                    onSave={content => editingTemplate ? onUpdate(editingTemplate.id, content) : onCreate(content)}
+                    onRestore={version => onRestore(editing, version)}
+                    onClose={() => setEditing(null)}
+                />
+            )}
+        </Card>
+    );
+}
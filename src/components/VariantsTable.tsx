@@ -0,0 +1,52 @@
+'use client';
+
+import type { VariantStats, VariantTestResult } from '@/lib/types';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Trophy } from 'lucide-react';
+
+/** How each A/B test variant is doing, and whether the difference is significant yet. */
+export function VariantsTable({ variants, test }: { variants: VariantStats[], test: VariantTestResult }) {
+    const metric = test.metric === 'open' ? 'open rate' : 'click rate';
+    let verdict = "Not enough sends yet to compare the variants.";
+    if (test.pValue !== null) {
+        verdict = test.significant
+            ? `Variant ${test.leaderId} leads on ${metric} and the difference is significant (p = ${test.pValue}).`
+            : `Variant ${test.leaderId} leads on ${metric}, but the difference isn't significant yet (p = ${test.pValue}).`;
+    }
+
+    return (
+        <div className="mt-6 space-y-2">
+            <div className="border rounded-lg overflow-hidden">
+                <Table>
+                    <TableHeader className="bg-secondary">
+                        <TableRow>
+                            <TableHead>Variant</TableHead>
+                            <TableHead>Subject</TableHead>
+                            <TableHead className="text-right">Sent</TableHead>
+                            <TableHead className="text-right">Opened</TableHead>
+                            <TableHead className="text-right">Clicked</TableHead>
+                            <TableHead></TableHead>
+                        </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                        {variants.map(variant => (
+                            <TableRow key={variant.id}>
+                                <TableCell className="font-medium">{variant.id}</TableCell>
+                                <TableCell className="max-w-xs truncate">{variant.subject}</TableCell>
+                                <TableCell className="text-right">{variant.sent}</TableCell>
+                                <TableCell className="text-right">{variant.opened} ({variant.openRate}%)</TableCell>
+                                <TableCell className="text-right">{variant.clicked} ({variant.clickRate}%)</TableCell>
+                                <TableCell className="text-right">
+                                    {test.winnerId === variant.id && <Badge className="gap-1"><Trophy className="w-3 h-3" />Winner</Badge>}
+                                    {!test.winnerId && test.leaderId === variant.id && <Badge variant="secondary">Leading</Badge>}
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </div>
+            <p className="text-xs text-muted-foreground">{verdict}</p>
+        </div>
+    );
+}
@@ -0,0 +1,162 @@
+'use client';
+
+import { useState, useTransition } from 'react';
+import type { WebhookDelivery, WebhookEventType, WebhookSummary } from '@/lib/types';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Button } from '@/components/ui/button';
+import { Send, PlusCircle, Loader2, Trash2, Copy, Webhook } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { WEBHOOK_EVENTS } from '@/lib/webhooks';
+
+function WebhookEventPicker({ idPrefix, selected, onChange, disabled }: { idPrefix: string, selected: WebhookEventType[], onChange: (events: WebhookEventType[]) => void, disabled?: boolean }) {
+    return (
+        <div className="grid gap-2 sm:grid-cols-2">
+            {WEBHOOK_EVENTS.map(({ type, description }) => (
+                <div key={type} className="flex items-start gap-2">
+                    <Checkbox
+                        id={`${idPrefix}-${type}`}
+                        checked={selected.includes(type)}
+                        onCheckedChange={checked => onChange(checked ? [...selected, type] : selected.filter(t => t !== type))}
+                        disabled={disabled}
+                    />
+                    <Label htmlFor={`${idPrefix}-${type}`} className="font-normal leading-tight">
+                        <span className="font-mono text-xs">{type}</span>
+                        <span className="block text-xs text-muted-foreground">{description}</span>
+                    </Label>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+const WEBHOOK_STATUS_CLASSES: Record<WebhookDelivery['status'], string> = {
+    succeeded: 'bg-green-100 text-green-800',
+    pending: 'bg-amber-100 text-amber-800',
+    failed: 'bg-red-100 text-red-800',
+};
+
+function WebhookItem({ webhook, onUpdate, onDelete, onTest }: {
+    webhook: WebhookSummary,
+    onUpdate: (id: string, patch: { events?: WebhookEventType[], enabled?: boolean }) => Promise<void>,
+    onDelete: (id: string) => Promise<void>,
+    onTest: (id: string) => Promise<void>,
+}) {
+    const [isPending, startTransition] = useTransition();
+    const { toast } = useToast();
+
+    const copySecret = async () => {
+        await navigator.clipboard.writeText(webhook.secret);
+        toast({ title: "Secret Copied" });
+    };
+
+    return (
+        <div className="space-y-4 rounded-lg border p-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <p className="font-mono text-sm break-all">{webhook.url}</p>
+                <div className="flex items-center gap-2">
+                    <Switch checked={webhook.enabled} onCheckedChange={enabled => startTransition(() => onUpdate(webhook.id, { enabled }))} disabled={isPending} aria-label="Enabled" />
+                    <Button variant="outline" size="sm" onClick={() => startTransition(() => onTest(webhook.id))} disabled={isPending || !webhook.enabled}>
+                        {isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Send className="mr-2 h-4 w-4" />}Send Test Event
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => startTransition(() => onDelete(webhook.id))} disabled={isPending}><Trash2 className="h-4 w-4" /></Button>
+                </div>
+            </div>
+            <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                <span>Signing secret:</span>
+                <code className="rounded bg-secondary px-1.5 py-0.5">{webhook.secret.slice(0, 12)}…</code>
+                <Button variant="ghost" size="sm" className="h-6 px-2" onClick={copySecret}><Copy className="h-3 w-3" /></Button>
+            </div>
+            <WebhookEventPicker
+                idPrefix={`webhook-${webhook.id}`}
+                selected={webhook.events}
+                onChange={events => startTransition(() => onUpdate(webhook.id, { events }))}
+                disabled={isPending}
+            />
+            {webhook.recentDeliveries.length > 0 && (
+                <div className="border rounded-lg overflow-hidden">
+                    <Table>
+                        <TableHeader className="bg-secondary">
+                            <TableRow>
+                                <TableHead>Event</TableHead>
+                                <TableHead>Created</TableHead>
+                                <TableHead>Status</TableHead>
+                                <TableHead className="text-right">Attempts</TableHead>
+                                <TableHead>Response</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {webhook.recentDeliveries.map(delivery => (
+                                <TableRow key={delivery.id}>
+                                    <TableCell className="font-mono text-xs">{delivery.event.type}</TableCell>
+                                    <TableCell>{format(parseISO(delivery.createdAt), 'Pp')}</TableCell>
+                                    <TableCell>
+                                        <Badge variant="outline" className={`border-transparent ${WEBHOOK_STATUS_CLASSES[delivery.status]}`}>{delivery.status}</Badge>
+                                    </TableCell>
+                                    <TableCell className="text-right">{delivery.attempts}</TableCell>
+                                    <TableCell className="max-w-xs truncate text-muted-foreground" title={delivery.error ?? undefined}>
+                                        {delivery.error ?? (delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '—')}
+                                        {delivery.status === 'pending' && delivery.attempts > 0 && delivery.nextAttemptAt && ` · retrying at ${format(parseISO(delivery.nextAttemptAt), 'p')}`}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+/** The endpoints events are POSTed to, each with its recent deliveries. */
+export function WebhooksCard({ webhooks, onAdd, onUpdate, onDelete, onTest }: {
+    webhooks: WebhookSummary[],
+    onAdd: (url: string, events: WebhookEventType[]) => Promise<boolean>,
+    onUpdate: (id: string, patch: { events?: WebhookEventType[], enabled?: boolean }) => Promise<void>,
+    onDelete: (id: string) => Promise<void>,
+    onTest: (id: string) => Promise<void>,
+}) {
+    const [isPending, startTransition] = useTransition();
+    const [url, setUrl] = useState('');
+    const [events, setEvents] = useState<WebhookEventType[]>(['email.sent', 'email.opened']);
+
+    const handleAdd = () => {
+        startTransition(async () => {
+            if (await onAdd(url, events)) setUrl('');
+        });
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2"><Webhook className="w-6 h-6" />Webhooks</CardTitle>
+                <CardDescription>
+                    Events are POSTed as JSON to each endpoint and retried with backoff for about ten hours if it doesn't answer with a 2xx.
+                    Every request has an <code>X-Bagga-Signature: t=…,v1=…</code> header, where v1 is the hex HMAC-SHA256 of <code>{'{t}.{body}'}</code> with the webhook's secret.
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                <div className="space-y-4 rounded-lg bg-secondary p-4">
+                    <div className="flex gap-2">
+                        <Input value={url} onChange={e => setUrl(e.target.value)} placeholder="https://crm.example.com/hooks/email" />
+                        <Button onClick={handleAdd} disabled={isPending || !url || events.length === 0}>
+                            {isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <PlusCircle className="mr-2 h-4 w-4" />}Add Webhook
+                        </Button>
+                    </div>
+                    <WebhookEventPicker idPrefix="new-webhook" selected={events} onChange={setEvents} disabled={isPending} />
+                </div>
+                {webhooks.length === 0 ? (
+                    <p className="text-center text-sm text-muted-foreground">No webhooks yet.</p>
+                ) : webhooks.map(webhook => (
+                    <WebhookItem key={webhook.id} webhook={webhook} onUpdate={onUpdate} onDelete={onDelete} onTest={onTest} />
+                ))}
+            </CardContent>
+        </Card>
+    );
+}
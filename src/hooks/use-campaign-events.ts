@@ -0,0 +1,18 @@
+"use client"
+
+import * as React from "react"
+import type { CampaignEvent } from "@/lib/types"
+
+/** Subscribes to a campaign's live event stream for as long as the component is mounted. */
+export function useCampaignEvents(campaignId: string, onEvent: (event: CampaignEvent) => void) {
+  const handlerRef = React.useRef(onEvent)
+  handlerRef.current = onEvent
+
+  React.useEffect(() => {
+    const source = new EventSource(`/api/campaigns/${campaignId}/events`)
+    source.onmessage = (message) => {
+      handlerRef.current(JSON.parse(message.data) as CampaignEvent)
+    }
+    return () => source.close()
+  }, [campaignId])
+}
@@ -0,0 +1,11 @@
+// Runs once when the Next.js server starts.
+export async function register() {
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { resumeJobs } = await import('@/services/sendQueue');
+    await resumeJobs();
+    const { startScheduler } = await import('@/services/scheduler');
+    startScheduler();
+    const { startWebhookDispatcher } = await import('@/services/webhooks');
+    startWebhookDispatcher();
+  }
+}
@@ -0,0 +1,120 @@
+import type { AbTest, AbTestSettings, Campaign, Recipient, VariantStats, VariantTestResult } from './types';
+
+// A/B test bookkeeping: who gets which variant, how each variant is doing,
+// and whether the difference is more than noise.
+
+export const MAX_VARIANTS = 5;
+
+// p-value below which the leader is called significantly better.
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Statuses of emails that actually went out.
+const SENT_STATUSES = new Set(['Sent', 'Bounced', 'Replied']);
+
+export function variantIds(abTest: AbTest | AbTestSettings) {
+  return ['A', ...abTest.variants.map(v => v.id)];
+}
+
+/** The subject and body a delivery goes out with, and the variant they came from. */
+export function variantContent(campaign: Campaign, variantId: string | null) {
+  const { abTest } = campaign;
+  if (!abTest) return { variantId: null, subject: campaign.subject, body: campaign.body };
+  const id = variantId ?? abTest.winnerId ?? 'A';
+  const variant = abTest.variants.find(v => v.id === id);
+  return variant
+    ? { variantId: id, subject: variant.subject, body: variant.body }
+    : { variantId: 'A', subject: campaign.subject, body: campaign.body };
+}
+
+export function validateAbTest(settings: AbTestSettings): string | null {
+  if (settings.variants.length < 1 || settings.variants.length > MAX_VARIANTS - 1) {
+    return `An A/B test needs between 2 and ${MAX_VARIANTS} variants.`;
+  }
+  if (settings.variants.some(v => !v.subject.trim() || !v.body.trim())) {
+    return "Every variant needs a subject and a body.";
+  }
+  if (!Number.isFinite(settings.testPercent) || settings.testPercent <= 0 || settings.testPercent > 100) {
+    return "The test slice must be between 1% and 100% of the contacts.";
+  }
+  if (!Number.isFinite(settings.waitHours) || settings.waitHours <= 0) {
+    return "Wait at least a little while before picking a winner.";
+  }
+  if (settings.metric !== 'open' && settings.metric !== 'click') {
+    return "Pick the winner by open rate or click rate.";
+  }
+  return null;
+}
+
+/**
+ * Picks a random slice of the contacts and deals the variants out evenly
+ * over it. Every variant gets at least one contact if there are enough.
+ */
+export function assignTestSlice(contactIds: string[], variants: string[], testPercent: number) {
+  const shuffled = [...contactIds];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  const size = Math.min(shuffled.length, Math.max(variants.length, Math.round(shuffled.length * testPercent / 100)));
+  const assignments = new Map(shuffled.slice(0, size).map((id, i) => [id, variants[i % variants.length]]));
+  return { assignments, rest: shuffled.slice(size) };
+}
+
+const rate = (count: number, total: number) => total > 0 ? parseFloat(((count / total) * 100).toFixed(2)) : 0;
+
+export function computeVariantStats(recipients: Recipient[], campaign: Pick<Campaign, 'subject' | 'abTest'>): VariantStats[] {
+  if (!campaign.abTest) return [];
+  const subjects = new Map([['A', campaign.subject], ...campaign.abTest.variants.map(v => [v.id, v.subject] as const)]);
+  return [...subjects].map(([id, subject]) => {
+    const sent = recipients.filter(r => r.variantId === id && SENT_STATUSES.has(r.status));
+    const opened = sent.filter(r => r.openTimestamp !== null).length;
+    const clicked = sent.filter(r => r.clickTimestamp !== null).length;
+    return {
+      id,
+      subject,
+      sent: sent.length,
+      opened,
+      openRate: rate(opened, sent.length),
+      clicked,
+      clickRate: rate(clicked, sent.length),
+    };
+  });
+}
+
+// Standard normal CDF, via the Abramowitz and Stegun erf approximation.
+function normalCdf(z: number) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/** Two-sided p-value for the difference between two proportions. */
+export function twoProportionPValue(successesA: number, totalA: number, successesB: number, totalB: number): number | null {
+  if (totalA === 0 || totalB === 0) return null;
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (standardError === 0) return 1;
+  const z = (successesA / totalA - successesB / totalB) / standardError;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+export function evaluateVariants(stats: VariantStats[], abTest: AbTest): VariantTestResult {
+  const successes = (v: VariantStats) => abTest.metric === 'open' ? v.opened : v.clicked;
+  const ranked = stats
+    .filter(v => v.sent > 0)
+    // Highest rate first; ties go to the earlier variant.
+    .sort((a, b) => successes(b) / b.sent - successes(a) / a.sent);
+  const [leader, runnerUp] = ranked;
+  const pValue = leader && runnerUp
+    ? twoProportionPValue(successes(leader), leader.sent, successes(runnerUp), runnerUp.sent)
+    : null;
+
+  return {
+    metric: abTest.metric,
+    leaderId: leader?.id ?? null,
+    winnerId: abTest.winnerId,
+    pValue: pValue === null ? null : parseFloat(pValue.toFixed(4)),
+    significant: pValue !== null && pValue < SIGNIFICANCE_LEVEL,
+  };
+}
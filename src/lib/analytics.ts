@@ -0,0 +1,89 @@
+import { db, normalizeEmail } from './db';
+import { computeVariantStats, evaluateVariants } from './abTest';
+import type { Analytics, Campaign, Click, Contact, Delivery, LinkStats, OpenEvent, Recipient } from './types';
+
+// Contacts that haven't been sent to yet but are on the suppression list show
+// up as Suppressed, since they will be skipped when their turn comes.
+export function toRecipient(contact: Contact, delivery: Delivery | undefined, suppressed = false): Recipient {
+  const status = delivery?.status ?? 'Pending';
+  return {
+    ...contact,
+    status: status === 'Pending' && suppressed ? 'Suppressed' : status,
+    variantId: delivery?.variantId ?? null,
+    attempts: delivery?.attempts ?? 0,
+    nextAttemptAt: delivery?.nextAttemptAt ?? null,
+    error: delivery?.error ?? null,
+    sentTimestamp: delivery?.sentTimestamp ?? null,
+    openTimestamp: delivery?.openTimestamp ?? null,
+    clickTimestamp: delivery?.clickTimestamp ?? null,
+    bounce: delivery?.bounce ?? null,
+    replyTimestamp: delivery?.replyTimestamp ?? null,
+    replySnippet: delivery?.replySnippet ?? null,
+  };
+}
+
+export function toRecipients(contacts: Contact[], deliveries: Delivery[], suppressed = new Set<string>()): Recipient[] {
+  const byContact = new Map(deliveries.map(d => [d.contactId, d]));
+  return contacts.map(contact => toRecipient(contact, byContact.get(contact.id), suppressed.has(normalizeEmail(contact.email))));
+}
+
+function linkStats(clicks: Click[]): LinkStats[] {
+  const byUrl = new Map<string, Click[]>();
+  for (const click of clicks) {
+    byUrl.set(click.url, [...byUrl.get(click.url) ?? [], click]);
+  }
+  return [...byUrl.entries()]
+    .map(([url, linkClicks]) => ({
+      url,
+      clicks: linkClicks.length,
+      uniqueClicks: new Set(linkClicks.map(c => c.deliveryId)).size,
+    }))
+    .sort((a, b) => b.clicks - a.clicks);
+}
+
+export function computeAnalytics(
+  recipients: Recipient[],
+  clicks: Click[] = [],
+  opens: OpenEvent[] = [],
+  campaign: Pick<Campaign, 'subject' | 'abTest'> | null = null,
+): Analytics {
+  const total = recipients.length;
+  // Bounced and replied-to emails did go out; the bounce or reply came back afterwards.
+  const sent = recipients.filter(c => c.status === 'Sent' || c.status === 'Bounced' || c.status === 'Replied').length;
+  const pending = recipients.filter(c => c.status === 'Pending' || c.status === 'Sending').length;
+  const errors = recipients.filter(c => c.status === 'Error').length;
+  const suppressed = recipients.filter(c => c.status === 'Suppressed').length;
+  const bounced = recipients.filter(c => c.status === 'Bounced').length;
+  const hardBounces = recipients.filter(c => c.bounce?.kind === 'hard').length;
+  const opened = recipients.filter(c => c.openTimestamp !== null).length;
+  const openRate = sent > 0 ? parseFloat(((opened / sent) * 100).toFixed(2)) : 0;
+  const totalOpens = opens.length;
+  const machineOpens = opens.filter(o => o.machine).length;
+  const clicked = recipients.filter(c => c.clickTimestamp !== null).length;
+  const clickRate = sent > 0 ? parseFloat(((clicked / sent) * 100).toFixed(2)) : 0;
+  const replied = recipients.filter(c => c.replyTimestamp !== null).length;
+  const sentRate = total > 0 ? parseFloat(((sent / total) * 100).toFixed(2)) : 0;
+  const variants = campaign ? computeVariantStats(recipients, campaign) : [];
+  const variantTest = campaign?.abTest ? evaluateVariants(variants, campaign.abTest) : null;
+
+  return {
+    total, sent, pending, errors, suppressed, bounced, hardBounces, opened, openRate, totalOpens, machineOpens,
+    clicked, clickRate, replied, sentRate, links: linkStats(clicks), variants, variantTest,
+  };
+}
+
+export async function loadRecipients(campaignId: string): Promise<Recipient[]> {
+  const [contacts, deliveries] = await Promise.all([db.contacts.list(), db.deliveries.listByCampaign(campaignId)]);
+  const suppressed = await db.suppressions.filter(contacts.map(c => c.email));
+  return toRecipients(contacts, deliveries, suppressed);
+}
+
+export async function loadAnalytics(campaignId: string): Promise<Analytics> {
+  const [recipients, clicks, opens, campaign] = await Promise.all([
+    loadRecipients(campaignId),
+    db.clicks.listByCampaign(campaignId),
+    db.opens.listByCampaign(campaignId),
+    db.campaigns.find(campaignId),
+  ]);
+  return computeAnalytics(recipients, clicks, opens, campaign);
+}
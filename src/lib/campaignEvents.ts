@@ -0,0 +1,72 @@
+import { EventEmitter } from 'events';
+import { db } from './db';
+import { loadAnalytics, toRecipient } from './analytics';
+import type { CampaignEvent, SendJob } from './types';
+
+// In-process pub/sub for live campaign progress, shared through globalThis so
+// the send worker, the tracking route and the SSE route all see the same bus.
+const globalForEvents = globalThis as unknown as { __baggaEvents?: EventEmitter, __baggaAnalyticsDue?: Set<string> };
+const emitter = globalForEvents.__baggaEvents ?? (globalForEvents.__baggaEvents = new EventEmitter().setMaxListeners(0));
+
+// Analytics go over every delivery of the campaign, so while it is busy they
+// are sent at most this often instead of after every event.
+const ANALYTICS_INTERVAL_MS = 1000;
+// Campaigns with an analytics event already scheduled.
+const analyticsDue = globalForEvents.__baggaAnalyticsDue ?? (globalForEvents.__baggaAnalyticsDue = new Set());
+
+export function subscribeToCampaign(campaignId: string, listener: (event: CampaignEvent) => void) {
+  emitter.on(campaignId, listener);
+  return () => {
+    emitter.off(campaignId, listener);
+  };
+}
+
+// Calls each listener on its own so one that throws neither stops the rest nor
+// reaches the publisher, which may be the send worker.
+function publish(event: CampaignEvent) {
+  for (const listener of emitter.listeners(event.campaignId) as ((event: CampaignEvent) => void)[]) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error(`❌ A listener failed on the ${event.type} event of campaign ${event.campaignId}:`, error);
+    }
+  }
+}
+
+function scheduleAnalytics(campaignId: string) {
+  if (analyticsDue.has(campaignId)) return;
+  analyticsDue.add(campaignId);
+  setTimeout(async () => {
+    analyticsDue.delete(campaignId);
+    if (emitter.listenerCount(campaignId) === 0) return;
+    try {
+      publish({ type: 'analytics', campaignId, timestamp: new Date().toISOString(), analytics: await loadAnalytics(campaignId) });
+    } catch (error) {
+      console.error(`❌ Failed to publish analytics for campaign ${campaignId}:`, error);
+    }
+  }, ANALYTICS_INTERVAL_MS);
+}
+
+/** Publishes the current state of a delivery; the campaign analytics follow shortly after. */
+export async function publishDeliveryEvent(type: 'sent' | 'retrying' | 'failed' | 'opened' | 'clicked' | 'bounced' | 'replied', deliveryId: string) {
+  try {
+    const delivery = await db.deliveries.find(deliveryId);
+    if (!delivery || emitter.listenerCount(delivery.campaignId) === 0) return;
+    const contact = await db.contacts.find(delivery.contactId);
+    if (!contact) return;
+    const suppressed = await db.suppressions.filter([contact.email]);
+    publish({
+      type,
+      campaignId: delivery.campaignId,
+      timestamp: new Date().toISOString(),
+      recipient: toRecipient(contact, delivery, suppressed.size > 0),
+    });
+    scheduleAnalytics(delivery.campaignId);
+  } catch (error) {
+    console.error(`❌ Failed to publish ${type} event for delivery ${deliveryId}:`, error);
+  }
+}
+
+export function publishJobEvent(job: SendJob) {
+  publish({ type: 'job', campaignId: job.campaignId, timestamp: new Date().toISOString(), job });
+}
@@ -0,0 +1,286 @@
+import { parseTemplate } from '@shared/templateEngine';
+import { MERGE_TAGS, mergeTagErrors } from './mergeTags';
+import type { Contact, CustomField, LintIssue, LintSeverity } from './types';
+
+// Pre-send checks on a rendered campaign email: things that get mail sent to
+// spam, clipped or mangled, each with a suggestion for fixing it.
+
+// Phrases spam filters weigh against an email, and what to say instead. The
+// optional subject rewrite swaps them for these replacements.
+export const SPAM_PHRASES: Record<string, string> = {
+  'FREE': 'Complimentary', 'URGENT': 'Important', 'ACT NOW': 'Take Action',
+  'LIMITED TIME': 'Special Offer', 'CLICK HERE': 'Learn More', 'BUY NOW': 'Get Started',
+  'MONEY': 'Value', 'CASH': 'Savings', 'WIN': 'Receive', 'WINNER': 'Selected',
+  'DEAL': 'Offer', 'SALE': 'Special Price', 'RISK-FREE': 'Worry-free',
+  'GUARANTEED': 'Promised', 'NO OBLIGATION': 'No commitment', '100%': 'Fully',
+  'EARN EXTRA': 'Get more', 'DOUBLE YOUR': 'Grow your',
+};
+
+const URL_SHORTENERS = new Set([
+  'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly',
+  'cutt.ly', 'shorturl.at', 'tiny.cc', 'rb.gy', 'bl.ink', 'shorte.st',
+]);
+
+// Gmail cuts off anything past this and hides it behind "View entire message".
+const GMAIL_CLIP_BYTES = 102 * 1024;
+const SIZE_WARNING_BYTES = 90 * 1024;
+
+// Rough rule of thumb: at least this many words of text per image.
+const WORDS_PER_IMAGE = 60;
+
+const SEVERITY_PENALTY: Record<LintSeverity, number> = { error: 25, warning: 10, info: 2 };
+
+export interface LintInput {
+  // The subject and body as written, merge tags and all.
+  subject: string;
+  body: string;
+  // The email as it would go out, for a sample contact.
+  sentSubject: string;
+  html: string;
+  text: string | null;
+  // Who it is going to, to spot merge tags that come out blank.
+  contacts: Pick<Contact, 'firstName' | 'lastName' | 'fields'>[];
+  customFields: CustomField[];
+}
+
+export interface LintResult {
+  score: number;
+  issues: LintIssue[];
+}
+
+function visibleText(html: string) {
+  return html
+    .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const countWords = (text: string) => text.split(/\s+/).filter(w => /\w/.test(w)).length;
+
+/** Matches the phrase as whole words; the first group is the character before it. */
+export function spamPhrasePattern(phrase: string, flags = 'i') {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|\\W)${escaped}(?=\\W|$)`, flags);
+}
+
+function findSpamPhrases(text: string) {
+  return Object.keys(SPAM_PHRASES).filter(phrase => spamPhrasePattern(phrase).test(text));
+}
+
+function spamIssues(where: 'subject' | 'body', text: string): LintIssue[] {
+  const phrases = findSpamPhrases(text);
+  const issues: LintIssue[] = [];
+  if (phrases.length > 0) {
+    issues.push({
+      id: `spam-phrases-${where}`,
+      severity: 'warning',
+      message: `The ${where} uses phrases spam filters look for: ${phrases.map(p => `"${p}"`).join(', ')}.`,
+      suggestion: `Reword them, e.g. ${phrases.slice(0, 3).map(p => `"${SPAM_PHRASES[p]}" instead of "${p}"`).join(', ')}.`,
+    });
+  }
+  if (/[!?]{2,}/.test(text)) {
+    issues.push({
+      id: `punctuation-${where}`,
+      severity: 'warning',
+      message: `The ${where} has runs of exclamation or question marks.`,
+      suggestion: "Use a single ! or ? at most.",
+    });
+  }
+  return issues;
+}
+
+function capsIssues(subject: string, bodyText: string): LintIssue[] {
+  const issues: LintIssue[] = [];
+  const letters = subject.replace(/[^a-z]/gi, '');
+  if (letters.length >= 6 && letters.replace(/[^A-Z]/g, '').length / letters.length >= 0.7) {
+    issues.push({
+      id: 'caps-subject',
+      severity: 'warning',
+      message: "The subject is written in capitals.",
+      suggestion: "Use sentence case; all-caps subjects read as shouting and score as spam.",
+    });
+  }
+  const words = bodyText.split(/\s+/).filter(w => /[a-z]{4,}/i.test(w));
+  const shouted = words.filter(w => /[A-Z]{4,}/.test(w) && w === w.toUpperCase());
+  if (shouted.length >= 3 && shouted.length / words.length > 0.1) {
+    issues.push({
+      id: 'caps-body',
+      severity: 'warning',
+      message: `${shouted.length} words in the body are in capitals.`,
+      suggestion: "Emphasise with bold or a heading instead of capitals.",
+    });
+  }
+  return issues;
+}
+
+function mergeTagIssues(subject: string, body: string, contacts: LintInput['contacts'], customFields: CustomField[]): LintIssue[] {
+  const issues: LintIssue[] = [];
+  const fields = [{ label: 'Subject', source: subject }, { label: 'Body', source: body }];
+
+  mergeTagErrors(fields, customFields).forEach((message, i) => {
+    issues.push({
+      id: `merge-tag-error-${i}`,
+      severity: 'error',
+      message,
+      suggestion: "Fix the tag; until then it is sent as typed.",
+    });
+  });
+
+  // Single braces, like "{firstName}", aren't tags at all.
+  const tags = [...MERGE_TAGS, ...customFields.map(f => f.name)];
+  const singleBraced = new RegExp(`(^|[^{])\\{\\s*(${tags.join('|')})\\s*\\}(?!\\})`);
+  if (fields.some(({ source }) => singleBraced.test(source))) {
+    issues.push({
+      id: 'merge-tag-malformed',
+      severity: 'error',
+      message: "There is a merge tag with only one brace on each side.",
+      suggestion: "Write merge tags with two braces on each side, like {{firstName}}.",
+    });
+  }
+
+  const references = fields.flatMap(({ source }) => parseTemplate(source).references);
+  if (references.length === 0) {
+    issues.push({
+      id: 'merge-tag-none',
+      severity: 'info',
+      message: "The email isn't personalized.",
+      suggestion: "Greeting people by name with {{firstName}} tends to help opens.",
+    });
+  }
+
+  const blankFor = (field: 'firstName' | 'lastName') => contacts.filter(c => !c[field].trim()).length;
+  const checks: [string, number, string][] = [
+    ['firstName', blankFor('firstName'), 'names'],
+    ['lastName', blankFor('lastName'), 'names'],
+    ['fullName', contacts.filter(c => !c.firstName.trim() && !c.lastName.trim()).length, 'names'],
+    // Fields with a default of their own are never blank.
+    ...customFields
+      .filter(field => !field.defaultValue)
+      .map((field): [string, number, string] => [field.name, contacts.filter(c => !c.fields[field.name]).length, 'values']),
+  ];
+  for (const [tag, blank, missing] of checks) {
+    // Tags with a default, or only used in {% if %}, already cope with blanks.
+    if (blank === 0 || !references.some(ref => ref.root === tag && !ref.hasDefault)) continue;
+    issues.push({
+      id: `merge-tag-blank-${tag}`,
+      severity: 'warning',
+      message: `{{${tag}}} comes out blank for ${blank} of ${contacts.length} contacts.`,
+      suggestion: `Give it a fallback, like {{${tag} | default: "there"}}, or fill in the missing ${missing}.`,
+    });
+  }
+  return issues;
+}
+
+function imageIssues(html: string, words: number): LintIssue[] {
+  // The 1x1 tracking pixel doesn't count.
+  const images = [...html.matchAll(/<img\b[^>]*>/gi)].map(m => m[0]).filter(tag => !/width=["']?1["'\s>]/i.test(tag));
+  if (images.length === 0) return [];
+  const issues: LintIssue[] = [];
+  if (words < images.length * WORDS_PER_IMAGE) {
+    issues.push({
+      id: 'image-ratio',
+      severity: 'warning',
+      message: `${images.length} image(s) against ${words} words of text.`,
+      suggestion: `Aim for at least ${WORDS_PER_IMAGE} words per image; image-heavy emails look like spam and show up empty when images are blocked.`,
+    });
+  }
+  const withoutAlt = images.filter(tag => !/\balt=["'][^"']+["']/i.test(tag)).length;
+  if (withoutAlt > 0) {
+    issues.push({
+      id: 'image-alt',
+      severity: 'info',
+      message: `${withoutAlt} image(s) have no alt text.`,
+      suggestion: "Describe each image in its alt attribute for blocked images and screen readers.",
+    });
+  }
+  return issues;
+}
+
+function linkIssues(html: string): LintIssue[] {
+  const hrefs = [...html.matchAll(/<a\b[^>]*\bhref=["']([^"']+)["']/gi)].map(m => m[1]);
+  const issues: LintIssue[] = [];
+
+  const shortened = [...new Set(hrefs.flatMap(href => {
+    try {
+      const host = new URL(href).hostname.replace(/^www\./, '');
+      return URL_SHORTENERS.has(host) ? [host] : [];
+    } catch {
+      return [];
+    }
+  }))];
+  if (shortened.length > 0) {
+    issues.push({
+      id: 'url-shorteners',
+      severity: 'warning',
+      message: `Links go through URL shorteners (${shortened.join(', ')}).`,
+      suggestion: "Link to the full destination; shorteners are a common spam signal and hide where a link goes.",
+    });
+  }
+
+  const hasUnsubscribe = hrefs.some(href => /unsubscribe/i.test(href))
+    || /<a\b[^>]*>[^<]*unsubscribe[^<]*<\/a>/i.test(html);
+  if (!hasUnsubscribe) {
+    issues.push({
+      id: 'unsubscribe-missing',
+      severity: 'error',
+      message: "There is no unsubscribe link.",
+      suggestion: "Bulk mail needs a visible unsubscribe link; Gmail and Yahoo reject senders without one.",
+    });
+  }
+  return issues;
+}
+
+export function lintEmail({ subject, body, sentSubject, html, text, contacts, customFields }: LintInput): LintResult {
+  const bodyText = visibleText(html);
+  const words = countWords(bodyText);
+  const issues: LintIssue[] = [];
+
+  if (!sentSubject.trim()) {
+    issues.push({ id: 'subject-empty', severity: 'error', message: "The subject is empty.", suggestion: "Write a short subject that says what the email is about." });
+  }
+  issues.push(...spamIssues('subject', sentSubject), ...spamIssues('body', visibleText(body)));
+  issues.push(...capsIssues(sentSubject, visibleText(body)));
+  issues.push(...mergeTagIssues(subject, body, contacts, customFields));
+  issues.push(...imageIssues(html, words));
+
+  const textWords = text ? countWords(text) : 0;
+  if (textWords === 0) {
+    issues.push({
+      id: 'text-missing',
+      severity: 'error',
+      message: "There is no plain-text part.",
+      suggestion: "Include a plain-text version; emails with only HTML are more likely to be filtered.",
+    });
+  } else if (/[{};]\s*\w+(-\w+)*\s*:/.test(text ?? '')) {
+    issues.push({
+      id: 'text-stylesheet',
+      severity: 'warning',
+      message: "The plain-text part contains stylesheet code.",
+      suggestion: "Make sure the text version only has the readable content of the email.",
+    });
+  }
+
+  const bytes = new TextEncoder().encode(html).length;
+  if (bytes > GMAIL_CLIP_BYTES) {
+    issues.push({
+      id: 'size-clipped',
+      severity: 'error',
+      message: `The HTML is ${Math.round(bytes / 1024)}KB; Gmail clips anything over 102KB.`,
+      suggestion: "Trim the content or inline styles; the unsubscribe link and open pixel at the end get cut off.",
+    });
+  } else if (bytes > SIZE_WARNING_BYTES) {
+    issues.push({
+      id: 'size-large',
+      severity: 'warning',
+      message: `The HTML is ${Math.round(bytes / 1024)}KB, close to Gmail's 102KB clipping limit.`,
+      suggestion: "Keep some headroom: personalization and tracked links make each recipient's copy a little bigger.",
+    });
+  }
+
+  issues.push(...linkIssues(html));
+
+  const score = Math.max(0, 100 - issues.reduce((total, issue) => total + SEVERITY_PENALTY[issue.severity], 0));
+  return { score, issues };
+}
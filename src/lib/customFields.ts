@@ -0,0 +1,68 @@
+import type { CustomField, CustomFieldType } from './types';
+
+// Typed values for the workspace's custom contact fields. Contacts store every
+// value as text; these helpers check it against the field's type and turn it
+// into a number or date for merge tags.
+
+export const CUSTOM_FIELD_TYPES: CustomFieldType[] = ['text', 'number', 'date'];
+
+const pad = (n: number) => String(n).padStart(2, '0');
+
+/**
+ * The value in the form it's stored in, "" when blank, or null if it isn't a
+ * valid number or date. Numbers may use thousands separators ("1,250.50");
+ * dates are stored as yyyy-MM-dd.
+ */
+export function normalizeFieldValue(type: CustomFieldType, raw: string): string | null {
+  const value = raw.trim();
+  if (!value || type === 'text') return value;
+
+  if (type === 'number') {
+    const number = Number(/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value) ? value.replace(/,/g, '') : value);
+    return Number.isFinite(number) ? String(number) : null;
+  }
+
+  // yyyy-MM-dd is a calendar day, not UTC midnight as Date would read it.
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(value);
+  if (Number.isNaN(date.getTime()) || (iso && date.getDate() !== Number(iso[3]))) return null;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** What {{name}} sees for a stored value: a number, a Date or text, falling back to the field's default. */
+export function fieldValue(field: CustomField, stored: string | undefined): string | number | Date | null {
+  const value = stored || field.defaultValue;
+  if (!value) return null;
+  if (field.type === 'number') return Number(value);
+  if (field.type === 'date') {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return value;
+}
+
+/**
+ * Normalizes a contact's values against the fields that exist, leaving out
+ * blanks and unknown fields. `invalid` names the fields whose value didn't
+ * fit their type; those are left out too.
+ */
+export function cleanFieldValues(values: Record<string, string>, fields: CustomField[]) {
+  const cleaned: Record<string, string> = {};
+  const invalid: string[] = [];
+  for (const field of fields) {
+    if (values[field.name] === undefined) continue;
+    const value = normalizeFieldValue(field.type, values[field.name]);
+    if (value === null) invalid.push(field.name);
+    else if (value) cleaned[field.name] = value;
+  }
+  return { fields: cleaned, invalid };
+}
+
+// "Company Name" → "companyName", "2nd phone" → "_2ndPhone"
+export function fieldNameFromHeader(header: string) {
+  const words = header.trim().split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const name = words
+    .map((word, i) => i === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+  return /^\d/.test(name) ? `_${name}` : name;
+}
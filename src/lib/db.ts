@@ -1,27 +1,889 @@
-import type { Contact, Campaign } from './types';
+import type { Bounce, Contact, ContactActivity, Campaign, CampaignContent, CampaignLink, Click, CustomField, EmailTemplate, TemplateContent, Delivery, MailProviderKind, NewContact, OpenEvent, SendJob, SendingAccount, SendingAccountUsage, SigningKey, Suppression, Webhook, WebhookDelivery, WebhookEvent } from './types';
+import { randomBytes } from 'crypto';
+import { store } from './store';
+import { normalizeFieldValue } from './customFields';
+import type { DbState, NumberedCollection } from './migrations';
 
-interface Db {
-  contacts: Contact[];
-  campaign: Campaign;
+export interface ContactRepository {
+  list(): Promise<Contact[]>;
+  find(id: string): Promise<Contact | null>;
+  insertMany(data: NewContact[]): Promise<Contact[]>;
+  /** Edits a contact, logging which fields changed on its activity timeline. */
+  update(id: string, patch: Partial<Omit<Contact, 'id'>>): Promise<Contact | null>;
+  updateMany(ids: string[], fn: (contact: Contact) => void): Promise<number>;
+  remove(ids: string[]): Promise<number>;
 }
 
-// In-memory "database"
-export const db: Db = {
-  contacts: [],
-  campaign: {
-    subject: "Hello {{firstName}}, Important Message for you",
-    body: `Dear {{firstName}} {{lastName}},
+export interface CustomFieldRepository {
+  list(): Promise<CustomField[]>;
+  add(fields: CustomField[]): Promise<CustomField[]>;
+  /** Changes a field's type or default, converting contacts' values to the new type. */
+  update(name: string, patch: Partial<Omit<CustomField, 'name'>>): Promise<CustomField | null>;
+  /** Deletes the field along with every contact's value for it. */
+  remove(name: string): Promise<boolean>;
+}
+
+export interface TemplateRepository {
+  list(): Promise<EmailTemplate[]>;
+  find(id: string): Promise<EmailTemplate | null>;
+  create(content: TemplateContent): Promise<EmailTemplate>;
+  /** Saves new content as the next version, keeping the current one in the history. */
+  update(id: string, content: TemplateContent): Promise<EmailTemplate | null>;
+  remove(id: string): Promise<boolean>;
+}
+
+export interface ContactActivityRepository {
+  /** The contact's activity, oldest first. */
+  listByContact(contactId: string): Promise<ContactActivity[]>;
+}
+
+export interface CampaignRepository {
+  list(): Promise<Campaign[]>;
+  find(id: string): Promise<Campaign | null>;
+  create(content: CampaignContent): Promise<Campaign>;
+  update(id: string, patch: Partial<Omit<Campaign, 'id' | 'createdAt'>>): Promise<Campaign | null>;
+}
+
+export interface DeliveryRepository {
+  listByCampaign(campaignId: string): Promise<Delivery[]>;
+  find(id: string): Promise<Delivery | null>;
+  /**
+   * Atomically claims the next contact the campaign hasn't been delivered to
+   * yet for `jobId`, moving its delivery to Sending. Retries that aren't due
+   * yet are skipped, and suppressed contacts passed over are marked
+   * Suppressed. Returns null when there is nobody to send to right now.
+   */
+  claimNext(campaignId: string, jobId: string): Promise<{ delivery: Delivery, contact: Contact } | null>;
+  /** Whether claimNext would find a contact to go through right now, without claiming one. */
+  hasDue(campaignId: string): Promise<boolean>;
+  /** When the campaign's next held back delivery (a retry or a local-time send) becomes due, if there is one. */
+  nextDueAt(campaignId: string): Promise<string | null>;
+  /** Holds contacts' deliveries back until the given times, creating them where needed. */
+  holdUntil(campaignId: string, times: Map<string, string>): Promise<void>;
+  /** Records which A/B test variant each contact gets, creating deliveries where needed. */
+  assignVariants(campaignId: string, variants: Map<string, string>): Promise<void>;
+  /** Makes every pending delivery of the campaign due immediately. */
+  releaseHeld(campaignId: string): Promise<number>;
+  /** Puts a claimed delivery back to Pending without counting the attempt against it. */
+  release(id: string): Promise<Delivery | null>;
+  /** Fails every delivery a job claimed but never finished, returning how many there were. */
+  failInterrupted(jobId: string): Promise<number>;
+  markSent(id: string, sent: { messageId: string | null, variantId: string | null, subject: string }): Promise<Delivery | null>;
+  /**
+   * Records a failed send attempt. With `nextAttemptAt` the delivery goes back
+   * to Pending to be retried then; without, it ends up as an Error.
+   */
+  markFailed(id: string, error: string, nextAttemptAt?: string | null): Promise<Delivery | null>;
+  /**
+   * Marks the most recent delivery sent to an address as Bounced. A hard
+   * bounce is never downgraded by a later soft one. Returns null if nothing
+   * was sent to the address.
+   */
+  markBounced(email: string, bounce: Bounce): Promise<Delivery | null>;
+  /** The delivery sent with any of these Message-IDs, if there is one. */
+  findByMessageId(messageIds: string[]): Promise<Delivery | null>;
+  /** Marks a delivery Replied. A reply also proves the email was opened. */
+  recordReply(id: string, reply: { timestamp: string, snippet: string }): Promise<Delivery | null>;
+  update(id: string, patch: Partial<Omit<Delivery, 'id' | 'campaignId' | 'contactId'>>): Promise<Delivery | null>;
+}
+
+export interface OpenRepository {
+  listByCampaign(campaignId: string): Promise<OpenEvent[]>;
+  /** Logs an open, and stamps the delivery's first open if a person made it. */
+  record(delivery: Delivery, event: Pick<OpenEvent, 'timestamp' | 'userAgent' | 'ip' | 'proxy' | 'machine' | 'machineReason'>): Promise<OpenEvent>;
+}
+
+export interface SendJobRepository {
+  find(id: string): Promise<SendJob | null>;
+  latestForCampaign(campaignId: string): Promise<SendJob | null>;
+  listByStatus(status: SendJob['status']): Promise<SendJob[]>;
+  /** Creates a running job, or returns null if the campaign already has an unfinished one. */
+  create(campaignId: string): Promise<SendJob | null>;
+  update(id: string, patch: Partial<Pick<SendJob, 'status' | 'error' | 'finishedAt' | 'deferredUntil'>>): Promise<SendJob | null>;
+}
+
+export interface LinkRepository {
+  find(id: string): Promise<CampaignLink | null>;
+  /** Returns the campaign's link for each URL, registering the ones it doesn't have yet. */
+  register(campaignId: string, urls: string[]): Promise<Map<string, CampaignLink>>;
+}
+
+export interface ClickRepository {
+  listByCampaign(campaignId: string): Promise<Click[]>;
+  /**
+   * Logs a click and stamps the delivery's first click. A click also proves
+   * the email was opened, so a missing open is filled in too.
+   */
+  record(delivery: Delivery, link: CampaignLink, userAgent: string | null): Promise<Click>;
+}
+
+export interface SuppressionRepository {
+  list(): Promise<Suppression[]>;
+  /** The given addresses that are on the suppression list, lowercased. */
+  filter(emails: string[]): Promise<Set<string>>;
+  /** Why each of the given addresses that is on the list was put there, keyed by the lowercased address. */
+  reasons(emails: string[]): Promise<Map<string, Suppression['reason']>>;
+  /** Adds an address unless it's already there, returning its entry. */
+  add(email: string, reason: Suppression['reason'], campaignId?: string | null): Promise<Suppression>;
+  /** Takes an address off the list and makes its skipped deliveries pending again. */
+  remove(email: string): Promise<boolean>;
+}
+
+export interface SigningKeyRepository {
+  list(): Promise<SigningKey[]>;
+  /** The key new tokens are signed with. */
+  active(): Promise<SigningKey>;
+  /** Adds a fresh key and makes it the active one. */
+  rotate(): Promise<SigningKey>;
+  /** Deletes a key that is no longer active, so tokens signed with it stop verifying. */
+  retire(id: string): Promise<boolean>;
+}
+
+export interface SendingAccountRepository {
+  find(id: string): Promise<SendingAccount | null>;
+  /** The account sending through `provider`, or the default account when none is given. */
+  forProvider(provider: MailProviderKind | null): Promise<SendingAccount>;
+  listWithUsage(): Promise<SendingAccountUsage[]>;
+  /** Making an account the default takes that over from the current one. */
+  update(id: string, patch: Partial<Omit<SendingAccount, 'id' | 'provider'>>): Promise<SendingAccount | null>;
+}
+
+export interface WebhookRepository {
+  list(): Promise<Webhook[]>;
+  find(id: string): Promise<Webhook | null>;
+  create(data: Pick<Webhook, 'url' | 'events'>): Promise<Webhook>;
+  update(id: string, patch: Partial<Pick<Webhook, 'url' | 'events' | 'enabled'>>): Promise<Webhook | null>;
+  /** Deletes the webhook along with its delivery log. */
+  remove(id: string): Promise<boolean>;
+}
+
+export interface WebhookDeliveryRepository {
+  /**
+   * Queues the event for each webhook, due at `dueAt`. Finished deliveries
+   * older than the log's retention are dropped at the same time.
+   */
+  enqueue(event: WebhookEvent, webhookIds: string[], dueAt?: string): Promise<WebhookDelivery[]>;
+  /**
+   * Takes the pending deliveries that are due and pushes them back to
+   * `leaseUntil`, so nobody else picks them up meanwhile and a delivery cut
+   * off by a restart is tried again afterwards.
+   */
+  claimDue(leaseUntil: string): Promise<WebhookDelivery[]>;
+  recordAttempt(id: string, attempt: Pick<WebhookDelivery, 'status' | 'nextAttemptAt' | 'responseStatus' | 'error'>): Promise<WebhookDelivery | null>;
+  /** The webhook's most recent deliveries, newest first. */
+  listRecent(webhookId: string, limit: number): Promise<WebhookDelivery[]>;
+}
+
+export function normalizeEmail(email: string) {
+  return email.trim().toLowerCase();
+}
+
+function nextId(state: DbState, collection: NumberedCollection) {
+  return (++state.lastIds[collection]).toString();
+}
+
+// Appends to the contact activity timeline from inside a write.
+function logActivity(state: DbState, entry: Pick<ContactActivity, 'contactId' | 'type'> & Partial<Omit<ContactActivity, 'id'>>) {
+  state.contactActivity.push({
+    id: nextId(state, 'contactActivity'),
+    campaignId: null,
+    timestamp: new Date().toISOString(),
+    variantId: null,
+    detail: null,
+    ...entry,
+  });
+}
+
+const CONTACT_FIELD_LABELS: Record<keyof Omit<Contact, 'id' | 'fields'>, string> = {
+  firstName: 'First name',
+  lastName: 'Last name',
+  email: 'Email',
+  timeZone: 'Time zone',
+};
 
-We hope this message finds you well!
+// "Email: old@example.com → new@example.com; Time zone: — → Europe/Berlin; company: — → Acme"
+function describeChanges(before: Contact, after: Contact) {
+  const changes = (Object.keys(CONTACT_FIELD_LABELS) as (keyof typeof CONTACT_FIELD_LABELS)[])
+    .filter(field => before[field] !== after[field])
+    .map(field => `${CONTACT_FIELD_LABELS[field]}: ${before[field] || '—'} → ${after[field] || '—'}`);
+  for (const name of new Set([...Object.keys(before.fields), ...Object.keys(after.fields)])) {
+    if (before.fields[name] !== after.fields[name]) {
+      changes.push(`${name}: ${before.fields[name] || '—'} → ${after.fields[name] || '—'}`);
+    }
+  }
+  return changes.length > 0 ? changes.join('; ') : null;
+}
 
-We wanted to share something important with you about BAGGA BUGS - our new email solution. It's designed to be powerful and easy to use.
+function logEdit(state: DbState, before: Contact, after: Contact) {
+  const detail = describeChanges(before, after);
+  if (detail) logActivity(state, { contactId: after.id, type: 'edited', detail });
+}
 
-Learn more on our website.
+// Every contact with this address; the same address may be on the list twice.
+function contactsWithEmail(state: DbState, email: string) {
+  const normalized = normalizeEmail(email);
+  return state.contacts.filter(c => normalizeEmail(c.email) === normalized);
+}
 
-Best regards,
-The Professional Team`,
-    senderName: "The Bagga Bugs Team",
-    senderEmail: "contact@baggabugs.dev",
-    replyTo: "reply@baggabugs.dev"
+// Adds a delivery for the contact and hands it back through the draft, so the
+// store's indexes follow whatever is changed on it next.
+function addDelivery(state: DbState, campaignId: string, contactId: string) {
+  state.deliveries.push({
+    id: nextId(state, 'deliveries'),
+    campaignId,
+    contactId,
+    status: 'Pending',
+    jobId: null,
+    claimedAt: null,
+    attempts: 0,
+    nextAttemptAt: null,
+    error: null,
+    sentTimestamp: null,
+    messageId: null,
+    variantId: null,
+    openTimestamp: null,
+    clickTimestamp: null,
+    bounce: null,
+    replyTimestamp: null,
+    replySnippet: null,
+  });
+  return state.deliveries[state.deliveries.length - 1];
+}
+
+// Per campaign, where claimNext last found a contact without a delivery, so
+// the next claim carries on from there rather than going over everyone again.
+// Only a starting point: the search wraps around.
+const uncontactedFrom = new Map<string, number>();
+
+// The next contact the campaign has no delivery for yet, if any.
+function nextUncontacted(state: DbState, campaignId: string) {
+  const { contacts } = state;
+  if (contacts.length <= store.countBy(state.deliveries, { campaignId })) return null;
+  const start = uncontactedFrom.get(campaignId) ?? 0;
+  for (let n = 0; n < contacts.length; n++) {
+    const i = (start + n) % contacts.length;
+    if (!store.findBy(state.deliveries, { campaignId, contactId: contacts[i].id })) {
+      uncontactedFrom.set(campaignId, i + 1);
+      return contacts[i];
+    }
   }
+  return null;
+}
+
+const contacts: ContactRepository = {
+  list: () => store.read(state => state.contacts),
+
+  find: (id) => store.read(state => store.findBy(state.contacts, { id }) ?? null),
+
+  insertMany: (data) => store.write(state => {
+    const inserted = data.map(contactData => ({
+      ...contactData,
+      timeZone: contactData.timeZone ?? null,
+      fields: contactData.fields ?? {},
+      id: nextId(state, 'contacts'),
+    }));
+    state.contacts.push(...inserted);
+    inserted.forEach(contact => logActivity(state, { contactId: contact.id, type: 'added' }));
+    return inserted;
+  }),
+
+  update: (id, patch) => store.write(state => {
+    const contact = store.findBy(state.contacts, { id });
+    if (!contact) return null;
+    const before = { ...contact, fields: { ...contact.fields } };
+    Object.assign(contact, patch);
+    logEdit(state, before, contact);
+    return contact;
+  }),
+
+  updateMany: (ids, fn) => store.write(state => {
+    const matching = state.contacts.filter(c => ids.includes(c.id));
+    matching.forEach(contact => {
+      const before = { ...contact, fields: { ...contact.fields } };
+      fn(contact);
+      logEdit(state, before, contact);
+    });
+    return matching.length;
+  }),
+
+  // Deleting a contact also drops its delivery and engagement history.
+  remove: (ids) => store.write(state => {
+    const before = state.contacts.length;
+    state.contacts = state.contacts.filter(c => !ids.includes(c.id));
+    state.deliveries = state.deliveries.filter(d => !ids.includes(d.contactId));
+    state.openEvents = state.openEvents.filter(o => !ids.includes(o.contactId));
+    state.clicks = state.clicks.filter(c => !ids.includes(c.contactId));
+    state.contactActivity = state.contactActivity.filter(a => !ids.includes(a.contactId));
+    return before - state.contacts.length;
+  }),
+};
+
+const activity: ContactActivityRepository = {
+  listByContact: (contactId) => store.read(state =>
+    store.filterBy(state.contactActivity, { contactId })
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))),
+};
+
+const customFields: CustomFieldRepository = {
+  list: () => store.read(state => state.customFields),
+
+  add: (fields) => store.write(state => {
+    state.customFields.push(...fields);
+    return fields;
+  }),
+
+  update: (name, patch) => store.write(state => {
+    const field = state.customFields.find(f => f.name === name);
+    if (!field) return null;
+    if (patch.type && patch.type !== field.type) {
+      for (const contact of state.contacts) {
+        if (contact.fields[name] === undefined) continue;
+        const value = normalizeFieldValue(patch.type, contact.fields[name]);
+        if (value) contact.fields[name] = value;
+        else delete contact.fields[name];
+      }
+    }
+    Object.assign(field, patch);
+    return field;
+  }),
+
+  remove: (name) => store.write(state => {
+    const before = state.customFields.length;
+    state.customFields = state.customFields.filter(f => f.name !== name);
+    state.contacts.forEach(contact => { delete contact.fields[name]; });
+    return state.customFields.length < before;
+  }),
+};
+
+// How many earlier versions of a template are kept.
+const TEMPLATE_HISTORY_SIZE = 20;
+
+const templates: TemplateRepository = {
+  list: () => store.read(state => state.templates),
+
+  find: (id) => store.read(state => state.templates.find(t => t.id === id) ?? null),
+
+  create: (content) => store.write(state => {
+    const template: EmailTemplate = {
+      id: nextId(state, 'templates'),
+      ...content,
+      builtIn: false,
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      history: [],
+    };
+    state.templates.push(template);
+    return template;
+  }),
+
+  update: (id, content) => store.write(state => {
+    const template = state.templates.find(t => t.id === id);
+    if (!template) return null;
+    if (content.html !== template.html || content.name !== template.name) {
+      const { version, name, html, updatedAt } = template;
+      template.history = [{ version, name, html, savedAt: updatedAt }, ...template.history].slice(0, TEMPLATE_HISTORY_SIZE);
+      template.version++;
+    }
+    Object.assign(template, content, { updatedAt: new Date().toISOString() });
+    return template;
+  }),
+
+  remove: (id) => store.write(state => {
+    const before = state.templates.length;
+    state.templates = state.templates.filter(t => t.id !== id || t.builtIn);
+    return state.templates.length < before;
+  }),
+};
+
+const campaigns: CampaignRepository = {
+  list: () => store.read(state => state.campaigns),
+
+  find: (id) => store.read(state => state.campaigns.find(c => c.id === id) ?? null),
+
+  create: (content) => store.write(state => {
+    const now = new Date().toISOString();
+    const campaign: Campaign = {
+      ...content,
+      id: nextId(state, 'campaigns'),
+      status: 'draft',
+      schedule: null,
+      abTest: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    state.campaigns.push(campaign);
+    return campaign;
+  }),
+
+  update: (id, patch) => store.write(state => {
+    const campaign = state.campaigns.find(c => c.id === id);
+    if (!campaign) return null;
+    Object.assign(campaign, patch, { updatedAt: new Date().toISOString() });
+    return campaign;
+  }),
 };
+
+const deliveries: DeliveryRepository = {
+  listByCampaign: (campaignId) => store.read(state => store.filterBy(state.deliveries, { campaignId })),
+
+  find: (id) => store.read(state => store.findBy(state.deliveries, { id }) ?? null),
+
+  // Deliveries due right away are found through the index on their fields;
+  // held ones join them once their time has come, so the index only has to
+  // be searched for those when no one else is left.
+  claimNext: (campaignId, jobId) => store.write(state => {
+    const claimedAt = new Date().toISOString();
+    const due: Partial<Delivery> = { campaignId, status: 'Pending', nextAttemptAt: null };
+    if (!store.findBy(state.deliveries, due)) {
+      store.filterBy(state.deliveries, { campaignId, status: 'Pending' })
+        .filter(d => (d.nextAttemptAt as string) <= claimedAt)
+        .forEach(d => { d.nextAttemptAt = null; });
+    }
+
+    while (true) {
+      let delivery = store.findBy(state.deliveries, due);
+      let contact: Contact | null;
+      if (delivery) {
+        contact = store.findBy(state.contacts, { id: delivery.contactId }) as Contact;
+      } else {
+        contact = nextUncontacted(state, campaignId);
+        if (!contact) return null;
+        delivery = addDelivery(state, campaignId, contact.id);
+      }
+      if (store.findBy(state.suppressions, { email: normalizeEmail(contact.email) })) {
+        Object.assign(delivery, { status: 'Suppressed', nextAttemptAt: null });
+        continue;
+      }
+      Object.assign(delivery, { status: 'Sending', jobId, claimedAt, attempts: delivery.attempts + 1, nextAttemptAt: null });
+      return { delivery, contact };
+    }
+  }),
+
+  hasDue: (campaignId) => store.read(state => {
+    const now = new Date().toISOString();
+    return state.contacts.length > store.countBy(state.deliveries, { campaignId })
+      || store.countBy(state.deliveries, { campaignId, status: 'Pending', nextAttemptAt: null }) > 0
+      || store.filterBy(state.deliveries, { campaignId, status: 'Pending' }).some(d => (d.nextAttemptAt as string) <= now);
+  }),
+
+  nextDueAt: (campaignId) => store.read(state => {
+    const due = store.filterBy(state.deliveries, { campaignId, status: 'Pending' })
+      .filter(d => d.nextAttemptAt)
+      .map(d => d.nextAttemptAt as string)
+      .sort();
+    return due[0] ?? null;
+  }),
+
+  holdUntil: (campaignId, times) => store.write(state => {
+    for (const [contactId, nextAttemptAt] of times) {
+      const delivery = store.findBy(state.deliveries, { campaignId, contactId }) ?? addDelivery(state, campaignId, contactId);
+      if (delivery.status === 'Pending') delivery.nextAttemptAt = nextAttemptAt;
+    }
+  }),
+
+  assignVariants: (campaignId, variants) => store.write(state => {
+    for (const [contactId, variantId] of variants) {
+      const delivery = store.findBy(state.deliveries, { campaignId, contactId }) ?? addDelivery(state, campaignId, contactId);
+      delivery.variantId = variantId;
+    }
+  }),
+
+  releaseHeld: (campaignId) => store.write(state => {
+    const held = store.filterBy(state.deliveries, { campaignId, status: 'Pending' }).filter(d => d.nextAttemptAt);
+    held.forEach(d => { d.nextAttemptAt = null; });
+    return held.length;
+  }),
+
+  release: (id) => store.write(state => {
+    const delivery = store.findBy(state.deliveries, { id });
+    if (!delivery) return null;
+    Object.assign(delivery, { status: 'Pending', jobId: null, claimedAt: null, attempts: Math.max(delivery.attempts - 1, 0) });
+    return delivery;
+  }),
+
+  failInterrupted: (jobId) => store.write(state => {
+    const stuck = state.deliveries.filter(d => d.jobId === jobId && d.status === 'Sending');
+    stuck.forEach(d => {
+      d.status = 'Error';
+      d.error = 'Interrupted mid-send by a restart; not retried to avoid sending twice';
+      logActivity(state, { contactId: d.contactId, campaignId: d.campaignId, type: 'failed', variantId: d.variantId, detail: d.error });
+    });
+    return stuck.length;
+  }),
+
+  markSent: (id, { messageId, variantId, subject }) => store.write(state => {
+    const delivery = store.findBy(state.deliveries, { id });
+    if (!delivery) return null;
+    const timestamp = new Date().toISOString();
+    Object.assign(delivery, { status: 'Sent', error: null, sentTimestamp: timestamp, messageId, variantId });
+    logActivity(state, { contactId: delivery.contactId, campaignId: delivery.campaignId, type: 'sent', timestamp, variantId, detail: subject });
+    return delivery;
+  }),
+
+  markFailed: (id, error, nextAttemptAt = null) => store.write(state => {
+    const delivery = store.findBy(state.deliveries, { id });
+    if (!delivery) return null;
+    Object.assign(delivery, { status: nextAttemptAt ? 'Pending' : 'Error', error, nextAttemptAt });
+    logActivity(state, {
+      contactId: delivery.contactId,
+      campaignId: delivery.campaignId,
+      type: 'failed',
+      variantId: delivery.variantId,
+      detail: nextAttemptAt ? `Attempt ${delivery.attempts}: ${error} (will retry)` : error,
+    });
+    return delivery;
+  }),
+
+  markBounced: (email, bounce) => store.write(state => {
+    const normalized = normalizeEmail(email);
+    const contactIds = new Set(state.contacts.filter(c => normalizeEmail(c.email) === normalized).map(c => c.id));
+    const delivery = state.deliveries
+      .filter(d => contactIds.has(d.contactId) && d.sentTimestamp && (d.status === 'Sent' || d.status === 'Bounced'))
+      .sort((a, b) => (b.sentTimestamp as string).localeCompare(a.sentTimestamp as string))[0];
+    if (!delivery) return null;
+    if (delivery.bounce?.kind !== 'hard') {
+      Object.assign(delivery, { status: 'Bounced', bounce });
+    }
+    logActivity(state, {
+      contactId: delivery.contactId,
+      campaignId: delivery.campaignId,
+      type: 'bounced',
+      timestamp: bounce.timestamp,
+      variantId: delivery.variantId,
+      detail: `${bounce.kind === 'hard' ? 'Hard' : 'Soft'} bounce (${bounce.status})${bounce.diagnostic ? `: ${bounce.diagnostic}` : ''}`,
+    });
+    return delivery;
+  }),
+
+  findByMessageId: (messageIds) => store.read(state => {
+    const ids = new Set(messageIds);
+    return state.deliveries.find(d => d.messageId !== null && ids.has(d.messageId)) ?? null;
+  }),
+
+  recordReply: (id, { timestamp, snippet }) => store.write(state => {
+    const delivery = store.findBy(state.deliveries, { id });
+    if (!delivery) return null;
+    delivery.status = 'Replied';
+    delivery.replyTimestamp ??= timestamp;
+    delivery.replySnippet = snippet;
+    delivery.openTimestamp ??= timestamp;
+    logActivity(state, { contactId: delivery.contactId, campaignId: delivery.campaignId, type: 'replied', timestamp, variantId: delivery.variantId, detail: snippet });
+    return delivery;
+  }),
+
+  update: (id, patch) => store.write(state => {
+    const delivery = store.findBy(state.deliveries, { id });
+    if (!delivery) return null;
+    Object.assign(delivery, patch);
+    return delivery;
+  }),
+};
+
+const opens: OpenRepository = {
+  listByCampaign: (campaignId) => store.read(state => store.filterBy(state.openEvents, { campaignId })),
+
+  record: (delivery, event) => store.write(state => {
+    const open: OpenEvent = {
+      ...event,
+      id: nextId(state, 'openEvents'),
+      campaignId: delivery.campaignId,
+      deliveryId: delivery.id,
+      contactId: delivery.contactId,
+    };
+    state.openEvents.push(open);
+
+    const stored = store.findBy(state.deliveries, { id: delivery.id });
+    if (stored && !open.machine) {
+      stored.openTimestamp ??= open.timestamp;
+    }
+    logActivity(state, {
+      contactId: delivery.contactId,
+      campaignId: delivery.campaignId,
+      type: 'opened',
+      timestamp: open.timestamp,
+      variantId: delivery.variantId,
+      detail: open.machine ? `Likely a machine open: ${open.machineReason ?? 'unknown reason'}` : null,
+    });
+    return open;
+  }),
+};
+
+const sendJobs: SendJobRepository = {
+  find: (id) => store.read(state => state.sendJobs.find(j => j.id === id) ?? null),
+
+  latestForCampaign: (campaignId) => store.read(state =>
+    state.sendJobs.filter(j => j.campaignId === campaignId).at(-1) ?? null
+  ),
+
+  listByStatus: (status) => store.read(state => state.sendJobs.filter(j => j.status === status)),
+
+  create: (campaignId) => store.write(state => {
+    const unfinished = state.sendJobs.some(j =>
+      j.campaignId === campaignId && (j.status === 'running' || j.status === 'paused')
+    );
+    if (unfinished) return null;
+    const now = new Date().toISOString();
+    const job: SendJob = {
+      id: nextId(state, 'sendJobs'),
+      campaignId,
+      status: 'running',
+      error: null,
+      deferredUntil: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+    state.sendJobs.push(job);
+    return job;
+  }),
+
+  update: (id, patch) => store.write(state => {
+    const job = state.sendJobs.find(j => j.id === id);
+    if (!job) return null;
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    return job;
+  }),
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const links: LinkRepository = {
+  find: (id) => store.read(state => state.links.find(l => l.id === id) ?? null),
+
+  register: (campaignId, urls) => store.write(state => {
+    const result = new Map<string, CampaignLink>();
+    for (const url of urls) {
+      let link = state.links.find(l => l.campaignId === campaignId && l.url === url);
+      if (!link) {
+        link = { id: nextId(state, 'links'), campaignId, url };
+        state.links.push(link);
+      }
+      result.set(url, link);
+    }
+    return result;
+  }),
+};
+
+const clicks: ClickRepository = {
+  listByCampaign: (campaignId) => store.read(state => store.filterBy(state.clicks, { campaignId })),
+
+  record: (delivery, link, userAgent) => store.write(state => {
+    const timestamp = new Date().toISOString();
+    const click: Click = {
+      id: nextId(state, 'clicks'),
+      campaignId: delivery.campaignId,
+      deliveryId: delivery.id,
+      contactId: delivery.contactId,
+      linkId: link.id,
+      url: link.url,
+      timestamp,
+      userAgent,
+    };
+    state.clicks.push(click);
+
+    const stored = store.findBy(state.deliveries, { id: delivery.id });
+    if (stored) {
+      stored.clickTimestamp ??= timestamp;
+      stored.openTimestamp ??= timestamp;
+    }
+    logActivity(state, { contactId: delivery.contactId, campaignId: delivery.campaignId, type: 'clicked', timestamp, variantId: delivery.variantId, detail: link.url });
+    return click;
+  }),
+};
+
+const SUPPRESSION_DETAILS: Record<Suppression['reason'], string> = {
+  unsubscribed: 'Unsubscribed with the link in the email',
+  manual: 'Added to the suppression list by hand',
+  bounced: 'Suppressed after a hard bounce',
+};
+
+const suppressions: SuppressionRepository = {
+  list: () => store.read(state => state.suppressions),
+
+  filter: (emails) => store.read(state =>
+    new Set(emails.map(normalizeEmail).filter(email => store.findBy(state.suppressions, { email })))
+  ),
+
+  reasons: (emails) => store.read(state =>
+    new Map(emails.map(normalizeEmail).flatMap(email => {
+      const suppression = store.findBy(state.suppressions, { email });
+      return suppression ? [[email, suppression.reason] as const] : [];
+    }))
+  ),
+
+  add: (email, reason, campaignId = null) => store.write(state => {
+    const normalized = normalizeEmail(email);
+    const existing = store.findBy(state.suppressions, { email: normalized });
+    if (existing) return existing;
+    const entry: Suppression = { email: normalized, reason, campaignId, createdAt: new Date().toISOString() };
+    state.suppressions.push(entry);
+    for (const contact of contactsWithEmail(state, normalized)) {
+      logActivity(state, {
+        contactId: contact.id,
+        campaignId,
+        type: reason === 'unsubscribed' ? 'unsubscribed' : 'suppressed',
+        timestamp: entry.createdAt,
+        detail: SUPPRESSION_DETAILS[reason],
+      });
+    }
+    return entry;
+  }),
+
+  remove: (email) => store.write(state => {
+    const normalized = normalizeEmail(email);
+    const before = state.suppressions.length;
+    state.suppressions = state.suppressions.filter(s => s.email !== normalized);
+    if (state.suppressions.length === before) return false;
+    const matching = contactsWithEmail(state, normalized);
+    const contactIds = new Set(matching.map(c => c.id));
+    state.deliveries
+      .filter(d => d.status === 'Suppressed' && contactIds.has(d.contactId))
+      .forEach(d => { d.status = 'Pending'; });
+    matching.forEach(c => logActivity(state, { contactId: c.id, type: 'resubscribed', detail: 'Removed from the suppression list' }));
+    return true;
+  }),
+};
+
+const signingKeys: SigningKeyRepository = {
+  list: () => store.read(state => state.signingKeys),
+
+  active: () => store.read(state => state.signingKeys[state.signingKeys.length - 1]),
+
+  rotate: () => store.write(state => {
+    const key: SigningKey = {
+      id: `k${nextId(state, 'signingKeys')}`,
+      secret: randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString(),
+    };
+    state.signingKeys.push(key);
+    return key;
+  }),
+
+  retire: (id) => store.write(state => {
+    const index = state.signingKeys.findIndex(k => k.id === id);
+    if (index === -1 || index === state.signingKeys.length - 1) return false;
+    state.signingKeys.splice(index, 1);
+    return true;
+  }),
+};
+
+const sendingAccounts: SendingAccountRepository = {
+  find: (id) => store.read(state => state.sendingAccounts.find(a => a.id === id) ?? null),
+
+  forProvider: (provider) => store.read(state => {
+    const account = provider === null
+      ? state.sendingAccounts.find(a => a.isDefault)
+      : state.sendingAccounts.find(a => a.provider === provider);
+    if (!account) {
+      throw new Error(`No sending account for ${provider ?? 'the default provider'}`);
+    }
+    return account;
+  }),
+
+  listWithUsage: () => store.read(state => {
+    const now = Date.now();
+    return state.sendingAccounts.map(account => {
+      const sent = state.sendLog.filter(e => e.accountId === account.id).map(e => now - Date.parse(e.timestamp));
+      return {
+        ...account,
+        sentLastHour: sent.filter(age => age < HOUR_MS).length,
+        sentLastDay: sent.filter(age => age < 24 * HOUR_MS).length,
+      };
+    });
+  }),
+
+  update: (id, patch) => store.write(state => {
+    const account = state.sendingAccounts.find(a => a.id === id);
+    if (!account) return null;
+    if (patch.isDefault) {
+      for (const other of state.sendingAccounts) other.isDefault = false;
+    }
+    Object.assign(account, patch);
+    return account;
+  }),
+};
+
+// How long finished webhook deliveries stay in the log.
+const WEBHOOK_LOG_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const webhooks: WebhookRepository = {
+  list: () => store.read(state => state.webhooks),
+
+  find: (id) => store.read(state => state.webhooks.find(w => w.id === id) ?? null),
+
+  create: ({ url, events }) => store.write(state => {
+    const webhook: Webhook = {
+      id: nextId(state, 'webhooks'),
+      url,
+      events,
+      secret: `whsec_${randomBytes(24).toString('hex')}`,
+      enabled: true,
+      createdAt: new Date().toISOString(),
+    };
+    state.webhooks.push(webhook);
+    return webhook;
+  }),
+
+  update: (id, patch) => store.write(state => {
+    const webhook = state.webhooks.find(w => w.id === id);
+    if (!webhook) return null;
+    Object.assign(webhook, patch);
+    return webhook;
+  }),
+
+  remove: (id) => store.write(state => {
+    const before = state.webhooks.length;
+    state.webhooks = state.webhooks.filter(w => w.id !== id);
+    state.webhookDeliveries = state.webhookDeliveries.filter(d => d.webhookId !== id);
+    return state.webhooks.length < before;
+  }),
+};
+
+const webhookDeliveries: WebhookDeliveryRepository = {
+  enqueue: (event, webhookIds, dueAt = new Date().toISOString()) => store.write(state => {
+    const cutoff = new Date(Date.now() - WEBHOOK_LOG_RETENTION_MS).toISOString();
+    state.webhookDeliveries = state.webhookDeliveries.filter(d => d.status === 'pending' || d.createdAt >= cutoff);
+
+    const queued = webhookIds.map(webhookId => {
+      const delivery: WebhookDelivery = {
+        id: nextId(state, 'webhookDeliveries'),
+        webhookId,
+        event,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: dueAt,
+        responseStatus: null,
+        error: null,
+        createdAt: event.createdAt,
+        deliveredAt: null,
+      };
+      state.webhookDeliveries.push(delivery);
+      return delivery;
+    });
+    return queued;
+  }),
+
+  claimDue: (leaseUntil) => store.write(state => {
+    const now = new Date().toISOString();
+    const due = state.webhookDeliveries.filter(d => d.status === 'pending' && d.nextAttemptAt && d.nextAttemptAt <= now);
+    due.forEach(d => { d.nextAttemptAt = leaseUntil; });
+    return due;
+  }),
+
+  recordAttempt: (id, attempt) => store.write(state => {
+    const delivery = state.webhookDeliveries.find(d => d.id === id);
+    if (!delivery) return null;
+    Object.assign(delivery, attempt);
+    delivery.attempts++;
+    if (attempt.status === 'succeeded') delivery.deliveredAt = new Date().toISOString();
+    return delivery;
+  }),
+
+  listRecent: (webhookId, limit) => store.read(state =>
+    state.webhookDeliveries
+      .filter(d => d.webhookId === webhookId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || parseInt(b.id) - parseInt(a.id))
+      .slice(0, limit)),
+};
+
+export const db = { contacts, customFields, activity, templates, campaigns, deliveries, opens, links, clicks, sendJobs, sendingAccounts, suppressions, signingKeys, webhooks, webhookDeliveries };
@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { classifyBounce, parseDsn } from './dsn';
+
+// As sent by Postfix for a mailbox that doesn't exist.
+const HARD_BOUNCE = `Return-Path: <>
+Received: by mx.example.net (Postfix) id 3F2A1C0123; Tue, 14 Oct 2025 09:12:44 +0000 (UTC)
+Date: Tue, 14 Oct 2025 09:12:44 +0000 (UTC)
+From: MAILER-DAEMON@mx.example.net (Mail Delivery System)
+Subject: Undelivered Mail Returned to Sender
+To: campaigns@bagga.example
+Auto-Submitted: auto-replied
+MIME-Version: 1.0
+Content-Type: multipart/report; report-type=delivery-status;
+\tboundary="3F2A1C0123.1760433164/mx.example.net"
+Message-Id: <20251014091244.3F2A1C0123@mx.example.net>
+
+This is a MIME-encapsulated message.
+
+--3F2A1C0123.1760433164/mx.example.net
+Content-Description: Notification
+Content-Type: text/plain; charset=us-ascii
+
+I'm sorry to have to inform you that your message could not
+be delivered to one or more recipients.
+
+<nobody@example.org>: host mx.example.org[203.0.113.7] said: 550 5.1.1
+    <nobody@example.org>: Recipient address rejected: User unknown
+
+--3F2A1C0123.1760433164/mx.example.net
+Content-Description: Delivery report
+Content-Type: message/delivery-status
+
+Reporting-MTA: dns; mx.example.net
+X-Postfix-Queue-ID: 3F2A1C0123
+X-Postfix-Sender: rfc822; campaigns@bagga.example
+Arrival-Date: Tue, 14 Oct 2025 09:12:43 +0000 (UTC)
+Original-Message-ID: <c17.d42@bagga.example>
+
+Final-Recipient: rfc822; nobody@example.org
+Original-Recipient: rfc822;nobody@example.org
+Action: failed
+Status: 5.1.1
+Remote-MTA: dns; mx.example.org
+Diagnostic-Code: smtp; 550 5.1.1 <nobody@example.org>: Recipient address
+    rejected: User unknown
+
+--3F2A1C0123.1760433164/mx.example.net
+Content-Description: Undelivered Message Headers
+Content-Type: text/rfc822-headers
+
+From: Bagga Bugs <campaigns@bagga.example>
+To: nobody@example.org
+Subject: October news
+Message-ID: <c17.d42@bagga.example>
+
+--3F2A1C0123.1760433164/mx.example.net--
+`;
+
+// As sent by Exim once it gives up retrying a full mailbox, with the report
+// part base64 encoded and one recipient still being retried.
+const SOFT_BOUNCE = `From: Mail Delivery System <Mailer-Daemon@relay.example.com>
+To: campaigns@bagga.example
+Subject: Mail delivery failed: returning message to sender
+MIME-Version: 1.0
+Content-Type: multipart/report; report-type=delivery-status; boundary=1760440000-eximdsn-1804289383
+
+--1760440000-eximdsn-1804289383
+Content-type: text/plain; charset=us-ascii
+
+This message was created automatically by mail delivery software.
+
+  full@example.com
+    retry timeout exceeded
+
+--1760440000-eximdsn-1804289383
+Content-type: message/delivery-status
+Content-Transfer-Encoding: base64
+
+${Buffer.from(`Reporting-MTA: dns; relay.example.com
+Original-Message-ID: <c17.d43@bagga.example>
+
+Action: failed
+Final-Recipient: rfc822;full@example.com
+Status: 4.2.2
+Diagnostic-Code: smtp; 452 4.2.2 Mailbox full
+
+Action: delayed
+Final-Recipient: rfc822;slow@example.com
+Status: 4.4.1
+Diagnostic-Code: X-Exim; connection timed out
+`).toString('base64').replace(/.{76}/g, '$&\n')}
+--1760440000-eximdsn-1804289383--
+`;
+
+// A report from a relay that doesn't say which message bounced.
+const NO_MESSAGE_ID = `From: postmaster@mail.example.io
+To: campaigns@bagga.example
+Subject: Delivery Status Notification (Failure)
+Content-Type: multipart/report; report-type="delivery-status"; boundary="==BOUNDARY=="
+
+--==BOUNDARY==
+Content-Type: text/plain
+
+Delivery to the following recipient failed permanently: gone@example.io
+
+--==BOUNDARY==
+Content-Type: message/delivery-status
+
+Reporting-MTA: dns; mail.example.io
+
+Original-Recipient: rfc822; <gone@example.io>
+Action: failed
+Status: 5.0.0 (permanent failure)
+
+--==BOUNDARY==--
+`;
+
+test('reads a hard bounce', () => {
+  const reports = parseDsn(HARD_BOUNCE);
+  assert.deepStrictEqual(reports, [{
+    recipient: 'nobody@example.org',
+    action: 'failed',
+    status: '5.1.1',
+    diagnostic: 'smtp; 550 5.1.1 <nobody@example.org>: Recipient address rejected: User unknown',
+  }]);
+  assert.strictEqual(classifyBounce(reports[0]), 'hard');
+});
+
+test('reads a soft bounce but does not count recipients that are only delayed', () => {
+  const reports = parseDsn(SOFT_BOUNCE);
+  assert.deepStrictEqual(reports.map(r => [r.recipient, r.action, r.status]), [
+    ['full@example.com', 'failed', '4.2.2'],
+    ['slow@example.com', 'delayed', '4.4.1'],
+  ]);
+  assert.strictEqual(classifyBounce(reports[0]), 'soft');
+  assert.strictEqual(classifyBounce(reports[1]), null);
+});
+
+test('reads a report without an Original-Message-ID', () => {
+  const reports = parseDsn(NO_MESSAGE_ID);
+  assert.deepStrictEqual(reports, [{ recipient: 'gone@example.io', action: 'failed', status: '5.0.0', diagnostic: null }]);
+  assert.strictEqual(classifyBounce(reports[0]), 'hard');
+});
+
+test('treats a full mailbox as soft even when reported as permanent', () => {
+  assert.strictEqual(classifyBounce({ recipient: 'a@example.com', action: 'failed', status: '5.2.2', diagnostic: null }), 'soft');
+});
+
+test('finds nothing in a message that is not a report', () => {
+  assert.deepStrictEqual(parseDsn('From: someone@example.com\nSubject: Re: October news\n\nThanks!\n'), []);
+});
@@ -0,0 +1,56 @@
+import { decodeBody, findPart, parseFields, parsePart } from './mime';
+import type { Bounce } from './types';
+
+// Reads RFC 3464 delivery status notifications: finds the
+// message/delivery-status part and pulls out each recipient's action, status
+// code and diagnostic.
+
+export interface DsnRecipient {
+  recipient: string;
+  action: string;
+  status: string;
+  diagnostic: string | null;
+}
+
+// Permanent failures that tend to clear up by themselves.
+const SOFT_PERMANENT_STATUSES = new Set([
+  '5.2.2', // mailbox full
+  '5.4.7', // delivery time expired
+]);
+
+const isDeliveryStatus = (type: string) => type === 'message/delivery-status' || type === 'message/global-delivery-status';
+
+// "rfc822; someone@example.com" -> "someone@example.com"
+function addressOf(field: string | undefined) {
+  if (!field) return null;
+  const address = field.includes(';') ? field.slice(field.indexOf(';') + 1) : field;
+  return address.trim().replace(/^<|>$/g, '') || null;
+}
+
+/** The per-recipient reports in a DSN. Empty if the message isn't a DSN. */
+export function parseDsn(raw: string): DsnRecipient[] {
+  const part = findPart(parsePart(raw), isDeliveryStatus);
+  if (!part) return [];
+  const status = decodeBody(part);
+
+  // One block of fields about the message, then one block per recipient.
+  const [, ...recipientBlocks] = status.trim().split(/\r?\n[ \t]*\r?\n/);
+  return recipientBlocks.flatMap(block => {
+    const fields = parseFields(block);
+    const recipient = addressOf(fields.get('final-recipient')) ?? addressOf(fields.get('original-recipient'));
+    const action = fields.get('action')?.toLowerCase();
+    const code = fields.get('status')?.match(/\d\.\d{1,3}\.\d{1,3}/)?.[0];
+    if (!recipient || !action || !code) return [];
+    return [{ recipient, action, status: code, diagnostic: fields.get('diagnostic-code') ?? null }];
+  });
+}
+
+/**
+ * Whether a DSN report is a bounce, and how bad. Only "failed" reports count;
+ * "delayed" ones are warnings while the server keeps trying.
+ */
+export function classifyBounce(report: DsnRecipient): Bounce['kind'] | null {
+  if (report.action !== 'failed') return null;
+  if (report.status.startsWith('5.') && !SOFT_PERMANENT_STATUSES.has(report.status)) return 'hard';
+  return 'soft';
+}
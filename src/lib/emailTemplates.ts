@@ -0,0 +1,68 @@
+import { markSafe, parseTemplate, renderTemplate, validateTemplate } from '@shared/templateEngine';
+import { MERGE_TAGS } from './mergeTags';
+import type { CustomField } from './types';
+
+// Template library layouts: which slots they have, checking them, and
+// rendering one around content that was already personalized.
+
+export const DEFAULT_TEMPLATE_ID = 'classic';
+
+// The slot the campaign body goes into; every template needs one.
+export const BODY_SLOT = 'body';
+
+// What a layout can use besides the merge tags.
+const LAYOUT_VARIABLES = ['subject', 'senderName', 'unsubscribeUrl', 'slots'];
+
+/** The slots a template's HTML has, the body first and the rest in the order they appear. */
+export function templateSlots(html: string) {
+  const names = parseTemplate(html).references
+    .filter(ref => ref.root === 'slots' && ref.path.split('.').length === 2)
+    .map(ref => ref.path.split('.')[1]);
+  return [...new Set([BODY_SLOT, ...names])];
+}
+
+// "callToAction" → "Call to action"
+export function slotLabel(name: string) {
+  const words = name.replace(/_/g, ' ').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/** Syntax errors, unknown variables and a missing body slot, as "Line 3: ..." messages. */
+export function templateErrors(html: string, customFields: Pick<CustomField, 'name'>[]) {
+  const variables = [...MERGE_TAGS, ...customFields.map(f => f.name), ...LAYOUT_VARIABLES];
+  const errors = validateTemplate(html, { variables }).map(e => `Line ${e.line}: ${e.message}`);
+  if (!parseTemplate(html).references.some(ref => ref.path === `slots.${BODY_SLOT}`)) {
+    errors.push(`Add {{ slots.${BODY_SLOT} }} where the campaign body goes.`);
+  }
+  return errors;
+}
+
+/**
+ * Renders a layout. `data` holds the recipient's merge values, `slots` the
+ * rendered HTML for each slot, which goes in as is.
+ */
+export function renderLayout(
+  html: string,
+  data: Record<string, unknown> & { subject: string, senderName: string, unsubscribeUrl: string },
+  slots: Record<string, string>,
+) {
+  const safeSlots = Object.fromEntries(Object.entries(slots).map(([name, content]) => [name, markSafe(content)]));
+  return renderTemplate(html, { ...data, slots: safeSlots });
+}
+
+// Stand-in content for thumbnails and the template editor's preview.
+const SAMPLE_SLOT = '<p>This is where the campaign content goes. Write it in the campaign editor, with merge tags, links, images and buttons.</p>';
+
+export function renderSample(html: string) {
+  const slots = Object.fromEntries(templateSlots(html).map(name => [name, name === BODY_SLOT ? SAMPLE_SLOT : '']));
+  return renderLayout(html, {
+    firstName: 'Alex',
+    lastName: 'Sample',
+    fullName: 'Alex Sample',
+    email: 'alex@example.com',
+    date: new Date(),
+    subject: 'Your subject line',
+    senderName: 'Your Company',
+    unsubscribeUrl: '#',
+  }, slots);
+}
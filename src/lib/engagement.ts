@@ -0,0 +1,170 @@
+import { db } from './db';
+import { isValidTimeZone } from './timeZones';
+import type { Campaign, Click, Delivery, Engagement, EngagementBucket, EngagementRange, OpenEvent, OpenRateCurve } from './types';
+
+// Time-bucketed views of a campaign's sends, opens and clicks for the
+// dashboard's charts. Opens here are the ones we think a person made.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Buckets are hourly for this long after the first send, daily after that.
+const HOURLY_SPAN_MS = 48 * HOUR_MS;
+
+// Open-rate curves are sampled hourly for two days, then daily up to two weeks.
+const CURVE_HOURS = [
+  ...Array.from({ length: 48 }, (_, i) => i + 1),
+  ...Array.from({ length: 12 }, (_, i) => 72 + i * 24),
+];
+
+// How many earlier campaigns the open-rate curve is compared against.
+const COMPARE_WITH = 3;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function firstSentAt(deliveries: Delivery[]): number | null {
+  return deliveries.reduce<number | null>((first, d) => {
+    if (!d.sentTimestamp) return first;
+    const time = Date.parse(d.sentTimestamp);
+    return first === null || time < first ? time : first;
+  }, null);
+}
+
+function bucketIndex(start: number, time: number) {
+  const elapsed = time - start;
+  return elapsed < HOURLY_SPAN_MS
+    ? Math.floor(elapsed / HOUR_MS)
+    : HOURLY_SPAN_MS / HOUR_MS + Math.floor((elapsed - HOURLY_SPAN_MS) / DAY_MS);
+}
+
+function bucketStart(start: number, index: number) {
+  const hourly = HOURLY_SPAN_MS / HOUR_MS;
+  return index < hourly ? start + index * HOUR_MS : start + HOURLY_SPAN_MS + (index - hourly) * DAY_MS;
+}
+
+function emptyHeatmap() {
+  return WEEKDAYS.map(() => new Array<number>(24).fill(0));
+}
+
+function heatmapCounter(timeZone: string) {
+  const format = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' });
+  return (heatmap: number[][], time: number) => {
+    const parts = format.formatToParts(new Date(time));
+    const day = WEEKDAYS.indexOf(parts.find(p => p.type === 'weekday')?.value ?? '');
+    const hour = Number(parts.find(p => p.type === 'hour')?.value);
+    if (day >= 0 && hour >= 0 && hour < 24) heatmap[day][hour]++;
+  };
+}
+
+export function openRateCurve(campaign: Campaign, deliveries: Delivery[], now = Date.now()): OpenRateCurve {
+  const start = firstSentAt(deliveries);
+  const sent = deliveries.filter(d => d.sentTimestamp !== null);
+  const openedAt = sent.flatMap(d => d.openTimestamp ? [Date.parse(d.openTimestamp)] : []);
+
+  const points = start === null ? [] : CURVE_HOURS
+    // Don't draw the part of the curve that hasn't happened yet.
+    .filter(hours => start + hours * HOUR_MS <= now || hours === CURVE_HOURS[0])
+    .map(hours => {
+      const opened = openedAt.filter(t => t <= start + hours * HOUR_MS).length;
+      return { hours, openRate: parseFloat(((opened / sent.length) * 100).toFixed(2)) };
+    });
+  return { campaignId: campaign.id, name: campaign.name, points };
+}
+
+export function computeEngagement(
+  deliveries: Delivery[],
+  opens: OpenEvent[],
+  clicks: Click[],
+  range: EngagementRange,
+): Omit<Engagement, 'openRateCurves'> {
+  const start = firstSentAt(deliveries);
+  const openHeatmap = emptyHeatmap();
+  const clickHeatmap = emptyHeatmap();
+  if (start === null) {
+    return { firstSentAt: null, buckets: [], openHeatmap, clickHeatmap };
+  }
+
+  const from = range.from ? Date.parse(range.from) : -Infinity;
+  const to = range.to ? Date.parse(range.to) : Infinity;
+  const inRange = (time: number) => time >= from && time <= to;
+  const countHeatmap = heatmapCounter(range.timeZone);
+
+  // Buckets line up with the hour the campaign started sending.
+  const origin = Math.floor(start / HOUR_MS) * HOUR_MS;
+  const counts = new Map<number, Omit<EngagementBucket, 'start' | 'end'>>();
+  const count = (timestamp: string, key: 'sends' | 'opens' | 'clicks', heatmap?: number[][]) => {
+    const time = Date.parse(timestamp);
+    if (time < origin || !inRange(time)) return;
+    const index = bucketIndex(origin, time);
+    const bucket = counts.get(index) ?? { sends: 0, opens: 0, clicks: 0 };
+    bucket[key]++;
+    counts.set(index, bucket);
+    if (heatmap) countHeatmap(heatmap, time);
+  };
+
+  for (const delivery of deliveries) {
+    if (delivery.sentTimestamp) count(delivery.sentTimestamp, 'sends');
+  }
+  for (const open of opens) {
+    if (!open.machine) count(open.timestamp, 'opens', openHeatmap);
+  }
+  for (const click of clicks) {
+    count(click.timestamp, 'clicks', clickHeatmap);
+  }
+
+  // Fill the gaps between the first and last bucket with activity, so the
+  // time axis doesn't skip quiet hours.
+  const indexes = [...counts.keys()];
+  const buckets: EngagementBucket[] = [];
+  if (indexes.length > 0) {
+    const first = indexes.reduce((a, b) => Math.min(a, b));
+    const last = indexes.reduce((a, b) => Math.max(a, b));
+    for (let i = first; i <= last; i++) {
+      buckets.push({
+        start: new Date(bucketStart(origin, i)).toISOString(),
+        end: new Date(bucketStart(origin, i + 1)).toISOString(),
+        ...counts.get(i) ?? { sends: 0, opens: 0, clicks: 0 },
+      });
+    }
+  }
+
+  return { firstSentAt: new Date(start).toISOString(), buckets, openHeatmap, clickHeatmap };
+}
+
+export async function loadEngagement(campaignId: string, range: EngagementRange): Promise<Engagement> {
+  const timeZone = isValidTimeZone(range.timeZone) ? range.timeZone : 'UTC';
+  const [campaigns, deliveries, opens, clicks] = await Promise.all([
+    db.campaigns.list(),
+    db.deliveries.listByCampaign(campaignId),
+    db.opens.listByCampaign(campaignId),
+    db.clicks.listByCampaign(campaignId),
+  ]);
+  const campaign = campaigns.find(c => c.id === campaignId);
+  if (!campaign) {
+    throw new Error("Campaign not found.");
+  }
+
+  const engagement = computeEngagement(deliveries, opens, clicks, { ...range, timeZone });
+
+  // Compare with the campaigns that started sending most recently before this one.
+  const started = engagement.firstSentAt ? Date.parse(engagement.firstSentAt) : Infinity;
+  const earlier = (await Promise.all(
+    campaigns
+      .filter(c => c.id !== campaignId)
+      .map(async c => {
+        const campaignDeliveries = await db.deliveries.listByCampaign(c.id);
+        return { campaign: c, deliveries: campaignDeliveries, startedAt: firstSentAt(campaignDeliveries) };
+      }),
+  ))
+    .filter((c): c is typeof c & { startedAt: number } => c.startedAt !== null && c.startedAt < started)
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .slice(0, COMPARE_WITH);
+
+  return {
+    ...engagement,
+    openRateCurves: [
+      openRateCurve(campaign, deliveries),
+      ...earlier.map(c => openRateCurve(c.campaign, c.deliveries)),
+    ],
+  };
+}
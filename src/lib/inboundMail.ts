@@ -0,0 +1,88 @@
+import { decodeBody, decodeHeader, findPart, parsePart, type MimePart } from './mime';
+
+// Reads replies to campaign emails: which send they answer, whether a person
+// wrote them, and the start of what they said.
+
+export interface InboundMessage {
+  from: string | null;
+  subject: string;
+  // Message-IDs from In-Reply-To and References, nearest first.
+  referencedIds: string[];
+  // Why we think the message was sent automatically, if we do.
+  autoReply: string | null;
+  snippet: string;
+}
+
+const SNIPPET_LENGTH = 280;
+
+// Subjects out-of-office and other auto-responders commonly use.
+const AUTO_REPLY_SUBJECT = /^(auto(matic)?[ -]?(reply|response|antwort)|out of (the )?office|autoreply|abwesenheit|absence|auto:)/i;
+
+/** "<abc@host>" -> "abc@host" */
+export function normalizeMessageId(id: string) {
+  return id.trim().replace(/^<|>$/g, '');
+}
+
+function messageIds(value: string | undefined) {
+  return (value?.match(/<[^<>\s]+>/g) ?? []).map(normalizeMessageId);
+}
+
+// Headers RFC 3834 and the big mail providers put on automatic replies.
+function autoReplyReason(headers: Map<string, string>, subject: string): string | null {
+  const autoSubmitted = headers.get('auto-submitted')?.toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') return `Auto-Submitted: ${autoSubmitted}`;
+  for (const name of ['x-autoreply', 'x-autorespond', 'x-auto-reply']) {
+    if (headers.has(name)) return `${name} header`;
+  }
+  const precedence = headers.get('precedence')?.toLowerCase();
+  if (precedence && ['auto_reply', 'bulk', 'junk', 'list'].includes(precedence)) return `Precedence: ${precedence}`;
+  if (/\b(oof|autoreply)\b/i.test(headers.get('x-auto-response-suppress') ?? '')) return 'Exchange auto-response';
+  if (headers.get('return-path')?.trim() === '<>') return 'Null return path';
+  if (AUTO_REPLY_SUBJECT.test(subject)) return 'Auto-reply subject';
+  return null;
+}
+
+function textOf(message: MimePart) {
+  const plain = findPart(message, type => type === 'text/plain');
+  if (plain) return decodeBody(plain);
+  const html = findPart(message, type => type === 'text/html');
+  if (!html) return '';
+  return decodeBody(html)
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<blockquote[\s\S]*<\/blockquote>/gi, '')
+    .replace(/<br\s*\/?>|<\/p>|<\/div>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// What the person wrote, without the quoted email they were answering.
+function replySnippet(text: string) {
+  const lines: string[] = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (/^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message/i.test(line) || /^_{5,}/.test(line)) break;
+    // Outlook's "From: ... Sent: ..." block before the quoted email.
+    if (/^From: /.test(line) && lines.length > 0) break;
+    if (line.startsWith('>')) continue;
+    lines.push(line);
+  }
+  const snippet = lines.join(' ').replace(/\s+/g, ' ').trim();
+  return snippet.length > SNIPPET_LENGTH ? `${snippet.slice(0, SNIPPET_LENGTH - 1)}…` : snippet;
+}
+
+export function parseInbound(raw: string): InboundMessage {
+  const message = parsePart(raw);
+  const { headers } = message;
+  const subject = decodeHeader(headers.get('subject') ?? '');
+  const referencedIds = [
+    ...messageIds(headers.get('in-reply-to')),
+    ...messageIds(headers.get('references')).reverse(),
+  ];
+
+  return {
+    from: headers.get('from') ? decodeHeader(headers.get('from') as string) : null,
+    subject,
+    referencedIds: [...new Set(referencedIds)],
+    autoReply: autoReplyReason(headers, subject),
+    snippet: replySnippet(textOf(message)),
+  };
+}
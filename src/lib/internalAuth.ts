@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { safeEqual } from './tokens';
+
+// Routes only the Express backend may call (suppression checks, inbound
+// mail) expect `Authorization: Bearer <INTERNAL_API_SECRET>`, set to the
+// same value in both processes. Without the variable they refuse every
+// request rather than stand open.
+const INTERNAL_API_SECRET = process.env.INTERNAL_API_SECRET;
+
+/** A 401/503 response if the request doesn't carry the shared secret, otherwise null. */
+export function rejectUnlessInternal(request: Request) {
+  if (!INTERNAL_API_SECRET) {
+    console.error('🔒 INTERNAL_API_SECRET is not set; refusing a backend-only request.');
+    return NextResponse.json({ success: false, message: 'This endpoint is not configured.' }, { status: 503 });
+  }
+  const header = request.headers.get('authorization') ?? '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  if (!safeEqual(token, INTERNAL_API_SECRET)) {
+    return NextResponse.json({ success: false, message: 'Unauthorized' }, { status: 401 });
+  }
+  return null;
+}
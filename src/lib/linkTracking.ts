@@ -0,0 +1,32 @@
+// Finds and rewrites the links in an email body for click tracking. Only
+// absolute http(s) links are tracked; mailto:, tel:, anchors and the like are
+// left alone.
+
+// The href of an <a> tag, in single or double quotes.
+const HREF_PATTERN = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi;
+
+function decodeHref(href: string) {
+  return href.trim().replace(/&amp;/g, '&');
+}
+
+function isTrackable(url: string) {
+  return /^https?:\/\//i.test(url);
+}
+
+/** Every distinct trackable destination linked from the HTML, in order. */
+export function findTrackableLinks(html: string): string[] {
+  const urls = new Set<string>();
+  for (const match of html.matchAll(HREF_PATTERN)) {
+    const url = decodeHref(match[3]);
+    if (isTrackable(url)) urls.add(url);
+  }
+  return [...urls];
+}
+
+/** Points each link whose destination has a replacement at that replacement instead. */
+export function rewriteLinks(html: string, replacements: Map<string, string>) {
+  return html.replace(HREF_PATTERN, (whole, prefix: string, quote: string, href: string) => {
+    const replacement = replacements.get(decodeHref(href));
+    return replacement ? `${prefix}${quote}${replacement}${quote}` : whole;
+  });
+}
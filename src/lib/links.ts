@@ -0,0 +1,57 @@
+import { signToken } from './tokens';
+import type { Delivery } from './types';
+
+// Public URL of this app, used for every link and pixel we put in an email.
+export const APP_URL = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:9002';
+
+// Token payloads. `c` and `d` are the campaign and the delivery (one
+// recipient of that campaign) the link was sent in.
+
+export interface OpenToken {
+  t: 'open';
+  c: string;
+  d: string;
+}
+
+export interface ClickToken {
+  t: 'click';
+  // Missing from tokens minted before key rotation.
+  c?: string;
+  d: string;
+  l: string;
+}
+
+export interface UnsubscribeToken {
+  t: 'unsub';
+  e: string;
+  // Only set when the link came from a campaign.
+  c?: string;
+  d?: string;
+}
+
+export async function openPixelUrl(delivery: Delivery) {
+  const token = await signToken<OpenToken>({ t: 'open', c: delivery.campaignId, d: delivery.id });
+  return `${APP_URL}/api/track/${token}`;
+}
+
+export async function clickUrl(delivery: Delivery, linkId: string) {
+  const token = await signToken<ClickToken>({ t: 'click', c: delivery.campaignId, d: delivery.id, l: linkId });
+  return `${APP_URL}/api/click/${token}`;
+}
+
+export async function unsubscribeUrl(email: string, delivery?: Delivery) {
+  const token = await signToken<UnsubscribeToken>({
+    t: 'unsub',
+    e: email,
+    ...(delivery && { c: delivery.campaignId, d: delivery.id }),
+  });
+  return `${APP_URL}/api/unsubscribe/${token}`;
+}
+
+/** Headers asking mail clients to show an unsubscribe button that POSTs straight to us (RFC 8058). */
+export function listUnsubscribeHeaders(url: string) {
+  return {
+    'List-Unsubscribe': `<${url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+  };
+}
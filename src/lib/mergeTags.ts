@@ -0,0 +1,64 @@
+import { renderTemplate, validateTemplate } from '@shared/templateEngine';
+import { fieldValue } from './customFields';
+import type { AbTestSettings, CampaignContent, Contact, CustomField } from './types';
+
+// Variables campaign subjects and bodies can use. `date` is the day the
+// email goes out. Each custom field adds one more, named after the field.
+export const MERGE_TAGS = ['firstName', 'lastName', 'fullName', 'email', 'date'];
+
+// Words the template language already gives a meaning to.
+const TEMPLATE_WORDS = ['and', 'or', 'contains', 'in', 'true', 'false', 'nil', 'null', 'forloop'];
+
+export function mergeData(contact: Omit<Contact, 'id' | 'timeZone'>, customFields: CustomField[]): Record<string, unknown> {
+  const data: Record<string, unknown> = {
+    firstName: contact.firstName,
+    lastName: contact.lastName,
+    fullName: `${contact.firstName} ${contact.lastName}`.trim(),
+    email: contact.email,
+    date: new Date(),
+  };
+  for (const field of customFields) {
+    data[field.name] = fieldValue(field, contact.fields[field.name]);
+  }
+  return data;
+}
+
+/** Fills in a subject (`html: false`) or body for one contact. */
+export function personalize(source: string, contact: Omit<Contact, 'id' | 'timeZone'>, customFields: CustomField[], { html = true } = {}) {
+  return renderTemplate(source, mergeData(contact, customFields), { escape: html });
+}
+
+/** Why `name` can't be used for a new custom field, or null if it can. */
+export function customFieldNameError(name: string, existing: Pick<CustomField, 'name'>[]) {
+  if (!/^[A-Za-z_]\w*$/.test(name)) {
+    return "Field names start with a letter and can only contain letters, digits and underscores, so they work as merge tags.";
+  }
+  const taken = (names: string[]) => names.some(n => n.toLowerCase() === name.toLowerCase());
+  if (taken(MERGE_TAGS)) return `{{${name}}} is already a built-in merge tag.`;
+  if (taken(TEMPLATE_WORDS)) return `"${name}" means something else in templates; pick another name.`;
+  if (taken(existing.map(f => f.name))) return `There is already a field called ${name}.`;
+  return null;
+}
+
+// The subject and body of the campaign and of each A/B variant, the
+// template slots it fills in and its hand-written text part, labelled for
+// error messages.
+export function campaignTemplateFields(content: Pick<CampaignContent, 'subject' | 'body' | 'slots' | 'textBody'>, abTest: Pick<AbTestSettings, 'variants'> | null) {
+  const variants = abTest?.variants ?? [];
+  const suffix = (i: number) => variants.length > 0 ? ` (variant ${String.fromCharCode(65 + i)})` : '';
+  return [
+    ...[content, ...variants].flatMap((v, i) => [
+      { label: `Subject${suffix(i)}`, source: v.subject },
+      { label: `Body${suffix(i)}`, source: v.body },
+    ]),
+    ...Object.entries(content.slots).map(([name, source]) => ({ label: `"${name}" slot`, source })),
+    ...(content.textBody === null ? [] : [{ label: 'Plain text', source: content.textBody }]),
+  ];
+}
+
+/** Syntax errors and unknown tags, as "Subject, line 2: ..." messages. */
+export function mergeTagErrors(fields: { label: string, source: string }[], customFields: Pick<CustomField, 'name'>[]) {
+  const variables = [...MERGE_TAGS, ...customFields.map(f => f.name)];
+  return fields.flatMap(({ label, source }) =>
+    validateTemplate(source, { variables }).map(e => `${label}, line ${e.line}: ${e.message}`));
+}
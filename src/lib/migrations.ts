@@ -0,0 +1,530 @@
+import { randomBytes } from 'crypto';
+import type { Contact, ContactActivity, Campaign, CustomField, EmailTemplate, CampaignLink, Click, Delivery, OpenEvent, SendJob, SendingAccount, SigningKey, Suppression, Webhook, WebhookDelivery } from './types';
+
+// Shape of the persisted database file. Every migration below moves the
+// file one version forward, so this interface always describes the latest one.
+export interface DbState {
+  version: number;
+  contacts: Contact[];
+  customFields: CustomField[];
+  // Everything that happened to each contact, in the order it was logged.
+  contactActivity: ContactActivity[];
+  campaigns: Campaign[];
+  deliveries: Delivery[];
+  sendJobs: SendJob[];
+  sendingAccounts: SendingAccount[];
+  // Every send attempt in the last 24 hours, oldest first, for quota checks.
+  sendLog: { accountId: string; timestamp: string }[];
+  suppressions: Suppression[];
+  links: CampaignLink[];
+  clicks: Click[];
+  openEvents: OpenEvent[];
+  // Keys for the tokens in links we email, oldest first; the last one signs.
+  signingKeys: SigningKey[];
+  webhooks: Webhook[];
+  // Webhook requests still to make, and a log of the ones that finished.
+  webhookDeliveries: WebhookDelivery[];
+  templates: EmailTemplate[];
+  // The last id handed out in each collection with numbered ids, so a new id
+  // doesn't take a scan of the collection.
+  lastIds: Record<NumberedCollection, number>;
+}
+
+export type NumberedCollection = 'contacts' | 'contactActivity' | 'templates' | 'campaigns' | 'deliveries' | 'sendJobs'
+  | 'links' | 'clicks' | 'openEvents' | 'signingKeys' | 'webhooks' | 'webhookDeliveries';
+
+export interface Migration {
+  version: number;
+  name: string;
+  up: (state: any) => void;
+}
+
+// Append new migrations to the end of this list, never edit or reorder old ones.
+export const migrations: Migration[] = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: (state) => {
+      state.contacts = [];
+      state.campaign = {
+        subject: "Hello {{firstName}}, Important Message for you",
+        body: `Dear {{firstName}} {{lastName}},
+
+We hope this message finds you well!
+
+We wanted to share something important with you about BAGGA BUGS - our new email solution. It's designed to be powerful and easy to use.
+
+Learn more on our website.
+
+Best regards,
+The Professional Team`,
+        senderName: "The Bagga Bugs Team",
+        senderEmail: "contact@baggabugs.dev",
+        replyTo: "reply@baggabugs.dev"
+      };
+    },
+  },
+  {
+    version: 2,
+    name: 'multiple campaigns with per-recipient deliveries',
+    up: (state) => {
+      const now = new Date().toISOString();
+      const contacts: any[] = state.contacts;
+      const wasSent = contacts.some(c => c.status !== 'Pending');
+      state.campaigns = [{
+        id: '1',
+        name: 'My First Campaign',
+        status: wasSent ? 'sent' : 'draft',
+        ...state.campaign,
+        createdAt: now,
+        updatedAt: now,
+      }];
+      delete state.campaign;
+      // Deliveries keep the contact id, which is what tracking pixels sent
+      // before this (/api/track/<contact id>) point at. Those stopped resolving
+      // once tracking links carried signed tokens instead.
+      state.deliveries = contacts
+        .filter(c => c.status !== 'Pending' || c.openTimestamp)
+        .map(c => ({
+          id: c.id,
+          campaignId: '1',
+          contactId: c.id,
+          status: c.status,
+          sentTimestamp: c.sentTimestamp,
+          openTimestamp: c.openTimestamp,
+        }));
+      state.contacts = contacts.map(({ id, firstName, lastName, email }) => ({ id, firstName, lastName, email }));
+    },
+  },
+  {
+    version: 3,
+    name: 'background send jobs',
+    up: (state) => {
+      state.sendJobs = [];
+      for (const delivery of state.deliveries) {
+        delivery.jobId = null;
+        delivery.claimedAt = null;
+      }
+      // Sends that were running inline when the server stopped are gone for good.
+      for (const campaign of state.campaigns) {
+        if (campaign.status === 'sending') {
+          const sentAny = state.deliveries.some((d: any) => d.campaignId === campaign.id && d.status === 'Sent');
+          campaign.status = sentAny ? 'sent' : 'draft';
+        }
+      }
+    },
+  },
+  {
+    version: 4,
+    name: 'sending accounts and throughput limits',
+    up: (state) => {
+      for (const job of state.sendJobs) {
+        job.deferredUntil = null;
+      }
+      // The SMTP transport behind backend/backend/server.js. 120/min matches
+      // the old fixed 500ms pause; 500/day is Gmail's cap for regular accounts.
+      state.sendingAccounts = [{
+        id: 'default',
+        name: 'Backend SMTP',
+        ratePerMinute: 120,
+        burst: 1,
+        hourlyQuota: null,
+        dailyQuota: 500,
+      }];
+      state.sendLog = [];
+    },
+  },
+  {
+    version: 5,
+    name: 'delivery retries',
+    up: (state) => {
+      for (const delivery of state.deliveries) {
+        delivery.attempts = delivery.status === 'Pending' ? 0 : 1;
+        delivery.nextAttemptAt = null;
+        delivery.error = null;
+      }
+    },
+  },
+  {
+    version: 6,
+    name: 'scheduled sends',
+    up: (state) => {
+      for (const contact of state.contacts) {
+        contact.timeZone = null;
+      }
+      for (const campaign of state.campaigns) {
+        campaign.schedule = null;
+        // Nothing could actually schedule a campaign before this.
+        if (campaign.status === 'scheduled') campaign.status = 'draft';
+      }
+    },
+  },
+  {
+    version: 7,
+    name: 'suppression list and signed links',
+    up: (state) => {
+      state.suppressions = [];
+      state.signingSecret = randomBytes(32).toString('hex');
+    },
+  },
+  {
+    version: 8,
+    name: 'click tracking',
+    up: (state) => {
+      state.links = [];
+      state.clicks = [];
+      for (const delivery of state.deliveries) {
+        delivery.clickTimestamp = null;
+      }
+    },
+  },
+  {
+    version: 9,
+    name: 'rotating signing keys',
+    up: (state) => {
+      // Keep the old secret as the first key so links already sent still work.
+      state.signingKeys = [{ id: 'k1', secret: state.signingSecret, createdAt: new Date().toISOString() }];
+      delete state.signingSecret;
+    },
+  },
+  {
+    version: 10,
+    name: 'open event log',
+    up: (state) => {
+      // Only first opens were kept so far; carry each one over as an event.
+      state.openEvents = state.deliveries
+        .filter((d: Delivery) => d.openTimestamp)
+        .map((d: Delivery, i: number) => ({
+          id: String(i + 1),
+          campaignId: d.campaignId,
+          deliveryId: d.id,
+          contactId: d.contactId,
+          timestamp: d.openTimestamp,
+          userAgent: null,
+          ip: null,
+          proxy: null,
+          machine: false,
+          machineReason: null,
+        }));
+    },
+  },
+  {
+    version: 11,
+    name: 'bounces',
+    up: (state) => {
+      for (const delivery of state.deliveries) {
+        delivery.bounce = null;
+      }
+    },
+  },
+  {
+    version: 12,
+    name: 'reply tracking',
+    up: (state) => {
+      for (const delivery of state.deliveries) {
+        delivery.messageId = null;
+        delivery.replyTimestamp = null;
+        delivery.replySnippet = null;
+      }
+    },
+  },
+  {
+    version: 13,
+    name: 'A/B tests',
+    up: (state) => {
+      for (const campaign of state.campaigns) {
+        campaign.abTest = null;
+      }
+      for (const delivery of state.deliveries) {
+        delivery.variantId = null;
+      }
+    },
+  },
+  {
+    version: 14,
+    name: 'contact activity timeline',
+    up: (state) => {
+      // Rebuild what we can from the records kept so far. Edits and when
+      // contacts were added weren't recorded, so they can't be.
+      const entries: any[] = [];
+      const log = (contactId: string, campaignId: string | null, type: string, timestamp: string, variantId: string | null, detail: string | null) => {
+        entries.push({ contactId, campaignId, type, timestamp, variantId, detail });
+      };
+      const subjectOf = (delivery: any) => {
+        const campaign = state.campaigns.find((c: any) => c.id === delivery.campaignId);
+        const variant = campaign?.abTest?.variants.find((v: any) => v.id === delivery.variantId);
+        return variant?.subject ?? campaign?.subject ?? null;
+      };
+
+      for (const d of state.deliveries) {
+        if (d.sentTimestamp) log(d.contactId, d.campaignId, 'sent', d.sentTimestamp, d.variantId, subjectOf(d));
+        if (d.status === 'Error' && d.claimedAt) log(d.contactId, d.campaignId, 'failed', d.claimedAt, d.variantId, d.error);
+        if (d.bounce) {
+          const { kind, status, diagnostic, timestamp } = d.bounce;
+          log(d.contactId, d.campaignId, 'bounced', timestamp, d.variantId, `${kind === 'hard' ? 'Hard' : 'Soft'} bounce (${status})${diagnostic ? `: ${diagnostic}` : ''}`);
+        }
+        if (d.replyTimestamp) log(d.contactId, d.campaignId, 'replied', d.replyTimestamp, d.variantId, d.replySnippet);
+      }
+      const variantOf = (deliveryId: string) => state.deliveries.find((d: any) => d.id === deliveryId)?.variantId ?? null;
+      for (const o of state.openEvents) {
+        log(o.contactId, o.campaignId, 'opened', o.timestamp, variantOf(o.deliveryId), o.machine ? `Likely a machine open: ${o.machineReason ?? 'unknown reason'}` : null);
+      }
+      for (const c of state.clicks) {
+        log(c.contactId, c.campaignId, 'clicked', c.timestamp, variantOf(c.deliveryId), c.url);
+      }
+      for (const s of state.suppressions) {
+        for (const contact of state.contacts.filter((c: any) => c.email.trim().toLowerCase() === s.email)) {
+          log(contact.id, s.campaignId, s.reason === 'unsubscribed' ? 'unsubscribed' : 'suppressed', s.createdAt, null, null);
+        }
+      }
+
+      entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      state.contactActivity = entries.map((entry, i) => ({ id: String(i + 1), ...entry }));
+    },
+  },
+  {
+    version: 15,
+    name: 'outbound webhooks',
+    up: (state) => {
+      state.webhooks = [];
+      state.webhookDeliveries = [];
+    },
+  },
+  {
+    version: 16,
+    name: 'opt-in subject rewriting',
+    up: (state) => {
+      for (const campaign of state.campaigns) {
+        campaign.rewriteSpamWords = false;
+      }
+    },
+  },
+  {
+    version: 17,
+    name: 'mail providers',
+    up: (state) => {
+      // The app now talks to SMTP itself instead of going through the backend.
+      for (const account of state.sendingAccounts) {
+        account.provider = 'smtp';
+        if (account.id === 'default' && account.name === 'Backend SMTP') {
+          account.name = 'Default';
+        }
+      }
+      for (const campaign of state.campaigns) {
+        campaign.provider = null;
+      }
+    },
+  },
+  {
+    version: 18,
+    name: 'custom contact fields',
+    up: (state) => {
+      state.customFields = [];
+      for (const contact of state.contacts) {
+        contact.fields = {};
+      }
+    },
+  },
+  {
+    version: 19,
+    name: 'html campaign bodies',
+    up: (state) => {
+      // Bodies used to be text with line breaks turned into <br> at send
+      // time; the editor now writes the HTML itself.
+      const toHtml = (body: string) => body.replace(/\r?\n/g, '<br>');
+      for (const campaign of state.campaigns) {
+        campaign.body = toHtml(campaign.body);
+        for (const variant of campaign.abTest?.variants ?? []) {
+          variant.body = toHtml(variant.body);
+        }
+      }
+    },
+  },
+  {
+    version: 20,
+    name: 'template library',
+    up: (state) => {
+      // The layouts as they shipped with this version, so later changes to
+      // the built-in ones don't change what this migration seeds.
+      const layouts = [
+        {
+          id: 'classic',
+          name: 'Classic',
+          description: 'Gradient header with the sender name, the content, and a footer with the unsubscribe link.',
+          html: `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{ subject }}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #fff; padding: 30px; border: 1px solid #ddd; border-top: none; }
+    .content img { max-width: 100%; height: auto; }
+    .footer { background: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #666; border-radius: 0 0 10px 10px; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>Message from {{ senderName }}</h1>
+  </div>
+  <div class="content">
+    {{ slots.body }}
+  </div>
+  <div class="footer">
+    <p>Sent by {{ senderName }} | {{ date }}</p>
+    <p>This email was sent to {{ email }}</p>
+    <p><a href="{{ unsubscribeUrl }}" style="color: #666;">Unsubscribe</a></p>
+  </div>
+</body>
+</html>
+`,
+        },
+        {
+          id: 'newsletter',
+          name: 'Newsletter',
+          description: 'Card on a grey background with a headline, a greeting and a dark footer.',
+          html: `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{ subject }}</title>
+  <style>
+    body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+    .wrapper { background: #f5f5f5; padding: 20px; }
+    .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, #ff6b6b 0%, #feca57 100%); color: white; padding: 40px 30px; text-align: center; }
+    .content { padding: 40px 30px; }
+    .content img { max-width: 100%; height: auto; }
+    .footer { background: #333; color: white; padding: 20px; text-align: center; font-size: 12px; }
+    .unsubscribe { color: #feca57; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="wrapper">
+    <div class="container">
+      <div class="header">
+        <h1>{{ slots.headline | default: "📧 Newsletter Update" }}</h1>
+      </div>
+      <div class="content">
+        <p>Hello {{ firstName | default: "Subscriber" }},</p>
+        {{ slots.body }}
+      </div>
+      <div class="footer">
+        <p>© {{ date | date: "yyyy" }} {{ senderName }} | <a href="{{ unsubscribeUrl }}" class="unsubscribe">Unsubscribe</a></p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+`,
+        },
+        {
+          id: 'simple',
+          name: 'Simple',
+          description: 'The subject as a heading over plain content in a bordered box.',
+          html: `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{ subject }}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 20px auto; padding: 20px; background: white; border: 1px solid #ddd; }
+    .container img { max-width: 100%; height: auto; }
+    h2 { color: #007bff; }
+    .unsubscribe { font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h2>{{ subject }}</h2>
+    <div>{{ slots.body }}</div>
+    {% if unsubscribeUrl %}<p class="unsubscribe"><a href="{{ unsubscribeUrl }}">Unsubscribe</a></p>{% endif %}
+  </div>
+</body>
+</html>
+`,
+        },
+      ];
+      // The layout campaigns used to be sent in is the "classic" one.
+      const now = new Date().toISOString();
+      state.templates = layouts.map(layout => ({ ...layout, builtIn: true, version: 1, updatedAt: now, history: [] }));
+      for (const campaign of state.campaigns) {
+        campaign.templateId = 'classic';
+        campaign.slots = {};
+      }
+    },
+  },
+  {
+    version: 21,
+    name: 'hand-written text parts',
+    up: (state) => {
+      for (const campaign of state.campaigns) {
+        campaign.textBody = null;
+      }
+    },
+  },
+  {
+    version: 22,
+    name: 'sending account per provider',
+    up: (state) => {
+      // Campaigns can go out through different providers, each with its own
+      // caps. The old single account keeps its limits for its provider and
+      // stays the default; providers without one get an unlimited daily quota.
+      const names: Record<string, string> = { smtp: 'SMTP', sendgrid: 'SendGrid', sink: 'Local sink' };
+      const accounts: any[] = state.sendingAccounts;
+      const log: any[] = state.sendLog;
+      const previous = accounts.find(a => a.id === 'default') ?? accounts[0];
+      const renamed = new Map<string, string>();
+      state.sendingAccounts = Object.keys(names).map(kind => {
+        const existing = previous?.provider === kind ? previous : accounts.find(a => a.provider === kind);
+        if (existing) renamed.set(existing.id, kind);
+        return {
+          id: kind,
+          name: names[kind],
+          provider: kind,
+          isDefault: existing !== undefined && existing === previous,
+          ratePerMinute: existing?.ratePerMinute ?? 120,
+          burst: existing?.burst ?? 1,
+          hourlyQuota: existing?.hourlyQuota ?? null,
+          dailyQuota: existing?.dailyQuota ?? null,
+        };
+      });
+      if (!state.sendingAccounts.some((a: any) => a.isDefault)) state.sendingAccounts[0].isDefault = true;
+      state.sendLog = log
+        .filter(e => renamed.has(e.accountId))
+        .map(e => ({ ...e, accountId: renamed.get(e.accountId) }));
+    },
+  },
+  {
+    version: 23,
+    name: 'id counters',
+    up: (state) => {
+      // Signing key ids are numbered too, behind a "k".
+      const collections = ['contacts', 'contactActivity', 'templates', 'campaigns', 'deliveries', 'sendJobs',
+        'links', 'clicks', 'openEvents', 'signingKeys', 'webhooks', 'webhookDeliveries'];
+      state.lastIds = {};
+      for (const name of collections) {
+        const items: any[] = state[name];
+        state.lastIds[name] = items.reduce((last, item) => Math.max(last, parseInt(String(item.id).replace(/^k/, '')) || 0), 0);
+      }
+    },
+  },
+];
+
+export const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+export function migrate(state: any): boolean {
+  const from = state.version ?? 0;
+  const pending = migrations.filter(m => m.version > from);
+  for (const migration of pending) {
+    console.log(`🗄️  Applying migration ${migration.version}: ${migration.name}`);
+    migration.up(state);
+    state.version = migration.version;
+  }
+  return pending.length > 0;
+}
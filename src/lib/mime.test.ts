@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { childParts, contentType, decodeBody, decodeHeader, findPart, parsePart, splitMessages } from './mime';
+import { parseInbound } from './inboundMail';
+
+// A reply from a mail client: encoded subject and sender, folded threading
+// headers, and a quoted-printable plain text part next to a base64 HTML one.
+const REPLY = [
+  'Return-Path: <ana@example.com>',
+  'From: =?UTF-8?B?QW5hIE3DvGxsZXI=?= <ana@example.com>',
+  'To: Bagga Bugs <campaigns@bagga.example>',
+  'Subject: =?UTF-8?Q?Re:_Caf=C3=A9_news?= =?UTF-8?Q?_for_October?=',
+  'Message-ID: <CAF=reply.1@mail.example.com>',
+  'In-Reply-To:',
+  ' <c17.d42@bagga.example>',
+  'References: <c12.d7@bagga.example>',
+  '\t<c17.d42@bagga.example>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/alternative;',
+  ' boundary="000000000000a1b2c3"',
+  '',
+  '--000000000000a1b2c3',
+  'Content-Type: text/plain; charset="UTF-8"',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Sounds great, see you at the caf=C3=A9! This line is long enough that the cl=',
+  'ient wrapped it with a soft line break.',
+  '',
+  'On Tue, Oct 14, 2025 at 9:12 AM Bagga Bugs <campaigns@bagga.example> wrote:',
+  '> October news',
+  '',
+  '--000000000000a1b2c3',
+  'Content-Type: text/html; charset="UTF-8"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from('<div dir="ltr">Sounds great, see you at the café!</div>').toString('base64'),
+  '',
+  '--000000000000a1b2c3--',
+  '',
+].join('\r\n');
+
+test('splits headers from the body and unfolds continuation lines', () => {
+  const message = parsePart(REPLY);
+  assert.strictEqual(message.headers.get('in-reply-to'), '<c17.d42@bagga.example>');
+  assert.strictEqual(message.headers.get('references'), '<c12.d7@bagga.example> <c17.d42@bagga.example>');
+  assert.deepStrictEqual(contentType(message), { type: 'multipart/alternative', boundary: '000000000000a1b2c3' });
+  assert.ok(message.body.startsWith('--000000000000a1b2c3'));
+});
+
+test('finds the parts of multipart/alternative', () => {
+  const parts = childParts(parsePart(REPLY));
+  assert.deepStrictEqual(parts.map(part => contentType(part).type), ['text/plain', 'text/html']);
+  assert.strictEqual(findPart(parsePart(REPLY), type => type === 'text/html')?.body, parts[1].body);
+  assert.strictEqual(findPart(parsePart(REPLY), type => type === 'image/png'), null);
+});
+
+test('decodes quoted-printable bodies, including soft line breaks and UTF-8', () => {
+  const plain = findPart(parsePart(REPLY), type => type === 'text/plain');
+  assert.ok(plain);
+  assert.match(decodeBody(plain), /^Sounds great, see you at the café! This line is long enough that the client wrapped it/);
+});
+
+test('decodes base64 bodies', () => {
+  const html = findPart(parsePart(REPLY), type => type === 'text/html');
+  assert.ok(html);
+  assert.strictEqual(decodeBody(html), '<div dir="ltr">Sounds great, see you at the café!</div>');
+});
+
+test('decodes RFC 2047 encoded words, joining adjacent ones', () => {
+  assert.strictEqual(decodeHeader('=?UTF-8?B?QW5hIE3DvGxsZXI=?= <ana@example.com>'), 'Ana Müller <ana@example.com>');
+  assert.strictEqual(decodeHeader('=?UTF-8?Q?Re:_Caf=C3=A9_news?= =?UTF-8?Q?_for_October?='), 'Re: Café news for October');
+  assert.strictEqual(decodeHeader('Plain subject'), 'Plain subject');
+});
+
+test('reads a reply: sender, subject, threading ids and what the person wrote', () => {
+  assert.deepStrictEqual(parseInbound(REPLY), {
+    from: 'Ana Müller <ana@example.com>',
+    subject: 'Re: Café news for October',
+    referencedIds: ['c17.d42@bagga.example', 'c12.d7@bagga.example'],
+    autoReply: null,
+    snippet: 'Sounds great, see you at the café! This line is long enough that the client wrapped it with a soft line break.',
+  });
+});
+
+test('splits an mbox file into messages and unescapes From lines', () => {
+  const mbox = 'From a@example.com Tue Oct 14 09:00:00 2025\nSubject: one\n\n>From here\n\nFrom b@example.com Tue Oct 14 09:01:00 2025\nSubject: two\n\nhi\n';
+  const messages = splitMessages(mbox);
+  assert.strictEqual(messages.length, 2);
+  assert.match(messages[0], /^Subject: one\n\nFrom here/);
+  assert.deepStrictEqual(splitMessages('Subject: single\n\nhi'), ['Subject: single\n\nhi']);
+});
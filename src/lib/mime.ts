@@ -0,0 +1,97 @@
+// Just enough MIME parsing for the mail that comes back to us: bounce
+// reports and replies. Bodies are decoded as UTF-8 regardless of charset.
+
+export interface MimePart {
+  headers: Map<string, string>;
+  body: string;
+}
+
+export function parsePart(raw: string): MimePart {
+  const split = raw.search(/\r?\n\r?\n/);
+  const head = split === -1 ? raw : raw.slice(0, split);
+  const body = split === -1 ? '' : raw.slice(split).replace(/^\r?\n\r?\n/, '');
+  return { headers: parseFields(head), body };
+}
+
+/** Header-style "Name: value" lines, with folded continuation lines joined. Names are lowercased. */
+export function parseFields(text: string): Map<string, string> {
+  const fields = new Map<string, string>();
+  const unfolded = text.replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!fields.has(name)) fields.set(name, line.slice(colon + 1).trim());
+  }
+  return fields;
+}
+
+export function contentType(part: MimePart) {
+  const header = part.headers.get('content-type') ?? 'text/plain';
+  const [type, ...params] = header.split(';');
+  const boundary = params
+    .map(p => p.trim().match(/^boundary\s*=\s*"?([^"]+)"?$/i)?.[1])
+    .find(Boolean);
+  return { type: type.trim().toLowerCase(), boundary };
+}
+
+export function decodeBody(part: MimePart) {
+  const encoding = part.headers.get('content-transfer-encoding')?.toLowerCase();
+  if (encoding === 'base64') {
+    return Buffer.from(part.body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+  if (encoding === 'quoted-printable') {
+    const bytes = part.body
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-F]{2})/gi, (_, hex: string) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(bytes, 'latin1').toString('utf8');
+  }
+  return part.body;
+}
+
+export function childParts(part: MimePart): MimePart[] {
+  const { type, boundary } = contentType(part);
+  if (!type.startsWith('multipart/') || !boundary) return [];
+  const delimiter = `--${boundary}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const sections = part.body.split(new RegExp(`(?:^|\\r?\\n)${delimiter}`));
+  // Drop the preamble, and everything from the closing "--boundary--" on.
+  const parts: MimePart[] = [];
+  for (const section of sections.slice(1)) {
+    if (section.startsWith('--')) break;
+    parts.push(parsePart(section.replace(/^[ \t]*\r?\n/, '')));
+  }
+  return parts;
+}
+
+/** The first part of the given type, searching nested multiparts depth first. */
+export function findPart(part: MimePart, matches: (type: string) => boolean): MimePart | null {
+  if (matches(contentType(part).type)) return part;
+  for (const child of childParts(part)) {
+    const found = findPart(child, matches);
+    if (found) return found;
+  }
+  return null;
+}
+
+/** Decodes RFC 2047 encoded words ("=?UTF-8?B?...?=") in a header value. */
+export function decodeHeader(value: string) {
+  return value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, _charset: string, encoding: string, text: string) =>
+      encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64').toString('utf8')
+        : Buffer.from(
+            text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (_m, hex: string) => String.fromCharCode(parseInt(hex, 16))),
+            'latin1',
+          ).toString('utf8'));
+}
+
+/** Splits an mbox file into its messages; anything else is one message. */
+export function splitMessages(raw: string): string[] {
+  if (!raw.startsWith('From ')) return [raw];
+  return raw
+    .split(/^From [^\r\n]*\r?\n/m)
+    .filter(message => message.trim() !== '')
+    // mboxrd escapes body lines that start with "From ".
+    .map(message => message.replace(/^>(>*From )/gm, '$1'));
+}
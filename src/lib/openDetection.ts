@@ -0,0 +1,51 @@
+// Tells opens a person triggered apart from ones a mail provider or security
+// scanner triggered by fetching the tracking pixel on its own.
+
+import type { OpenEvent } from './types';
+
+export type OpenProxy = NonNullable<OpenEvent['proxy']>;
+
+export interface OpenClassification {
+  proxy: OpenProxy | null;
+  machine: boolean;
+  reason: string | null;
+}
+
+// Opens this soon after sending are almost always prefetches.
+const MACHINE_OPEN_WINDOW_MS = 10 * 1000;
+
+const SCANNER_UA = /bot|crawler|spider|scanner|barracuda|mimecast|proofpoint|forcepoint|symantec/i;
+
+// Apple Mail Privacy Protection fetches every image from Apple's own
+// 17.0.0.0/8 block as soon as the message is delivered.
+function isAppleIp(ip: string | null) {
+  return !!ip && /^17\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(ip.replace(/^::ffff:/, ''));
+}
+
+export function classifyOpen({ userAgent, ip, sentTimestamp, timestamp }: {
+  userAgent: string | null;
+  ip: string | null;
+  sentTimestamp: string | null;
+  timestamp: string;
+}): OpenClassification {
+  const ua = userAgent ?? '';
+
+  if (isAppleIp(ip)) {
+    return { proxy: 'apple-mpp', machine: true, reason: 'Apple Mail Privacy Protection prefetch' };
+  }
+  if (/YahooMailProxy/i.test(ua)) {
+    return { proxy: 'yahoo-proxy', machine: true, reason: 'Yahoo Mail image prefetch' };
+  }
+  if (SCANNER_UA.test(ua)) {
+    return { proxy: 'scanner', machine: true, reason: 'Security scanner or bot' };
+  }
+
+  // Gmail's proxy only fetches when the message is opened, so it counts as a
+  // person unless it shows up suspiciously early like anything else.
+  const proxy: OpenProxy | null = /GoogleImageProxy/i.test(ua) ? 'gmail-proxy' : null;
+
+  if (sentTimestamp && Date.parse(timestamp) - Date.parse(sentTimestamp) < MACHINE_OPEN_WINDOW_MS) {
+    return { proxy, machine: true, reason: 'Opened within seconds of sending' };
+  }
+  return { proxy, machine: false, reason: null };
+}
@@ -0,0 +1,78 @@
+import './testDataDir';
+import { beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert';
+import { db } from './db';
+import { acquireSendSlot, releaseSendSlot } from './rateLimiter';
+import type { SendingLimits } from './types';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-10-14T09:00:00Z') });
+
+// A day on, every bucket is full again and the whole send log has expired.
+beforeEach(() => mock.timers.tick(DAY_MS));
+
+async function limit(limits: Partial<SendingLimits>) {
+  await db.sendingAccounts.update('smtp', { ratePerMinute: 60, burst: 1, hourlyQuota: null, dailyQuota: null, ...limits });
+}
+
+async function acquire(times: number) {
+  const slots = [];
+  for (let i = 0; i < times; i++) slots.push(await acquireSendSlot('smtp'));
+  return slots;
+}
+
+test('a burst is granted at once, then the rate applies', async () => {
+  await limit({ ratePerMinute: 60, burst: 3 });
+  assert.deepStrictEqual(await acquire(4), [
+    { granted: true },
+    { granted: true },
+    { granted: true },
+    { granted: false, reason: 'rate', waitMs: 1000 },
+  ]);
+});
+
+test('the bucket refills over time, up to the burst', async () => {
+  await limit({ ratePerMinute: 60, burst: 3 });
+  await acquire(3);
+
+  mock.timers.tick(1500);
+  assert.deepStrictEqual(await acquire(2), [{ granted: true }, { granted: false, reason: 'rate', waitMs: 500 }]);
+
+  mock.timers.tick(10 * MINUTE_MS);
+  assert.deepStrictEqual((await acquire(4)).map(slot => slot.granted), [true, true, true, false]);
+});
+
+test('a full hourly quota waits until its oldest send leaves the window', async () => {
+  await limit({ ratePerMinute: 600, burst: 10, hourlyQuota: 2 });
+  await acquire(1);
+  mock.timers.tick(10 * MINUTE_MS);
+  await acquire(1);
+  mock.timers.tick(5 * MINUTE_MS);
+
+  assert.deepStrictEqual(await acquireSendSlot('smtp'), { granted: false, reason: 'hourly', waitMs: 45 * MINUTE_MS });
+  mock.timers.tick(45 * MINUTE_MS);
+  assert.deepStrictEqual(await acquireSendSlot('smtp'), { granted: true });
+});
+
+test('a full daily quota is reported before the hourly one', async () => {
+  await limit({ ratePerMinute: 600, burst: 10, hourlyQuota: 1, dailyQuota: 1 });
+  await acquire(1);
+  mock.timers.tick(30 * MINUTE_MS);
+
+  assert.deepStrictEqual(await acquireSendSlot('smtp'), { granted: false, reason: 'daily', waitMs: DAY_MS - 30 * MINUTE_MS });
+});
+
+test('a released slot goes back to both the bucket and the quota', async () => {
+  await limit({ ratePerMinute: 60, burst: 1, hourlyQuota: 1 });
+  assert.deepStrictEqual(await acquire(2), [{ granted: true }, { granted: false, reason: 'hourly', waitMs: 60 * MINUTE_MS }]);
+
+  await releaseSendSlot('smtp');
+  assert.deepStrictEqual(await acquireSendSlot('smtp'), { granted: true });
+  assert.strictEqual((await db.sendingAccounts.listWithUsage()).find(a => a.id === 'smtp')?.sentLastHour, 1);
+});
+
+test('an unknown account is an error', async () => {
+  await assert.rejects(acquireSendSlot('nope'), /Unknown sending account "nope"/);
+});
@@ -0,0 +1,88 @@
+import { store } from './store';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export type SendSlot =
+  | { granted: true }
+  | { granted: false; reason: 'rate' | 'hourly' | 'daily'; waitMs: number };
+
+interface Bucket {
+  tokens: number;
+  updatedAt: number;
+}
+
+// Token buckets only smooth out bursts, so they live in memory and simply
+// start full after a restart. Quotas are counted from the persisted send log.
+const globalForLimiter = globalThis as unknown as { __baggaBuckets?: Map<string, Bucket> };
+const buckets = globalForLimiter.__baggaBuckets ?? (globalForLimiter.__baggaBuckets = new Map());
+
+// How long until the quota has room again, given send times oldest first.
+function quotaWait(sentAt: number[], quota: number | null, windowMs: number, now: number) {
+  if (quota === null) return 0;
+  const inWindow = sentAt.filter(t => now - t < windowMs);
+  if (inWindow.length < quota) return 0;
+  return inWindow[inWindow.length - quota] + windowMs - now;
+}
+
+/**
+ * Takes one send out of the account's allowance. When the account is over
+ * its rate or one of its quotas, nothing is taken and the result says how long
+ * to wait before asking again.
+ */
+export function acquireSendSlot(accountId: string): Promise<SendSlot> {
+  return store.write((state): SendSlot => {
+    const account = state.sendingAccounts.find(a => a.id === accountId);
+    if (!account) {
+      throw new Error(`Unknown sending account "${accountId}"`);
+    }
+
+    const now = Date.now();
+    // The log is oldest first, so everything before the first entry of the
+    // last day has expired. That is dropped in batches, as each removal has
+    // the store go over the whole log.
+    const fresh = state.sendLog.findIndex(e => now - Date.parse(e.timestamp) < DAY_MS);
+    let expired = fresh === -1 ? state.sendLog.length : fresh;
+    if (expired > state.sendLog.length / 2) {
+      state.sendLog.splice(0, expired);
+      expired = 0;
+    }
+    // Only the latest sends can put the account over a quota, so the log is
+    // read back from the end just as far as the larger quota reaches.
+    const counted = Math.max(account.dailyQuota ?? 0, account.hourlyQuota ?? 0);
+    const sentAt: number[] = [];
+    for (let i = state.sendLog.length - 1; i >= expired && sentAt.length < counted; i--) {
+      const entry = state.sendLog[i];
+      if (entry.accountId === accountId) sentAt.push(Date.parse(entry.timestamp));
+    }
+    sentAt.reverse();
+
+    const dailyWait = quotaWait(sentAt, account.dailyQuota, DAY_MS, now);
+    if (dailyWait > 0) return { granted: false, reason: 'daily', waitMs: dailyWait };
+    const hourlyWait = quotaWait(sentAt, account.hourlyQuota, HOUR_MS, now);
+    if (hourlyWait > 0) return { granted: false, reason: 'hourly', waitMs: hourlyWait };
+
+    const refillPerMs = account.ratePerMinute / 60000;
+    const bucket = buckets.get(accountId) ?? { tokens: account.burst, updatedAt: now };
+    bucket.tokens = Math.min(account.burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    buckets.set(accountId, bucket);
+    if (bucket.tokens < 1) {
+      return { granted: false, reason: 'rate', waitMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+    }
+
+    bucket.tokens -= 1;
+    state.sendLog.push({ accountId, timestamp: new Date(now).toISOString() });
+    return { granted: true };
+  });
+}
+
+/** Gives back a slot that ended up unused, e.g. because nobody was left to send to. */
+export function releaseSendSlot(accountId: string): Promise<void> {
+  return store.write(state => {
+    const index = state.sendLog.map(e => e.accountId).lastIndexOf(accountId);
+    if (index !== -1) state.sendLog.splice(index, 1);
+    const bucket = buckets.get(accountId);
+    if (bucket) bucket.tokens += 1;
+  });
+}
@@ -0,0 +1,219 @@
+import { db } from './db';
+import { computeAnalytics, loadRecipients } from './analytics';
+import { computeEngagement } from './engagement';
+import { escapeHtml } from './utils';
+import type { Analytics, Campaign, EngagementBucket, Recipient } from './types';
+
+// Downloadable campaign reports, built from the same recipients and analytics
+// the dashboard shows.
+
+export type ReportFormat = 'csv' | 'json' | 'html';
+
+export const REPORT_FORMATS: ReportFormat[] = ['csv', 'json', 'html'];
+
+export interface CampaignReport {
+  campaign: Campaign;
+  generatedAt: string;
+  recipients: Recipient[];
+  analytics: Analytics;
+  buckets: EngagementBucket[];
+}
+
+export async function loadCampaignReport(campaignId: string): Promise<CampaignReport | null> {
+  const campaign = await db.campaigns.find(campaignId);
+  if (!campaign) return null;
+
+  const [recipients, deliveries, clicks, opens] = await Promise.all([
+    loadRecipients(campaignId),
+    db.deliveries.listByCampaign(campaignId),
+    db.clicks.listByCampaign(campaignId),
+    db.opens.listByCampaign(campaignId),
+  ]);
+  const { buckets } = computeEngagement(deliveries, opens, clicks, { from: null, to: null, timeZone: 'UTC' });
+
+  return {
+    campaign,
+    generatedAt: new Date().toISOString(),
+    recipients,
+    analytics: computeAnalytics(recipients, clicks, opens, campaign),
+    buckets,
+  };
+}
+
+// --- CSV ---
+
+const CSV_COLUMNS: [string, (r: Recipient) => string | number | null][] = [
+  ['First Name', r => r.firstName],
+  ['Last Name', r => r.lastName],
+  ['Email', r => r.email],
+  ['Status', r => r.status],
+  ['Variant', r => r.variantId],
+  ['Attempts', r => r.attempts],
+  ['Sent At', r => r.sentTimestamp],
+  ['Opened At', r => r.openTimestamp],
+  ['Clicked At', r => r.clickTimestamp],
+  ['Replied At', r => r.replyTimestamp],
+  ['Reply', r => r.replySnippet],
+  ['Error', r => r.error],
+  ['Bounce', r => r.bounce && [r.bounce.kind, r.bounce.status, r.bounce.diagnostic].filter(Boolean).join(' ')],
+];
+
+function csvCell(value: string | number | null) {
+  let text = value === null ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas.
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function recipientsCsv(recipients: Recipient[]) {
+  const rows = [
+    CSV_COLUMNS.map(([header]) => header),
+    ...recipients.map(r => CSV_COLUMNS.map(([, value]) => value(r))),
+  ];
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- Printable HTML ---
+
+const STATUS_COLORS: Record<string, string> = {
+  Opened: '#22c55e',
+  'Sent, not opened': '#3b82f6',
+  Bounced: '#a855f7',
+  Pending: '#a1a1aa',
+  Error: '#ef4444',
+  Suppressed: '#f97316',
+};
+
+function formatTime(iso: string | null) {
+  return iso ? iso.replace('T', ' ').slice(0, 16) + ' UTC' : '—';
+}
+
+function statusBar(analytics: Analytics) {
+  const segments = [
+    ['Opened', analytics.opened],
+    ['Sent, not opened', Math.max(0, analytics.sent - analytics.opened - analytics.bounced)],
+    ['Bounced', analytics.bounced],
+    ['Pending', analytics.pending],
+    ['Error', analytics.errors],
+    ['Suppressed', analytics.suppressed],
+  ] as const;
+  const total = Math.max(1, analytics.total);
+  let x = 0;
+  const rects = segments.map(([label, count]) => {
+    const width = (count / total) * 100;
+    const rect = `<rect x="${x}%" width="${width}%" height="24" fill="${STATUS_COLORS[label]}"><title>${label}: ${count}</title></rect>`;
+    x += width;
+    return rect;
+  });
+  const legend = segments
+    .map(([label, count]) => `<span class="legend"><i style="background:${STATUS_COLORS[label]}"></i>${label} (${count})</span>`)
+    .join('');
+  return `<svg width="100%" height="24" role="img" aria-label="Recipients by status">${rects.join('')}</svg><p>${legend}</p>`;
+}
+
+function activityChart(buckets: EngagementBucket[]) {
+  if (buckets.length === 0) return '<p class="muted">Nothing has been sent yet.</p>';
+
+  const width = 720;
+  const height = 180;
+  const max = Math.max(1, ...buckets.flatMap(b => [b.sends, b.opens, b.clicks]));
+  const step = width / buckets.length;
+  const y = (count: number) => height - (count / max) * height;
+  const line = (key: 'opens' | 'clicks') =>
+    buckets.map((b, i) => `${(i + 0.5) * step},${y(b[key])}`).join(' ');
+  const bars = buckets
+    .map((b, i) => `<rect x="${i * step + step * 0.1}" y="${y(b.sends)}" width="${step * 0.8}" height="${height - y(b.sends)}" fill="#93c5fd"><title>${formatTime(b.start)}: ${b.sends} sent, ${b.opens} opened, ${b.clicks} clicked</title></rect>`)
+    .join('');
+
+  return `<svg viewBox="0 0 ${width} ${height + 20}" width="100%" role="img" aria-label="Sends, opens and clicks over time">
+    <line x1="0" y1="${height}" x2="${width}" y2="${height}" stroke="#d4d4d8" />
+    ${bars}
+    <polyline points="${line('opens')}" fill="none" stroke="#22c55e" stroke-width="2" />
+    <polyline points="${line('clicks')}" fill="none" stroke="#f97316" stroke-width="2" />
+    <text x="0" y="${height + 16}" font-size="11" fill="#71717a">${formatTime(buckets[0].start)}</text>
+    <text x="${width}" y="${height + 16}" font-size="11" fill="#71717a" text-anchor="end">${formatTime(buckets[buckets.length - 1].end)}</text>
+  </svg>
+  <p><span class="legend"><i style="background:#93c5fd"></i>Sends</span><span class="legend"><i style="background:#22c55e"></i>Opens</span><span class="legend"><i style="background:#f97316"></i>Clicks</span>
+  <span class="muted">Hourly for the first 48 hours, then daily. Machine opens are left out.</span></p>`;
+}
+
+export function reportHtml({ campaign, generatedAt, recipients, analytics, buckets }: CampaignReport) {
+  const tiles: [string, string | number][] = [
+    ['Total Contacts', analytics.total],
+    ['Sent', analytics.sent],
+    ['Opened', analytics.opened],
+    ['Open Rate', `${analytics.openRate}%`],
+    ['Clicked', analytics.clicked],
+    ['Click Rate', `${analytics.clickRate}%`],
+  ];
+  const linkRows = analytics.links
+    .map(link => `<tr><td>${escapeHtml(link.url)}</td><td class="num">${link.clicks}</td><td class="num">${link.uniqueClicks}</td></tr>`)
+    .join('');
+  const recipientRows = recipients
+    .map(r => `<tr>
+      <td>${escapeHtml(`${r.firstName} ${r.lastName}`.trim())}</td>
+      <td>${escapeHtml(r.email)}</td>
+      <td>${r.status}</td>
+      <td>${formatTime(r.sentTimestamp)}</td>
+      <td>${formatTime(r.openTimestamp)}</td>
+      <td>${escapeHtml(r.error ?? '')}</td>
+    </tr>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(campaign.name)} – Campaign Report</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #27272a; max-width: 900px; margin: 40px auto; padding: 0 20px; }
+    h1 { margin-bottom: 4px; }
+    h2 { margin-top: 32px; font-size: 18px; }
+    .muted { color: #71717a; font-size: 13px; }
+    .tiles { display: grid; grid-template-columns: repeat(6, 1fr); gap: 12px; margin-top: 24px; }
+    .tile { background: #f4f4f5; border-radius: 8px; padding: 12px; text-align: center; }
+    .tile strong { display: block; font-size: 22px; }
+    .tile span { font-size: 12px; color: #71717a; }
+    .legend { display: inline-flex; align-items: center; margin-right: 16px; font-size: 13px; }
+    .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 6px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e4e4e7; }
+    th { background: #f4f4f5; }
+    .num { text-align: right; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      .tile, th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+      tr { break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(campaign.name)}</h1>
+  <p class="muted">Subject: ${escapeHtml(campaign.subject)} · Status: ${campaign.status} · Generated ${formatTime(generatedAt)}</p>
+
+  <div class="tiles">
+    ${tiles.map(([label, value]) => `<div class="tile"><strong>${value}</strong><span>${label}</span></div>`).join('')}
+  </div>
+  <p class="muted">${analytics.totalOpens} opens in total, of which ${analytics.machineOpens} looked automatic (mail privacy proxies and scanners). ${analytics.replied} recipient(s) replied.</p>
+
+  <h2>Recipients by status</h2>
+  ${statusBar(analytics)}
+
+  <h2>Activity over time</h2>
+  ${activityChart(buckets)}
+
+  ${analytics.links.length > 0 ? `<h2>Links</h2>
+  <table>
+    <thead><tr><th>Link</th><th class="num">Clicks</th><th class="num">Unique Clicks</th></tr></thead>
+    <tbody>${linkRows}</tbody>
+  </table>` : ''}
+
+  <h2>Recipients</h2>
+  <table>
+    <thead><tr><th>Name</th><th>Email</th><th>Status</th><th>Sent</th><th>Opened</th><th>Error</th></tr></thead>
+    <tbody>${recipientRows}</tbody>
+  </table>
+</body>
+</html>`;
+}
@@ -0,0 +1,73 @@
+// Classifies failed sends into ones worth retrying, ones that never will
+// succeed and ones that wait on the sending account being fixed, based on the
+// SMTP reply code and nodemailer's error code.
+
+export class SendError extends Error {
+  code?: string;
+  responseCode?: number;
+
+  constructor(message: string, details: { code?: string; responseCode?: number } = {}) {
+    super(message);
+    this.name = 'SendError';
+    this.code = details.code;
+    this.responseCode = details.responseCode;
+  }
+}
+
+// 'account' failures are down to our own credentials or settings: every
+// other send would fail the same way until someone fixes them.
+export type FailureKind = 'transient' | 'permanent' | 'account';
+
+// Rejected credentials and missing provider settings.
+const ACCOUNT_CODES = new Set(['EAUTH', 'ECONFIG']);
+
+// SMTP replies saying we need to authenticate, or that authenticating failed.
+const ACCOUNT_RESPONSE_CODES = new Set([530, 534, 535, 538]);
+
+// Network and connection problems between us and the mail provider.
+const TRANSIENT_CODES = new Set([
+  'ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'EPROTOCOL',
+  'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND',
+]);
+
+// Problems with the message or the recipient address itself.
+const PERMANENT_CODES = new Set(['EENVELOPE', 'EMESSAGE']);
+
+function describe(error: unknown) {
+  if (error instanceof SendError) {
+    const parts = [error.responseCode, error.message, error.code && `(${error.code})`].filter(Boolean);
+    return parts.join(' ');
+  }
+  return error instanceof Error ? error.message : String(error);
+}
+
+export function classifySendError(error: unknown): { kind: FailureKind; reason: string } {
+  const reason = describe(error);
+  const { code, responseCode } = error instanceof SendError ? error : (error as { code?: string; responseCode?: number });
+  const causeCode = (error as { cause?: { code?: string } })?.cause?.code;
+
+  if ((code && ACCOUNT_CODES.has(code)) || (typeof responseCode === 'number' && ACCOUNT_RESPONSE_CODES.has(responseCode))) {
+    return { kind: 'account', reason };
+  }
+  // A reply code from the receiving server is the most specific signal:
+  // 4xx means "try again later", 5xx means "don't".
+  if (typeof responseCode === 'number') {
+    if (responseCode >= 400 && responseCode < 500) return { kind: 'transient', reason };
+    if (responseCode >= 500 && responseCode < 600) return { kind: 'permanent', reason };
+  }
+  if (code && PERMANENT_CODES.has(code)) return { kind: 'permanent', reason };
+  if ((code && TRANSIENT_CODES.has(code)) || (causeCode && TRANSIENT_CODES.has(causeCode))) {
+    return { kind: 'transient', reason };
+  }
+  // Anything else (backend hiccups, unknown errors) gets the benefit of the
+  // doubt; the retry limit stops it from going on forever.
+  return { kind: 'transient', reason };
+}
+
+const RETRY_BASE_MS = 60 * 1000;
+export const MAX_SEND_ATTEMPTS = 5;
+
+/** Exponential backoff: 1, 2, 4, 8... minutes after the given attempt. */
+export function retryDelayMs(attempt: number) {
+  return RETRY_BASE_MS * 2 ** (attempt - 1);
+}
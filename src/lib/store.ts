@@ -0,0 +1,546 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { migrate, type DbState } from './migrations';
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), '.data');
+const DB_FILE = path.join(DATA_DIR, 'db.json');
+// What changed since DB_FILE was written, one write per line.
+const JOURNAL_FILE = path.join(DATA_DIR, 'db.journal');
+// The journal is folded back into DB_FILE once it is bigger than the file
+// itself (and than this), so the whole database is rewritten only every so
+// often however large it grows.
+const MIN_COMPACT_BYTES = 1024 * 1024;
+
+// One line of the journal: the file it builds on, or the changes of one write.
+// A change replaces a whole top-level value, one record of a collection, or
+// rebuilds a collection from runs of its old records ([start, end) index
+// pairs) and new records.
+type JournalHeader = { base: string };
+type JournalChange =
+  | { key: string; value: unknown }
+  | { key: string; index: number; value: object }
+  | { key: string; runs: ([number, number] | object)[] };
+
+function applyChanges(state: any, changes: JournalChange[]) {
+  for (const change of changes) {
+    if ('runs' in change) {
+      const old: object[] = state[change.key];
+      const rebuilt: object[] = [];
+      for (const run of change.runs) {
+        if (Array.isArray(run)) {
+          for (let i = run[0]; i < run[1]; i++) rebuilt.push(old[i]);
+        } else {
+          rebuilt.push(run);
+        }
+      }
+      state[change.key] = rebuilt;
+    } else if ('index' in change) {
+      state[change.key][change.index] = change.value;
+    } else {
+      state[change.key] = change.value;
+    }
+  }
+}
+
+function parseLine<T>(line: string): T | null {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+const fingerprint = (text: string) => createHash('sha256').update(text).digest('hex');
+
+// The objects behind the proxies writes hand out.
+const proxyTargets = new WeakMap<object, object>();
+
+// Swaps proxies for the objects behind them, in place, so none end up stored
+// in the state or in a result.
+function unwrap<T>(value: T): T {
+  if (typeof value !== 'object' || value === null) return value;
+  const target = proxyTargets.get(value);
+  if (target) return target as T;
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => {
+      const unwrapped = unwrap(item);
+      if (unwrapped !== item) value[i] = unwrapped;
+    });
+  } else if (value instanceof Map) {
+    for (const [key, item] of value) {
+      const unwrapped = unwrap(item);
+      if (unwrapped !== item) value.set(key, unwrapped);
+    }
+  } else if (value instanceof Set) {
+    const items = [...value];
+    value.clear();
+    items.forEach(item => value.add(unwrap(item)));
+  } else {
+    const object = value as Record<string, unknown>;
+    for (const key of Object.keys(object)) {
+      const unwrapped = unwrap(object[key]);
+      if (unwrapped !== object[key]) object[key] = unwrapped;
+    }
+  }
+  return value;
+}
+
+const isIndex = (prop: string) => /^(0|[1-9]\d*)$/.test(prop);
+
+// Records of a collection by the values of some of their fields.
+interface FieldIndex {
+  fields: string[];
+  buckets: Map<string, Set<object>>;
+  keys: WeakMap<object, string>;
+}
+
+interface CollectionIndexes {
+  positions: WeakMap<object, number>;
+  byFields: Map<string, FieldIndex>;
+}
+
+const keyOf = (record: any, fields: string[]) => JSON.stringify(fields.map(field => record[field] ?? null));
+
+/**
+ * Field indexes over the state's collections, built the first time a lookup
+ * needs one. Writes keep them up to date as records are added or changed;
+ * anything else that reshuffles a collection (a removal, a splice) drops its
+ * indexes, to be rebuilt by the next lookup.
+ */
+class Indexes {
+  private collections = new WeakMap<object[], CollectionIndexes>();
+
+  get(collection: object[], fields: string[]) {
+    let indexes = this.collections.get(collection);
+    if (!indexes) {
+      const positions = new WeakMap<object, number>();
+      collection.forEach((record, i) => positions.set(record, i));
+      indexes = { positions, byFields: new Map() };
+      this.collections.set(collection, indexes);
+    }
+    const name = fields.join(',');
+    let index = indexes.byFields.get(name);
+    if (!index) {
+      index = { fields, buckets: new Map(), keys: new WeakMap() };
+      for (const record of collection) this.add(index, record);
+      indexes.byFields.set(name, index);
+    }
+    return { index, positions: indexes.positions };
+  }
+
+  private add(index: FieldIndex, record: object) {
+    const key = keyOf(record, index.fields);
+    let bucket = index.buckets.get(key);
+    if (!bucket) index.buckets.set(key, bucket = new Set());
+    bucket.add(record);
+    index.keys.set(record, key);
+  }
+
+  private remove(index: FieldIndex, record: object) {
+    const key = index.keys.get(record);
+    if (key === undefined) return false;
+    const bucket = index.buckets.get(key) as Set<object>;
+    bucket.delete(record);
+    if (bucket.size === 0) index.buckets.delete(key);
+    return true;
+  }
+
+  appended(collection: object[], record: object, position: number) {
+    const indexes = this.collections.get(collection);
+    if (!indexes) return;
+    indexes.positions.set(record, position);
+    for (const index of indexes.byFields.values()) this.add(index, record);
+  }
+
+  /** Files the record again under its current values, for `field` or every field. */
+  changed(collection: object[], record: object, field?: string) {
+    const indexes = this.collections.get(collection);
+    if (!indexes) return;
+    for (const index of indexes.byFields.values()) {
+      if (field !== undefined && !index.fields.includes(field)) continue;
+      if (this.remove(index, record)) this.add(index, record);
+    }
+  }
+
+  drop(collection: object[]) {
+    this.collections.delete(collection);
+  }
+
+  clear() {
+    this.collections = new WeakMap();
+  }
+}
+
+// Where a proxied object sits in the state: the state itself, one of its
+// collections (a top-level array), a record of a collection or anything
+// inside one, or any other top-level value or anything inside it.
+type Owner =
+  | { kind: 'root' }
+  | { kind: 'collection'; key: string }
+  | { kind: 'record'; key: string; record: object }
+  | { kind: 'value'; key: string };
+
+// What a write did to one top-level key.
+interface KeyChange {
+  collection: boolean;
+  // Records appended or changed.
+  records: Set<object>;
+  // The collection's records as of the start of the write, kept once it was
+  // replaced or reshuffled; until then records keep their positions.
+  before: object[] | null;
+  committedLength: number;
+}
+
+// Proxies are made once per object and shared by every write, each of which
+// runs synchronously; they report to the write that is running.
+const proxies = new WeakMap<object, object>();
+let running: Transaction | null = null;
+
+function runningWrite() {
+  if (!running) throw new Error('The draft of a write was used after the write finished');
+  return running;
+}
+
+function childOwner(owner: Owner, prop: string, child: object): Owner {
+  switch (owner.kind) {
+    case 'root':
+      return Array.isArray(child) ? { kind: 'collection', key: prop } : { kind: 'value', key: prop };
+    case 'collection':
+      return { kind: 'record', key: owner.key, record: child };
+    default:
+      return owner;
+  }
+}
+
+function track(value: object, owner: Owner): object {
+  const proxy = new Proxy(value, {
+    get: (target: any, prop) => {
+      const child = target[prop];
+      if (typeof prop === 'symbol' || typeof child !== 'object' || child === null) return child;
+      if (owner.kind === 'collection' && isIndex(prop)) runningWrite().positions.set(child, Number(prop));
+      return proxies.get(child) ?? track(child, childOwner(owner, prop, child));
+    },
+    set: (target: any, prop, value) => {
+      if (typeof prop === 'symbol') return Reflect.set(target, prop, value);
+      runningWrite().assign(owner, target, prop, unwrap(value));
+      return true;
+    },
+    deleteProperty: (target: any, prop) => {
+      if (typeof prop === 'symbol') return Reflect.deleteProperty(target, prop);
+      runningWrite().assign(owner, target, prop, undefined, true);
+      return true;
+    },
+  });
+  proxies.set(value, proxy);
+  proxyTargets.set(proxy, value);
+  return proxy;
+}
+
+/**
+ * One write. It changes the live state in place through proxies that keep an
+ * undo log, so a write that throws leaves no trace, and notes what changed so
+ * only that goes to the journal.
+ */
+class Transaction {
+  readonly draft: DbState;
+  // Where the records reached through the draft sit in their collection.
+  readonly positions = new WeakMap<object, number>();
+  private changes = new Map<string, KeyChange>();
+  private undo: (() => void)[] = [];
+  private snapshotted = new WeakSet<unknown[]>();
+
+  constructor(private state: DbState, private indexes: Indexes) {
+    this.draft = (proxies.get(state) ?? track(state, { kind: 'root' })) as DbState;
+  }
+
+  /** Runs `fn` on the draft, with changes to it going to this write. */
+  run<T>(fn: (draft: DbState) => T): T {
+    running = this;
+    try {
+      return unwrap(fn(this.draft));
+    } finally {
+      running = null;
+    }
+  }
+
+  private changeFor(key: string) {
+    let change = this.changes.get(key);
+    if (!change) {
+      const current = (this.state as any)[key];
+      change = {
+        collection: Array.isArray(current),
+        records: new Set(),
+        before: null,
+        committedLength: Array.isArray(current) ? current.length : 0,
+      };
+      this.changes.set(key, change);
+    }
+    return change;
+  }
+
+  assign(owner: Owner, target: any, prop: string, value: unknown, remove = false) {
+    const reshuffles = Array.isArray(target) && (remove || (prop === 'length' ? (value as number) < target.length : isIndex(prop) && Number(prop) < target.length));
+    const appends = Array.isArray(target) && !remove && isIndex(prop) && Number(prop) >= target.length;
+
+    if (owner.kind === 'root') {
+      const change = this.changeFor(prop);
+      const old = target[prop];
+      if (change.collection && !change.before) change.before = old.slice(0, change.committedLength);
+      if (Array.isArray(old)) this.indexes.drop(old);
+    } else if (owner.kind === 'collection') {
+      const change = this.changeFor(owner.key);
+      if (reshuffles) {
+        change.before ??= target.slice(0, change.committedLength);
+        this.indexes.drop(target);
+      }
+    } else if (owner.kind === 'record') {
+      this.changeFor(owner.key).records.add(owner.record);
+    } else {
+      this.changeFor(owner.key);
+    }
+
+    this.remember(target, prop, reshuffles, appends);
+    if (remove) {
+      delete target[prop];
+    } else {
+      target[prop] = value;
+    }
+
+    if (owner.kind === 'collection' && appends && typeof value === 'object' && value !== null) {
+      this.changeFor(owner.key).records.add(value);
+      this.positions.set(value, Number(prop));
+      this.indexes.appended(target, value, Number(prop));
+    } else if (owner.kind === 'record' && target === owner.record) {
+      this.indexes.changed((this.state as any)[owner.key], owner.record, prop);
+    }
+  }
+
+  // Adds the undo step for a change that is about to be made.
+  private remember(target: any, prop: string, reshuffles: boolean, appends: boolean) {
+    if (reshuffles) {
+      // Everything after this is undone first, so putting the whole array
+      // back as it is now undoes this and any later reshuffles at once.
+      if (this.snapshotted.has(target)) return;
+      this.snapshotted.add(target);
+      const copy = target.slice();
+      this.undo.push(() => {
+        target.length = 0;
+        for (const item of copy) target.push(item);
+      });
+    } else if (appends || prop === 'length') {
+      const length = target.length;
+      this.undo.push(() => { target.length = length; });
+    } else {
+      const had = Object.prototype.hasOwnProperty.call(target, prop);
+      const old = target[prop];
+      this.undo.push(() => {
+        if (had) target[prop] = old;
+        else delete target[prop];
+      });
+    }
+  }
+
+  rollback() {
+    for (let i = this.undo.length - 1; i >= 0; i--) this.undo[i]();
+    this.indexes.clear();
+  }
+
+  /** The journal entry for this write, or null if it changed nothing. */
+  commit(): JournalChange[] | null {
+    if (this.changes.size === 0) return null;
+    const entry: JournalChange[] = [];
+    for (const [key, change] of this.changes) {
+      const value = (this.state as any)[key];
+      if (!change.collection || !Array.isArray(value)) {
+        entry.push({ key, value });
+        continue;
+      }
+      // Records put in without going through the draft may have been changed
+      // since, so they are filed again under their current values.
+      for (const record of change.records) this.indexes.changed(value, record);
+      if (!change.before) {
+        const positions = [...change.records]
+          .map(record => this.positions.get(record) ?? value.indexOf(record))
+          .sort((a, b) => a - b);
+        for (const index of positions) entry.push({ key, index, value: value[index] });
+        continue;
+      }
+      const oldPositions = new Map(change.before.map((record, i) => [record, i]));
+      const runs: ([number, number] | object)[] = [];
+      for (const record of value) {
+        const old = oldPositions.get(record);
+        const last = runs[runs.length - 1];
+        if (old === undefined) runs.push(record);
+        else if (Array.isArray(last) && last[1] === old) last[1]++;
+        else runs.push([old, old + 1]);
+      }
+      entry.push({ key, runs });
+      value.forEach((record: object, index: number) => {
+        if (oldPositions.has(record) && change.records.has(record)) entry.push({ key, index, value: record });
+      });
+    }
+    return entry;
+  }
+}
+
+/**
+ * JSON file store with schema migrations.
+ *
+ * All writes go through a single queue, so a write always sees the result of
+ * the previous one (e.g. a tracking pixel hit arriving in the middle of a
+ * campaign send). A write changes the live state in place and appends just
+ * what it changed to a journal; the full file is only rewritten when the
+ * journal is folded back in, and then atomically with a rename so a crash
+ * never leaves it half written.
+ */
+class FileStore {
+  private state: DbState | null = null;
+  private loading: Promise<DbState> | null = null;
+  private queue: Promise<unknown> = Promise.resolve();
+  private indexes = new Indexes();
+  private fileBytes = 0;
+  private journalBytes = 0;
+
+  private async load(): Promise<DbState> {
+    if (this.state) return this.state;
+    if (!this.loading) {
+      this.loading = (async () => {
+        let raw: any = { version: 0 };
+        let text = '';
+        try {
+          text = await fs.readFile(DB_FILE, 'utf8');
+          raw = JSON.parse(text);
+        } catch (error: any) {
+          if (error.code !== 'ENOENT') throw error;
+          console.log(`🗄️  No database found, creating ${DB_FILE}`);
+        }
+        await this.replayJournal(raw, fingerprint(text));
+        migrate(raw);
+        await this.compact(raw);
+        this.state = raw as DbState;
+        return this.state;
+      })();
+    }
+    return this.loading;
+  }
+
+  // Applies the journal on top of the file it was started for. A journal left
+  // over from before the last compaction is already in the file and skipped,
+  // and so is a last line cut off by a crash.
+  private async replayJournal(state: any, base: string) {
+    let text = '';
+    try {
+      text = await fs.readFile(JOURNAL_FILE, 'utf8');
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const [header, ...entries] = text.split('\n').filter(line => line !== '');
+    if (!header || parseLine<JournalHeader>(header)?.base !== base) return;
+    for (const line of entries) {
+      const changes = parseLine<JournalChange[]>(line);
+      if (!changes) {
+        console.warn('🗄️  Ignoring a journal entry cut off by a crash');
+        break;
+      }
+      applyChanges(state, changes);
+    }
+  }
+
+  // Writes out the whole state and starts an empty journal on top of it.
+  private async compact(state: DbState) {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const text = JSON.stringify(state, null, 2);
+    const tmpFile = `${DB_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, text);
+    await fs.rename(tmpFile, DB_FILE);
+    const header: JournalHeader = { base: fingerprint(text) };
+    await fs.writeFile(JOURNAL_FILE, `${JSON.stringify(header)}\n`);
+    this.fileBytes = Buffer.byteLength(text);
+    this.journalBytes = 0;
+  }
+
+  private async append(changes: JournalChange[]) {
+    const line = `${JSON.stringify(changes)}\n`;
+    await fs.appendFile(JOURNAL_FILE, line);
+    this.journalBytes += Buffer.byteLength(line);
+  }
+
+  /** Runs `fn` against a snapshot of the current state. */
+  async read<T>(fn: (state: Readonly<DbState>) => T): Promise<T> {
+    const state = await this.load();
+    return structuredClone(fn(state));
+  }
+
+  /**
+   * Runs `fn` as a transaction. `fn` must be synchronous; whatever it changes
+   * on the draft is persisted before the next queued write starts, and if it
+   * throws nothing it changed is kept.
+   */
+  write<T>(fn: (draft: DbState) => T): Promise<T> {
+    const run = this.queue.then(async () => {
+      const state = await this.load();
+      const transaction = new Transaction(state, this.indexes);
+      let result: T;
+      let changes: JournalChange[] | null;
+      try {
+        result = transaction.run(fn);
+        changes = transaction.commit();
+        if (changes) await this.append(changes);
+      } catch (error) {
+        transaction.rollback();
+        throw error;
+      }
+      if (this.journalBytes > Math.max(this.fileBytes, MIN_COMPACT_BYTES)) {
+        // Everything is in the journal already, so a failure here loses nothing.
+        await this.compact(state).catch(error => console.error('🗄️  Could not fold the journal back into the database file:', error));
+      }
+      return structuredClone(result);
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * The first record of `collection` (from the state or a draft) whose fields
+   * equal those in `match`, found through an index on those fields. Where
+   * several match, which one comes back is unspecified.
+   */
+  findBy<T extends object>(collection: readonly T[], match: Partial<T>): T | undefined {
+    const { records, positions } = this.lookup(collection, match);
+    const record = records?.values().next().value;
+    return record && this.fromCollection(collection, record, positions);
+  }
+
+  /** Every record of `collection` whose fields equal those in `match`, in collection order. */
+  filterBy<T extends object>(collection: readonly T[], match: Partial<T>): T[] {
+    const { records, positions } = this.lookup(collection, match);
+    if (!records) return [];
+    return [...records]
+      .sort((a, b) => (positions.get(a) as number) - (positions.get(b) as number))
+      .map(record => this.fromCollection(collection, record, positions));
+  }
+
+  /** How many records of `collection` have the fields in `match`. */
+  countBy<T extends object>(collection: readonly T[], match: Partial<T>): number {
+    return this.lookup(collection, match).records?.size ?? 0;
+  }
+
+  private lookup(collection: readonly object[], match: object) {
+    const target = (proxyTargets.get(collection) ?? collection) as object[];
+    const fields = Object.keys(match).sort();
+    const { index, positions } = this.indexes.get(target, fields);
+    return { records: index.buckets.get(keyOf(match, fields)), positions };
+  }
+
+  // Inside a write, records come back through the draft so changes to them are tracked.
+  private fromCollection<T>(collection: readonly T[], record: object, positions: WeakMap<object, number>): T {
+    return proxyTargets.has(collection) ? collection[positions.get(record) as number] : record as T;
+  }
+}
+
+// Next.js may evaluate this module more than once (server actions and route
+// handlers live in separate bundles), so the store is shared through globalThis.
+const globalForStore = globalThis as unknown as { __baggaStore?: FileStore };
+
+export const store = globalForStore.__baggaStore ?? (globalForStore.__baggaStore = new FileStore());
@@ -0,0 +1,13 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// Imported first by tests that use the store, so each test file gets an empty
+// database of its own instead of the app's .data.
+const dir = mkdtempSync(path.join(tmpdir(), 'bagga-test-'));
+process.env.DATA_DIR = dir;
+process.on('exit', () => rmSync(dir, { recursive: true, force: true }));
+
+// The store's progress logs go to stdout, which the test runner reads its
+// results from; Node 20's runner can fail to parse them when they're mixed.
+console.log = () => {};
@@ -0,0 +1,52 @@
+import type { CampaignSchedule, Contact } from './types';
+
+// Small Intl-based helpers for turning a wall-clock time in some IANA time
+// zone into an instant, without pulling in a time zone library.
+
+export function isValidTimeZone(timeZone: string) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Every IANA zone the runtime knows about, for pickers. */
+export function listTimeZones(): string[] {
+  return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+}
+
+// How far ahead of UTC the zone's clocks are at the given instant.
+function offsetMs(date: Date, timeZone: string) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(date);
+  const get = (type: string) => Number(parts.find(p => p.type === type)?.value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant at which clocks in `timeZone` read `wallClock`
+ * ("2025-03-01T09:00"). Times skipped by a DST change land just after it.
+ */
+export function zonedTimeToUtc(wallClock: string, timeZone: string): Date {
+  const [datePart, timePart = '00:00'] = wallClock.split('T');
+  const [year, month, day] = datePart.split('-').map(Number);
+  const [hour, minute] = timePart.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // The offset depends on the instant we're solving for, so guess with the
+  // offset at the naive time and correct once.
+  const guess = asUtc - offsetMs(new Date(asUtc), timeZone);
+  return new Date(asUtc - offsetMs(new Date(guess), timeZone));
+}
+
+/** When a scheduled campaign should reach this contact. */
+export function recipientSendTime(schedule: CampaignSchedule, contact: Contact): Date {
+  const timeZone = schedule.recipientLocalTime && contact.timeZone ? contact.timeZone : schedule.timeZone;
+  return zonedTimeToUtc(schedule.sendAt, timeZone);
+}
@@ -0,0 +1,56 @@
+import './testDataDir';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createHmac } from 'crypto';
+import { db } from './db';
+import { signToken, verifyToken } from './tokens';
+
+type Unsubscribe = { t: 'unsub'; contactId: string };
+const payload: Unsubscribe = { t: 'unsub', contactId: '42' };
+
+// Swaps one character of the token's part at `index`.
+function tamper(token: string, index: number) {
+  const parts = token.split('.');
+  const part = parts[index];
+  parts[index] = (part[0] === 'A' ? 'B' : 'A') + part.slice(1);
+  return parts.join('.');
+}
+
+test('a token verifies as the type it was signed for', async () => {
+  const token = await signToken(payload);
+  assert.deepStrictEqual(await verifyToken<Unsubscribe>(token, 'unsub'), payload);
+  assert.strictEqual(await verifyToken(token, 'open'), null);
+});
+
+test('a tampered mac or body is rejected', async () => {
+  const token = await signToken(payload);
+  assert.strictEqual(await verifyToken(tamper(token, 2), 'unsub'), null);
+  assert.strictEqual(await verifyToken(tamper(token, 1), 'unsub'), null);
+});
+
+test('an unknown key id is rejected', async () => {
+  const token = await signToken(payload);
+  assert.strictEqual(await verifyToken(token.replace(/^k\d+\./, 'k999.'), 'unsub'), null);
+});
+
+test('a legacy two-part token verifies with k1', async () => {
+  const k1 = (await db.signingKeys.list()).find(k => k.id === 'k1');
+  assert.ok(k1);
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = createHmac('sha256', k1.secret).update(data).digest('base64url');
+
+  assert.deepStrictEqual(await verifyToken<Unsubscribe>(`${data}.${signature}`, 'unsub'), payload);
+  assert.strictEqual(await verifyToken(`${data}.${signature.slice(1)}`, 'unsub'), null);
+});
+
+test('a token signed with a rotated-out key verifies until the key is retired', async () => {
+  const token = await signToken(payload);
+  const oldKey = await db.signingKeys.active();
+  const newKey = await db.signingKeys.rotate();
+
+  assert.ok((await signToken(payload)).startsWith(`${newKey.id}.`));
+  assert.deepStrictEqual(await verifyToken<Unsubscribe>(token, 'unsub'), payload);
+
+  assert.strictEqual(await db.signingKeys.retire(oldKey.id), true);
+  assert.strictEqual(await verifyToken(token, 'unsub'), null);
+});
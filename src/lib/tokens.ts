@@ -0,0 +1,70 @@
+import { createCipheriv, createDecipheriv, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { db } from './db';
+import type { SigningKey } from './types';
+
+// Opaque, tamper-proof tokens for links we put in emails. A token is
+// `<key id>.<body>.<mac>`: the body is the JSON payload encrypted with
+// AES-256-CTR, so ids and list sizes don't show, and the mac is an
+// HMAC-SHA256 over the key id and body. Both keys are derived from the
+// signing key named by the key id, which lets keys be rotated while links
+// already sent keep working. Every payload carries a `t` (token type) so a
+// token minted for one purpose can't be replayed against another route.
+
+function derive(key: SigningKey, purpose: 'enc' | 'mac') {
+  return createHmac('sha256', key.secret).update(purpose).digest();
+}
+
+function mac(key: SigningKey, data: string) {
+  return createHmac('sha256', derive(key, 'mac')).update(data).digest('base64url');
+}
+
+export function safeEqual(a: string, b: string) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+export async function signToken<T extends { t: string }>(payload: T): Promise<string> {
+  const key = await db.signingKeys.active();
+  const iv = randomBytes(16);
+  const cipher = createCipheriv('aes-256-ctr', derive(key, 'enc'), iv);
+  const body = Buffer.concat([iv, cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]).toString('base64url');
+  return `${key.id}.${body}.${mac(key, `${key.id}.${body}`)}`;
+}
+
+// Tokens from before key rotation were plain base64url JSON signed with the
+// raw secret of what became key k1.
+function openLegacy(keys: SigningKey[], data: string, signature: string) {
+  const key = keys.find(k => k.id === 'k1');
+  if (!key) return null;
+  const expected = createHmac('sha256', key.secret).update(data).digest('base64url');
+  return safeEqual(expected, signature) ? Buffer.from(data, 'base64url').toString('utf8') : null;
+}
+
+function open(keys: SigningKey[], keyId: string, body: string, signature: string) {
+  const key = keys.find(k => k.id === keyId);
+  if (!key || !safeEqual(mac(key, `${keyId}.${body}`), signature)) return null;
+  const raw = Buffer.from(body, 'base64url');
+  const decipher = createDecipheriv('aes-256-ctr', derive(key, 'enc'), raw.subarray(0, 16));
+  return Buffer.concat([decipher.update(raw.subarray(16)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Returns the payload if the token is genuine, signed with a key we still
+ * have and of the expected type, otherwise null.
+ */
+export async function verifyToken<T extends { t: string }>(token: string, type: T['t']): Promise<T | null> {
+  const parts = token.split('.');
+  const keys = await db.signingKeys.list();
+  const json = parts.length === 3 ? open(keys, parts[0], parts[1], parts[2])
+    : parts.length === 2 ? openLegacy(keys, parts[0], parts[1])
+    : null;
+  if (!json) return null;
+
+  try {
+    const payload = JSON.parse(json);
+    return payload?.t === type ? payload as T : null;
+  } catch {
+    return null;
+  }
+}
@@ -3,17 +3,332 @@ export interface Contact {
   firstName: string;
   lastName: string;
   email: string;
-  status: "Pending" | "Sent" | "Error";
-  sentTimestamp: string | null;
-  openTimestamp: string | null;
+  // IANA zone such as "Europe/Berlin", used for local-time scheduled sends.
+  timeZone: string | null;
+  // Values of the workspace's custom fields, keyed by field name. Numbers and
+  // dates are kept in a canonical text form ("1250.5", "2026-03-01").
+  fields: Record<string, string>;
+}
+
+export type NewContact = Pick<Contact, 'firstName' | 'lastName' | 'email'> & Partial<Pick<Contact, 'timeZone' | 'fields'>>;
+
+export type CustomFieldType = "text" | "number" | "date";
+
+// An extra column on every contact, usable in campaigns as {{name}}.
+export interface CustomField {
+  name: string;
+  type: CustomFieldType;
+  // Used in emails for contacts who have no value; null leaves them blank.
+  defaultValue: string | null;
+}
+
+export type ContactActivityType =
+  | "added" | "edited" | "sent" | "failed" | "opened" | "clicked" | "bounced" | "replied"
+  | "unsubscribed" | "suppressed" | "resubscribed";
+
+// One thing that happened to a contact, for their activity timeline. `detail`
+// holds the specifics: the subject of a send, the link clicked, the bounce
+// code, the fields that were edited.
+export interface ContactActivity {
+  id: string;
+  contactId: string;
+  campaignId: string | null;
+  type: ContactActivityType;
+  timestamp: string;
+  variantId: string | null;
+  detail: string | null;
+}
+
+export interface ContactActivityEntry extends ContactActivity {
+  campaignName: string | null;
+}
+
+export type CampaignStatus = "draft" | "scheduled" | "sending" | "sent" | "archived";
+
+// When a scheduled campaign goes out. `sendAt` is a wall-clock time
+// ("2025-03-01T09:00") in `timeZone`; with `recipientLocalTime` each contact
+// gets it in their own time zone instead, if they have one.
+export interface CampaignSchedule {
+  sendAt: string;
+  timeZone: string;
+  recipientLocalTime: boolean;
 }
 
+// An alternative subject and body for an A/B test. The campaign's own subject
+// and body are variant "A".
+export interface CampaignVariant {
+  id: string;
+  subject: string;
+  body: string;
+}
+
+export interface AbTest {
+  // The variants besides "A".
+  variants: CampaignVariant[];
+  // Share of the pending contacts, in percent, that get a test variant. The
+  // slice is split evenly between the variants, and the rest get the winner.
+  testPercent: number;
+  metric: "open" | "click";
+  // How long after the test slice starts going out the winner is picked.
+  waitHours: number;
+  // Set once the test has started.
+  decideAt: string | null;
+  winnerId: string | null;
+}
+
+export type AbTestSettings = Pick<AbTest, 'variants' | 'testPercent' | 'metric' | 'waitHours'>;
+
 export interface Campaign {
+  id: string;
+  name: string;
+  status: CampaignStatus;
   subject: string;
   body: string;
   senderName: string;
   senderEmail: string;
   replyTo: string;
+  // Set while the campaign is "scheduled"; cleared once sending starts.
+  schedule: CampaignSchedule | null;
+  abTest: AbTest | null;
+  // Swap spam trigger words in the subject for milder ones when sending.
+  rewriteSpamWords: boolean;
+  // Overrides the sending account's provider for this campaign.
+  provider: MailProviderKind | null;
+  // The layout from the template library the body goes out in.
+  templateId: string;
+  // Content for the template's extra slots (all but "body"), by slot name.
+  slots: Record<string, string>;
+  // Hand-written text/plain part, with merge tags; null to generate it from
+  // the HTML. A/B variants other than A always get a generated one.
+  textBody: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type CampaignContent = Pick<Campaign, 'name' | 'subject' | 'body' | 'senderName' | 'senderEmail' | 'replyTo' | 'rewriteSpamWords' | 'provider' | 'templateId' | 'slots' | 'textBody'>;
+
+// A saved state of a template, kept so it can be restored.
+export interface TemplateVersion {
+  version: number;
+  name: string;
+  html: string;
+  savedAt: string;
+}
+
+// An email layout in the template library. Its HTML uses the template
+// engine, with {{ slots.body }} for the campaign body and {{ slots.<name> }}
+// for other content campaigns fill in.
+export interface EmailTemplate {
+  id: string;
+  name: string;
+  description: string;
+  html: string;
+  // One of the layouts the app ships with; these can be edited but not deleted.
+  builtIn: boolean;
+  version: number;
+  updatedAt: string;
+  // Earlier versions, newest first.
+  history: TemplateVersion[];
+}
+
+export type TemplateContent = Pick<EmailTemplate, 'name' | 'description' | 'html'>;
+
+// "Sending" means a send job has claimed the delivery and is talking to the
+// mail provider; it is never picked up again, even if that job dies half way.
+// "Suppressed" means the address was on the suppression list when its turn came.
+// "Bounced" means the receiving side accepted the email but later sent back a
+// delivery status notification saying it couldn't be delivered. "Replied"
+// means the contact wrote back (auto-replies don't count).
+export type DeliveryStatus = "Pending" | "Sending" | "Sent" | "Error" | "Suppressed" | "Bounced" | "Replied";
+
+// A hard bounce won't ever succeed (no such mailbox); a soft one gave up on a
+// temporary problem such as a full mailbox.
+export interface Bounce {
+  kind: "hard" | "soft";
+  // Enhanced status code from the DSN, e.g. "5.1.1".
+  status: string;
+  diagnostic: string | null;
+  timestamp: string;
+}
+
+// One campaign's delivery to one contact.
+export interface Delivery {
+  id: string;
+  campaignId: string;
+  contactId: string;
+  status: DeliveryStatus;
+  jobId: string | null;
+  claimedAt: string | null;
+  // Send attempts so far. A Pending delivery isn't picked up before
+  // nextAttemptAt: with an error it is waiting to be retried, without one it
+  // is held for the recipient's local send time. An Error delivery keeps the
+  // reason it failed.
+  attempts: number;
+  nextAttemptAt: string | null;
+  error: string | null;
+  sentTimestamp: string | null;
+  // Message-ID the email went out with, without angle brackets. Replies
+  // point back at it in In-Reply-To/References.
+  messageId: string | null;
+  // A/B test variant the contact got or will get, if the campaign has a test.
+  variantId: string | null;
+  // First open we believe a person made (machine opens don't count).
+  openTimestamp: string | null;
+  // First click on any tracked link.
+  clickTimestamp: string | null;
+  bounce: Bounce | null;
+  // First reply, and the start of the latest one's text.
+  replyTimestamp: string | null;
+  replySnippet: string | null;
+}
+
+// One hit on a delivery's tracking pixel.
+export interface OpenEvent {
+  id: string;
+  campaignId: string;
+  deliveryId: string;
+  contactId: string;
+  timestamp: string;
+  userAgent: string | null;
+  ip: string | null;
+  // Which mail provider proxy or scanner fetched the pixel, if we can tell.
+  proxy: "apple-mpp" | "gmail-proxy" | "yahoo-proxy" | "scanner" | null;
+  // Likely fetched automatically rather than by a person opening the email.
+  machine: boolean;
+  machineReason: string | null;
+}
+
+// A destination a campaign's emails link to. Click-tracking links point at
+// one of these by id, so the redirect can only ever go somewhere we sent.
+export interface CampaignLink {
+  id: string;
+  campaignId: string;
+  url: string;
+}
+
+export interface Click {
+  id: string;
+  campaignId: string;
+  deliveryId: string;
+  contactId: string;
+  linkId: string;
+  url: string;
+  timestamp: string;
+  userAgent: string | null;
+}
+
+export type SendJobStatus = "running" | "paused" | "cancelled" | "completed" | "failed";
+
+// A background run of a campaign send. At most one job per campaign is
+// running or paused at a time.
+export interface SendJob {
+  id: string;
+  campaignId: string;
+  status: SendJobStatus;
+  error: string | null;
+  // Set while a running job waits for its sending account's quota to free up.
+  deferredUntil: string | null;
+  createdAt: string;
+  updatedAt: string;
+  finishedAt: string | null;
+}
+
+// How an email leaves: an SMTP server, SendGrid's HTTP API, or a local sink
+// that keeps messages in memory and in .data/outbox for development.
+export type MailProviderKind = "smtp" | "sendgrid" | "sink";
+
+export interface MailProviderInfo {
+  kind: MailProviderKind;
+  label: string;
+  // Whether the settings it needs are present in the environment.
+  configured: boolean;
+  detail: string;
+}
+
+// Throughput limits for sending through one provider. The per-minute rate is a
+// token bucket that allows `burst` sends back to back; the hourly and daily
+// quotas are rolling windows. A null quota means unlimited. There is one
+// account per provider; the default one delivers campaigns that don't pick one.
+export interface SendingAccount {
+  id: string;
+  name: string;
+  provider: MailProviderKind;
+  isDefault: boolean;
+  ratePerMinute: number;
+  burst: number;
+  hourlyQuota: number | null;
+  dailyQuota: number | null;
+}
+
+export type SendingLimits = Pick<SendingAccount, 'ratePerMinute' | 'burst' | 'hourlyQuota' | 'dailyQuota'>;
+
+export type SendingAccountSettings = SendingLimits & Pick<SendingAccount, 'isDefault'>;
+
+export interface SendingAccountUsage extends SendingAccount {
+  sentLastHour: number;
+  sentLastDay: number;
+}
+
+// A contact as seen from one campaign. Contacts the campaign has not been
+// delivered to yet show up as Pending.
+export interface Recipient extends Contact {
+  status: DeliveryStatus;
+  variantId: string | null;
+  attempts: number;
+  nextAttemptAt: string | null;
+  error: string | null;
+  sentTimestamp: string | null;
+  openTimestamp: string | null;
+  clickTimestamp: string | null;
+  bounce: Bounce | null;
+  replyTimestamp: string | null;
+  replySnippet: string | null;
+}
+
+// An address nothing is ever sent to again, e.g. because it unsubscribed.
+export interface Suppression {
+  email: string;
+  reason: "unsubscribed" | "manual" | "bounced";
+  // The campaign the unsubscribe link came from, if any.
+  campaignId: string | null;
+  createdAt: string;
+}
+
+// Key for signing the tokens in tracking, click and unsubscribe links. The
+// newest key signs; older ones keep verifying links already sent until they
+// are retired.
+export interface SigningKey {
+  id: string;
+  secret: string;
+  createdAt: string;
+}
+
+export type SigningKeyInfo = Omit<SigningKey, 'secret'> & { active: boolean };
+
+export interface LinkStats {
+  url: string;
+  clicks: number;
+  uniqueClicks: number;
+}
+
+export interface VariantStats {
+  id: string;
+  subject: string;
+  sent: number;
+  opened: number;
+  openRate: number;
+  clicked: number;
+  clickRate: number;
+}
+
+export interface VariantTestResult {
+  metric: AbTest['metric'];
+  // Best variant by the test's metric so far, and the pick once it's made.
+  leaderId: string | null;
+  winnerId: string | null;
+  // Two-proportion z-test of the leader against the runner-up.
+  pValue: number | null;
+  significant: boolean;
 }
 
 export interface Analytics {
@@ -21,7 +336,140 @@ export interface Analytics {
   sent: number;
   pending: number;
   errors: number;
+  suppressed: number;
+  bounced: number;
+  hardBounces: number;
+  // Recipients who opened at least once themselves.
   opened: number;
   openRate: number;
+  // Every pixel hit, and the ones we think were automatic.
+  totalOpens: number;
+  machineOpens: number;
+  clicked: number;
+  // Recipients who clicked, as a percentage of those sent to.
+  clickRate: number;
+  replied: number;
   sentRate: number;
+  links: LinkStats[];
+  // Per-variant results; empty unless the campaign has an A/B test.
+  variants: VariantStats[];
+  variantTest: VariantTestResult | null;
+}
+
+// Sends, human opens and clicks in one slice of a campaign's life. Slices are
+// an hour long for the first 48 hours after the first send, then a day.
+export interface EngagementBucket {
+  start: string;
+  end: string;
+  sends: number;
+  opens: number;
+  clicks: number;
+}
+
+// Share of the campaign's sends opened by a person within `hours` of its
+// first send.
+export interface OpenRatePoint {
+  hours: number;
+  openRate: number;
+}
+
+export interface OpenRateCurve {
+  campaignId: string;
+  name: string;
+  points: OpenRatePoint[];
+}
+
+export interface EngagementRange {
+  // Inclusive ISO instants; null means unbounded.
+  from: string | null;
+  to: string | null;
+  // IANA zone the heatmaps' days and hours are counted in.
+  timeZone: string;
+}
+
+export interface Engagement {
+  firstSentAt: string | null;
+  buckets: EngagementBucket[];
+  // Counts by [day of week, Sunday first][hour of day] in the range's zone.
+  openHeatmap: number[][];
+  clickHeatmap: number[][];
+  // This campaign first, then the most recent earlier campaigns to compare with.
+  openRateCurves: OpenRateCurve[];
+}
+
+export interface CampaignSummary extends Campaign {
+  analytics: Analytics;
+  job: SendJob | null;
+}
+
+// Pushed to the dashboard over /api/campaigns/[id]/events as things happen.
+export type CampaignEvent =
+  | { type: "sent" | "retrying" | "failed" | "opened" | "clicked" | "bounced" | "replied"; campaignId: string; timestamp: string; recipient: Recipient }
+  | { type: "analytics"; campaignId: string; timestamp: string; analytics: Analytics }
+  | { type: "job"; campaignId: string; timestamp: string; job: SendJob };
+
+export type WebhookEventType =
+  | "email.sent" | "email.failed" | "email.opened" | "email.clicked" | "email.bounced" | "email.replied"
+  | "contact.unsubscribed";
+
+// An endpoint we POST events to. Each request is signed with `secret`.
+export interface Webhook {
+  id: string;
+  url: string;
+  events: WebhookEventType[];
+  secret: string;
+  enabled: boolean;
+  createdAt: string;
+}
+
+// The JSON body of a webhook request.
+export interface WebhookEvent {
+  id: string;
+  type: WebhookEventType | "webhook.test";
+  createdAt: string;
+  data: Record<string, unknown>;
+}
+
+// One event on its way to one webhook. A failed request is retried with
+// backoff until it succeeds or runs out of attempts.
+export interface WebhookDelivery {
+  id: string;
+  webhookId: string;
+  event: WebhookEvent;
+  status: "pending" | "succeeded" | "failed";
+  attempts: number;
+  nextAttemptAt: string | null;
+  // HTTP status of the last attempt, if the endpoint answered at all.
+  responseStatus: number | null;
+  error: string | null;
+  createdAt: string;
+  deliveredAt: string | null;
+}
+
+export interface WebhookSummary extends Webhook {
+  recentDeliveries: WebhookDelivery[];
+}
+
+export type LintSeverity = "error" | "warning" | "info";
+
+// A problem the pre-send check found in a campaign email.
+export interface LintIssue {
+  id: string;
+  severity: LintSeverity;
+  message: string;
+  suggestion: string;
+}
+
+// The pre-send check for one variant of a campaign (null without an A/B test).
+export interface ContentCheck {
+  variantId: string | null;
+  score: number;
+  issues: LintIssue[];
+}
+
+// A campaign email as one recipient would get it, for previews.
+export interface EmailPreview {
+  subject: string;
+  html: string;
+  text: string;
 }
@@ -4,3 +4,7 @@ import { twMerge } from "tailwind-merge"
 export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs))
 }
+
+export function escapeHtml(value: string) {
+  return value.replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`)
+}
@@ -0,0 +1,32 @@
+import type { WebhookEventType } from './types';
+
+// Events a webhook can subscribe to. Kept free of server code so the
+// dashboard can list them too.
+export const WEBHOOK_EVENTS: { type: WebhookEventType, description: string }[] = [
+  { type: 'email.sent', description: "A campaign email went out" },
+  { type: 'email.failed', description: "A campaign email couldn't be sent and won't be retried" },
+  { type: 'email.opened', description: "The tracking pixel was loaded, by a person or a machine" },
+  { type: 'email.clicked', description: "A tracked link was clicked" },
+  { type: 'email.bounced', description: "A bounce report came back" },
+  { type: 'email.replied', description: "The contact replied" },
+  { type: 'contact.unsubscribed', description: "Someone unsubscribed with the link in an email" },
+];
+
+export function validateWebhook(url: string, events: string[]): string | null {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "Enter the full URL of the endpoint, starting with https://.";
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return "Webhook URLs must use http or https.";
+  }
+  if (events.length === 0) {
+    return "Pick at least one event to send.";
+  }
+  if (events.some(type => !WEBHOOK_EVENTS.some(e => e.type === type))) {
+    return "Unknown webhook event.";
+  }
+  return null;
+}
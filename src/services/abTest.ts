@@ -0,0 +1,52 @@
+import { db } from '@/lib/db';
+import { loadRecipients } from '@/lib/analytics';
+import { assignTestSlice, computeVariantStats, evaluateVariants, variantIds } from '@/lib/abTest';
+import type { Campaign, Recipient } from '@/lib/types';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Sends the test slice first: deals the variants out over a share of the
+ * pending contacts and holds everyone else until the winner is picked. When
+ * a test that already started is sent again, only the hold is put back.
+ */
+export async function startAbTest(campaign: Campaign, pending: Recipient[]) {
+  const abTest = campaign.abTest;
+  if (!abTest || abTest.winnerId) return;
+
+  if (abTest.decideAt) {
+    const waiting = pending.filter(r => r.variantId === null);
+    await db.deliveries.holdUntil(campaign.id, new Map(waiting.map(r => [r.id, abTest.decideAt as string])));
+    return;
+  }
+
+  const decideAt = new Date(Date.now() + abTest.waitHours * HOUR_MS).toISOString();
+  const { assignments, rest } = assignTestSlice(pending.map(r => r.id), variantIds(abTest), abTest.testPercent);
+  await db.deliveries.assignVariants(campaign.id, assignments);
+  await db.deliveries.holdUntil(campaign.id, new Map(rest.map(id => [id, decideAt])));
+  await db.campaigns.update(campaign.id, { abTest: { ...abTest, decideAt } });
+  console.log(`🧪 A/B test for campaign ${campaign.id}: ${assignments.size} test contacts, ${rest.length} waiting for the winner until ${decideAt}`);
+}
+
+/**
+ * Picks the variant with the best open or click rate so far and sends it to
+ * everyone who wasn't in the test slice. With no data at all, A wins.
+ */
+export async function decideAbTest(campaign: Campaign) {
+  const abTest = campaign.abTest;
+  if (!abTest || abTest.winnerId) return campaign;
+
+  const recipients = await loadRecipients(campaign.id);
+  const result = evaluateVariants(computeVariantStats(recipients, campaign), abTest);
+  const winnerId = result.leaderId ?? 'A';
+
+  const updated = await db.campaigns.update(campaign.id, { abTest: { ...abTest, winnerId } });
+  const waiting = recipients.filter(r => r.status === 'Pending' && r.variantId === null);
+  await db.deliveries.assignVariants(campaign.id, new Map(waiting.map(r => [r.id, winnerId])));
+  const now = new Date().toISOString();
+  await db.deliveries.holdUntil(campaign.id, new Map(waiting.map(r => [r.id, now])));
+
+  const significance = result.significant ? 'significant' : 'not significant';
+  console.log(`🏆 A/B test for campaign ${campaign.id}: variant ${winnerId} wins by ${result.metric} rate (p=${result.pValue ?? 'n/a'}, ${significance}), sending it to ${waiting.length} contacts`);
+  return updated ?? campaign;
+}
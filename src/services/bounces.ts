@@ -0,0 +1,65 @@
+import { db } from '@/lib/db';
+import { classifyBounce, parseDsn } from '@/lib/dsn';
+import { splitMessages } from '@/lib/mime';
+import { publishDeliveryEvent } from '@/lib/campaignEvents';
+import { emitEmailEvent } from './webhooks';
+
+export interface BounceIngestResult {
+  messages: number;
+  // Messages that weren't delivery status notifications at all.
+  notDsn: number;
+  hard: number;
+  soft: number;
+  // Bounces for addresses we have no sent delivery for.
+  unmatched: number;
+}
+
+/**
+ * Records the bounces in raw messages or mbox files. Hard-bounced addresses
+ * go on the suppression list, whether or not we can tell which delivery
+ * bounced.
+ */
+export async function ingestBounces(raws: string[]): Promise<BounceIngestResult> {
+  const result: BounceIngestResult = { messages: 0, notDsn: 0, hard: 0, soft: 0, unmatched: 0 };
+
+  for (const message of raws.flatMap(splitMessages)) {
+    result.messages++;
+    const reports = parseDsn(message);
+    if (reports.length === 0) {
+      result.notDsn++;
+      continue;
+    }
+
+    for (const report of reports) {
+      const kind = classifyBounce(report);
+      if (!kind) continue;
+      result[kind]++;
+
+      const delivery = await db.deliveries.markBounced(report.recipient, {
+        kind,
+        status: report.status,
+        diagnostic: report.diagnostic,
+        timestamp: new Date().toISOString(),
+      });
+      if (kind === 'hard') {
+        await db.suppressions.add(report.recipient, 'bounced', delivery?.campaignId ?? null);
+      }
+
+      if (delivery) {
+        console.log(`↩️  ${kind === 'hard' ? 'Hard' : 'Soft'} bounce (${report.status}) for delivery ${delivery.id}`);
+        await publishDeliveryEvent('bounced', delivery.id);
+        await emitEmailEvent('email.bounced', delivery.id, { kind, status: report.status, diagnostic: report.diagnostic });
+      } else {
+        result.unmatched++;
+        console.warn(`⚠️  Bounce for ${report.recipient} doesn't match anything we sent`);
+      }
+    }
+  }
+
+  return result;
+}
+
+export function describeBounceResult(result: BounceIngestResult) {
+  const skipped = result.notDsn > 0 ? ` ${result.notDsn} message(s) weren't bounce reports.` : '';
+  return `Processed ${result.messages} message(s): ${result.hard} hard and ${result.soft} soft bounce(s).${skipped}`;
+}
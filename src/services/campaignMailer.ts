@@ -0,0 +1,141 @@
+import type { Campaign, Contact, CustomField, Delivery, EmailTemplate } from '@/lib/types';
+import { db } from '@/lib/db';
+import { APP_URL, clickUrl, listUnsubscribeHeaders, openPixelUrl, unsubscribeUrl } from '@/lib/links';
+import { findTrackableLinks, rewriteLinks } from '@/lib/linkTracking';
+import { normalizeMessageId } from '@/lib/inboundMail';
+import { variantContent } from '@/lib/abTest';
+import { SPAM_PHRASES, spamPhrasePattern } from '@/lib/contentLint';
+import { mergeData, personalize } from '@/lib/mergeTags';
+import { BODY_SLOT, DEFAULT_TEMPLATE_ID, renderLayout, templateSlots } from '@/lib/emailTemplates';
+import { htmlToText } from '@shared/htmlToText';
+import { defaultSender, newMessageId, type MailProvider } from './providers';
+
+export function createAntiSpamSubject(subject: string, firstName: string) {
+  let antiSpam = subject;
+  // Longest first, so "WINNER" isn't rewritten as "WIN" + "NER".
+  const phrases = Object.keys(SPAM_PHRASES).sort((a, b) => b.length - a.length);
+  for (const phrase of phrases) {
+    antiSpam = antiSpam.replace(spamPhrasePattern(phrase, 'gi'), (_, before: string) => before + SPAM_PHRASES[phrase]);
+  }
+  if (antiSpam === antiSpam.toUpperCase() && antiSpam.length > 5) {
+    antiSpam = antiSpam.charAt(0).toUpperCase() + antiSpam.slice(1).toLowerCase();
+  }
+  return antiSpam.replace(/!{2,}/g, '!').replace(/\?{2,}/g, '?');
+}
+
+/** Hands a rendered campaign email to the provider; rejects with a SendError. */
+export async function sendCampaignEmail(
+  provider: MailProvider,
+  campaign: Campaign,
+  contact: Contact,
+  { subject, html, text, headers }: { subject: string, html: string, text: string, headers: Record<string, string> },
+) {
+  console.log(`🚀 Sending email to: ${contact.email} via ${provider.label}`);
+  const sender = defaultSender();
+  const from = { name: campaign.senderName || sender.name, email: campaign.senderEmail || sender.email };
+  const { messageId } = await provider.send({
+    from,
+    to: { name: `${contact.firstName} ${contact.lastName}`.trim(), email: contact.email },
+    replyTo: campaign.replyTo || null,
+    subject,
+    html,
+    text,
+    headers,
+    messageId: newMessageId(from.email),
+  });
+  return { messageId: normalizeMessageId(messageId) };
+}
+
+// Points every link in the body at the click-tracking redirect for this delivery
+async function trackLinks(html: string, campaign: Campaign, delivery: Delivery) {
+  const urls = findTrackableLinks(html);
+  if (urls.length === 0) return html;
+
+  const links = await db.links.register(campaign.id, urls);
+  const replacements = new Map<string, string>();
+  for (const [url, link] of links) {
+    replacements.set(url, await clickUrl(delivery, link.id));
+  }
+  return rewriteLinks(html, replacements);
+}
+
+// The campaign's template, or the default one if it has since been deleted.
+export async function campaignTemplate(templateId: string) {
+  return await db.templates.find(templateId) ?? await db.templates.find(DEFAULT_TEMPLATE_ID) as EmailTemplate;
+}
+
+// Puts the personalized slots into the template and adds the open pixel.
+function renderEmail(
+  template: Pick<EmailTemplate, 'html'>,
+  { senderName, subject, slots }: { senderName: string, subject: string, slots: Record<string, string> },
+  contact: Contact,
+  customFields: CustomField[],
+  { unsubscribe, trackingPixel }: { unsubscribe: string, trackingPixel: string },
+) {
+  const html = renderLayout(template.html, { ...mergeData(contact, customFields), subject, senderName, unsubscribeUrl: unsubscribe }, slots);
+  return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${trackingPixel}</body>`) : html + trackingPixel;
+}
+
+// The text/plain part: the hand-written one if there is one, which gets the
+// unsubscribe link the HTML footer would have had, or else the HTML as text.
+function textPart(textBody: string | null, html: string, contact: Contact, customFields: CustomField[], unsubscribe: string) {
+  if (textBody === null) return htmlToText(html);
+  return `${personalize(textBody, contact, customFields, { html: false }).trim()}\n\nUnsubscribe: ${unsubscribe}`;
+}
+
+function finalSubject(campaign: Pick<Campaign, 'rewriteSpamWords'>, subject: string, contact: Contact, customFields: CustomField[]) {
+  const personalized = personalize(subject, contact, customFields, { html: false });
+  return campaign.rewriteSpamWords ? createAntiSpamSubject(personalized, contact.firstName) : personalized;
+}
+
+// The body and the campaign's other slot content for one contact, keyed by
+// the template's slot names.
+function personalizeSlots(template: Pick<EmailTemplate, 'html'>, slots: Record<string, string>, body: string, contact: Contact, customFields: CustomField[]) {
+  return Object.fromEntries(templateSlots(template.html).map(name =>
+    [name, personalize(name === BODY_SLOT ? body : slots[name] ?? '', contact, customFields)]));
+}
+
+// Renders the campaign in its template for one recipient, including the
+// open-tracking pixel, tracked links and their unsubscribe link. In an A/B
+// test the subject and body come from the delivery's variant, or the winner
+// once there is one.
+export async function buildCampaignEmail(campaign: Campaign, contact: Contact, delivery: Delivery) {
+  const { variantId, subject, body } = variantContent(campaign, delivery.variantId);
+  const textBody = variantId === null || variantId === 'A' ? campaign.textBody : null;
+  const [customFields, template] = await Promise.all([db.customFields.list(), campaignTemplate(campaign.templateId)]);
+  const slots = personalizeSlots(template, campaign.slots, body, contact, customFields);
+  for (const name of Object.keys(slots)) {
+    slots[name] = await trackLinks(slots[name], campaign, delivery);
+  }
+
+  // Create tracking pixel
+  const trackingPixel = `<img src="${await openPixelUrl(delivery)}" width="1" height="1" alt="" style="display:none;" />`;
+  const unsubscribe = await unsubscribeUrl(contact.email, delivery);
+
+  const emailSubject = finalSubject(campaign, subject, contact, customFields);
+  const emailHtml = renderEmail(template, { senderName: campaign.senderName, subject: emailSubject, slots }, contact, customFields, { unsubscribe, trackingPixel });
+  const text = textPart(textBody, emailHtml, contact, customFields, unsubscribe);
+  return { subject: emailSubject, html: emailHtml, text, headers: listUnsubscribeHeaders(unsubscribe), variantId };
+}
+
+/**
+ * Renders unsaved content the way it would go out to `contact`, without
+ * registering tracked links or minting tokens, for previews and the pre-send
+ * check.
+ */
+export function previewCampaignEmail(
+  campaign: Pick<Campaign, 'senderName' | 'rewriteSpamWords' | 'slots'>,
+  template: Pick<EmailTemplate, 'html'>,
+  { subject, body, textBody = null }: { subject: string, body: string, textBody?: string | null },
+  contact: Contact,
+  customFields: CustomField[],
+) {
+  const emailSubject = finalSubject(campaign, subject, contact, customFields);
+  const slots = personalizeSlots(template, campaign.slots, body, contact, customFields);
+  const unsubscribe = `${APP_URL}/api/unsubscribe/preview`;
+  const html = renderEmail(template, { senderName: campaign.senderName, subject: emailSubject, slots }, contact, customFields, {
+    unsubscribe,
+    trackingPixel: `<img src="${APP_URL}/api/track/preview" width="1" height="1" alt="" style="display:none;" />`,
+  });
+  return { subject: emailSubject, html, text: textPart(textBody, html, contact, customFields, unsubscribe) };
+}
@@ -1,34 +0,0 @@
-import nodemailer from 'nodemailer';
-
-export async function sendEmail(to: string, subject: string, html: string) {
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: Number(process.env.SMTP_PORT),
-    secure: true, // true for 465
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASSWORD,
-    },
-  });
-
-  console.log('SMTP config:', {
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    user: process.env.SMTP_USER,
-    from: process.env.SMTP_FROM_EMAIL,
-  });
-
-  try {
-    const info = await transporter.sendMail({
-      from: process.env.SMTP_FROM_EMAIL,
-      to,
-      subject,
-      html,
-    });
-    console.log('Message sent: %s', info.messageId);
-    return true;
-  } catch (error) {
-    console.error('Error sending email:', error);
-    throw error;
-  }
-}
\ No newline at end of file
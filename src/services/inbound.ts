@@ -0,0 +1,78 @@
+import { db } from '@/lib/db';
+import { parseDsn } from '@/lib/dsn';
+import { parseInbound } from '@/lib/inboundMail';
+import { splitMessages } from '@/lib/mime';
+import { publishDeliveryEvent } from '@/lib/campaignEvents';
+import { emitEmailEvent } from './webhooks';
+import { ingestBounces } from './bounces';
+
+export interface InboundResult {
+  messages: number;
+  replies: number;
+  // Out-of-office and other automatic replies, which are ignored.
+  autoReplies: number;
+  bounces: number;
+  // Replies and bounces we couldn't tie to anything we sent.
+  unmatched: number;
+}
+
+/**
+ * Sorts mail that came back to us: bounce reports go to bounce processing,
+ * replies mark the delivery they answer as Replied.
+ */
+export async function ingestInbound(raws: string[]): Promise<InboundResult> {
+  const result: InboundResult = { messages: 0, replies: 0, autoReplies: 0, bounces: 0, unmatched: 0 };
+
+  for (const raw of raws.flatMap(splitMessages)) {
+    result.messages++;
+
+    if (parseDsn(raw).length > 0) {
+      const bounces = await ingestBounces([raw]);
+      result.bounces += bounces.hard + bounces.soft;
+      result.unmatched += bounces.unmatched;
+      continue;
+    }
+
+    const message = parseInbound(raw);
+    if (message.autoReply) {
+      result.autoReplies++;
+      console.log(`🤖 Ignored automatic reply from ${message.from ?? 'unknown sender'} (${message.autoReply})`);
+      continue;
+    }
+
+    const delivery = await db.deliveries.findByMessageId(message.referencedIds);
+    if (!delivery) {
+      result.unmatched++;
+      console.warn(`⚠️  Message from ${message.from ?? 'unknown sender'} doesn't answer anything we sent`);
+      continue;
+    }
+
+    result.replies++;
+    await db.deliveries.recordReply(delivery.id, { timestamp: new Date().toISOString(), snippet: message.snippet });
+    console.log(`💬 Reply to delivery ${delivery.id} from ${message.from ?? 'unknown sender'}`);
+    await publishDeliveryEvent('replied', delivery.id);
+    await emitEmailEvent('email.replied', delivery.id, { from: message.from, snippet: message.snippet });
+  }
+
+  return result;
+}
+
+export function describeInboundResult(result: InboundResult) {
+  const parts = [
+    `${result.replies} repl${result.replies === 1 ? 'y' : 'ies'}`,
+    `${result.bounces} bounce(s)`,
+    `${result.autoReplies} auto-repl${result.autoReplies === 1 ? 'y' : 'ies'} ignored`,
+  ];
+  const unmatched = result.unmatched > 0 ? ` ${result.unmatched} didn't match anything we sent.` : '';
+  return `Processed ${result.messages} message(s): ${parts.join(', ')}.${unmatched}`;
+}
+
+/** Raw messages from a request: the body itself, or uploaded files under "files". */
+export async function readRawMessages(request: Request): Promise<string[]> {
+  if (!request.headers.get('content-type')?.startsWith('multipart/form-data')) {
+    return [await request.text()];
+  }
+  const form = await request.formData().catch(() => null);
+  const files = (form?.getAll('files') ?? []).filter((f): f is File => typeof f !== 'string');
+  return Promise.all(files.map(f => f.text()));
+}
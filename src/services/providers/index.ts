@@ -0,0 +1,82 @@
+import { randomUUID } from 'crypto';
+import { db } from '@/lib/db';
+import type { Campaign, MailProviderInfo, MailProviderKind } from '@/lib/types';
+import { smtpProvider } from './smtp';
+import { sendgridProvider } from './sendgrid';
+import { sinkProvider } from './sink';
+
+export interface Mailbox {
+  name: string;
+  email: string;
+}
+
+// A fully rendered email, ready to hand to any provider.
+export interface OutgoingEmail {
+  from: Mailbox;
+  to: Mailbox;
+  replyTo: string | null;
+  subject: string;
+  html: string;
+  text: string;
+  headers: Record<string, string>;
+  // Without angle brackets. We pick it rather than the provider, so replies
+  // can be matched the same way whichever provider sent the email.
+  messageId: string;
+}
+
+export interface SendResult {
+  messageId: string;
+}
+
+/**
+ * One way of getting email out. `send` resolves once the provider has accepted
+ * the message and rejects with a SendError, carrying an SMTP reply code or a
+ * nodemailer-style error code, so classifySendError treats every provider alike.
+ */
+export interface MailProvider {
+  kind: MailProviderKind;
+  label: string;
+  describe(): { configured: boolean, detail: string };
+  // Throws with a readable reason if the provider can't send right now.
+  verify(): Promise<void>;
+  send(email: OutgoingEmail): Promise<SendResult>;
+}
+
+const PROVIDERS: Record<MailProviderKind, MailProvider> = {
+  smtp: smtpProvider,
+  sendgrid: sendgridProvider,
+  sink: sinkProvider,
+};
+
+export const MAIL_PROVIDER_KINDS = Object.keys(PROVIDERS) as MailProviderKind[];
+
+export function getMailProvider(kind: MailProviderKind) {
+  return PROVIDERS[kind];
+}
+
+export function describeMailProviders(): MailProviderInfo[] {
+  return MAIL_PROVIDER_KINDS.map(kind => ({ kind, label: PROVIDERS[kind].label, ...PROVIDERS[kind].describe() }));
+}
+
+/** The account for the campaign's own provider if it picked one, otherwise the default account. */
+export function sendingAccountFor(campaign: Pick<Campaign, 'provider'>) {
+  return db.sendingAccounts.forProvider(campaign.provider);
+}
+
+export async function providerForCampaign(campaign: Pick<Campaign, 'provider'>) {
+  return getMailProvider((await sendingAccountFor(campaign)).provider);
+}
+
+// A Message-ID on the sender's domain, so replies can be traced back to it.
+export function newMessageId(senderEmail: string) {
+  const domain = senderEmail.split('@')[1] || 'baggabugs.local';
+  return `${randomUUID()}@${domain}`;
+}
+
+// Used when there is no campaign sender to send as, e.g. for test emails.
+export function defaultSender(): Mailbox {
+  return {
+    name: process.env.MAIL_FROM_NAME || 'Bagga Bugs',
+    email: process.env.MAIL_FROM_EMAIL || process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER || '',
+  };
+}
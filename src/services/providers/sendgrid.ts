@@ -0,0 +1,81 @@
+import sgMail from '@sendgrid/mail';
+import { SendError } from '@/lib/smtpErrors';
+import type { MailProvider } from './index';
+
+// SendGrid's v3 mail API, keyed with SENDGRID_API_KEY.
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+const globalForSendGrid = globalThis as unknown as { __baggaSendGridKey?: string };
+
+function client() {
+  const apiKey = process.env.SENDGRID_API_KEY;
+  if (!apiKey) {
+    throw new SendError("SendGrid isn't configured. Set SENDGRID_API_KEY.", { code: 'ECONFIG' });
+  }
+  if (globalForSendGrid.__baggaSendGridKey !== apiKey) {
+    sgMail.setApiKey(apiKey);
+    sgMail.setTimeout(REQUEST_TIMEOUT_MS);
+    globalForSendGrid.__baggaSendGridKey = apiKey;
+  }
+  return sgMail;
+}
+
+// Maps SendGrid's HTTP status onto the error codes classifySendError knows:
+// a rejected message won't get better by retrying, throttling and outages will.
+function toSendError(error: unknown) {
+  if (error instanceof SendError) return error;
+  const { message, code, response } = error as Error & { code?: number | string, response?: { body?: { errors?: { message: string }[] } } };
+  const reason = response?.body?.errors?.map(e => e.message).join('; ') || message;
+  if (typeof code !== 'number') {
+    return new SendError(reason, { code });
+  }
+  const errorCode = code === 400 || code === 413 ? 'EMESSAGE'
+    : code === 401 || code === 403 ? 'EAUTH'
+    : 'EPROVIDER';
+  return new SendError(`SendGrid ${code}: ${reason}`, { code: errorCode });
+}
+
+export const sendgridProvider: MailProvider = {
+  kind: 'sendgrid',
+  label: 'SendGrid',
+
+  describe() {
+    return process.env.SENDGRID_API_KEY
+      ? { configured: true, detail: "API key set" }
+      : { configured: false, detail: "Set SENDGRID_API_KEY." };
+  },
+
+  async verify() {
+    client();
+    const response = await fetch('https://api.sendgrid.com/v3/scopes', {
+      headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    }).catch(error => {
+      throw new SendError(`Can't reach SendGrid: ${(error as Error).message}`, { code: 'ECONNECTION' });
+    });
+    if (!response.ok) {
+      throw toSendError(Object.assign(new Error(response.statusText), { code: response.status }));
+    }
+    const { scopes = [] } = await response.json() as { scopes?: string[] };
+    if (!scopes.includes('mail.send')) {
+      throw new SendError("The SendGrid API key doesn't have the mail.send permission.", { code: 'EAUTH' });
+    }
+  },
+
+  async send(email) {
+    try {
+      await client().send({
+        from: { name: email.from.name, email: email.from.email },
+        to: { name: email.to.name, email: email.to.email },
+        replyTo: email.replyTo ?? undefined,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        headers: { ...email.headers, 'Message-ID': `<${email.messageId}>` },
+      });
+      return { messageId: email.messageId };
+    } catch (error) {
+      throw toSendError(error);
+    }
+  },
+};
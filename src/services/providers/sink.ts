@@ -0,0 +1,62 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { DATA_DIR } from '@/lib/store';
+import type { MailProvider, OutgoingEmail } from './index';
+
+// Accepts everything and delivers nothing. Each message is written to
+// MAIL_SINK_DIR (.data/outbox by default) as an .eml file any mail client can
+// open, and the latest ones are kept in memory.
+const SINK_DIR = process.env.MAIL_SINK_DIR || path.join(DATA_DIR, 'outbox');
+const MEMORY_LIMIT = 100;
+
+export interface SunkEmail {
+  email: OutgoingEmail;
+  file: string;
+  receivedAt: string;
+}
+
+const globalForSink = globalThis as unknown as { __baggaMailSink?: SunkEmail[] };
+const sunk = globalForSink.__baggaMailSink ?? (globalForSink.__baggaMailSink = []);
+
+// Builds the raw message without sending it anywhere.
+const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+/** The emails the sink has taken in this process, newest last. */
+export function sunkEmails(): readonly SunkEmail[] {
+  return sunk;
+}
+
+export const sinkProvider: MailProvider = {
+  kind: 'sink',
+  label: 'Local sink',
+
+  describe() {
+    return { configured: true, detail: `Writes emails to ${SINK_DIR} instead of sending them.` };
+  },
+
+  async verify() {
+    await fs.mkdir(SINK_DIR, { recursive: true });
+  },
+
+  async send(email) {
+    const { message } = await composer.sendMail({
+      from: { name: email.from.name, address: email.from.email },
+      to: { name: email.to.name, address: email.to.email },
+      replyTo: email.replyTo ?? undefined,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      headers: email.headers,
+      messageId: `<${email.messageId}>`,
+    });
+    const file = path.join(SINK_DIR, `${Date.now()}-${email.messageId.replace(/[^\w.-]/g, '_')}.eml`);
+    await fs.mkdir(SINK_DIR, { recursive: true });
+    await fs.writeFile(file, message as Buffer);
+
+    sunk.push({ email, file, receivedAt: new Date().toISOString() });
+    if (sunk.length > MEMORY_LIMIT) sunk.splice(0, sunk.length - MEMORY_LIMIT);
+    console.log(`📥 Sink took "${email.subject}" for ${email.to.email} (${file})`);
+    return { messageId: email.messageId };
+  },
+};
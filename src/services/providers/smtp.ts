@@ -0,0 +1,73 @@
+import nodemailer, { type Transporter } from 'nodemailer';
+import { SendError } from '@/lib/smtpErrors';
+import type { MailProvider } from './index';
+
+// SMTP_HOST, SMTP_PORT, SMTP_USER and SMTP_PASSWORD; port 465 means TLS from
+// the start, anything else upgrades with STARTTLS.
+const globalForSmtp = globalThis as unknown as { __baggaSmtpTransport?: Transporter };
+
+function settings() {
+  const { SMTP_HOST: host, SMTP_USER: user, SMTP_PASSWORD: pass } = process.env;
+  const port = Number(process.env.SMTP_PORT) || 465;
+  return host && user && pass ? { host, port, user, pass } : null;
+}
+
+function transport() {
+  if (globalForSmtp.__baggaSmtpTransport) return globalForSmtp.__baggaSmtpTransport;
+  const config = settings();
+  if (!config) {
+    throw new SendError("SMTP isn't configured. Set SMTP_HOST, SMTP_USER and SMTP_PASSWORD.", { code: 'ECONFIG' });
+  }
+  globalForSmtp.__baggaSmtpTransport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.port === 465,
+    auth: { user: config.user, pass: config.pass },
+    pool: true,
+  });
+  return globalForSmtp.__baggaSmtpTransport;
+}
+
+function toSendError(error: unknown) {
+  if (error instanceof SendError) return error;
+  const { message, code, responseCode } = error as Error & { code?: string, responseCode?: number };
+  return new SendError(message ?? String(error), { code, responseCode });
+}
+
+export const smtpProvider: MailProvider = {
+  kind: 'smtp',
+  label: 'SMTP',
+
+  describe() {
+    const config = settings();
+    return config
+      ? { configured: true, detail: `${config.user} via ${config.host}:${config.port}` }
+      : { configured: false, detail: "Set SMTP_HOST, SMTP_USER and SMTP_PASSWORD." };
+  },
+
+  async verify() {
+    try {
+      await transport().verify();
+    } catch (error) {
+      throw toSendError(error);
+    }
+  },
+
+  async send(email) {
+    try {
+      await transport().sendMail({
+        from: { name: email.from.name, address: email.from.email },
+        to: { name: email.to.name, address: email.to.email },
+        replyTo: email.replyTo ?? undefined,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        headers: email.headers,
+        messageId: `<${email.messageId}>`,
+      });
+      return { messageId: email.messageId };
+    } catch (error) {
+      throw toSendError(error);
+    }
+  },
+};
@@ -0,0 +1,93 @@
+import { db } from '@/lib/db';
+import { loadRecipients } from '@/lib/analytics';
+import { isValidTimeZone, recipientSendTime, zonedTimeToUtc } from '@/lib/timeZones';
+import type { Campaign, CampaignSchedule } from '@/lib/types';
+import { settleCampaign, startCampaignSend } from './sendQueue';
+
+// How often scheduled campaigns are checked for being due.
+const TICK_MS = 30 * 1000;
+
+const WALL_CLOCK_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+const globalForScheduler = globalThis as unknown as { __baggaScheduler?: ReturnType<typeof setInterval> };
+
+/** Schedules (or reschedules) a campaign to start sending at the given time. */
+export async function scheduleCampaignSend(campaignId: string, schedule: CampaignSchedule) {
+  const campaign = await db.campaigns.find(campaignId);
+  if (!campaign) {
+    throw new Error("Campaign not found.");
+  }
+  if (campaign.status === 'archived' || campaign.status === 'sending') {
+    throw new Error(`Campaign is ${campaign.status} and can't be scheduled.`);
+  }
+  if (!WALL_CLOCK_PATTERN.test(schedule.sendAt) || !isValidTimeZone(schedule.timeZone)) {
+    throw new Error("Pick a valid date, time and time zone.");
+  }
+  if (zonedTimeToUtc(schedule.sendAt, schedule.timeZone).getTime() <= Date.now()) {
+    throw new Error("Pick a time in the future.");
+  }
+  if (schedule.recipientLocalTime && campaign.abTest) {
+    throw new Error("A/B tested campaigns can't go out at each contact's local time.");
+  }
+
+  const { sendAt, timeZone, recipientLocalTime } = schedule;
+  return db.campaigns.update(campaignId, { status: 'scheduled', schedule: { sendAt, timeZone, recipientLocalTime } });
+}
+
+export async function unscheduleCampaignSend(campaignId: string) {
+  const campaign = await db.campaigns.find(campaignId);
+  if (campaign?.status !== 'scheduled') {
+    throw new Error("This campaign isn't scheduled.");
+  }
+  await db.campaigns.update(campaignId, { schedule: null });
+  await settleCampaign(campaignId);
+}
+
+// Campaigns start as soon as their first recipient is due, which for a
+// local-time schedule is whoever's time zone reaches the send time first.
+async function startIfDue(campaign: Campaign & { schedule: CampaignSchedule }) {
+  const pending = (await loadRecipients(campaign.id)).filter(r => r.status === 'Pending');
+
+  if (pending.length === 0) {
+    console.warn(`⚠️  Scheduled campaign ${campaign.id} has nobody left to send to; unscheduling it`);
+    await db.campaigns.update(campaign.id, { schedule: null });
+    await settleCampaign(campaign.id);
+    return;
+  }
+
+  const firstDue = Math.min(...pending.map(c => recipientSendTime(campaign.schedule, c).getTime()));
+  if (firstDue > Date.now()) return;
+
+  console.log(`⏰ Scheduled campaign ${campaign.id} is due, starting send`);
+  await startCampaignSend(campaign.id, { fromSchedule: true });
+}
+
+/** Starts every scheduled campaign whose time has come. */
+export async function runDueSchedules() {
+  const campaigns = await db.campaigns.list();
+  for (const campaign of campaigns) {
+    if (campaign.status !== 'scheduled' || !campaign.schedule) continue;
+    try {
+      await startIfDue(campaign as Campaign & { schedule: CampaignSchedule });
+    } catch (error) {
+      // Most likely the mail provider is down; stay scheduled and try again next tick.
+      console.error(`❌ Couldn't start scheduled campaign ${campaign.id}:`, error);
+    }
+  }
+}
+
+export function startScheduler() {
+  if (globalForScheduler.__baggaScheduler) return;
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueSchedules();
+    } finally {
+      running = false;
+    }
+  };
+  globalForScheduler.__baggaScheduler = setInterval(tick, TICK_MS);
+  void tick();
+}
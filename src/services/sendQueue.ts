@@ -0,0 +1,264 @@
+import { db } from '@/lib/db';
+import { loadRecipients } from '@/lib/analytics';
+import { publishDeliveryEvent, publishJobEvent } from '@/lib/campaignEvents';
+import { acquireSendSlot, releaseSendSlot } from '@/lib/rateLimiter';
+import { classifySendError, MAX_SEND_ATTEMPTS, retryDelayMs } from '@/lib/smtpErrors';
+import { recipientSendTime } from '@/lib/timeZones';
+import type { Campaign, SendJob } from '@/lib/types';
+import { decideAbTest, startAbTest } from './abTest';
+import { emitEmailEvent } from './webhooks';
+import { buildCampaignEmail, sendCampaignEmail } from './campaignMailer';
+import { getMailProvider, providerForCampaign, sendingAccountFor, type MailProvider } from './providers';
+
+// Longest a worker sleeps before checking whether it was paused or cancelled.
+const MAX_SLEEP_MS = 5000;
+
+const delay = (ms: number) => new Promise(res => setTimeout(res, ms));
+
+// Ids of the jobs that currently have a worker loop running in this process.
+// Keyed by job rather than campaign: a cancelled job's worker can still be
+// asleep or mid-send when the campaign is sent again, and the new job needs
+// a worker of its own. Claims are atomic, so the two never send to the same
+// contact. Shared through globalThis for the same reason as the store.
+const globalForQueue = globalThis as unknown as { __baggaWorkers?: Set<string> };
+const activeWorkers = globalForQueue.__baggaWorkers ?? (globalForQueue.__baggaWorkers = new Set());
+
+async function ensureProvider(provider: MailProvider) {
+  try {
+    await provider.verify();
+  } catch (error) {
+    console.error(`❌ ${provider.label} isn't ready:`, error);
+    throw new Error(`${provider.label} isn't ready to send: ${(error as Error).message}`);
+  }
+}
+
+// Updates the job and tells any open dashboards about it.
+async function updateJob(id: string, patch: Parameters<typeof db.sendJobs.update>[1]) {
+  const job = await db.sendJobs.update(id, patch);
+  if (job) publishJobEvent(job);
+  return job;
+}
+
+async function findUnfinishedJob(campaignId: string) {
+  const job = await db.sendJobs.latestForCampaign(campaignId);
+  return job && (job.status === 'running' || job.status === 'paused') ? job : null;
+}
+
+export async function settleCampaign(campaignId: string) {
+  const deliveries = await db.deliveries.listByCampaign(campaignId);
+  const sentAny = deliveries.some(d => d.status === 'Sent');
+  await db.campaigns.update(campaignId, { status: sentAny ? 'sent' : 'draft' });
+}
+
+async function runWorker(job: SendJob) {
+  console.log(`🧵 Worker started for campaign ${job.campaignId} (job ${job.id})`);
+
+  let campaign = await db.campaigns.find(job.campaignId) as Campaign;
+  // Sends count against the limits of the account for the campaign's provider.
+  const account = await sendingAccountFor(campaign);
+  const provider = getMailProvider(account.provider);
+  try {
+    await ensureProvider(provider);
+  } catch (error) {
+    await updateJob(job.id, { status: 'paused', error: (error as Error).message });
+    return;
+  }
+  let emailsSent = 0;
+  let emailsFailed = 0;
+
+  while (true) {
+    const current = await db.sendJobs.find(job.id);
+    if (current?.status !== 'running') {
+      console.log(`⏸️  Worker for campaign ${job.campaignId} stopped: job is ${current?.status}`);
+      return;
+    }
+
+    const decideAt = campaign.abTest?.decideAt;
+    if (decideAt && !campaign.abTest?.winnerId && Date.parse(decideAt) <= Date.now()) {
+      campaign = await decideAbTest(campaign);
+    }
+
+    // Only reads, so a job waiting hours on held back contacts doesn't
+    // rewrite the store on every pass.
+    if (!await db.deliveries.hasDue(job.campaignId)) {
+      // Everyone left is waiting on a retry, their local send time or the A/B
+      // test winner; hang around until one is due.
+      const nextDueAt = await db.deliveries.nextDueAt(job.campaignId);
+      if (!nextDueAt) break;
+      await delay(Math.min(Math.max(Date.parse(nextDueAt) - Date.now(), 0), MAX_SLEEP_MS));
+      continue;
+    }
+
+    const slot = await acquireSendSlot(account.id);
+    if (!slot.granted) {
+      // Out of quota: wait for the next window rather than failing anyone.
+      if (slot.reason !== 'rate' && !current.deferredUntil) {
+        const deferredUntil = new Date(Date.now() + slot.waitMs).toISOString();
+        console.log(`⏳ ${slot.reason} quota reached, campaign ${job.campaignId} deferred until ${deferredUntil}`);
+        await updateJob(job.id, { deferredUntil });
+      }
+      await delay(Math.min(slot.waitMs, MAX_SLEEP_MS));
+      continue;
+    }
+    if (current.deferredUntil) {
+      await updateJob(job.id, { deferredUntil: null });
+    }
+
+    const claim = await db.deliveries.claimNext(job.campaignId, job.id);
+    if (!claim) {
+      // Only suppressed contacts were left, or another job got there first.
+      await releaseSendSlot(account.id);
+      continue;
+    }
+
+    const { delivery, contact } = claim;
+    try {
+      console.log(`\n📤 Processing: ${contact.email}`);
+      const { subject, html, text, headers, variantId } = await buildCampaignEmail(campaign, contact, delivery);
+      const { messageId } = await sendCampaignEmail(provider, campaign, contact, { subject, html, text, headers });
+      await db.deliveries.markSent(delivery.id, { messageId, variantId, subject });
+      await publishDeliveryEvent('sent', delivery.id);
+      await emitEmailEvent('email.sent', delivery.id, { subject });
+      emailsSent++;
+      console.log(`✅ Email sent successfully to: ${contact.email}`);
+    } catch (error) {
+      const { kind, reason } = classifySendError(error);
+      if (kind === 'account') {
+        // Not the contact's fault, and nobody else would get through either.
+        console.error(`🔑 ${provider.label} refused to send for campaign ${job.campaignId}, pausing:`, reason);
+        await db.deliveries.release(delivery.id);
+        await updateJob(job.id, { status: 'paused', error: reason });
+        return;
+      }
+      if (kind === 'transient' && delivery.attempts < MAX_SEND_ATTEMPTS) {
+        const nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attempts)).toISOString();
+        console.warn(`🔁 Temporary failure sending to ${contact.email} (attempt ${delivery.attempts}), retrying at ${nextAttemptAt}:`, reason);
+        await db.deliveries.markFailed(delivery.id, reason, nextAttemptAt);
+        await publishDeliveryEvent('retrying', delivery.id);
+        continue;
+      }
+      console.error(`❌ Failed to send email to ${contact.email}:`, error);
+      await db.deliveries.markFailed(delivery.id, reason);
+      await publishDeliveryEvent('failed', delivery.id);
+      await emitEmailEvent('email.failed', delivery.id, { error: reason });
+      emailsFailed++;
+    }
+  }
+
+  // Cancelled while finishing off: the campaign may already be on a new job.
+  if ((await db.sendJobs.find(job.id))?.status !== 'running') return;
+  await db.campaigns.update(job.campaignId, { status: 'sent' });
+  await updateJob(job.id, { status: 'completed', error: null, finishedAt: new Date().toISOString() });
+  console.log(`📊 Campaign ${job.campaignId} finished: ${emailsSent} sent, ${emailsFailed} failed`);
+}
+
+function spawnWorker(job: SendJob) {
+  if (activeWorkers.has(job.id)) return;
+  activeWorkers.add(job.id);
+
+  runWorker(job)
+    .catch(async error => {
+      console.error(`❌ Worker for campaign ${job.campaignId} crashed:`, error);
+      try {
+        await settleCampaign(job.campaignId);
+        await updateJob(job.id, {
+          status: 'failed',
+          error: error instanceof Error ? error.message : String(error),
+          finishedAt: new Date().toISOString(),
+        });
+      } catch (cleanupError) {
+        console.error(`❌ Could not record the crash of job ${job.id}:`, cleanupError);
+      }
+    })
+    .finally(() => activeWorkers.delete(job.id));
+}
+
+/**
+ * Queues a background send of the campaign to everyone it hasn't reached yet.
+ * The scheduler passes `fromSchedule` so a local-time schedule holds each
+ * contact back until their own send time; a manual send drops the schedule.
+ */
+export async function startCampaignSend(campaignId: string, { fromSchedule = false } = {}) {
+  const campaign = await db.campaigns.find(campaignId);
+  if (!campaign) {
+    throw new Error("Campaign not found.");
+  }
+  if (campaign.status === 'archived' || campaign.status === 'sending') {
+    throw new Error(`Campaign is ${campaign.status} and can't be sent.`);
+  }
+
+  const pending = (await loadRecipients(campaignId)).filter(r => r.status === 'Pending');
+  const pendingCount = pending.length;
+  if (pendingCount === 0) {
+    throw new Error("No pending contacts to send to!");
+  }
+
+  await ensureProvider(await providerForCampaign(campaign));
+
+  const job = await db.sendJobs.create(campaignId);
+  if (!job) {
+    throw new Error("This campaign is already being sent.");
+  }
+  const schedule = fromSchedule ? campaign.schedule : null;
+  if (schedule?.recipientLocalTime) {
+    await db.deliveries.holdUntil(campaignId, new Map(pending.map(c => [c.id, recipientSendTime(schedule, c).toISOString()])));
+  }
+  await startAbTest(campaign, pending);
+  await db.campaigns.update(campaignId, { status: 'sending', schedule: null });
+  publishJobEvent(job);
+  console.log(`📧 Queued campaign ${campaignId} for ${pendingCount} contacts (job ${job.id})`);
+  spawnWorker(job);
+  return { job, pendingCount };
+}
+
+export async function pauseCampaignSend(campaignId: string) {
+  const job = await findUnfinishedJob(campaignId);
+  if (job?.status !== 'running') {
+    throw new Error("This campaign isn't currently sending.");
+  }
+  return updateJob(job.id, { status: 'paused', deferredUntil: null });
+}
+
+export async function resumeCampaignSend(campaignId: string) {
+  const job = await findUnfinishedJob(campaignId);
+  if (job?.status !== 'paused') {
+    throw new Error("This campaign isn't paused.");
+  }
+  const campaign = await db.campaigns.find(campaignId);
+  if (campaign) await ensureProvider(await providerForCampaign(campaign));
+  const resumed = await updateJob(job.id, { status: 'running', error: null });
+  spawnWorker(resumed as SendJob);
+  return resumed;
+}
+
+export async function cancelCampaignSend(campaignId: string) {
+  const job = await findUnfinishedJob(campaignId);
+  if (!job) {
+    throw new Error("This campaign isn't currently sending.");
+  }
+  const cancelled = await db.sendJobs.update(job.id, { status: 'cancelled', deferredUntil: null, finishedAt: new Date().toISOString() });
+  // Whoever is still held for a retry or their local time goes out right
+  // away if the campaign is sent again.
+  await db.deliveries.releaseHeld(campaignId);
+  await settleCampaign(campaignId);
+  if (cancelled) publishJobEvent(cancelled);
+  return cancelled;
+}
+
+/**
+ * Picks running jobs back up after a restart. Deliveries a job had claimed but
+ * not finished may or may not have gone out, so they are failed rather than
+ * sent again.
+ */
+export async function resumeJobs() {
+  const jobs = [...await db.sendJobs.listByStatus('running'), ...await db.sendJobs.listByStatus('paused')];
+  for (const job of jobs) {
+    const interrupted = await db.deliveries.failInterrupted(job.id);
+    if (interrupted > 0) {
+      console.warn(`⚠️  Job ${job.id}: ${interrupted} delivery(ies) were interrupted mid-send and marked as errors`);
+    }
+    if (job.status === 'running') {
+      spawnWorker(job);
+    }
+  }
+}
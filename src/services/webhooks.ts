@@ -0,0 +1,138 @@
+import { createHmac, randomUUID } from 'crypto';
+import { db } from '@/lib/db';
+import type { Webhook, WebhookDelivery, WebhookEvent, WebhookEventType } from '@/lib/types';
+
+// Outbound webhooks. Events are queued per subscribed webhook and POSTed as
+// JSON by a background dispatcher, retrying with backoff. Each request carries
+// an `X-Bagga-Signature: t=<unix seconds>,v1=<hex>` header, where v1 is the
+// HMAC-SHA256 of "<t>.<raw body>" keyed with the webhook's secret.
+
+// How often due deliveries are picked up.
+const TICK_MS = 15 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Waits after the 1st, 2nd, ... failed attempt; one more failure after the
+// last gives up.
+const RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 8 * 60 * 60].map(s => s * 1000);
+
+// How long a claimed delivery is left alone before it counts as abandoned.
+const LEASE_MS = 2 * 60 * 1000;
+
+const globalForWebhooks = globalThis as unknown as { __baggaWebhookDispatcher?: ReturnType<typeof setInterval>, __baggaWebhooksRunning?: boolean };
+
+export function webhookSignature(secret: string, timestamp: number, body: string) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function newEvent(type: WebhookEvent['type'], data: Record<string, unknown>): WebhookEvent {
+  return { id: `evt_${randomUUID()}`, type, createdAt: new Date().toISOString(), data };
+}
+
+async function post(webhook: Webhook, event: WebhookEvent) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BaggaBugs-Webhooks/1.0',
+        'X-Bagga-Event': event.type,
+        'X-Bagga-Signature': `t=${timestamp},v1=${webhookSignature(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const error = response.ok ? null : `HTTP ${response.status} ${response.statusText}`.trim();
+    return { responseStatus: response.status, error };
+  } catch (error) {
+    const reason = error instanceof Error && error.name === 'TimeoutError'
+      ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+      : error instanceof Error ? (error.cause as Error | undefined)?.message ?? error.message : String(error);
+    return { responseStatus: null, error: reason };
+  }
+}
+
+async function attempt(delivery: WebhookDelivery, { retry = true } = {}): Promise<WebhookDelivery | null> {
+  const webhook = await db.webhooks.find(delivery.webhookId);
+  if (!webhook?.enabled) {
+    const error = webhook ? "Webhook is disabled" : "Webhook was deleted";
+    return db.webhookDeliveries.recordAttempt(delivery.id, { status: 'failed', nextAttemptAt: null, responseStatus: null, error });
+  }
+
+  const { responseStatus, error } = await post(webhook, delivery.event);
+  if (!error) {
+    console.log(`🪝 Delivered ${delivery.event.type} to webhook ${webhook.id}`);
+    return db.webhookDeliveries.recordAttempt(delivery.id, { status: 'succeeded', nextAttemptAt: null, responseStatus, error: null });
+  }
+
+  const retryIn = retry ? RETRY_DELAYS_MS[delivery.attempts] : undefined;
+  if (retryIn === undefined) {
+    console.error(`❌ Gave up delivering ${delivery.event.type} to webhook ${webhook.id} after ${delivery.attempts + 1} attempts: ${error}`);
+    return db.webhookDeliveries.recordAttempt(delivery.id, { status: 'failed', nextAttemptAt: null, responseStatus, error });
+  }
+  const nextAttemptAt = new Date(Date.now() + retryIn).toISOString();
+  console.warn(`🔁 Webhook ${webhook.id} failed for ${delivery.event.type} (${error}), retrying at ${nextAttemptAt}`);
+  return db.webhookDeliveries.recordAttempt(delivery.id, { status: 'pending', nextAttemptAt, responseStatus, error });
+}
+
+/** Makes every webhook request that is due. Overlapping calls return straight away. */
+export async function dispatchDueWebhooks() {
+  if (globalForWebhooks.__baggaWebhooksRunning) return;
+  globalForWebhooks.__baggaWebhooksRunning = true;
+  try {
+    const due = await db.webhookDeliveries.claimDue(new Date(Date.now() + LEASE_MS).toISOString());
+    for (const delivery of due) {
+      await attempt(delivery);
+    }
+  } finally {
+    globalForWebhooks.__baggaWebhooksRunning = false;
+  }
+}
+
+/** Queues the event for every enabled webhook subscribed to it. Never throws. */
+export async function emitWebhookEvent(type: WebhookEventType, data: Record<string, unknown>) {
+  try {
+    const subscribed = (await db.webhooks.list()).filter(w => w.enabled && w.events.includes(type));
+    if (subscribed.length === 0) return;
+    await db.webhookDeliveries.enqueue(newEvent(type, data), subscribed.map(w => w.id));
+    void dispatchDueWebhooks();
+  } catch (error) {
+    console.error(`❌ Failed to queue ${type} webhook event:`, error);
+  }
+}
+
+/** Emits an email.* event describing the delivery, its contact and campaign. Never throws. */
+export async function emitEmailEvent(type: WebhookEventType, deliveryId: string, details: Record<string, unknown> = {}) {
+  try {
+    const delivery = await db.deliveries.find(deliveryId);
+    if (!delivery) return;
+    const [contact, campaign] = await Promise.all([db.contacts.find(delivery.contactId), db.campaigns.find(delivery.campaignId)]);
+    await emitWebhookEvent(type, {
+      deliveryId: delivery.id,
+      campaign: campaign && { id: campaign.id, name: campaign.name },
+      contact: contact && { id: contact.id, email: contact.email, firstName: contact.firstName, lastName: contact.lastName },
+      variantId: delivery.variantId,
+      messageId: delivery.messageId,
+      ...details,
+    });
+  } catch (error) {
+    console.error(`❌ Failed to emit ${type} webhook event for delivery ${deliveryId}:`, error);
+  }
+}
+
+/** Sends a webhook.test event to one webhook right away, outside the queue. */
+export async function sendTestWebhook(webhookId: string) {
+  const event = newEvent('webhook.test', { message: "This is a test event from Bagga Bugs." });
+  // Due only after the lease, so the dispatcher leaves it to us.
+  const [delivery] = await db.webhookDeliveries.enqueue(event, [webhookId], new Date(Date.now() + LEASE_MS).toISOString());
+  return attempt(delivery, { retry: false });
+}
+
+export function startWebhookDispatcher() {
+  if (globalForWebhooks.__baggaWebhookDispatcher) return;
+  globalForWebhooks.__baggaWebhookDispatcher = setInterval(() => void dispatchDueWebhooks(), TICK_MS);
+  void dispatchDueWebhooks();
+}